@@ -1,6 +1,7 @@
 /**
  * Accounts handler
- * Handles: POST /accounts, GET /accounts/me, DELETE /accounts/me, PUT /accounts/me/webhook (DEPRECATED)
+ * Handles: POST /accounts, GET /accounts/me, DELETE /accounts/me, PUT /accounts/me/network-policy,
+ * PUT /accounts/me/webhook (DEPRECATED)
  * 
  * Note: PUT /accounts/me/webhook is deprecated. Use the webhook-manager handler for webhook management.
  */
@@ -13,7 +14,7 @@ const { getUserAccount, validateUserAndPlan, purchaseCredits: purchaseCreditsSer
 const { getAllCreditPackages } = require('../services/paddle');
 const { generateULID } = require('../utils/ulid');
 const { putItem, updateItem, deleteItem } = require('../services/dynamodb');
-const { validateWebhookUrl } = require('../services/validation');
+const { validateWebhookUrl, validateNetworkPolicy } = require('../services/validation');
 
 const USERS_TABLE = process.env.USERS_TABLE;
 
@@ -35,6 +36,8 @@ async function handler(event) {
       return await getBilling(event);
     } else if (method === 'DELETE' && path === '/accounts/me') {
       return await deleteAccount(event);
+    } else if (method === 'PUT' && path === '/accounts/me/network-policy') {
+      return await updateNetworkPolicy(event);
     } else if (method === 'PUT' && path === '/accounts/me/webhook') {
       return await updateWebhook(event);
     } else if (method === 'PUT' && path === '/accounts/me/upgrade') {
@@ -163,6 +166,7 @@ async function getAccount(event) {
         free_credits_remaining: user.free_credits_remaining ?? null,
         quota_exceeded: user.quota_exceeded || false,
         webhook_url: user.webhook_url || null,
+        network_policy: user.network_policy || null,
         created_at: user.created_at,
         upgraded_at: user.upgraded_at || null,
       }),
@@ -215,6 +219,70 @@ async function deleteAccount(event) {
   }
 }
 
+/**
+ * PUT /accounts/me/network-policy - Set or clear the account default network policy
+ * Applies to every render; options.network on a request overrides it field by field
+ */
+async function updateNetworkPolicy(event) {
+  try {
+    const userSub = await extractUserSub(event);
+    if (!userSub) {
+      return Unauthorized.MISSING_TOKEN();
+    }
+
+    const user = await getUserAccount(userSub);
+    if (!user) {
+      return Forbidden.ACCOUNT_NOT_FOUND();
+    }
+
+    // Parse request body
+    let body;
+    try {
+      body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+    } catch (error) {
+      return BadRequest.INVALID_PARAMETER('body', 'Invalid JSON in request body');
+    }
+
+    if (!body || typeof body !== 'object' || !('network_policy' in body)) {
+      return BadRequest.INVALID_PARAMETER('network_policy', 'network_policy field is required (null to clear)');
+    }
+
+    const networkPolicy = body.network_policy;
+    if (networkPolicy !== null) {
+      const validation = validateNetworkPolicy(networkPolicy);
+      if (!validation.isValid) {
+        return validation.error;
+      }
+    }
+
+    const updatedAt = new Date().toISOString();
+    await updateItem(
+      USERS_TABLE,
+      { user_id: user.user_id },
+      'SET network_policy = :network_policy, updated_at = :updated_at',
+      {
+        ':network_policy': networkPolicy,
+        ':updated_at': updatedAt,
+      }
+    );
+
+    logger.info('Network policy updated', { userId: user.user_id, mode: networkPolicy ? networkPolicy.mode : null });
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        user_id: user.user_id,
+        network_policy: networkPolicy,
+        updated_at: updatedAt,
+      }),
+    };
+  } catch (error) {
+    logger.error('Error updating network policy', { error: error.message });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
 /**
  * PUT /accounts/me/webhook - Update webhook URL (DEPRECATED)
  * 
@@ -0,0 +1,205 @@
+/**
+ * Fonts handler
+ * Handles the per-account custom font library
+ * POST /accounts/me/fonts - Upload a font (multipart/form-data)
+ * GET /accounts/me/fonts - List fonts
+ * GET /accounts/me/fonts/{font_id} - Get font metadata
+ * DELETE /accounts/me/fonts/{font_id} - Delete font
+ */
+
+const logger = require('../utils/logger');
+const { wrapHandler } = require('../utils/sentry');
+const { extractUserSub } = require('../middleware/auth');
+const { validateUserAndPlan } = require('../services/business');
+const { Unauthorized, NotFound, InternalServerError, BadRequest } = require('../utils/errors');
+const {
+  createFont,
+  verifyFontOwnership,
+  listFonts,
+  deleteFont,
+  formatFont,
+} = require('../services/font');
+
+// Multipart parser
+let multipart;
+try {
+  multipart = require('lambda-multipart-parser');
+} catch (e) {
+  // Will be loaded when needed
+}
+
+/**
+ * Main handler - routes to appropriate function based on HTTP method and path
+ */
+async function handler(event) {
+  try {
+    const method = event.requestContext?.http?.method || event.httpMethod;
+    const path = event.requestContext?.http?.path || event.path;
+    const pathParameters = event.pathParameters || {};
+
+    logger.info('Fonts handler invoked', { method, path });
+
+    // Extract user sub from JWT
+    const userSub = await extractUserSub(event);
+    if (!userSub) {
+      return Unauthorized.MISSING_TOKEN();
+    }
+
+    // Get user account and plan (plan is needed for font limits)
+    const { user, plan, error } = await validateUserAndPlan(userSub);
+    if (error) {
+      return error;
+    }
+
+    const fontId = pathParameters.font_id;
+
+    // Route based on method and path
+    if (method === 'POST' && path === '/accounts/me/fonts') {
+      return await createFontHandler(event, user.user_id, plan);
+    } else if (method === 'GET' && path === '/accounts/me/fonts') {
+      return await listFontsHandler(user.user_id);
+    } else if (method === 'GET' && fontId) {
+      return await getFontHandler(user.user_id, fontId);
+    } else if (method === 'DELETE' && fontId) {
+      return await deleteFontHandler(user.user_id, fontId);
+    }
+
+    return NotFound.NOT_FOUND();
+  } catch (error) {
+    logger.error('Fonts handler error', {
+      error: error.message,
+      stack: error.stack,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+/**
+ * POST /accounts/me/fonts - Upload a font file
+ * Multipart fields: font (file), family, weight, style (optional)
+ */
+async function createFontHandler(event, userId, plan) {
+  try {
+    const headers = event.headers || {};
+    const contentType = headers['content-type'] || headers['Content-Type'] || '';
+    if (!contentType.includes('multipart/form-data')) {
+      return BadRequest.INVALID_PARAMETER('content-type', 'Font uploads must be sent as multipart/form-data');
+    }
+
+    let parsed;
+    try {
+      if (!multipart) {
+        multipart = require('lambda-multipart-parser');
+      }
+      parsed = await multipart.parse(event);
+    } catch (error) {
+      logger.error('Multipart parsing error', { error: error.message });
+      return BadRequest.INVALID_MULTIPART(error.message);
+    }
+
+    const fontFiles = (parsed.files || []).filter(f => f.fieldname === 'font');
+    if (fontFiles.length !== 1) {
+      return BadRequest.INVALID_PARAMETER('font', 'Exactly one font file is required in the font field');
+    }
+
+    const font = await createFont(userId, plan, {
+      buffer: fontFiles[0].content,
+      filename: fontFiles[0].filename,
+      family: parsed.family,
+      weight: parsed.weight,
+      style: parsed.style,
+    });
+
+    return {
+      statusCode: 201,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(font),
+    };
+  } catch (error) {
+    // Check if error is already a formatted response
+    if (error.statusCode && error.headers && error.body) {
+      return error;
+    }
+
+    logger.error('Error creating font', {
+      error: error.message,
+      userId,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+/**
+ * GET /accounts/me/fonts - List fonts
+ */
+async function listFontsHandler(userId) {
+  try {
+    const result = await listFonts(userId);
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(result),
+    };
+  } catch (error) {
+    logger.error('Error listing fonts', {
+      error: error.message,
+      userId,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+/**
+ * GET /accounts/me/fonts/{font_id} - Get font metadata
+ */
+async function getFontHandler(userId, fontId) {
+  try {
+    const { font, error } = await verifyFontOwnership(fontId, userId);
+    if (error) {
+      return error;
+    }
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ font: formatFont(font) }),
+    };
+  } catch (error) {
+    logger.error('Error getting font', {
+      error: error.message,
+      fontId,
+      userId,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+/**
+ * DELETE /accounts/me/fonts/{font_id} - Delete font
+ */
+async function deleteFontHandler(userId, fontId) {
+  try {
+    await deleteFont(fontId, userId);
+
+    return {
+      statusCode: 204,
+      headers: { 'Content-Type': 'application/json' },
+      body: '',
+    };
+  } catch (error) {
+    // Check if error is already a formatted response
+    if (error.statusCode && error.headers && error.body) {
+      return error;
+    }
+
+    logger.error('Error deleting font', {
+      error: error.message,
+      fontId,
+      userId,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+module.exports = { handler: wrapHandler(handler) };
@@ -1,6 +1,6 @@
 /**
  * Jobs handler
- * Handles: GET /jobs and GET /jobs/{job_id}
+ * Handles: GET /jobs, GET /jobs/{job_id}, GET /jobs/{job_id}/webhooks/history and GET /jobs/{job_id}/diagnostics
  */
 
 const logger = require('../utils/logger');
@@ -64,6 +64,11 @@ async function handler(event) {
       return await handleGetJobWebhookHistory(jobId, userId, userSub, queryParams);
     }
 
+    // Check if this is a diagnostics request
+    if (path.endsWith('/diagnostics') && method === 'GET') {
+      return await handleGetJobDiagnostics(jobId, userId, userSub);
+    }
+
     // Handle get single job endpoint
     logger.info('Getting job details', { jobId, userId, userSub });
 
@@ -105,16 +110,22 @@ async function handler(event) {
       job_type: job.job_type,
       mode: job.mode,
       pages: job.pages || null,
+      page_report: job.page_report || null,
       truncated: job.truncated || false,
+      output_format: job.output_format || 'pdf',
       created_at: job.created_at,
       completed_at: job.completed_at || null,
       error_message: job.error_message || null,
+      render_timings: job.render_timings || null,
+      resources: job.resource_report || null,
+      accessibility_report: job.accessibility_report || null,
     };
 
     // Add long job specific fields
     if (job.job_type === 'long') {
       response.s3_url = job.s3_url || null;
       response.s3_url_expires_at = job.s3_url_expires_at || null;
+      response.images = job.images || null;
       response.webhook_delivered = job.webhook_delivered || false;
       response.webhook_delivered_at = job.webhook_delivered_at || null;
       response.webhook_retry_count = job.webhook_retry_count || 0;
@@ -191,6 +202,49 @@ async function handleListJobs(userId, queryParams) {
   }
 }
 
+/**
+ * Handle GET /jobs/{job_id}/diagnostics - Render diagnostics of a job
+ * Diagnostics are null for jobs that were not rendered in Chromium (image to PDF) and for older jobs.
+ */
+async function handleGetJobDiagnostics(jobId, userId, userSub) {
+  try {
+    const job = await getJobRecord(jobId);
+
+    // Jobs of other users are reported as not found
+    const jobUserId = job && (job.user_id || job.user_sub);
+    if (!job || (jobUserId !== userId && jobUserId !== userSub)) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: {
+            code: 'JOB_NOT_FOUND',
+            message: 'Job not found',
+          },
+        }),
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        job_id: jobId,
+        status: job.status,
+        diagnostics: job.diagnostics || null,
+      }),
+    };
+  } catch (error) {
+    logger.error('Get job diagnostics error', {
+      error: error.message,
+      stack: error.stack,
+      jobId,
+      userId,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
 /**
  * Handle GET /jobs/{job_id}/webhooks/history - Get webhook history for a job
  */
@@ -10,13 +10,17 @@ const {
   atomicallyStartProcessing,
   updateJobRecord,
   getJobRecord,
+  saveJobDiagnostics,
   createAnalyticsRecord,
 } = require('../services/jobTracking');
 const { generatePDF } = require('../services/pdf');
-const { uploadPDF, generateSignedUrl, getExpirationTimestamp } = require('../services/s3');
+const { uploadPDF, uploadImages, downloadBundle, downloadContent, generateSignedUrl, getExpirationTimestamp } = require('../services/s3');
+const { deserializeAssets } = require('../services/assetBundle');
+const { loadAccountFonts } = require('../services/font');
 const { getUserAccount, getPlan, queueCreditDeduction } = require('../services/business');
 const { deliverWebhooksForEvent } = require('../services/webhookDelivery');
-const { InternalServerError } = require('../utils/errors');
+const { openSecret } = require('../services/jobSecrets');
+const { InternalServerError, getErrorSummary } = require('../utils/errors');
 
 const MAX_LONGJOB_PAGES = parseInt(process.env.MAX_LONGJOB_PAGES || process.env.MAX_PAGES || '100', 10);
 
@@ -52,6 +56,63 @@ async function triggerProcessingWebhook(userId, jobId, job) {
   }
 }
 
+/**
+ * Mark a job as failed for a non-retryable reason and deliver the job.failed webhook
+ * @param {string} userId - User ID
+ * @param {string} jobId - Job ID
+ * @param {object} job - Job record
+ * @param {string} mode - Job mode (input type)
+ * @param {number} startTime - Processing start timestamp
+ * @param {string} errorMessage - Error message for the job record and webhook
+ * @returns {Promise<void>}
+ */
+async function failJobWithoutRetry(userId, jobId, job, mode, startTime, errorMessage) {
+  await updateJobRecord(jobId, {
+    status: 'failed',
+    error_message: errorMessage,
+  });
+
+  await createAnalyticsRecord({
+    jobId,
+    jobType: 'long',
+    mode,
+    status: 'failed',
+    jobDuration: Date.now() - startTime,
+  });
+
+  // Deliver job.failed webhook
+  try {
+    const payload = {
+      event: 'job.failed',
+      job_id: jobId,
+      status: 'failed',
+      job_type: 'long',
+      mode,
+      error_message: errorMessage,
+      created_at: job.created_at,
+      failed_at: new Date().toISOString(),
+      timestamp: new Date().toISOString(),
+    };
+
+    const webhookResult = await deliverWebhooksForEvent(userId, 'job.failed', payload, jobId);
+    
+    // Update job record with webhook_ids
+    const webhookIds = webhookResult.delivered.map(w => w.webhook_id);
+    if (webhookIds.length > 0) {
+      await updateJobRecord(jobId, {
+        webhook_ids: webhookIds,
+        webhook_delivered: webhookResult.delivered.length > 0,
+        webhook_delivered_at: webhookResult.delivered.length > 0 ? new Date().toISOString() : null,
+      });
+    }
+  } catch (error) {
+    logger.warn('Error delivering failed webhooks', {
+      error: error.message,
+      jobId,
+    });
+  }
+}
+
 /**
  * Process a single SQS message
  * @param {object} record - SQS record
@@ -112,60 +173,44 @@ async function processMessage(record) {
     }
 
     // Extract job details from message
-    const { input_type, content, options, webhook_url } = messageBody;
+    const { input_type, webhook_url } = messageBody;
+    const mode = messageBody.mode || input_type;
+
+    // Content too large for the SQS message is staged in S3 by the longjob handler
+    const content = messageBody.content_key ? await downloadContent(messageBody.content_key) : messageBody.content;
+
+    // PDF passwords are sealed by the longjob handler
+    const options = messageBody.encryption_sealed
+      ? { ...messageBody.options, encryption: await openSecret(messageBody.encryption_sealed, jobId) }
+      : messageBody.options;
+
+    // Assets of HTML bundles are staged in S3 by the longjob handler
+    const assets = messageBody.assets_key ? deserializeAssets(await downloadBundle(messageBody.assets_key)) : null;
 
     // Generate PDF
     let pdfResult;
     try {
-      pdfResult = await generatePDF(content, input_type, options || {}, MAX_LONGJOB_PAGES);
+      pdfResult = await generatePDF(content, input_type, options || {}, MAX_LONGJOB_PAGES, {
+        networkPolicy: messageBody.network_policy,
+        assets,
+        fonts: await loadAccountFonts(userId),
+        stylesheetCss: messageBody.stylesheet_css || null,
+        metadata: messageBody.metadata || {},
+        requiredWatermark: messageBody.required_watermark || null,
+        onDiagnostics: (diagnostics) => saveJobDiagnostics(jobId, diagnostics),
+      });
     } catch (error) {
       // Check for page limit exceeded error
       if (error.message && error.message.startsWith('PAGE_LIMIT_EXCEEDED:')) {
         const [, pageCount, maxPages] = error.message.split(':');
-        await updateJobRecord(jobId, {
-          status: 'failed',
-          error_message: `PDF page count (${pageCount}) exceeds maximum allowed pages (${maxPages})`,
-        });
-
-        await createAnalyticsRecord({
+        await failJobWithoutRetry(
+          userId,
           jobId,
-          jobType: 'long',
-          mode: input_type,
-          status: 'failed',
-          jobDuration: Date.now() - startTime,
-        });
-
-        // Deliver job.failed webhook
-        try {
-          const payload = {
-            event: 'job.failed',
-            job_id: jobId,
-            status: 'failed',
-            job_type: 'long',
-            mode: input_type,
-            error_message: `PDF page count (${pageCount}) exceeds maximum allowed pages (${maxPages})`,
-            created_at: job.created_at,
-            failed_at: new Date().toISOString(),
-            timestamp: new Date().toISOString(),
-          };
-
-          const webhookResult = await deliverWebhooksForEvent(userId, 'job.failed', payload, jobId);
-          
-          // Update job record with webhook_ids
-          const webhookIds = webhookResult.delivered.map(w => w.webhook_id);
-          if (webhookIds.length > 0) {
-            await updateJobRecord(jobId, {
-              webhook_ids: webhookIds,
-              webhook_delivered: webhookResult.delivered.length > 0,
-              webhook_delivered_at: webhookResult.delivered.length > 0 ? new Date().toISOString() : null,
-            });
-          }
-        } catch (error) {
-          logger.warn('Error delivering failed webhooks', {
-            error: error.message,
-            jobId,
-          });
-        }
+          job,
+          mode,
+          startTime,
+          `PDF page count (${pageCount}) exceeds maximum allowed pages (${maxPages})`
+        );
 
         logger.error('PDF generation failed - page limit exceeded', {
           jobId,
@@ -174,16 +219,42 @@ async function processMessage(record) {
         });
         return; // Exit early, job marked as failed
       }
+
+      // Client errors from rendering (e.g. URL_NOT_ALLOWED) will fail again on retry
+      if (error.statusCode && error.headers && error.body) {
+        const errorMessage = getErrorSummary(error);
+        await failJobWithoutRetry(userId, jobId, job, mode, startTime, errorMessage);
+
+        logger.error('PDF generation failed - rejected by renderer', {
+          jobId,
+          error: errorMessage,
+        });
+        return; // Exit early, job marked as failed
+      }
       throw error;
     }
     
-    const { pdf, pages } = pdfResult;
-
-    // Upload PDF to S3
-    const s3Key = await uploadPDF(jobId, pdf);
-
-    // Generate signed URL (1 hour expiry)
-    const signedUrl = await generateSignedUrl(s3Key, 3600);
+    const { pdf, pages, pageReport, accessibility, timings, resources } = pdfResult;
+    const truncated = pdfResult.truncated || false;
+
+    // Upload PDF (or the images of image output) to S3 and generate signed URLs (1 hour expiry)
+    let s3Key;
+    let signedUrl;
+    let images = null;
+    if (pdfResult.images) {
+      const keys = await uploadImages(jobId, pdfResult.images.map((image) => image.data), pdfResult.format);
+      images = await Promise.all(keys.map(async (key, index) => ({
+        page: index + 1,
+        width: pdfResult.images[index].width,
+        height: pdfResult.images[index].height,
+        s3_url: await generateSignedUrl(key, 3600),
+      })));
+      s3Key = keys[0];
+      signedUrl = images[0].s3_url;
+    } else {
+      s3Key = await uploadPDF(jobId, pdf);
+      signedUrl = await generateSignedUrl(s3Key, 3600);
+    }
     const expiresAt = getExpirationTimestamp(3600);
 
     // Get user account and plan for PDF count increment and billing
@@ -198,7 +269,12 @@ async function processMessage(record) {
     await updateJobRecord(jobId, {
       status: 'completed',
       pages,
-      truncated: false,
+      page_report: pageReport,
+      truncated,
+      ...(images && { output_format: pdfResult.format, images }),
+      ...(accessibility && { accessibility_report: accessibility }),
+      render_timings: timings,
+      resource_report: resources,
       s3_key: s3Key,
       s3_url: signedUrl,
       s3_url_expires_at: expiresAt,
@@ -227,7 +303,7 @@ async function processMessage(record) {
     await createAnalyticsRecord({
       jobId,
       jobType: 'long',
-      mode: input_type,
+      mode,
       pages,
       status: 'success',
       jobDuration: Date.now() - startTime,
@@ -240,9 +316,10 @@ async function processMessage(record) {
         job_id: jobId,
         status: 'completed',
         job_type: 'long',
-        mode: input_type,
+        mode,
         pages,
-        truncated: false,
+        truncated,
+        ...(images && { output_format: pdfResult.format, images }),
         s3_url: signedUrl,
         s3_url_expires_at: expiresAt,
         created_at: job.created_at,
@@ -279,7 +356,7 @@ async function processMessage(record) {
     logger.info('Long job processed successfully', {
       jobId,
       pages,
-      truncated: false,
+      truncated,
       duration_ms: Date.now() - startTime,
     });
   } catch (error) {
@@ -381,5 +458,5 @@ async function handler(event) {
   }
 }
 
-module.exports = { handler: wrapHandler(handler) };
+module.exports = { handler: wrapHandler(handler), processMessage };
 
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for longjob-processor.js - failing jobs that would fail again on retry
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// Services the processor destructures when it is loaded, patched in the module cache first
+const mocks = {
+  '../services/jobTracking.js': {
+    atomicallyStartProcessing: vi.fn(),
+    updateJobRecord: vi.fn(),
+    getJobRecord: vi.fn(),
+    saveJobDiagnostics: vi.fn(),
+    createAnalyticsRecord: vi.fn(),
+  },
+  '../services/pdf.js': { generatePDF: vi.fn() },
+  '../services/s3.js': { uploadPDF: vi.fn(), uploadImages: vi.fn(), downloadContent: vi.fn(), generateSignedUrl: vi.fn() },
+  '../services/font.js': { loadAccountFonts: vi.fn() },
+  '../services/business.js': { getUserAccount: vi.fn(), getPlan: vi.fn(), queueCreditDeduction: vi.fn() },
+  '../services/webhookDelivery.js': { deliverWebhooksForEvent: vi.fn() },
+};
+
+let processMessage;
+let handler;
+
+beforeAll(() => {
+  for (const [path, exports] of Object.entries(mocks)) {
+    Object.assign(require(path), exports);
+  }
+  ({ processMessage, handler } = require('./longjob-processor.js'));
+});
+
+const jobTracking = mocks['../services/jobTracking.js'];
+const { generatePDF } = mocks['../services/pdf.js'];
+const s3 = mocks['../services/s3.js'];
+const { deliverWebhooksForEvent } = mocks['../services/webhookDelivery.js'];
+
+const record = {
+  messageId: 'message-1',
+  body: JSON.stringify({ job_id: 'job-1', user_id: 'user-1', user_sub: 'sub-1', input_type: 'html', content: '<p>x</p>', options: {} }),
+};
+
+describe('longjob processor', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    jobTracking.atomicallyStartProcessing.mockResolvedValue({
+      success: true,
+      job: { job_id: 'job-1', mode: 'html', created_at: '2026-01-01T00:00:00.000Z' },
+    });
+    mocks['../services/font.js'].loadAccountFonts.mockResolvedValue([]);
+    deliverWebhooksForEvent.mockResolvedValue({ delivered: [{ webhook_id: 'webhook-1' }], failed: [] });
+  });
+
+  it('should fail a job over the page limit without an SQS retry and send job.failed', async () => {
+    generatePDF.mockRejectedValue(new Error('PAGE_LIMIT_EXCEEDED:120:100'));
+
+    // Resolving (instead of throwing) is what keeps SQS from retrying the message
+    await expect(processMessage(record)).resolves.toBeUndefined();
+
+    expect(generatePDF).toHaveBeenCalledTimes(1);
+    expect(generatePDF.mock.calls[0][3]).toBe(100);
+    expect(jobTracking.updateJobRecord).toHaveBeenCalledWith('job-1', {
+      status: 'failed',
+      error_message: 'PDF page count (120) exceeds maximum allowed pages (100)',
+    });
+    expect(jobTracking.createAnalyticsRecord).toHaveBeenCalledWith(expect.objectContaining({ jobId: 'job-1', status: 'failed' }));
+    expect(deliverWebhooksForEvent).toHaveBeenCalledWith('user-1', 'job.failed', expect.objectContaining({
+      event: 'job.failed',
+      job_id: 'job-1',
+      status: 'failed',
+      error_message: 'PDF page count (120) exceeds maximum allowed pages (100)',
+    }), 'job-1');
+    expect(jobTracking.updateJobRecord).toHaveBeenCalledWith('job-1', expect.objectContaining({ webhook_ids: ['webhook-1'] }));
+    expect(s3.uploadPDF).not.toHaveBeenCalled();
+  });
+
+  it('should rethrow other render errors so SQS retries the message', async () => {
+    generatePDF.mockRejectedValue(new Error('PDF generation failed: Target closed'));
+
+    await expect(processMessage(record)).rejects.toThrow('Target closed');
+    expect(jobTracking.createAnalyticsRecord).toHaveBeenCalledWith(expect.objectContaining({ status: 'failure' }));
+  });
+
+  it('should render content staged in S3 by the longjob handler', async () => {
+    s3.downloadContent.mockResolvedValue('<p>Large template</p>');
+    generatePDF.mockRejectedValue(new Error('PAGE_LIMIT_EXCEEDED:120:100'));
+    const staged = {
+      messageId: 'message-2',
+      body: JSON.stringify({ ...JSON.parse(record.body), content: null, content_key: 'contents/job-1.txt' }),
+    };
+
+    await processMessage(staged);
+
+    expect(s3.downloadContent).toHaveBeenCalledWith('contents/job-1.txt');
+    expect(generatePDF.mock.calls[0][0]).toBe('<p>Large template</p>');
+  });
+
+  it('should process the messages of an SQS event', async () => {
+    generatePDF.mockRejectedValue(new Error('PAGE_LIMIT_EXCEEDED:120:100'));
+
+    const response = await handler({ Records: [record] });
+
+    expect(response.statusCode).toBe(200);
+    expect(deliverWebhooksForEvent).toHaveBeenCalledWith('user-1', 'job.failed', expect.any(Object), 'job-1');
+  });
+});
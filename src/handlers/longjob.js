@@ -2,36 +2,66 @@
  * LongJob handler
  * Handles: POST /longjob
  * Asynchronous PDF generation with queueing, S3 storage, and webhook notifications
- * Note: Image uploads are not supported in longjob - use /quickjob for images
+ * Note: Image uploads are not supported in longjob - use /quickjob for images.
+ * HTML asset bundles (multipart) are supported; assets are staged in S3 for the processor.
  */
 
 const { SQSClient, SendMessageCommand } = require('@aws-sdk/client-sqs');
 const logger = require('../utils/logger');
 const { extractUserInfo } = require('../middleware/apiKeyAuth');
 const { wrapHandler } = require('../utils/sentry');
-const { validateRequestBody, validateWebhookUrl } = require('../services/validation');
+const {
+  validateRequestBody,
+  validateOptions,
+  validateMetadata,
+  validateWebhookUrl,
+  validateDryRun,
+  MAX_INPUT_SIZE_BYTES,
+  MAX_INPUT_SIZE_MB,
+} = require('../services/validation');
 const {
   validateUserAndPlan,
   checkRateLimit,
   checkQuota,
   checkConversionType,
+  checkOutputProfile,
+  getRequiredWatermark,
   getUserAccount,
   checkCredits,
+  buildEstimate,
 } = require('../services/business');
 const {
   generateJobId,
   createJobRecord,
 } = require('../services/jobTracking');
 const { generatePDF } = require('../services/pdf');
+const { renderStoredTemplate } = require('../services/template');
+const { sealSecret } = require('../services/jobSecrets');
+const { parseBundle, serializeAssets } = require('../services/assetBundle');
+const { uploadBundle, uploadContent } = require('../services/s3');
+const { loadAccountFonts } = require('../services/font');
+const { loadStylesheetCss } = require('../services/stylesheet');
 const { deliverWebhooksForEvent } = require('../services/webhookDelivery');
 const { BadRequest, Forbidden, InternalServerError } = require('../utils/errors');
 
 const sqsClient = new SQSClient({ region: process.env.AWS_REGION || 'eu-central-1' });
 const QUEUE_URL = process.env.LONGJOB_QUEUE_URL;
+// SQS rejects message bodies over 256 KB
+const MAX_SQS_MESSAGE_BYTES = 256 * 1024;
+// Multipart parser
+let multipart;
+try {
+  multipart = require('lambda-multipart-parser');
+} catch (e) {
+  // Will be loaded when needed
+}
+
 const MAX_LONGJOB_PAGES = parseInt(process.env.MAX_LONGJOB_PAGES || process.env.MAX_PAGES || '100', 10);
 
 /**
  * POST /longjob - Queue job for asynchronous processing
+ * With `dry_run: true` the document is rendered and its pages, cost and plan checks are reported,
+ * without queuing a job, charging credits or counting against the quota.
  */
 async function handler(event) {
   try {
@@ -50,35 +80,47 @@ async function handler(event) {
       };
     }
 
-    // Check if this is a multipart/form-data request (image upload)
+    // Check if this is a multipart/form-data request (HTML asset bundle or image upload)
     // Images are not supported in longjob - they complete fast enough for quickjob
     const headers = event.headers || {};
     const contentType = headers['content-type'] || headers['Content-Type'] || '';
+
+    let validation;
+    let assets = null;
+    let dryRunValue;
     if (contentType.includes('multipart/form-data')) {
-      logger.info('Rejecting multipart request in longjob - images not supported', {
-        contentType,
-      });
-      return BadRequest.INVALID_PARAMETER(
-        'content-type',
-        'Image uploads (multipart/form-data) are not supported in /longjob. Use /quickjob for image-to-PDF conversion - images are fast enough to complete within the 30-second timeout.'
-      );
-    }
+      const bundleRequest = await parseMultipartBundle(event);
+      if (bundleRequest.error) {
+        return bundleRequest.error;
+      }
+      validation = bundleRequest;
+      assets = bundleRequest.data.assets;
+      dryRunValue = bundleRequest.data.dryRun;
+    } else {
+      // Parse request body
+      let body;
+      try {
+        body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+      } catch (error) {
+        return BadRequest.MISSING_INPUT_TYPE();
+      }
 
-    // Parse request body
-    let body;
-    try {
-      body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
-    } catch (error) {
-      return BadRequest.MISSING_INPUT_TYPE();
+      // Validate request body
+      validation = validateRequestBody(body);
+      if (!validation.isValid) {
+        return validation.error;
+      }
+      dryRunValue = body.dry_run;
     }
 
-    // Validate request body
-    const validation = validateRequestBody(body);
-    if (!validation.isValid) {
-      return validation.error;
+    const dryRunValidation = validateDryRun(dryRunValue);
+    if (!dryRunValidation.isValid) {
+      return dryRunValidation.error;
     }
+    const dryRun = dryRunValidation.data;
 
-    const { inputType, content, options, webhookUrl } = validation.data;
+    const { inputType, options, metadata, webhookUrl } = validation.data;
+    let content = validation.data.content;
 
     // Validate webhook URL if provided
     if (webhookUrl) {
@@ -150,61 +192,101 @@ async function handler(event) {
       userId = user.user_id;
     }
 
+    // A dry run reports every failed plan check instead of stopping at the first
+    const rejections = [];
+    const failedCheck = (check) => {
+      if (check.allowed) {
+        return null;
+      }
+      if (dryRun) {
+        rejections.push(check.error);
+        return null;
+      }
+      return check.error;
+    };
+
     // Check conversion type (after plan retrieval, before rate limit/quota checks)
-    const conversionTypeCheck = await checkConversionType(plan, inputType);
-    if (!conversionTypeCheck.allowed) {
-      return conversionTypeCheck.error;
+    const conversionTypeError = failedCheck(await checkConversionType(plan, inputType));
+    if (conversionTypeError) {
+      return conversionTypeError;
     }
 
-    // Check rate limit
+    // Watermark the plan or a test API key requires on every document
+    const requiredWatermark = getRequiredWatermark(plan, userInfo);
+
+    // Check output profile (e.g. PDF/A) is enabled for the plan
+    const outputProfileError = failedCheck(checkOutputProfile(plan, options && options.output_profile, requiredWatermark));
+    if (outputProfileError) {
+      return outputProfileError;
+    }
+
+    // Check rate limit (dry runs render too, so they count and stop here)
     const rateLimitCheck = await checkRateLimit(userId, plan);
     if (!rateLimitCheck.allowed) {
       return rateLimitCheck.error;
     }
 
     // Check quota (checkQuota needs userSub for billing lookup)
-    const quotaCheck = await checkQuota(userSub || user.user_sub, user, plan);
-    if (!quotaCheck.allowed) {
-      return quotaCheck.error;
+    const quotaError = failedCheck(await checkQuota(userSub || user.user_sub, user, plan));
+    if (quotaError) {
+      return quotaError;
     }
 
     // Check credits for paid plans (before PDF generation)
     const costPerPdf = plan && plan.price_per_pdf ? plan.price_per_pdf : 0;
-    const creditsCheck = await checkCredits(userId, plan, costPerPdf);
-    if (!creditsCheck.allowed) {
-      return creditsCheck.error;
+    const creditsError = failedCheck(await checkCredits(userId, plan, costPerPdf));
+    if (creditsError) {
+      return creditsError;
     }
 
-    // Pre-validate page limit by generating PDF and checking page count
-    // This ensures we return the error immediately instead of queuing and failing later
-    let pdfResult;
-    try {
-      pdfResult = await generatePDF(content, inputType, options || {}, MAX_LONGJOB_PAGES);
-    } catch (error) {
-      // Check for page limit exceeded error
-      if (error.message && error.message.startsWith('PAGE_LIMIT_EXCEEDED:')) {
-        const [, pageCount, maxPages] = error.message.split(':');
-        logger.warn('Page limit exceeded in longjob handler', {
-          userSub,
-          pageCount: parseInt(pageCount, 10),
-          maxPages: parseInt(maxPages, 10),
-        });
-        return BadRequest.PAGE_LIMIT_EXCEEDED(parseInt(pageCount, 10), parseInt(maxPages, 10));
+    // Render stored template with request data (template output is HTML)
+    if (inputType === 'template') {
+      const rendered = await renderStoredTemplate(
+        userId,
+        validation.data.templateId,
+        validation.data.templateVersion,
+        validation.data.templateData
+      );
+      if (rendered.error) {
+        return rendered.error;
       }
-      // For other PDF generation errors, log and return generic error
-      logger.error('PDF generation failed in longjob handler', {
-        error: error.message,
-        userSub,
-      });
-      return InternalServerError.PDF_GENERATION_FAILED(error.message);
+      if (Buffer.byteLength(rendered.content, 'utf8') > MAX_INPUT_SIZE_BYTES) {
+        return BadRequest.INPUT_SIZE_EXCEEDED(MAX_INPUT_SIZE_MB);
+      }
+      content = rendered.content;
     }
+    const renderInputType = inputType === 'template' ? 'html' : inputType;
 
-    // Page limit check passed, continue with queuing
-    const { pages } = pdfResult;
-    logger.info('Page limit check passed, queuing job', {
-      userSub,
-      pages,
-    });
+    // Load the stored stylesheet applied to Markdown renders
+    let stylesheetCss = null;
+    if (inputType === 'markdown' && options && options.stylesheet_id) {
+      const stylesheet = await loadStylesheetCss(userId, options.stylesheet_id);
+      if (stylesheet.error) {
+        return stylesheet.error;
+      }
+      stylesheetCss = stylesheet.css;
+    }
+
+    // Only dry runs render here; the processor renders the job once and enforces the page limit,
+    // failing the job with a job.failed webhook if it is exceeded
+    if (dryRun) {
+      return await runDryRun({
+        content,
+        inputType: renderInputType,
+        options: options || {},
+        renderContext: {
+          networkPolicy: user.network_policy,
+          assets,
+          fonts: await loadAccountFonts(userId),
+          stylesheetCss,
+          metadata,
+          requiredWatermark,
+        },
+        user,
+        plan,
+        rejections,
+      });
+    }
 
     // Don't use webhook URL from request - only use webhooks from webhook table
     const finalWebhookUrl = null;
@@ -212,6 +294,13 @@ async function handler(event) {
     // Generate job ID
     const jobId = generateJobId();
 
+    // PDF passwords travel to the processor sealed, never in plain text in the queue
+    const { encryption, ...queuedOptions } = options || {};
+    const encryptionSealed = encryption ? await sealSecret(encryption, jobId) : null;
+
+    // Bundle assets are too large for an SQS message - stage them in S3 for the processor
+    const assetsKey = assets ? await uploadBundle(jobId, serializeAssets(assets)) : null;
+
     // Create job record with status 'queued'
     await createJobRecord({
       jobId,
@@ -228,14 +317,27 @@ async function handler(event) {
       job_id: jobId,
       user_id: userId,
       user_sub: userSub, // Keep for backward compatibility in processor
-      input_type: inputType,
-      content,
-      options: options || {},
+      input_type: renderInputType,
+      mode: inputType, // Requested input_type (differs from input_type for templates)
+      content, // null when staged in S3 (content_key)
+      options: queuedOptions,
+      encryption_sealed: encryptionSealed, // options.encryption, sealed (null without encryption)
+      metadata: metadata || {},
+      required_watermark: requiredWatermark, // Plan or test key watermark (null without)
+      network_policy: user.network_policy || null, // Account default, options.network overrides it
+      assets_key: assetsKey, // S3 key of staged bundle assets (null without a bundle)
+      stylesheet_css: stylesheetCss, // Stored stylesheet as of submission (null without stylesheet_id)
       webhook_url: finalWebhookUrl,
     };
 
     // Send message to SQS queue
     try {
+      // Content that would take the message over the SQS limit (e.g. a large rendered template) is staged in S3
+      if (Buffer.byteLength(JSON.stringify(messageBody), 'utf8') > MAX_SQS_MESSAGE_BYTES) {
+        messageBody.content_key = await uploadContent(jobId, content);
+        messageBody.content = null;
+      }
+
       const command = new SendMessageCommand({
         QueueUrl: QUEUE_URL,
         MessageBody: JSON.stringify(messageBody),
@@ -315,5 +417,133 @@ async function handler(event) {
   }
 }
 
-module.exports = { handler: wrapHandler(handler) };
+/**
+ * Parse a multipart HTML asset bundle request
+ * Returns the same shape as validateRequestBody so the handler can treat both alike.
+ * @param {object} event - API Gateway event
+ * @returns {Promise<object>} {isValid, error, data: {inputType, content, options, metadata, webhookUrl, assets}}
+ */
+async function parseMultipartBundle(event) {
+  let parsed;
+  try {
+    if (!multipart) {
+      multipart = require('lambda-multipart-parser');
+    }
+    parsed = await multipart.parse(event);
+  } catch (error) {
+    logger.error('Multipart parsing error', { error: error.message });
+    return { isValid: false, error: BadRequest.INVALID_MULTIPART(error.message), data: null };
+  }
+
+  const inputType = parsed.input_type?.toLowerCase();
+  if (!inputType) {
+    return { isValid: false, error: BadRequest.MISSING_INPUT_TYPE(), data: null };
+  }
+
+  if (inputType !== 'html') {
+    logger.info('Rejecting multipart request in longjob - only HTML bundles supported', { inputType });
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_PARAMETER(
+        'content-type',
+        'Image uploads and PDF merges (multipart/form-data) are not supported in /longjob. Use /quickjob for image-to-PDF conversion and PDF merges - they are fast enough to complete within the 30-second timeout. Multipart requests to /longjob only support input_type: html (asset bundles).'
+      ),
+      data: null,
+    };
+  }
+
+  let options;
+  try {
+    options = parsed.options ? JSON.parse(parsed.options) : {};
+  } catch (error) {
+    return { isValid: false, error: BadRequest.INVALID_OPTIONS_JSON(), data: null };
+  }
+
+  const optionsValidation = validateOptions(options, inputType);
+  if (!optionsValidation.isValid) {
+    return { isValid: false, error: optionsValidation.error, data: null };
+  }
+
+  let metadata;
+  try {
+    metadata = parsed.metadata ? JSON.parse(parsed.metadata) : {};
+  } catch (error) {
+    return { isValid: false, error: BadRequest.INVALID_PARAMETER('metadata', 'Must be a JSON object'), data: null };
+  }
+
+  const metadataValidation = validateMetadata(metadata);
+  if (!metadataValidation.isValid) {
+    return { isValid: false, error: metadataValidation.error, data: null };
+  }
+
+  const bundle = parseBundle(parsed);
+  if (!bundle.isValid) {
+    return { isValid: false, error: bundle.error, data: null };
+  }
 
+  return {
+    isValid: true,
+    error: null,
+    data: {
+      inputType,
+      content: bundle.data.content,
+      options,
+      metadata,
+      webhookUrl: parsed.webhook_url || null,
+      assets: bundle.data.assets,
+      dryRun: parsed.dry_run,
+    },
+  };
+}
+
+/**
+ * Render a dry run and report pages, cost and plan checks
+ * An exceeded page limit is reported as a rejection; other rendering errors fail the request.
+ * @param {object} dryRun - Dry run state
+ * @param {string} dryRun.content - Content to render
+ * @param {string} dryRun.inputType - Render input type ('html', 'markdown' or 'url')
+ * @param {object} dryRun.options - Render options
+ * @param {object} dryRun.renderContext - generatePDF context
+ * @param {object} dryRun.user - User record
+ * @param {object} dryRun.plan - Plan configuration
+ * @param {Array<object>} dryRun.rejections - Failed plan checks so far
+ * @returns {Promise<object>} Estimate response, or an error response
+ */
+async function runDryRun({ content, inputType, options, renderContext, user, plan, rejections }) {
+  let pages = null;
+  let pageReport = null;
+
+  try {
+    const result = await generatePDF(content, inputType, options, MAX_LONGJOB_PAGES, renderContext);
+    pages = result.pages;
+    pageReport = result.pageReport;
+  } catch (error) {
+    if (error.message && error.message.startsWith('PAGE_LIMIT_EXCEEDED:')) {
+      const [, pageCount, maxPages] = error.message.split(':');
+      pages = parseInt(pageCount, 10);
+      rejections.push(BadRequest.PAGE_LIMIT_EXCEEDED(pages, parseInt(maxPages, 10)));
+    } else if (error.statusCode && error.headers && error.body) {
+      // Client errors from rendering (e.g. URL_NOT_ALLOWED, URL_LOAD_FAILED) are returned as-is
+      return error;
+    } else {
+      logger.error('PDF generation failed in longjob dry run', {
+        error: error.message,
+      });
+      return InternalServerError.PDF_GENERATION_FAILED(error.message);
+    }
+  }
+
+  logger.info('LongJob dry run completed', {
+    inputType,
+    pages,
+    rejections: rejections.length,
+  });
+
+  return {
+    statusCode: 200,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(buildEstimate({ user, plan, pages, pageReport, maxPages: MAX_LONGJOB_PAGES, rejections })),
+  };
+}
+
+module.exports = { handler: wrapHandler(handler) };
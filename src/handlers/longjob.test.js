@@ -0,0 +1,142 @@
+/**
+ * Unit tests for longjob.js - jobs are queued without rendering, dry runs render
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { SQSClient } = require('@aws-sdk/client-sqs');
+
+// Services the handler destructures when it is loaded, patched in the module cache first
+const mocks = {
+  '../middleware/apiKeyAuth.js': { extractUserInfo: vi.fn() },
+  '../services/business.js': {
+    getUserAccount: vi.fn(),
+    getPlan: vi.fn(),
+    checkConversionType: vi.fn(),
+    checkOutputProfile: vi.fn(),
+    getRequiredWatermark: vi.fn(),
+    checkRateLimit: vi.fn(),
+    checkQuota: vi.fn(),
+    checkCredits: vi.fn(),
+  },
+  '../services/jobTracking.js': { generateJobId: vi.fn(), createJobRecord: vi.fn() },
+  '../services/pdf.js': { generatePDF: vi.fn() },
+  '../services/template.js': { renderStoredTemplate: vi.fn() },
+  '../services/s3.js': { uploadBundle: vi.fn(), uploadContent: vi.fn() },
+  '../services/font.js': { loadAccountFonts: vi.fn() },
+  '../services/webhookDelivery.js': { deliverWebhooksForEvent: vi.fn() },
+};
+
+let handler;
+const sendMessage = vi.fn();
+const { send } = SQSClient.prototype;
+
+beforeAll(() => {
+  for (const [path, exports] of Object.entries(mocks)) {
+    Object.assign(require(path), exports);
+  }
+  SQSClient.prototype.send = sendMessage;
+  ({ handler } = require('./longjob.js'));
+});
+
+afterAll(() => {
+  SQSClient.prototype.send = send;
+});
+
+const business = mocks['../services/business.js'];
+const { generatePDF } = mocks['../services/pdf.js'];
+const { createJobRecord } = mocks['../services/jobTracking.js'];
+const { renderStoredTemplate } = mocks['../services/template.js'];
+const { uploadContent } = mocks['../services/s3.js'];
+
+/**
+ * POST /longjob event with a JSON body
+ */
+function request(body) {
+  return { headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) };
+}
+
+describe('longjob handler', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mocks['../middleware/apiKeyAuth.js'].extractUserInfo.mockResolvedValue({
+      userId: 'user-1',
+      userSub: 'sub-1',
+      authMethod: 'api_key',
+      apiKeyId: 'key-1',
+    });
+    business.getUserAccount.mockResolvedValue({ user_id: 'user-1', user_sub: 'sub-1', plan_id: 'paid-standard', credits_balance: 10 });
+    business.getPlan.mockResolvedValue({ plan_id: 'paid-standard', type: 'paid', price_per_pdf: 0.01 });
+    for (const check of ['checkConversionType', 'checkRateLimit', 'checkQuota', 'checkCredits']) {
+      business[check].mockResolvedValue({ allowed: true });
+    }
+    business.checkOutputProfile.mockReturnValue({ allowed: true });
+    business.getRequiredWatermark.mockReturnValue(null);
+    mocks['../services/jobTracking.js'].generateJobId.mockReturnValue('job-1');
+    mocks['../services/font.js'].loadAccountFonts.mockResolvedValue([]);
+    mocks['../services/webhookDelivery.js'].deliverWebhooksForEvent.mockResolvedValue({ delivered: [], failed: [] });
+    sendMessage.mockResolvedValue({});
+    generatePDF.mockResolvedValue({ pages: 3, pageReport: [] });
+  });
+
+  it('should queue a job without rendering it', async () => {
+    const response = await handler(request({ input_type: 'html', html: '<p>Report</p>' }));
+
+    expect(response.statusCode).toBe(202);
+    expect(JSON.parse(response.body)).toMatchObject({ job_id: 'job-1', status: 'queued' });
+    expect(generatePDF).not.toHaveBeenCalled();
+    expect(createJobRecord).toHaveBeenCalledWith(expect.objectContaining({ jobId: 'job-1', status: 'queued' }));
+
+    expect(sendMessage).toHaveBeenCalledTimes(1);
+    const message = JSON.parse(sendMessage.mock.calls[0][0].input.MessageBody);
+    expect(message).toMatchObject({ job_id: 'job-1', user_id: 'user-1', input_type: 'html', content: '<p>Report</p>' });
+  });
+
+  it('should stage rendered template content in S3 when it does not fit in an SQS message', async () => {
+    const content = `<p>${'x'.repeat(300 * 1024)}</p>`;
+    renderStoredTemplate.mockResolvedValue({ content, version: 1, error: null });
+    uploadContent.mockResolvedValue('contents/job-1.txt');
+
+    const response = await handler(request({ input_type: 'template', template_id: 'template-1', data: {} }));
+
+    expect(response.statusCode).toBe(202);
+    expect(uploadContent).toHaveBeenCalledWith('job-1', content);
+    const messageBody = sendMessage.mock.calls[0][0].input.MessageBody;
+    expect(messageBody.length).toBeLessThan(256 * 1024);
+    expect(JSON.parse(messageBody)).toMatchObject({ input_type: 'html', mode: 'template', content: null, content_key: 'contents/job-1.txt' });
+  });
+
+  it('should keep small content in the SQS message', async () => {
+    renderStoredTemplate.mockResolvedValue({ content: '<p>Invoice</p>', version: 1, error: null });
+
+    await handler(request({ input_type: 'template', template_id: 'template-1', data: {} }));
+
+    expect(uploadContent).not.toHaveBeenCalled();
+    expect(JSON.parse(sendMessage.mock.calls[0][0].input.MessageBody)).toMatchObject({ content: '<p>Invoice</p>' });
+    expect(JSON.parse(sendMessage.mock.calls[0][0].input.MessageBody).content_key).toBeUndefined();
+  });
+
+  it('should render a dry run and report its pages without queuing a job', async () => {
+    const response = await handler(request({ input_type: 'html', html: '<p>Report</p>', dry_run: true }));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body)).toMatchObject({ dry_run: true, accepted: true, pages: 3, max_pages: 100 });
+    expect(generatePDF).toHaveBeenCalledTimes(1);
+    expect(generatePDF.mock.calls[0][3]).toBe(100);
+    expect(sendMessage).not.toHaveBeenCalled();
+    expect(createJobRecord).not.toHaveBeenCalled();
+  });
+
+  it('should report an exceeded page limit as a dry run rejection', async () => {
+    generatePDF.mockRejectedValue(new Error('PAGE_LIMIT_EXCEEDED:120:100'));
+
+    const response = await handler(request({ input_type: 'html', html: '<p>Report</p>', dry_run: true }));
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body).toMatchObject({ accepted: false, pages: 120 });
+    expect(body.rejections[0].code).toBe('PAGE_LIMIT_EXCEEDED');
+  });
+});
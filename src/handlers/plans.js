@@ -74,6 +74,8 @@ async function getPlanDetails(event, planId) {
       price_per_pdf: plan.price_per_pdf ?? 0,
       rate_limit_per_minute: plan.rate_limit_per_minute ?? null,
       enabled_conversion_types: plan.enabled_conversion_types ?? null,
+      enabled_output_profiles: plan.enabled_output_profiles ?? null,
+      watermark: plan.watermark ?? null,
       max_webhooks: plan.max_webhooks ?? null,
       description: plan.description ?? null,
       is_active: plan.is_active ?? true,
@@ -114,6 +116,8 @@ async function listPlans(event) {
         price_per_pdf: plan.price_per_pdf ?? 0,
         rate_limit_per_minute: plan.rate_limit_per_minute ?? null,
         enabled_conversion_types: plan.enabled_conversion_types ?? null,
+        enabled_output_profiles: plan.enabled_output_profiles ?? null,
+        watermark: plan.watermark ?? null,
         max_webhooks: plan.max_webhooks ?? null,
         description: plan.description ?? null,
         is_active: plan.is_active ?? true,
@@ -2,30 +2,50 @@
  * QuickJob handler
  * Handles: POST /quickjob
  * Synchronous PDF generation for small documents (<30 seconds)
- * Supports: HTML, Markdown (JSON), and Images (multipart/form-data)
+ * Supports: HTML, Markdown (JSON), Images and PDF merges (multipart/form-data)
+ * HTML/Markdown can also be rendered to PNG/JPEG/WebP images (options.output_format)
  */
 
+const AdmZip = require('adm-zip');
 const logger = require('../utils/logger');
 const { wrapHandler } = require('../utils/sentry');
 const { extractUserInfo } = require('../middleware/apiKeyAuth');
-const { validateRequestBody } = require('../services/validation');
+const {
+  validateRequestBody,
+  validateOptions,
+  validateMetadata,
+  validateDryRun,
+  MAX_INPUT_SIZE_BYTES,
+  MAX_INPUT_SIZE_MB,
+} = require('../services/validation');
 const {
   validateUserAndPlan,
   checkRateLimit,
   checkQuota,
   checkConversionType,
+  checkOutputProfile,
+  getRequiredWatermark,
   checkCredits,
+  buildEstimate,
   queueCreditDeduction,
 } = require('../services/business');
 const {
   generateJobId,
   createJobRecord,
   updateJobRecord,
+  saveJobDiagnostics,
   createAnalyticsRecord,
 } = require('../services/jobTracking');
 const { generatePDF } = require('../services/pdf');
+const { getResourceHeaders } = require('../services/networkPolicy');
+const { getDiagnosticsHeaders } = require('../services/diagnostics');
 const { imagesToPdf, validateImages } = require('../services/imagePdf');
-const { BadRequest, Forbidden, InternalServerError, RequestTimeout } = require('../utils/errors');
+const { mergePdfs, validatePdfs, MIN_MERGE_PDFS, MAX_MERGE_SIZE_MB } = require('../services/pdfOperations');
+const { renderStoredTemplate } = require('../services/template');
+const { parseBundle } = require('../services/assetBundle');
+const { loadAccountFonts } = require('../services/font');
+const { loadStylesheetCss } = require('../services/stylesheet');
+const { BadRequest, Forbidden, InternalServerError, RequestTimeout, getErrorSummary } = require('../utils/errors');
 
 // Multipart parser
 let multipart;
@@ -35,11 +55,51 @@ try {
   // Will be loaded when needed
 }
 
+// ?response=json returns the PDF (base64) together with the page report instead of the PDF binary
+// (for image output: the images, base64, with their sizes)
+const RESPONSE_FORMATS = ['pdf', 'json'];
+
 const QUICKJOB_TIMEOUT_SECONDS = parseInt(process.env.QUICKJOB_TIMEOUT_SECONDS || '30', 10);
 const MAX_PAGES = parseInt(process.env.MAX_QUICKJOB_PAGES || process.env.MAX_PAGES || '100', 10);
 
+/**
+ * Map the first failed image check to its error response
+ * @param {object} imageValidation - Result of validateImages
+ * @returns {object} Error response
+ */
+function imageValidationError(imageValidation) {
+  const firstError = imageValidation.errors[0];
+  if (firstError.error === 'MISSING_IMAGES') {
+    return BadRequest.MISSING_IMAGES();
+  } else if (firstError.error === 'PAYLOAD_TOO_LARGE') {
+    return BadRequest.INPUT_SIZE_EXCEEDED(10);
+  } else if (firstError.error === 'INVALID_IMAGE_FORMAT') {
+    return BadRequest.INVALID_IMAGE_FORMAT(firstError.details);
+  } else if (firstError.error === 'IMAGE_TOO_LARGE') {
+    return BadRequest.IMAGE_TOO_LARGE(firstError.details);
+  }
+  return BadRequest.INVALID_IMAGE_DATA(firstError.details);
+}
+
+/**
+ * Map the first failed PDF check of a merge to its error response
+ * @param {object} pdfValidation - Result of validatePdfs
+ * @returns {object} Error response
+ */
+function pdfValidationError(pdfValidation) {
+  const firstError = pdfValidation.errors[0];
+  if (firstError.error === 'MISSING_PDFS') {
+    return BadRequest.MISSING_PDFS();
+  } else if (firstError.error === 'PAYLOAD_TOO_LARGE') {
+    return BadRequest.INPUT_SIZE_EXCEEDED(MAX_MERGE_SIZE_MB);
+  }
+  return BadRequest.INVALID_PDF(firstError.details);
+}
+
 /**
  * POST /quickjob - Generate PDF synchronously
+ * With `dry_run: true` the document is rendered and its pages, cost and plan checks are reported,
+ * without creating a job, charging credits or counting against the quota.
  */
 async function handler(event) {
   const startTime = Date.now();
@@ -81,14 +141,19 @@ async function handler(event) {
       };
     }
 
-    // Check if this is a multipart/form-data request (image upload)
+    const responseFormat = ((event.queryStringParameters || {}).response || 'pdf').toLowerCase();
+    if (!RESPONSE_FORMATS.includes(responseFormat)) {
+      return BadRequest.INVALID_PARAMETER('response', `Must be one of: ${RESPONSE_FORMATS.join(', ')}`);
+    }
+
+    // Check if this is a multipart/form-data request (image upload, PDF merge or HTML asset bundle)
     const contentType = headers['content-type'] || headers['Content-Type'] || '';
     const isMultipart = contentType.includes('multipart/form-data');
     
-    let inputType, content, options, images;
+    let inputType, content, options, metadata, images, pdfs, assets, templateRequest, dryRunValue;
     
     if (isMultipart) {
-      // Handle multipart/form-data (image uploads)
+      // Handle multipart/form-data (image uploads, PDF merges, HTML with assets)
       try {
         if (!multipart) {
           multipart = require('lambda-multipart-parser');
@@ -103,33 +168,75 @@ async function handler(event) {
           return BadRequest.MISSING_INPUT_TYPE();
         }
         
-        if (inputType !== 'image') {
-          return BadRequest.INVALID_PARAMETER('input_type', 'Multipart requests only support input_type: image');
+        if (!['image', 'html', 'pdf_merge'].includes(inputType)) {
+          return BadRequest.INVALID_PARAMETER('input_type', 'Multipart requests only support input_type: image, html or pdf_merge');
         }
-        
-        // Get images from files
-        images = (parsed.files || [])
-          .filter(f => f.fieldname === 'images')
-          .map(f => ({
-            buffer: f.content,
-            contentType: f.contentType,
-            filename: f.filename,
-          }));
-        
-        if (images.length === 0) {
-          return BadRequest.MISSING_IMAGES();
-        }
-        
+
         // Parse options if provided
         try {
           options = parsed.options ? JSON.parse(parsed.options) : {};
         } catch (e) {
           return BadRequest.INVALID_OPTIONS_JSON();
         }
+
+        const optionsValidation = validateOptions(options, inputType);
+        if (!optionsValidation.isValid) {
+          return optionsValidation.error;
+        }
+
+        // Document metadata, like options, is a JSON string field
+        try {
+          metadata = parsed.metadata ? JSON.parse(parsed.metadata) : {};
+        } catch (e) {
+          return BadRequest.INVALID_PARAMETER('metadata', 'Must be a JSON object');
+        }
+
+        const metadataValidation = validateMetadata(metadata);
+        if (!metadataValidation.isValid) {
+          return metadataValidation.error;
+        }
+        dryRunValue = parsed.dry_run;
+
+        if (inputType === 'html') {
+          // HTML asset bundle: html field (or index.html) plus assets, or a bundle zip
+          const bundle = parseBundle(parsed);
+          if (!bundle.isValid) {
+            return bundle.error;
+          }
+          content = bundle.data.content;
+          assets = bundle.data.assets;
+        } else if (inputType === 'pdf_merge') {
+          // Get PDFs from files, merged in upload order
+          pdfs = (parsed.files || [])
+            .filter(f => f.fieldname === 'pdfs')
+            .map(f => ({
+              buffer: f.content,
+              filename: f.filename,
+            }));
+
+          if (pdfs.length < MIN_MERGE_PDFS) {
+            return BadRequest.MISSING_PDFS();
+          }
+        } else {
+          // Get images from files
+          images = (parsed.files || [])
+            .filter(f => f.fieldname === 'images')
+            .map(f => ({
+              buffer: f.content,
+              contentType: f.contentType,
+              filename: f.filename,
+            }));
+
+          if (images.length === 0) {
+            return BadRequest.MISSING_IMAGES();
+          }
+        }
         
         logger.info('Multipart request parsed', {
           inputType,
-          imageCount: images.length,
+          imageCount: images ? images.length : 0,
+          pdfCount: pdfs ? pdfs.length : 0,
+          assetCount: assets ? assets.size : 0,
           hasOptions: !!parsed.options,
         });
         
@@ -155,7 +262,23 @@ async function handler(event) {
       inputType = validation.data.inputType;
       content = validation.data.content;
       options = validation.data.options;
+      metadata = validation.data.metadata;
+      dryRunValue = body.dry_run;
+
+      if (inputType === 'template') {
+        templateRequest = {
+          templateId: validation.data.templateId,
+          templateVersion: validation.data.templateVersion,
+          templateData: validation.data.templateData,
+        };
+      }
+    }
+
+    const dryRunValidation = validateDryRun(dryRunValue);
+    if (!dryRunValidation.isValid) {
+      return dryRunValidation.error;
     }
+    const dryRun = dryRunValidation.data;
 
     // Get user account and plan
     let user, plan, userId;
@@ -220,29 +343,120 @@ async function handler(event) {
     
     userSub = userInfo.userSub || user.user_sub;
 
+    // A dry run reports every failed plan check instead of stopping at the first
+    const rejections = [];
+    const failedCheck = (check) => {
+      if (check.allowed) {
+        return null;
+      }
+      if (dryRun) {
+        rejections.push(check.error);
+        return null;
+      }
+      return check.error;
+    };
+
     // Check conversion type (after plan retrieval, before rate limit/quota checks)
-    const conversionTypeCheck = await checkConversionType(plan, inputType);
-    if (!conversionTypeCheck.allowed) {
-      return conversionTypeCheck.error;
+    const conversionTypeError = failedCheck(await checkConversionType(plan, inputType));
+    if (conversionTypeError) {
+      return conversionTypeError;
+    }
+
+    // Watermark the plan or a test API key requires on every document
+    const requiredWatermark = getRequiredWatermark(plan, userInfo);
+
+    // Check output profile (e.g. PDF/A) is enabled for the plan
+    const outputProfileError = failedCheck(checkOutputProfile(plan, options && options.output_profile, requiredWatermark));
+    if (outputProfileError) {
+      return outputProfileError;
     }
 
-    // Check rate limit
+    // Check rate limit (dry runs render too, so they count and stop here)
     const rateLimitCheck = await checkRateLimit(userId, plan);
     if (!rateLimitCheck.allowed) {
       return rateLimitCheck.error;
     }
 
     // Check quota (checkQuota needs userSub for billing lookup)
-    const quotaCheck = await checkQuota(userSub || user.user_sub, user, plan);
-    if (!quotaCheck.allowed) {
-      return quotaCheck.error;
+    const quotaError = failedCheck(await checkQuota(userSub || user.user_sub, user, plan));
+    if (quotaError) {
+      return quotaError;
     }
 
     // Check credits for paid plans (before PDF generation)
     const costPerPdf = plan && plan.price_per_pdf ? plan.price_per_pdf : 0;
-    const creditsCheck = await checkCredits(userId, plan, costPerPdf);
-    if (!creditsCheck.allowed) {
-      return creditsCheck.error;
+    const creditsError = failedCheck(await checkCredits(userId, plan, costPerPdf));
+    if (creditsError) {
+      return creditsError;
+    }
+
+    // Render stored template with request data (template output is HTML)
+    if (inputType === 'template') {
+      const rendered = await renderStoredTemplate(
+        userId,
+        templateRequest.templateId,
+        templateRequest.templateVersion,
+        templateRequest.templateData
+      );
+      if (rendered.error) {
+        return rendered.error;
+      }
+      if (Buffer.byteLength(rendered.content, 'utf8') > MAX_INPUT_SIZE_BYTES) {
+        return BadRequest.INPUT_SIZE_EXCEEDED(MAX_INPUT_SIZE_MB);
+      }
+      content = rendered.content;
+    }
+
+    // Load the stored stylesheet applied to Markdown renders
+    let stylesheetCss = null;
+    if (inputType === 'markdown' && options && options.stylesheet_id) {
+      const stylesheet = await loadStylesheetCss(userId, options.stylesheet_id);
+      if (stylesheet.error) {
+        return stylesheet.error;
+      }
+      stylesheetCss = stylesheet.css;
+    }
+
+    // Render images, merge PDFs, or render HTML/Markdown (rendered templates are HTML), in the generatePDF result format
+    const renderDocument = async () => {
+      if (inputType === 'image') {
+        const result = await imagesToPdf(images, options, metadata, requiredWatermark);
+        return {
+          pdf: result.buffer,
+          pages: result.pageCount,
+          pageReport: result.pageReport,
+          truncated: result.truncated,
+        };
+      }
+      if (inputType === 'pdf_merge') {
+        const result = await mergePdfs(pdfs, options, metadata, requiredWatermark);
+        // With remove_duplicates the page count is only known once the PDFs are merged
+        if (result.pages > MAX_PAGES) {
+          throw new Error(`PAGE_LIMIT_EXCEEDED:${result.pages}:${MAX_PAGES}`);
+        }
+        return {
+          pdf: result.buffer,
+          pages: result.pages,
+          pageReport: result.pageReport,
+          truncated: false,
+        };
+      }
+      const renderInputType = inputType === 'template' ? 'html' : inputType;
+      const fonts = await loadAccountFonts(userId);
+      return generatePDF(content, renderInputType, options, MAX_PAGES, {
+        networkPolicy: user.network_policy,
+        assets,
+        fonts,
+        stylesheetCss,
+        metadata,
+        requiredWatermark,
+        // Dry runs have no job to store diagnostics on
+        ...(jobId && { onDiagnostics: (diagnostics) => saveJobDiagnostics(jobId, diagnostics) }),
+      });
+    };
+
+    if (dryRun) {
+      return await runDryRun({ inputType, images, pdfs, options, renderDocument, user, plan, rejections });
     }
 
     // Generate job ID
@@ -295,39 +509,44 @@ async function handler(event) {
         // Validate images
         const imageValidation = await validateImages(images);
         if (!imageValidation.valid) {
-          const firstError = imageValidation.errors[0];
-          if (firstError.error === 'MISSING_IMAGES') {
-            return BadRequest.MISSING_IMAGES();
-          } else if (firstError.error === 'PAYLOAD_TOO_LARGE') {
-            return BadRequest.INPUT_SIZE_EXCEEDED(10);
-          } else if (firstError.error === 'INVALID_IMAGE_FORMAT') {
-            return BadRequest.INVALID_IMAGE_FORMAT(firstError.details);
-          } else if (firstError.error === 'IMAGE_TOO_LARGE') {
-            return BadRequest.IMAGE_TOO_LARGE(firstError.details);
-          } else {
-            return BadRequest.INVALID_IMAGE_DATA(firstError.details);
-          }
+          return imageValidationError(imageValidation);
+        }
+      }
+
+      if (inputType === 'pdf_merge') {
+        // Check the PDFs BEFORE merging. Without remove_duplicates the merged PDF has the pages of all PDFs,
+        // so the page limit is checked here too; duplicates are only found while merging (renderDocument)
+        const pdfValidation = await validatePdfs(pdfs);
+        let pdfError = null;
+        if (!pdfValidation.valid) {
+          pdfError = pdfValidationError(pdfValidation);
+        } else if (!options.remove_duplicates && pdfValidation.pageCount > MAX_PAGES) {
+          logger.warn('PDF merge exceeds page limit', {
+            pageCount: pdfValidation.pageCount,
+            maxPages: MAX_PAGES,
+          });
+          pdfError = BadRequest.PAGE_LIMIT_EXCEEDED(pdfValidation.pageCount, MAX_PAGES);
+        }
+
+        if (pdfError) {
+          await updateJobRecord(jobId, {
+            status: 'failed',
+            error_message: getErrorSummary(pdfError),
+          });
+
+          await createAnalyticsRecord({
+            jobId,
+            jobType: 'quick',
+            mode: inputType,
+            status: 'failed',
+            jobDuration: Date.now() - startTime,
+          });
+
+          return pdfError;
         }
-        
-        // Generate PDF from images
-        pdfResult = await Promise.race([
-          imagesToPdf(images, options),
-          timeoutPromise,
-        ]);
-        
-        // Map the result format to match generatePDF output
-        pdfResult = {
-          pdf: pdfResult.buffer,
-          pages: pdfResult.pageCount,
-          truncated: pdfResult.truncated,
-        };
-      } else {
-        // Generate PDF from HTML/Markdown
-        pdfResult = await Promise.race([
-          generatePDF(content, inputType, options, MAX_PAGES),
-          timeoutPromise,
-        ]);
       }
+
+      pdfResult = await Promise.race([renderDocument(), timeoutPromise]);
     } catch (error) {
       if (error.message === 'QUICKJOB_TIMEOUT') {
         // Timeout occurred
@@ -368,17 +587,40 @@ async function handler(event) {
         const { BadRequest } = require('../utils/errors');
         return BadRequest.PAGE_LIMIT_EXCEEDED(parseInt(pageCount, 10), parseInt(maxPages, 10));
       }
+
+      // Client errors from rendering (e.g. URL_NOT_ALLOWED, URL_LOAD_FAILED) are returned as-is
+      if (error.statusCode && error.headers && error.body) {
+        await updateJobRecord(jobId, {
+          status: 'failed',
+          error_message: getErrorSummary(error),
+        });
+
+        await createAnalyticsRecord({
+          jobId,
+          jobType: 'quick',
+          mode: inputType,
+          status: 'failed',
+          jobDuration: Date.now() - startTime,
+        });
+
+        return error;
+      }
       
       throw error;
     }
 
-    const { pdf, pages, truncated = false } = pdfResult;
+    const { pdf, pages, pageReport, accessibility = null, truncated = false, timings, resources, diagnostics } = pdfResult;
 
-    // Update job record with completion
+    // Update job record with completion (render timings and resource reports are only available for Chromium renders)
     await updateJobRecord(jobId, {
       status: 'completed',
       pages,
+      page_report: pageReport,
       truncated,
+      ...(pdfResult.images && { output_format: pdfResult.format }),
+      ...(accessibility && { accessibility_report: accessibility }),
+      ...(timings && { render_timings: timings }),
+      ...(resources && { resource_report: resources }),
     });
 
     // Queue credit deduction for ALL users (paid and free)
@@ -408,15 +650,41 @@ async function handler(event) {
       jobDuration: Date.now() - startTime,
     });
 
+    if (pdfResult.images) {
+      return buildImageResponse(jobId, pdfResult, responseFormat);
+    }
+
+    if (responseFormat === 'json') {
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Job-Id': jobId,
+          ...getResourceHeaders(resources),
+          ...getDiagnosticsHeaders(diagnostics),
+        },
+        body: JSON.stringify({
+          job_id: jobId,
+          pages,
+          truncated,
+          page_report: pageReport,
+          ...(accessibility && { accessibility_report: accessibility }),
+          pdf: pdf.toString('base64'),
+        }),
+      };
+    }
+
     // Return PDF binary response
     return {
       statusCode: 200,
       headers: {
         'Content-Type': 'application/pdf',
-        'Content-Disposition': 'inline; filename="document.pdf"',
+        'Content-Disposition': `inline; filename="${inputType === 'pdf_merge' ? 'merged' : 'document'}.pdf"`,
         'X-PDF-Pages': pages.toString(),
         'X-PDF-Truncated': truncated.toString(),
         'X-Job-Id': jobId,
+        ...getResourceHeaders(resources),
+        ...getDiagnosticsHeaders(diagnostics),
       },
       body: pdf.toString('base64'),
       isBase64Encoded: true,
@@ -454,5 +722,148 @@ async function handler(event) {
   }
 }
 
+/**
+ * Build the response for image output (options.output_format png, jpeg or webp)
+ * A single image is returned as is; several images (screenshot mode "pages") as a zip archive.
+ * @param {string} jobId - Job ID
+ * @param {object} result - generatePDF result with images, format and contentType
+ * @param {string} responseFormat - 'pdf' (binary) or 'json'
+ * @returns {object} Response
+ */
+function buildImageResponse(jobId, result, responseFormat) {
+  const { images, format, contentType, truncated, resources, diagnostics } = result;
+
+  if (responseFormat === 'json') {
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Job-Id': jobId,
+        ...getResourceHeaders(resources),
+        ...getDiagnosticsHeaders(diagnostics),
+      },
+      body: JSON.stringify({
+        job_id: jobId,
+        output_format: format,
+        truncated,
+        images: images.map((image, index) => ({
+          page: index + 1,
+          width: image.width,
+          height: image.height,
+          data: image.data.toString('base64'),
+        })),
+      }),
+    };
+  }
+
+  let body = images[0].data;
+  let headers = {
+    'Content-Type': contentType,
+    'Content-Disposition': `inline; filename="document.${format}"`,
+  };
+  if (images.length > 1) {
+    const zip = new AdmZip();
+    images.forEach((image, index) => zip.addFile(`page-${index + 1}.${format}`, image.data));
+    body = zip.toBuffer();
+    headers = {
+      'Content-Type': 'application/zip',
+      'Content-Disposition': 'attachment; filename="document.zip"',
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...headers,
+      'X-Image-Count': images.length.toString(),
+      'X-Image-Truncated': String(truncated),
+      'X-Job-Id': jobId,
+      ...getResourceHeaders(resources),
+      ...getDiagnosticsHeaders(diagnostics),
+    },
+    body: body.toString('base64'),
+    isBase64Encoded: true,
+  };
+}
+
+/**
+ * Render a dry run and report pages, cost and plan checks
+ * Rendering problems that would fail the request (page limit, timeout) are reported as rejections.
+ * @param {object} dryRun - Dry run state
+ * @param {string} dryRun.inputType - Input type
+ * @param {Array} dryRun.images - Uploaded images (image requests)
+ * @param {Array} dryRun.pdfs - Uploaded PDFs (pdf_merge requests)
+ * @param {object} dryRun.options - Validated request options
+ * @param {function(): Promise<object>} dryRun.renderDocument - Renders the document (generatePDF result format)
+ * @param {object} dryRun.user - User record
+ * @param {object} dryRun.plan - Plan configuration
+ * @param {Array<object>} dryRun.rejections - Failed plan checks so far
+ * @returns {Promise<object>} Estimate response, or an error response for invalid input
+ */
+async function runDryRun({ inputType, images, pdfs, options, renderDocument, user, plan, rejections }) {
+  let pages = null;
+  let pageReport = null;
+
+  // Pages known before converting: 1 image = 1 page, a merge has the pages of all PDFs (unless duplicates are removed)
+  let knownPages = inputType === 'image' ? images.length : null;
+  if (inputType === 'pdf_merge') {
+    const pdfValidation = await validatePdfs(pdfs);
+    if (!pdfValidation.valid) {
+      return pdfValidationError(pdfValidation);
+    }
+    knownPages = options.remove_duplicates ? null : pdfValidation.pageCount;
+  }
+
+  if (knownPages !== null && knownPages > MAX_PAGES) {
+    // No need to convert
+    pages = knownPages;
+    rejections.push(BadRequest.PAGE_LIMIT_EXCEEDED(knownPages, MAX_PAGES));
+  } else {
+    if (inputType === 'image') {
+      const imageValidation = await validateImages(images);
+      if (!imageValidation.valid) {
+        return imageValidationError(imageValidation);
+      }
+    }
+
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('QUICKJOB_TIMEOUT')), QUICKJOB_TIMEOUT_SECONDS * 1000);
+    });
+    try {
+      const result = await Promise.race([renderDocument(), timeoutPromise]);
+      pages = result.pages;
+      pageReport = result.pageReport;
+    } catch (error) {
+      if (error.message === 'QUICKJOB_TIMEOUT') {
+        rejections.push(RequestTimeout.QUICKJOB_TIMEOUT(null, QUICKJOB_TIMEOUT_SECONDS));
+      } else if (error.message && error.message.startsWith('PAGE_LIMIT_EXCEEDED:')) {
+        const [, pageCount, maxPages] = error.message.split(':');
+        pages = parseInt(pageCount, 10);
+        rejections.push(BadRequest.PAGE_LIMIT_EXCEEDED(pages, parseInt(maxPages, 10)));
+      } else if (error.statusCode && error.headers && error.body) {
+        // Client errors from rendering (e.g. URL_NOT_ALLOWED) are returned as-is
+        return error;
+      } else {
+        throw error;
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  logger.info('QuickJob dry run completed', {
+    inputType,
+    pages,
+    rejections: rejections.length,
+  });
+
+  return {
+    statusCode: 200,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(buildEstimate({ user, plan, pages, pageReport, maxPages: MAX_PAGES, rejections })),
+  };
+}
+
 module.exports = { handler: wrapHandler(handler) };
 
@@ -0,0 +1,127 @@
+/**
+ * Unit tests for quickjob.js - PDF merge page limit
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { PDFDocument } = require('pdf-lib');
+
+// Services the handler destructures when it is loaded, patched in the module cache first
+const mocks = {
+  '../middleware/apiKeyAuth.js': { extractUserInfo: vi.fn() },
+  '../services/business.js': {
+    getUserAccount: vi.fn(),
+    getPlan: vi.fn(),
+    checkConversionType: vi.fn(),
+    checkOutputProfile: vi.fn(),
+    getRequiredWatermark: vi.fn(),
+    checkRateLimit: vi.fn(),
+    checkQuota: vi.fn(),
+    checkCredits: vi.fn(),
+    queueCreditDeduction: vi.fn(),
+  },
+  '../services/jobTracking.js': {
+    generateJobId: vi.fn(),
+    createJobRecord: vi.fn(),
+    updateJobRecord: vi.fn(),
+    saveJobDiagnostics: vi.fn(),
+    createAnalyticsRecord: vi.fn(),
+  },
+  'lambda-multipart-parser': { parse: vi.fn() },
+};
+
+let handler;
+
+beforeAll(() => {
+  for (const [path, exports] of Object.entries(mocks)) {
+    Object.assign(require(path), exports);
+  }
+  ({ handler } = require('./quickjob.js'));
+});
+
+const business = mocks['../services/business.js'];
+const { updateJobRecord } = mocks['../services/jobTracking.js'];
+
+/**
+ * PDF with pages of increasing size from firstSize (pages of different sizes are never duplicates of each other)
+ */
+async function samplePdf(pageCount, firstSize = 200) {
+  const pdfDoc = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) {
+    pdfDoc.addPage([firstSize + i, firstSize + i]);
+  }
+  return Buffer.from(await pdfDoc.save());
+}
+
+/**
+ * POST /quickjob pdf_merge event; the parsed form is returned by the mocked multipart parser
+ */
+function mergeRequest(buffers, fields = {}) {
+  mocks['lambda-multipart-parser'].parse.mockResolvedValue({
+    input_type: 'pdf_merge',
+    ...fields,
+    files: buffers.map((content, index) => ({ fieldname: 'pdfs', filename: `part-${index + 1}.pdf`, content })),
+  });
+  return { headers: { 'content-type': 'multipart/form-data; boundary=x' }, body: '' };
+}
+
+describe('quickjob pdf_merge page limit', () => {
+  let pdf;
+
+  beforeAll(async () => {
+    pdf = await samplePdf(60);
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mocks['../middleware/apiKeyAuth.js'].extractUserInfo.mockResolvedValue({
+      userId: 'user-1',
+      userSub: 'sub-1',
+      authMethod: 'api_key',
+      apiKeyId: 'key-1',
+    });
+    business.getUserAccount.mockResolvedValue({ user_id: 'user-1', user_sub: 'sub-1', plan_id: 'paid-standard', credits_balance: 10 });
+    business.getPlan.mockResolvedValue({ plan_id: 'paid-standard', type: 'paid', price_per_pdf: 0.01 });
+    for (const check of ['checkConversionType', 'checkRateLimit', 'checkQuota', 'checkCredits']) {
+      business[check].mockResolvedValue({ allowed: true });
+    }
+    business.checkOutputProfile.mockReturnValue({ allowed: true });
+    business.getRequiredWatermark.mockReturnValue(null);
+    business.queueCreditDeduction.mockResolvedValue();
+    mocks['../services/jobTracking.js'].generateJobId.mockReturnValue('job-1');
+  });
+
+  it('should reject PDFs with more pages than the limit before merging', async () => {
+    const response = await handler(mergeRequest([pdf, pdf]));
+    const { error } = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(400);
+    expect(error.code).toBe('PAGE_LIMIT_EXCEEDED');
+    expect(error.details).toMatchObject({ page_count: 120, max_pages: 100 });
+  });
+
+  it('should count the pages left after removing duplicates', async () => {
+    const response = await handler(mergeRequest([pdf, pdf], { options: '{"remove_duplicates":true,"page_order":"reverse"}' }));
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['X-PDF-Pages']).toBe('60');
+    expect(updateJobRecord).toHaveBeenCalledWith('job-1', expect.objectContaining({ status: 'completed', pages: 60 }));
+  });
+
+  it('should reject a merge with more unique pages than the limit', async () => {
+    const response = await handler(mergeRequest([pdf, await samplePdf(50, 300)], { options: '{"remove_duplicates":true}' }));
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).error).toMatchObject({ code: 'PAGE_LIMIT_EXCEEDED', details: { page_count: 110 } });
+    expect(updateJobRecord).toHaveBeenCalledWith('job-1', expect.objectContaining({ status: 'failed' }));
+  });
+
+  it('should estimate the pages left after removing duplicates in a dry run', async () => {
+    const response = await handler(mergeRequest([pdf, pdf], { options: '{"remove_duplicates":true}', dry_run: 'true' }));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body)).toMatchObject({ dry_run: true, accepted: true, pages: 60 });
+  });
+});
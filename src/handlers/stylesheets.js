@@ -0,0 +1,229 @@
+/**
+ * Stylesheets handler
+ * Handles stored CSS stylesheet CRUD operations (applied to Markdown renders via options.stylesheet_id)
+ * POST /accounts/me/stylesheets - Create a stylesheet
+ * GET /accounts/me/stylesheets - List stylesheets
+ * GET /accounts/me/stylesheets/{stylesheet_id} - Get stylesheet (with content)
+ * PUT /accounts/me/stylesheets/{stylesheet_id} - Update stylesheet
+ * DELETE /accounts/me/stylesheets/{stylesheet_id} - Delete stylesheet
+ */
+
+const logger = require('../utils/logger');
+const { wrapHandler } = require('../utils/sentry');
+const { extractUserSub } = require('../middleware/auth');
+const { validateUserAndPlan } = require('../services/business');
+const { Unauthorized, NotFound, InternalServerError, BadRequest } = require('../utils/errors');
+const {
+  createStylesheet,
+  verifyStylesheetOwnership,
+  listStylesheets,
+  updateStylesheet,
+  deleteStylesheet,
+  formatStylesheet,
+} = require('../services/stylesheet');
+
+/**
+ * Main handler - routes to appropriate function based on HTTP method and path
+ */
+async function handler(event) {
+  try {
+    const method = event.requestContext?.http?.method || event.httpMethod;
+    const path = event.requestContext?.http?.path || event.path;
+    const pathParameters = event.pathParameters || {};
+
+    logger.info('Stylesheets handler invoked', { method, path });
+
+    // Extract user sub from JWT
+    const userSub = await extractUserSub(event);
+    if (!userSub) {
+      return Unauthorized.MISSING_TOKEN();
+    }
+
+    // Get user account and plan (plan is needed for stylesheet limits)
+    const { user, plan, error } = await validateUserAndPlan(userSub);
+    if (error) {
+      return error;
+    }
+
+    const stylesheetId = pathParameters.stylesheet_id;
+
+    // Route based on method and path
+    if (method === 'POST' && path === '/accounts/me/stylesheets') {
+      return await createStylesheetHandler(event, user.user_id, plan);
+    } else if (method === 'GET' && path === '/accounts/me/stylesheets') {
+      return await listStylesheetsHandler(event, user.user_id);
+    } else if (method === 'GET' && stylesheetId) {
+      return await getStylesheetHandler(user.user_id, stylesheetId);
+    } else if (method === 'PUT' && stylesheetId) {
+      return await updateStylesheetHandler(event, user.user_id, stylesheetId);
+    } else if (method === 'DELETE' && stylesheetId) {
+      return await deleteStylesheetHandler(user.user_id, stylesheetId);
+    }
+
+    return NotFound.NOT_FOUND();
+  } catch (error) {
+    logger.error('Stylesheets handler error', {
+      error: error.message,
+      stack: error.stack,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+/**
+ * POST /accounts/me/stylesheets - Create a new stylesheet
+ */
+async function createStylesheetHandler(event, userId, plan) {
+  try {
+    // Parse request body
+    let body;
+    try {
+      body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+    } catch (error) {
+      return BadRequest.INVALID_PARAMETER('body', 'Request body must be valid JSON');
+    }
+
+    const { name, description, content } = body || {};
+
+    const stylesheet = await createStylesheet(userId, plan, { name, description, content });
+
+    return {
+      statusCode: 201,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(stylesheet),
+    };
+  } catch (error) {
+    // Check if error is already a formatted response
+    if (error.statusCode && error.headers && error.body) {
+      return error;
+    }
+
+    logger.error('Error creating stylesheet', {
+      error: error.message,
+      userId,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+/**
+ * GET /accounts/me/stylesheets - List stylesheets
+ */
+async function listStylesheetsHandler(event, userId) {
+  try {
+    const queryParams = event.queryStringParameters || {};
+
+    const limit = queryParams.limit ? parseInt(queryParams.limit, 10) : undefined;
+    if (limit !== undefined && (isNaN(limit) || limit < 1 || limit > 100)) {
+      return BadRequest.INVALID_PARAMETER('limit', 'Must be a number between 1 and 100');
+    }
+
+    const result = await listStylesheets(userId, {
+      limit,
+      next_token: queryParams.next_token,
+    });
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(result),
+    };
+  } catch (error) {
+    logger.error('Error listing stylesheets', {
+      error: error.message,
+      userId,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+/**
+ * GET /accounts/me/stylesheets/{stylesheet_id} - Get stylesheet with content
+ */
+async function getStylesheetHandler(userId, stylesheetId) {
+  try {
+    const { stylesheet, error } = await verifyStylesheetOwnership(stylesheetId, userId);
+    if (error) {
+      return error;
+    }
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ stylesheet: formatStylesheet(stylesheet) }),
+    };
+  } catch (error) {
+    logger.error('Error getting stylesheet', {
+      error: error.message,
+      stylesheetId,
+      userId,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+/**
+ * PUT /accounts/me/stylesheets/{stylesheet_id} - Update stylesheet
+ */
+async function updateStylesheetHandler(event, userId, stylesheetId) {
+  try {
+    // Parse request body
+    let body;
+    try {
+      body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+    } catch (error) {
+      return BadRequest.INVALID_PARAMETER('body', 'Request body must be valid JSON');
+    }
+
+    const { name, description, content } = body || {};
+
+    const stylesheet = await updateStylesheet(stylesheetId, userId, { name, description, content });
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(stylesheet),
+    };
+  } catch (error) {
+    // Check if error is already a formatted response
+    if (error.statusCode && error.headers && error.body) {
+      return error;
+    }
+
+    logger.error('Error updating stylesheet', {
+      error: error.message,
+      stylesheetId,
+      userId,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+/**
+ * DELETE /accounts/me/stylesheets/{stylesheet_id} - Delete stylesheet
+ */
+async function deleteStylesheetHandler(userId, stylesheetId) {
+  try {
+    await deleteStylesheet(stylesheetId, userId);
+
+    return {
+      statusCode: 204,
+      headers: { 'Content-Type': 'application/json' },
+      body: '',
+    };
+  } catch (error) {
+    // Check if error is already a formatted response
+    if (error.statusCode && error.headers && error.body) {
+      return error;
+    }
+
+    logger.error('Error deleting stylesheet', {
+      error: error.message,
+      stylesheetId,
+      userId,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+module.exports = { handler: wrapHandler(handler) };
@@ -0,0 +1,311 @@
+/**
+ * Templates handler
+ * Handles stored HTML template CRUD operations and version history
+ * POST /accounts/me/templates - Create a template
+ * GET /accounts/me/templates - List templates
+ * GET /accounts/me/templates/{template_id} - Get template (current version content)
+ * PUT /accounts/me/templates/{template_id} - Update template (new content creates a new version)
+ * DELETE /accounts/me/templates/{template_id} - Delete template and all versions
+ * GET /accounts/me/templates/{template_id}/versions - List versions
+ * GET /accounts/me/templates/{template_id}/versions/{version} - Get a specific version
+ */
+
+const logger = require('../utils/logger');
+const { wrapHandler } = require('../utils/sentry');
+const { extractUserSub } = require('../middleware/auth');
+const { validateUserAndPlan } = require('../services/business');
+const { Unauthorized, NotFound, InternalServerError, BadRequest } = require('../utils/errors');
+const {
+  createTemplate,
+  verifyTemplateOwnership,
+  getTemplateVersion,
+  listTemplates,
+  listTemplateVersions,
+  updateTemplate,
+  deleteTemplate,
+  formatTemplate,
+} = require('../services/template');
+
+/**
+ * Main handler - routes to appropriate function based on HTTP method and path
+ */
+async function handler(event) {
+  try {
+    const method = event.requestContext?.http?.method || event.httpMethod;
+    const path = event.requestContext?.http?.path || event.path;
+    const pathParameters = event.pathParameters || {};
+
+    logger.info('Templates handler invoked', { method, path });
+
+    // Extract user sub from JWT
+    const userSub = await extractUserSub(event);
+    if (!userSub) {
+      return Unauthorized.MISSING_TOKEN();
+    }
+
+    // Get user account and plan (plan is needed for template limits)
+    const { user, plan, error } = await validateUserAndPlan(userSub);
+    if (error) {
+      return error;
+    }
+
+    const templateId = pathParameters.template_id;
+
+    // Route based on method and path
+    if (method === 'POST' && path === '/accounts/me/templates') {
+      return await createTemplateHandler(event, user.user_id, plan);
+    } else if (method === 'GET' && path === '/accounts/me/templates') {
+      return await listTemplatesHandler(event, user.user_id);
+    } else if (method === 'GET' && templateId && pathParameters.version) {
+      return await getTemplateVersionHandler(user.user_id, templateId, pathParameters.version);
+    } else if (method === 'GET' && templateId && path.endsWith('/versions')) {
+      return await listTemplateVersionsHandler(user.user_id, templateId);
+    } else if (method === 'GET' && templateId) {
+      return await getTemplateHandler(user.user_id, templateId);
+    } else if (method === 'PUT' && templateId) {
+      return await updateTemplateHandler(event, user.user_id, templateId);
+    } else if (method === 'DELETE' && templateId) {
+      return await deleteTemplateHandler(user.user_id, templateId);
+    }
+
+    return NotFound.NOT_FOUND();
+  } catch (error) {
+    logger.error('Templates handler error', {
+      error: error.message,
+      stack: error.stack,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+/**
+ * POST /accounts/me/templates - Create a new template
+ */
+async function createTemplateHandler(event, userId, plan) {
+  try {
+    // Parse request body
+    let body;
+    try {
+      body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+    } catch (error) {
+      return BadRequest.INVALID_PARAMETER('body', 'Request body must be valid JSON');
+    }
+
+    const { name, description, content } = body || {};
+
+    const template = await createTemplate(userId, plan, { name, description, content });
+
+    return {
+      statusCode: 201,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(template),
+    };
+  } catch (error) {
+    // Check if error is already a formatted response
+    if (error.statusCode && error.headers && error.body) {
+      return error;
+    }
+
+    logger.error('Error creating template', {
+      error: error.message,
+      userId,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+/**
+ * GET /accounts/me/templates - List templates
+ */
+async function listTemplatesHandler(event, userId) {
+  try {
+    const queryParams = event.queryStringParameters || {};
+
+    const limit = queryParams.limit ? parseInt(queryParams.limit, 10) : undefined;
+    if (limit !== undefined && (isNaN(limit) || limit < 1 || limit > 100)) {
+      return BadRequest.INVALID_PARAMETER('limit', 'Must be a number between 1 and 100');
+    }
+
+    const result = await listTemplates(userId, {
+      limit,
+      next_token: queryParams.next_token,
+    });
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(result),
+    };
+  } catch (error) {
+    // Check if error is already a formatted response
+    if (error.statusCode && error.headers && error.body) {
+      return error;
+    }
+
+    logger.error('Error listing templates', {
+      error: error.message,
+      userId,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+/**
+ * GET /accounts/me/templates/{template_id} - Get template with current version content
+ */
+async function getTemplateHandler(userId, templateId) {
+  try {
+    const { template, error } = await verifyTemplateOwnership(templateId, userId);
+    if (error) {
+      return error;
+    }
+
+    const version = await getTemplateVersion(templateId, template.current_version);
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ template: formatTemplate(template, version) }),
+    };
+  } catch (error) {
+    logger.error('Error getting template', {
+      error: error.message,
+      templateId,
+      userId,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+/**
+ * PUT /accounts/me/templates/{template_id} - Update template
+ */
+async function updateTemplateHandler(event, userId, templateId) {
+  try {
+    // Parse request body
+    let body;
+    try {
+      body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+    } catch (error) {
+      return BadRequest.INVALID_PARAMETER('body', 'Request body must be valid JSON');
+    }
+
+    const { name, description, content } = body || {};
+
+    const template = await updateTemplate(templateId, userId, { name, description, content });
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(template),
+    };
+  } catch (error) {
+    // Check if error is already a formatted response
+    if (error.statusCode && error.headers && error.body) {
+      return error;
+    }
+
+    logger.error('Error updating template', {
+      error: error.message,
+      templateId,
+      userId,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+/**
+ * DELETE /accounts/me/templates/{template_id} - Delete template and all versions
+ */
+async function deleteTemplateHandler(userId, templateId) {
+  try {
+    await deleteTemplate(templateId, userId);
+
+    return {
+      statusCode: 204,
+      headers: { 'Content-Type': 'application/json' },
+      body: '',
+    };
+  } catch (error) {
+    // Check if error is already a formatted response
+    if (error.statusCode && error.headers && error.body) {
+      return error;
+    }
+
+    logger.error('Error deleting template', {
+      error: error.message,
+      templateId,
+      userId,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+/**
+ * GET /accounts/me/templates/{template_id}/versions - List template versions
+ */
+async function listTemplateVersionsHandler(userId, templateId) {
+  try {
+    const { template, error } = await verifyTemplateOwnership(templateId, userId);
+    if (error) {
+      return error;
+    }
+
+    const versions = await listTemplateVersions(templateId);
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        template_id: templateId,
+        current_version: template.current_version,
+        versions,
+        count: versions.length,
+      }),
+    };
+  } catch (error) {
+    logger.error('Error listing template versions', {
+      error: error.message,
+      templateId,
+      userId,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+/**
+ * GET /accounts/me/templates/{template_id}/versions/{version} - Get a specific version
+ */
+async function getTemplateVersionHandler(userId, templateId, versionParam) {
+  try {
+    const version = parseInt(versionParam, 10);
+    if (isNaN(version) || version < 1) {
+      return BadRequest.INVALID_PARAMETER('version', 'Must be a positive integer');
+    }
+
+    const { template, error } = await verifyTemplateOwnership(templateId, userId);
+    if (error) {
+      return error;
+    }
+
+    const versionRecord = await getTemplateVersion(templateId, version);
+    if (!versionRecord) {
+      return NotFound.TEMPLATE_VERSION_NOT_FOUND(templateId, version);
+    }
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ template: formatTemplate(template, versionRecord) }),
+    };
+  } catch (error) {
+    logger.error('Error getting template version', {
+      error: error.message,
+      templateId,
+      userId,
+    });
+    return InternalServerError.GENERIC(error.message);
+  }
+}
+
+module.exports = { handler: wrapHandler(handler) };
@@ -102,7 +102,7 @@ async function validateApiKey(apiKey) {
 /**
  * Extract user information from either JWT token or API key
  * @param {object} event - Lambda event
- * @returns {Promise<{userId: string|null, userSub: string|null, apiKeyId: string|null, authMethod: 'jwt'|'api_key'|null}>}
+ * @returns {Promise<{userId: string|null, userSub: string|null, apiKeyId: string|null, authMethod: 'jwt'|'api_key'|null, isTestKey: boolean}>}
  */
 async function extractUserInfo(event) {
   // Try API key first (if both are present, API key takes precedence)
@@ -120,6 +120,8 @@ async function extractUserInfo(event) {
         userSub: apiKeyInfo.userSub,
         apiKeyId: apiKeyInfo.apiKeyId,
         authMethod: 'api_key',
+        // Test keys (pk_test_, issued outside prod) get a TEST watermark on every document
+        isTestKey: apiKey.trim().startsWith('pk_test_'),
       };
     }
   }
@@ -133,6 +135,7 @@ async function extractUserInfo(event) {
       userSub: userSub,
       apiKeyId: null, // No API key used
       authMethod: 'jwt',
+      isTestKey: false,
     };
   }
   
@@ -141,6 +144,7 @@ async function extractUserInfo(event) {
     userSub: null,
     apiKeyId: null,
     authMethod: null,
+    isTestKey: false,
   };
 }
 
@@ -0,0 +1,98 @@
+/**
+ * Accessibility Service
+ * Checks rendered pages for common accessibility problems when a tagged PDF is requested (`options.accessible`).
+ * Chromium writes the structure tree, alt text and language; this audit reports what it cannot fix:
+ * images without alt text, a missing document language or title, and skipped heading levels.
+ */
+
+// Issues listed in a report; further issues are only counted
+const MAX_REPORTED_ISSUES = 50;
+
+// Length of element descriptions (image sources, heading text) in issues
+const MAX_ELEMENT_LENGTH = 100;
+
+/**
+ * Collect what the accessibility report needs from the loaded page
+ * Images with an empty alt attribute are decorative and count as described.
+ * @param {object} page - Puppeteer page
+ * @returns {Promise<{language: string, images: number, imagesWithoutAlt: Array<string>, headings: Array<{level: number, text: string}>}>}
+ */
+async function auditPage(page) {
+  return page.evaluate((maxLength) => {
+    const shorten = (text) => text.replace(/\s+/g, ' ').trim().slice(0, maxLength);
+    const images = Array.from(document.querySelectorAll('img'));
+    return {
+      language: (document.documentElement.getAttribute('lang') || '').trim(),
+      images: images.length,
+      imagesWithoutAlt: images
+        .filter((image) => !image.hasAttribute('alt'))
+        .map((image) => shorten(image.getAttribute('src') || '')),
+      headings: Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6')).map((heading) => ({
+        level: Number(heading.tagName.slice(1)),
+        text: shorten(heading.textContent),
+      })),
+    };
+  }, MAX_ELEMENT_LENGTH);
+}
+
+/**
+ * Build the accessibility report of a tagged PDF
+ * @param {object} audit - Result of auditPage
+ * @param {object} document - Final document properties ({title, language}), after metadata is merged
+ * @returns {{tagged: boolean, title: string|null, language: string|null, images: number, headings: number, issue_count: number, issues: Array<{type: string, message: string, element?: string}>}}
+ */
+function buildAccessibilityReport(audit, document) {
+  const issues = [];
+  const title = document.title ? String(document.title).trim() : '';
+  const language = document.language || audit.language || '';
+
+  if (!language) {
+    issues.push({
+      type: 'missing_language',
+      message: 'The document has no language; set metadata.language or the lang attribute of <html>',
+    });
+  }
+  if (!title) {
+    issues.push({
+      type: 'missing_title',
+      message: 'The document has no title; set metadata.title or a <title> element',
+    });
+  }
+  for (const src of audit.imagesWithoutAlt) {
+    issues.push({
+      type: 'missing_alt_text',
+      message: 'Image has no alt attribute; use alt="" for decorative images',
+      element: src ? `img[src="${src}"]` : 'img',
+    });
+  }
+
+  let previousLevel = 0;
+  for (const heading of audit.headings) {
+    if (heading.level > previousLevel + 1) {
+      issues.push({
+        type: 'heading_order',
+        message: previousLevel
+          ? `Heading level skipped: h${heading.level} follows h${previousLevel}`
+          : `The first heading is h${heading.level} instead of h1`,
+        element: `h${heading.level} "${heading.text}"`,
+      });
+    }
+    previousLevel = heading.level;
+  }
+
+  return {
+    tagged: true,
+    title: title || null,
+    language: language || null,
+    images: audit.images,
+    headings: audit.headings.length,
+    issue_count: issues.length,
+    issues: issues.slice(0, MAX_REPORTED_ISSUES),
+  };
+}
+
+module.exports = {
+  auditPage,
+  buildAccessibilityReport,
+  MAX_REPORTED_ISSUES,
+};
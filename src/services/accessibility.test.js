@@ -0,0 +1,67 @@
+/**
+ * Unit tests for accessibility.js - accessibility report
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { buildAccessibilityReport, MAX_REPORTED_ISSUES } = require('./accessibility.js');
+
+const audit = (overrides = {}) => ({
+  language: 'en',
+  images: 0,
+  imagesWithoutAlt: [],
+  headings: [],
+  ...overrides,
+});
+
+describe('buildAccessibilityReport', () => {
+  it('should report no issues for a well-structured document', () => {
+    const report = buildAccessibilityReport(audit({
+      images: 2,
+      headings: [{ level: 1, text: 'Title' }, { level: 2, text: 'Intro' }, { level: 3, text: 'Detail' }, { level: 2, text: 'End' }],
+    }), { title: 'Annual report' });
+
+    expect(report).toEqual({
+      tagged: true,
+      title: 'Annual report',
+      language: 'en',
+      images: 2,
+      headings: 4,
+      issue_count: 0,
+      issues: [],
+    });
+  });
+
+  it('should prefer the metadata language over the page language', () => {
+    expect(buildAccessibilityReport(audit(), { title: 'T', language: 'de-DE' }).language).toBe('de-DE');
+  });
+
+  it('should report missing language, title and alt text', () => {
+    const report = buildAccessibilityReport(audit({ language: '', images: 2, imagesWithoutAlt: ['logo.png'] }), { title: ' ' });
+
+    expect(report.issues.map((issue) => issue.type)).toEqual(['missing_language', 'missing_title', 'missing_alt_text']);
+    expect(report.issues[2].element).toBe('img[src="logo.png"]');
+    expect(report).toMatchObject({ title: null, language: null });
+  });
+
+  it('should report skipped heading levels', () => {
+    const report = buildAccessibilityReport(audit({
+      headings: [{ level: 2, text: 'Intro' }, { level: 4, text: 'Deep' }, { level: 1, text: 'Next' }, { level: 2, text: 'Fine' }],
+    }), { title: 'T' });
+
+    expect(report.issues).toEqual([
+      { type: 'heading_order', message: 'The first heading is h2 instead of h1', element: 'h2 "Intro"' },
+      { type: 'heading_order', message: 'Heading level skipped: h4 follows h2', element: 'h4 "Deep"' },
+    ]);
+  });
+
+  it('should count issues beyond the reported maximum', () => {
+    const imagesWithoutAlt = Array.from({ length: MAX_REPORTED_ISSUES + 10 }, (_, index) => `${index}.png`);
+    const report = buildAccessibilityReport(audit({ images: imagesWithoutAlt.length, imagesWithoutAlt }), { title: 'T' });
+
+    expect(report.issue_count).toBe(MAX_REPORTED_ISSUES + 10);
+    expect(report.issues).toHaveLength(MAX_REPORTED_ISSUES);
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * Asset Bundle Service
+ * Parses HTML asset bundles (index.html plus images, stylesheets and fonts) submitted as
+ * multipart/form-data, either as individual `assets` files or as a single `bundle` zip.
+ * Assets are served to Chromium from memory under BUNDLE_ORIGIN so relative URLs resolve.
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { BadRequest } = require('../utils/errors');
+const { MAX_INPUT_SIZE_BYTES, MAX_INPUT_SIZE_MB } = require('./validation');
+
+// Origin the bundle is served from; .invalid never resolves, so these URLs can only be answered from memory
+const BUNDLE_ORIGIN = 'https://bundle.invalid';
+const BUNDLE_ENTRY = 'index.html';
+
+const MAX_BUNDLE_FILES = parseInt(process.env.MAX_BUNDLE_FILES || '200', 10);
+const MAX_BUNDLE_SIZE_MB = parseInt(process.env.MAX_BUNDLE_SIZE_MB || '25', 10);
+const MAX_BUNDLE_SIZE_BYTES = MAX_BUNDLE_SIZE_MB * 1024 * 1024;
+
+// Content types by extension; client-supplied multipart types are often application/octet-stream,
+// and Chromium ignores stylesheets that are not served as text/css
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+};
+
+/**
+ * Normalize a bundle path ("./css/site.css", "css\\site.css") to "css/site.css"
+ * @param {string} filePath - Path from the zip entry or multipart filename
+ * @returns {string|null} Normalized path, or null if it escapes the bundle root or is empty
+ */
+function normalizeAssetPath(filePath) {
+  if (typeof filePath !== 'string') {
+    return null;
+  }
+
+  const segments = filePath.replace(/\\/g, '/').split('/').filter((segment) => segment && segment !== '.');
+  if (segments.length === 0 || segments.includes('..')) {
+    return null;
+  }
+  return segments.join('/');
+}
+
+/**
+ * Get the content type to serve an asset with
+ * @param {string} assetPath - Normalized asset path
+ * @param {string} providedType - Content type supplied by the client (optional)
+ * @returns {string} Content type
+ */
+function getAssetContentType(assetPath, providedType = null) {
+  const byExtension = CONTENT_TYPES[path.posix.extname(assetPath).toLowerCase()];
+  if (byExtension) {
+    return byExtension;
+  }
+  return providedType || 'application/octet-stream';
+}
+
+// Zip compression methods
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+/**
+ * Extract a zip entry, inflating at most maxBytes
+ * Sizes declared in the zip can be forged (adm-zip does not limit inflating an entry that declares 0 bytes),
+ * so the entry is inflated here with a limit and must then match its declared size.
+ * @param {object} entry - adm-zip entry
+ * @param {number} maxBytes - Bytes the entry may inflate to
+ * @returns {Buffer|null} Content, or null if it is larger than maxBytes
+ * @throws {Error} If the entry is encrypted, uses another compression method or is corrupt
+ */
+function extractZipEntry(entry, maxBytes) {
+  if (entry.header.encrypted) {
+    throw new Error(`${entry.entryName} is encrypted`);
+  }
+
+  const compressed = entry.getCompressedData();
+  let content;
+  if (entry.header.method === ZIP_STORED) {
+    content = compressed;
+  } else if (entry.header.method === ZIP_DEFLATED) {
+    try {
+      content = zlib.inflateRawSync(compressed, { maxOutputLength: maxBytes + 1 });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        return null;
+      }
+      throw error;
+    }
+  } else {
+    throw new Error(`${entry.entryName} uses an unsupported compression method`);
+  }
+
+  if (content.length > maxBytes) {
+    return null;
+  }
+  if (content.length !== entry.header.size) {
+    throw new Error(`${entry.entryName} does not match its declared size`);
+  }
+  return content;
+}
+
+/**
+ * Read the files of a zip bundle
+ * A single top-level folder (as created by zipping a directory) is treated as the bundle root.
+ * Declared uncompressed sizes are checked before anything is extracted, and the real sizes while extracting.
+ * @param {Buffer} zipBuffer - Zip file content
+ * @returns {{isValid: boolean, error: object|null, files: Array<{path: string, content: Buffer}>}}
+ */
+function readZipBundle(zipBuffer) {
+  let entries;
+  try {
+    entries = new AdmZip(zipBuffer).getEntries().filter((entry) => !entry.isDirectory);
+  } catch (error) {
+    return { isValid: false, error: BadRequest.INVALID_BUNDLE(`Bundle is not a valid zip file: ${error.message}`), files: [] };
+  }
+
+  if (entries.length > MAX_BUNDLE_FILES) {
+    return { isValid: false, error: BadRequest.INVALID_BUNDLE(`Bundle contains more than ${MAX_BUNDLE_FILES} files`), files: [] };
+  }
+
+  const totalSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (totalSize > MAX_BUNDLE_SIZE_BYTES) {
+    return { isValid: false, error: BadRequest.BUNDLE_TOO_LARGE(MAX_BUNDLE_SIZE_MB), files: [] };
+  }
+
+  const paths = entries.map((entry) => normalizeAssetPath(entry.entryName));
+  const invalidIndex = paths.indexOf(null);
+  if (invalidIndex !== -1) {
+    return { isValid: false, error: BadRequest.INVALID_BUNDLE(`Invalid file path in bundle: ${entries[invalidIndex].entryName}`), files: [] };
+  }
+
+  // Strip a single shared top-level folder unless index.html is already at the root
+  let rootPrefix = '';
+  if (!paths.includes(BUNDLE_ENTRY)) {
+    const topLevel = new Set(paths.map((p) => p.split('/')[0]));
+    if (topLevel.size === 1 && paths.every((p) => p.includes('/'))) {
+      rootPrefix = `${[...topLevel][0]}/`;
+    }
+  }
+
+  try {
+    const files = [];
+    let extractedSize = 0;
+    for (let i = 0; i < entries.length; i++) {
+      const content = extractZipEntry(entries[i], MAX_BUNDLE_SIZE_BYTES - extractedSize);
+      if (!content) {
+        return { isValid: false, error: BadRequest.BUNDLE_TOO_LARGE(MAX_BUNDLE_SIZE_MB), files: [] };
+      }
+      extractedSize += content.length;
+      files.push({ path: paths[i].slice(rootPrefix.length), content });
+    }
+    return { isValid: true, error: null, files };
+  } catch (error) {
+    return { isValid: false, error: BadRequest.INVALID_BUNDLE(`Bundle could not be extracted: ${error.message}`), files: [] };
+  }
+}
+
+/**
+ * Parse an HTML bundle from a parsed multipart request
+ * Accepted fields:
+ * - `bundle`: zip file containing index.html and its assets (folders preserved)
+ * - `html`: HTML text field, or `index.html` in `assets`
+ * - `assets`: asset files, addressed by file name (multipart strips folders from file names)
+ * @param {object} parsed - Result of lambda-multipart-parser parse()
+ * @returns {{isValid: boolean, error: object|null, data: {content: string, assets: Map}|null}}
+ */
+function parseBundle(parsed) {
+  const files = parsed.files || [];
+  const bundleFiles = files.filter((file) => file.fieldname === 'bundle');
+  const assetFiles = files.filter((file) => file.fieldname === 'assets');
+
+  if (bundleFiles.length > 1) {
+    return { isValid: false, error: BadRequest.INVALID_BUNDLE('Only one bundle file can be uploaded'), data: null };
+  }
+  if (bundleFiles.length === 1 && (assetFiles.length > 0 || parsed.html)) {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_BUNDLE('Send either a bundle zip file or html/assets fields, not both'),
+      data: null,
+    };
+  }
+
+  let bundle;
+  if (bundleFiles.length === 1) {
+    const zip = readZipBundle(bundleFiles[0].content);
+    if (!zip.isValid) {
+      return { isValid: false, error: zip.error, data: null };
+    }
+    bundle = zip.files;
+  } else {
+    if (assetFiles.length > MAX_BUNDLE_FILES) {
+      return { isValid: false, error: BadRequest.INVALID_BUNDLE(`Bundle contains more than ${MAX_BUNDLE_FILES} files`), data: null };
+    }
+    bundle = [];
+    for (const file of assetFiles) {
+      const assetPath = normalizeAssetPath(file.filename);
+      if (!assetPath) {
+        return { isValid: false, error: BadRequest.INVALID_BUNDLE(`Invalid asset file name: ${file.filename}`), data: null };
+      }
+      bundle.push({ path: assetPath, content: file.content, contentType: file.contentType });
+    }
+    if (parsed.html) {
+      if (bundle.some((file) => file.path === BUNDLE_ENTRY)) {
+        return { isValid: false, error: BadRequest.INVALID_BUNDLE('Send the HTML either as the html field or as index.html, not both'), data: null };
+      }
+      bundle.push({ path: BUNDLE_ENTRY, content: Buffer.from(parsed.html, 'utf8') });
+    }
+  }
+
+  const entry = bundle.find((file) => file.path === BUNDLE_ENTRY);
+  if (!entry) {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_BUNDLE('Bundle must contain index.html (or provide the html field)'),
+      data: null,
+    };
+  }
+  if (entry.content.length > MAX_INPUT_SIZE_BYTES) {
+    return { isValid: false, error: BadRequest.INPUT_SIZE_EXCEEDED(MAX_INPUT_SIZE_MB), data: null };
+  }
+
+  const totalSize = bundle.reduce((sum, file) => sum + file.content.length, 0);
+  if (totalSize > MAX_BUNDLE_SIZE_BYTES) {
+    return { isValid: false, error: BadRequest.BUNDLE_TOO_LARGE(MAX_BUNDLE_SIZE_MB), data: null };
+  }
+
+  const assets = new Map();
+  for (const file of bundle) {
+    if (file.path !== BUNDLE_ENTRY) {
+      assets.set(file.path, {
+        body: file.content,
+        contentType: getAssetContentType(file.path, file.contentType),
+      });
+    }
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    data: {
+      content: entry.content.toString('utf8'),
+      assets,
+    },
+  };
+}
+
+/**
+ * Serialize bundle assets for storage between the longjob handler and processor
+ * @param {Map} assets - Assets from parseBundle
+ * @returns {Buffer} JSON buffer
+ */
+function serializeAssets(assets) {
+  const entries = [...assets].map(([assetPath, asset]) => ({
+    path: assetPath,
+    content_type: asset.contentType,
+    body: asset.body.toString('base64'),
+  }));
+  return Buffer.from(JSON.stringify(entries), 'utf8');
+}
+
+/**
+ * Restore bundle assets serialized with serializeAssets
+ * @param {Buffer} buffer - JSON buffer
+ * @returns {Map} Assets
+ */
+function deserializeAssets(buffer) {
+  const entries = JSON.parse(buffer.toString('utf8'));
+  return new Map(entries.map((entry) => [
+    entry.path,
+    { body: Buffer.from(entry.body, 'base64'), contentType: entry.content_type },
+  ]));
+}
+
+module.exports = {
+  parseBundle,
+  normalizeAssetPath,
+  getAssetContentType,
+  serializeAssets,
+  deserializeAssets,
+  BUNDLE_ORIGIN,
+  BUNDLE_ENTRY,
+  MAX_BUNDLE_FILES,
+  MAX_BUNDLE_SIZE_MB,
+};
@@ -0,0 +1,149 @@
+/**
+ * Unit tests for assetBundle.js - multipart HTML asset bundles
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const AdmZip = require('adm-zip');
+const {
+  parseBundle,
+  normalizeAssetPath,
+  getAssetContentType,
+  serializeAssets,
+  deserializeAssets,
+} = require('./assetBundle.js');
+
+/**
+ * Parse the error body of a formatted error response
+ */
+function errorOf(result) {
+  return JSON.parse(result.error.body).error;
+}
+
+/**
+ * Build a parsed multipart request with a zip bundle
+ */
+function zipRequest(files) {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, content]) => zip.addFile(name, Buffer.from(content)));
+  return { input_type: 'html', files: [{ fieldname: 'bundle', filename: 'site.zip', content: zip.toBuffer() }] };
+}
+
+/**
+ * Build a parsed multipart request with a zip bundle whose last entry declares a forged uncompressed size
+ */
+function forgedZipRequest(files, declaredSize) {
+  const { files: [bundle] } = zipRequest(files);
+  const zip = bundle.content;
+  // Uncompressed size in the last local file header and the last central directory header
+  zip.writeUInt32LE(declaredSize, zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x03, 0x04])) + 22);
+  zip.writeUInt32LE(declaredSize, zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+  return { input_type: 'html', files: [bundle] };
+}
+
+describe('normalizeAssetPath', () => {
+  it('should normalize relative and backslash paths', () => {
+    expect(normalizeAssetPath('./css/site.css')).toBe('css/site.css');
+    expect(normalizeAssetPath('/img//logo.png')).toBe('img/logo.png');
+    expect(normalizeAssetPath('fonts\\brand.woff2')).toBe('fonts/brand.woff2');
+  });
+
+  it('should reject paths that escape the bundle root', () => {
+    expect(normalizeAssetPath('../secret.txt')).toBeNull();
+    expect(normalizeAssetPath('css/../../x.css')).toBeNull();
+    expect(normalizeAssetPath('')).toBeNull();
+  });
+});
+
+describe('getAssetContentType', () => {
+  it('should prefer the extension over the client content type', () => {
+    expect(getAssetContentType('site.css', 'application/octet-stream')).toBe('text/css; charset=utf-8');
+    expect(getAssetContentType('brand.woff2')).toBe('font/woff2');
+    expect(getAssetContentType('data.bin', 'application/x-custom')).toBe('application/x-custom');
+  });
+});
+
+describe('parseBundle', () => {
+  it('should accept an html field with asset files', () => {
+    const result = parseBundle({
+      input_type: 'html',
+      html: '<img src="logo.png">',
+      files: [{ fieldname: 'assets', filename: 'logo.png', content: Buffer.from('png'), contentType: 'image/png' }],
+    });
+
+    expect(result.isValid).toBe(true);
+    expect(result.data.content).toBe('<img src="logo.png">');
+    expect([...result.data.assets.keys()]).toEqual(['logo.png']);
+  });
+
+  it('should accept index.html uploaded as an asset file', () => {
+    const result = parseBundle({
+      input_type: 'html',
+      files: [{ fieldname: 'assets', filename: 'index.html', content: Buffer.from('<h1>Hi</h1>') }],
+    });
+
+    expect(result.isValid).toBe(true);
+    expect(result.data.content).toBe('<h1>Hi</h1>');
+    expect(result.data.assets.size).toBe(0);
+  });
+
+  it('should read a zip bundle and keep folders', () => {
+    const result = parseBundle(zipRequest({
+      'index.html': '<link rel="stylesheet" href="css/site.css">',
+      'css/site.css': 'h1 { color: red; }',
+    }));
+
+    expect(result.isValid).toBe(true);
+    expect(result.data.assets.get('css/site.css').contentType).toBe('text/css; charset=utf-8');
+  });
+
+  it('should use a single top-level folder of a zip as the root', () => {
+    const result = parseBundle(zipRequest({
+      'site/index.html': '<h1>Hi</h1>',
+      'site/img/logo.png': 'png',
+    }));
+
+    expect(result.isValid).toBe(true);
+    expect([...result.data.assets.keys()]).toEqual(['img/logo.png']);
+  });
+
+  it('should require index.html', () => {
+    const result = parseBundle(zipRequest({ 'css/site.css': 'h1 {}' }));
+
+    expect(errorOf(result).code).toBe('INVALID_BUNDLE');
+  });
+
+  it('should reject invalid zip files and mixed submissions', () => {
+    expect(errorOf(parseBundle({ files: [{ fieldname: 'bundle', content: Buffer.from('not a zip') }] })).code).toBe('INVALID_BUNDLE');
+
+    const mixed = zipRequest({ 'index.html': '<h1>Hi</h1>' });
+    mixed.html = '<h1>Also</h1>';
+    expect(errorOf(parseBundle(mixed)).code).toBe('INVALID_BUNDLE');
+  });
+
+  it('should stop inflating an entry that declares 0 bytes once the bundle size limit is passed', () => {
+    const result = parseBundle(forgedZipRequest({ 'index.html': '<h1>Hi</h1>', 'bomb.bin': Buffer.alloc(30 * 1024 * 1024) }, 0));
+
+    expect(errorOf(result).code).toBe('BUNDLE_TOO_LARGE');
+  });
+
+  it('should reject entries larger or smaller than their declared size', () => {
+    const files = { 'index.html': '<h1>Hi</h1>', 'css/site.css': 'h1 { color: red; }'.repeat(100) };
+
+    expect(errorOf(parseBundle(forgedZipRequest(files, 0))).code).toBe('INVALID_BUNDLE');
+    expect(errorOf(parseBundle(forgedZipRequest(files, 5000))).code).toBe('INVALID_BUNDLE');
+    expect(parseBundle(zipRequest(files)).isValid).toBe(true);
+  });
+});
+
+describe('serializeAssets', () => {
+  it('should round-trip assets', () => {
+    const assets = new Map([['img/logo.png', { body: Buffer.from([0, 1, 2, 255]), contentType: 'image/png' }]]);
+    const restored = deserializeAssets(serializeAssets(assets));
+
+    expect(restored.get('img/logo.png').contentType).toBe('image/png');
+    expect(restored.get('img/logo.png').body.equals(assets.get('img/logo.png').body)).toBe(true);
+  });
+});
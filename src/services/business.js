@@ -6,6 +6,7 @@
 const { getItem, updateItem, putItem } = require('./dynamodb');
 const { Forbidden, BadRequest, InternalServerError } = require('../utils/errors');
 const logger = require('../utils/logger');
+const { OUTPUT_PROFILES } = require('./pdfa');
 const { SQSClient, SendMessageCommand } = require('@aws-sdk/client-sqs');
 
 const USERS_TABLE = process.env.USERS_TABLE;
@@ -16,6 +17,9 @@ const CREDIT_DEDUCTION_QUEUE_URL = process.env.CREDIT_DEDUCTION_QUEUE_URL;
 const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE || '20', 10);
 const FREE_TIER_QUOTA = parseInt(process.env.FREE_TIER_QUOTA || '100', 10);
 
+// Watermark stamped on documents created with test API keys (pk_test_)
+const TEST_KEY_WATERMARK = { text: 'TEST', opacity: 0.2 };
+
 const sqsClient = new SQSClient({ region: process.env.AWS_REGION || 'eu-central-1' });
 
 /**
@@ -235,7 +239,7 @@ async function checkQuota(userSub, user, plan) {
 /**
  * Check if conversion type is enabled for the plan
  * @param {object} plan - Plan configuration
- * @param {string} inputType - Requested input type ('html', 'markdown', 'image')
+ * @param {string} inputType - Requested input type ('html', 'markdown', 'image', 'template', 'url', 'pdf_merge')
  * @returns {Promise<{allowed: boolean, error: object|null}>}
  */
 async function checkConversionType(plan, inputType) {
@@ -274,6 +278,112 @@ async function checkConversionType(plan, inputType) {
   }
 }
 
+/**
+ * Check if an output profile (e.g. 'pdfa-2b') is enabled for the plan
+ * Without enabled_output_profiles, paid plans get all profiles and free plans none.
+ * @param {object} plan - Plan configuration
+ * @param {string|undefined} outputProfile - Requested output profile (options.output_profile)
+ * @param {object|null} requiredWatermark - Watermark from getRequiredWatermark
+ * @returns {{allowed: boolean, error: object|null}}
+ */
+function checkOutputProfile(plan, outputProfile, requiredWatermark = null) {
+  if (!outputProfile) {
+    return { allowed: true, error: null };
+  }
+
+  // Text watermarks use a standard font, which PDF/A requires to be embedded
+  if (requiredWatermark && requiredWatermark.text) {
+    return {
+      allowed: false,
+      error: BadRequest.INVALID_PARAMETER(
+        'options.output_profile',
+        'Cannot be used with the text watermark required by your plan or test API key'
+      ),
+    };
+  }
+
+  let enabledProfiles;
+  if (plan && Array.isArray(plan.enabled_output_profiles)) {
+    enabledProfiles = plan.enabled_output_profiles.map(p => String(p).toLowerCase());
+  } else {
+    const planType = plan?.type ? String(plan.type).toLowerCase().trim() : 'free';
+    enabledProfiles = planType === 'paid' ? OUTPUT_PROFILES : [];
+  }
+
+  if (enabledProfiles.includes(outputProfile)) {
+    return { allowed: true, error: null };
+  }
+
+  return {
+    allowed: false,
+    error: Forbidden.OUTPUT_PROFILE_NOT_ENABLED(outputProfile, enabledProfiles),
+  };
+}
+
+/**
+ * Get the watermark the plan or API key requires on every document
+ * Plans set it with `watermark` (same fields as the watermark option, e.g. { "text": "FREE PLAN" });
+ * test API keys get TEST_KEY_WATERMARK. Requests cannot turn it off; their own watermark is drawn underneath.
+ * @param {object} plan - Plan configuration
+ * @param {object} userInfo - Caller info from extractUserInfo ({isTestKey})
+ * @returns {object|null} Watermark or null
+ */
+function getRequiredWatermark(plan, userInfo) {
+  if (plan && plan.watermark) {
+    return plan.watermark;
+  }
+  if (userInfo && userInfo.isTestKey) {
+    return TEST_KEY_WATERMARK;
+  }
+  return null;
+}
+
+/**
+ * Build the result of a dry run: pages, cost and whether the request would be accepted
+ * Nothing is charged or counted against the quota.
+ * @param {object} estimate - Dry run outcome
+ * @param {object} estimate.user - User record
+ * @param {object} estimate.plan - Plan configuration
+ * @param {number|null} estimate.pages - Page count (null if the document could not be rendered in time)
+ * @param {Array|null} estimate.pageReport - Per-page report (null when the page limit was exceeded)
+ * @param {number} estimate.maxPages - Page limit of the endpoint
+ * @param {Array<object>} estimate.rejections - Error responses of the failed checks, in order
+ * @returns {object} Response body
+ */
+function buildEstimate({ user, plan, pages, pageReport, maxPages, rejections }) {
+  const isPaidPlan = plan && plan.type === 'paid';
+  const costPerPdf = isPaidPlan && plan.price_per_pdf ? plan.price_per_pdf : 0;
+
+  // Free credits are used before prepaid credits (see credit-deduction-processor)
+  let chargedTo = null;
+  if (costPerPdf > 0) {
+    chargedTo = (user.free_credits_remaining || 0) > 0 ? 'free_credits' : 'credits';
+  }
+
+  const quotaLimit = plan.monthly_quota || FREE_TIER_QUOTA;
+  const quotaUsed = user.total_pdf_count || 0;
+
+  return {
+    dry_run: true,
+    accepted: rejections.length === 0,
+    pages,
+    max_pages: maxPages,
+    page_report: pageReport,
+    cost: costPerPdf,
+    charged_to: chargedTo,
+    credits_balance: isPaidPlan ? (user.credits_balance || 0) : null,
+    quota: isPaidPlan ? null : {
+      used: quotaUsed,
+      limit: quotaLimit,
+      remaining: Math.max(quotaLimit - quotaUsed, 0),
+    },
+    rejections: rejections.map((error) => ({
+      status: error.statusCode,
+      ...JSON.parse(error.body).error,
+    })),
+  };
+}
+
 /**
  * Validate user account and enforce business rules
  * @param {string} userSub - Cognito user sub
@@ -612,7 +722,10 @@ module.exports = {
   checkRateLimit,
   checkQuota,
   checkConversionType,
+  checkOutputProfile,
+  getRequiredWatermark,
   checkCredits,
+  buildEstimate,
   queueCreditDeduction,
   validateUserAndPlan,
   purchaseCredits,
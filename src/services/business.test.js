@@ -44,6 +44,9 @@ process.env.RATE_LIMIT_PER_MINUTE = '20';
 // Import modules after mocks are set up
 let checkQuota;
 let checkCredits;
+let checkOutputProfile;
+let getRequiredWatermark;
+let buildEstimate;
 
 beforeAll(async () => {
   // CRITICAL: First, ensure the dynamodb module is loaded and cached
@@ -70,6 +73,9 @@ beforeAll(async () => {
   const businessModule = await import('./business.js');
   checkQuota = businessModule.checkQuota;
   checkCredits = businessModule.checkCredits;
+  checkOutputProfile = businessModule.checkOutputProfile;
+  getRequiredWatermark = businessModule.getRequiredWatermark;
+  buildEstimate = businessModule.buildEstimate;
 });
 
 describe('checkQuota', () => {
@@ -780,3 +786,102 @@ describe('checkCredits', () => {
     });
   });
 });
+
+describe('checkOutputProfile', () => {
+  it('should allow requests without an output profile', () => {
+    expect(checkOutputProfile({ type: 'free' }, undefined).allowed).toBe(true);
+  });
+
+  it('should enable all profiles on paid plans and none on free plans by default', () => {
+    expect(checkOutputProfile({ type: 'paid' }, 'pdfa-2b').allowed).toBe(true);
+
+    const result = checkOutputProfile({ type: 'free' }, 'pdfa-2b');
+    expect(result.allowed).toBe(false);
+    expect(result.error.statusCode).toBe(403);
+    expect(JSON.parse(result.error.body).error.code).toBe('OUTPUT_PROFILE_NOT_ENABLED');
+  });
+
+  it('should use the plan\'s enabled_output_profiles when set', () => {
+    expect(checkOutputProfile({ type: 'free', enabled_output_profiles: ['pdfa-2b'] }, 'pdfa-2b').allowed).toBe(true);
+
+    const result = checkOutputProfile({ type: 'paid', enabled_output_profiles: [] }, 'pdfa-2b');
+    expect(result.allowed).toBe(false);
+    expect(JSON.parse(result.error.body).error.details).toEqual({
+      enabled_profiles: [],
+      requested_profile: 'pdfa-2b',
+    });
+  });
+});
+
+describe('getRequiredWatermark', () => {
+  it('should use the plan watermark before the test key watermark', () => {
+    const watermark = { text: 'PodPDF Free' };
+    expect(getRequiredWatermark({ watermark }, { isTestKey: true })).toBe(watermark);
+  });
+
+  it('should watermark documents from test API keys', () => {
+    expect(getRequiredWatermark({ watermark: null }, { isTestKey: true })).toMatchObject({ text: 'TEST' });
+  });
+
+  it('should not require a watermark otherwise', () => {
+    expect(getRequiredWatermark({ watermark: null }, { isTestKey: false })).toBeNull();
+  });
+});
+
+describe('checkOutputProfile with a required watermark', () => {
+  it('should reject output profiles when a text watermark is required', () => {
+    const result = checkOutputProfile({ type: 'paid' }, 'pdfa-2b', { text: 'TEST' });
+    expect(result.allowed).toBe(false);
+    expect(JSON.parse(result.error.body).error.details.parameter).toBe('options.output_profile');
+
+    expect(checkOutputProfile({ type: 'paid' }, 'pdfa-2b', { image: 'iVBORw0KGgo=' }).allowed).toBe(true);
+  });
+});
+
+describe('buildEstimate', () => {
+  it('should report the remaining quota on free plans', () => {
+    const estimate = buildEstimate({
+      user: { total_pdf_count: 40 },
+      plan: { type: 'free', monthly_quota: 100 },
+      pages: 3,
+      pageReport: [],
+      maxPages: 100,
+      rejections: [],
+    });
+
+    expect(estimate).toMatchObject({ dry_run: true, accepted: true, pages: 3, cost: 0, charged_to: null, credits_balance: null });
+    expect(estimate.quota).toEqual({ used: 40, limit: 100, remaining: 60 });
+  });
+
+  it('should charge free credits before prepaid credits on paid plans', () => {
+    const plan = { type: 'paid', price_per_pdf: 0.01 };
+    const withFreeCredits = buildEstimate({
+      user: { free_credits_remaining: 5, credits_balance: 2 },
+      plan, pages: 1, pageReport: [], maxPages: 100, rejections: [],
+    });
+    expect(withFreeCredits).toMatchObject({ cost: 0.01, charged_to: 'free_credits', credits_balance: 2, quota: null });
+
+    const withoutFreeCredits = buildEstimate({
+      user: { free_credits_remaining: 0, credits_balance: 2 },
+      plan, pages: 1, pageReport: [], maxPages: 100, rejections: [],
+    });
+    expect(withoutFreeCredits.charged_to).toBe('credits');
+  });
+
+  it('should list the failed checks', () => {
+    const quotaError = {
+      statusCode: 403,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: { code: 'QUOTA_EXCEEDED', message: 'Quota exceeded' } }),
+    };
+    const estimate = buildEstimate({
+      user: { total_pdf_count: 100 },
+      plan: { type: 'free', monthly_quota: 100 },
+      pages: 2, pageReport: [], maxPages: 100, rejections: [quotaError],
+    });
+
+    expect(estimate.accepted).toBe(false);
+    expect(estimate.rejections).toEqual([{ status: 403, code: 'QUOTA_EXCEEDED', message: 'Quota exceeded' }]);
+    expect(estimate.quota.remaining).toBe(0);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Render Diagnostics Service
+ * Collects what happened in the page while rendering: console messages, uncaught page errors,
+ * blocked and failed subresources, timings and the error that failed the render (if any).
+ * Stored with the job (jobTracking.saveJobDiagnostics) and returned by GET /jobs/{job_id}/diagnostics.
+ */
+
+// Entries kept per list; further entries are only counted
+const MAX_CONSOLE_MESSAGES = 50;
+const MAX_PAGE_ERRORS = 20;
+
+// Length of a console message, page error or stack trace
+const MAX_TEXT_LENGTH = 1000;
+
+// Console message types that count as warnings
+const WARNING_CONSOLE_TYPES = ['error', 'warning', 'assert'];
+
+// Chromium's own message for failed subresources, already counted in the resource report
+const RESOURCE_ERROR_PREFIX = 'Failed to load resource';
+
+/**
+ * Shorten text to MAX_TEXT_LENGTH characters
+ * @param {*} text - Text
+ * @returns {string} Shortened text
+ */
+function shorten(text) {
+  const value = String(text || '');
+  return value.length > MAX_TEXT_LENGTH ? `${value.slice(0, MAX_TEXT_LENGTH)}...` : value;
+}
+
+/**
+ * Create an empty diagnostics collector for one render
+ * @returns {object} Collector, filled by watchPage and generatePDF
+ */
+function createDiagnostics() {
+  return {
+    console: [],
+    consoleCount: 0,
+    consoleWarnings: 0,
+    pageErrors: [],
+    pageErrorCount: 0,
+    resources: null,
+    timings: null,
+    error: null,
+  };
+}
+
+/**
+ * Record console messages and uncaught errors of a page
+ * @param {object} page - Puppeteer page
+ * @param {object} diagnostics - Collector from createDiagnostics
+ * @returns {void}
+ */
+function watchPage(page, diagnostics) {
+  page.on('console', (message) => {
+    diagnostics.consoleCount += 1;
+    if (WARNING_CONSOLE_TYPES.includes(message.type()) && !message.text().startsWith(RESOURCE_ERROR_PREFIX)) {
+      diagnostics.consoleWarnings += 1;
+    }
+    if (diagnostics.console.length < MAX_CONSOLE_MESSAGES) {
+      const location = message.location();
+      diagnostics.console.push({
+        type: message.type(),
+        text: shorten(message.text()),
+        ...(location && location.url && {
+          location: `${shorten(location.url)}:${(location.lineNumber || 0) + 1}`,
+        }),
+      });
+    }
+  });
+
+  page.on('pageerror', (error) => {
+    diagnostics.pageErrorCount += 1;
+    if (diagnostics.pageErrors.length < MAX_PAGE_ERRORS) {
+      diagnostics.pageErrors.push({
+        message: shorten(error && error.message ? error.message : error),
+        ...(error && error.stack && { stack: shorten(error.stack) }),
+      });
+    }
+  });
+}
+
+/**
+ * Describe the error that failed a render
+ * @param {Error|object} error - Thrown error, or a formatted error response
+ * @returns {{code: string|null, message: string}}
+ */
+function describeError(error) {
+  if (error && error.statusCode && error.body) {
+    try {
+      const { code, message } = JSON.parse(error.body).error;
+      return { code, message: shorten(message) };
+    } catch (parseError) {
+      // Fall through to the generic description
+    }
+  }
+  const message = error && error.message ? error.message : String(error);
+  // Page limit errors are thrown as PAGE_LIMIT_EXCEEDED:count:max
+  if (message.startsWith('PAGE_LIMIT_EXCEEDED:')) {
+    const [, pageCount, maxPages] = message.split(':');
+    return { code: 'PAGE_LIMIT_EXCEEDED', message: `Document has ${pageCount} pages; the maximum is ${maxPages}` };
+  }
+  return { code: null, message: shorten(message) };
+}
+
+/**
+ * Build the diagnostics object stored with the job
+ * `warning_count` adds up console errors and warnings, uncaught page errors, and blocked and failed requests
+ * (Chromium's console messages about failed requests are listed but not counted twice).
+ * @param {object} diagnostics - Collector from createDiagnostics
+ * @returns {object} Diagnostics ({warning_count, console, page_errors, resources, timings, error, ...})
+ */
+function buildDiagnostics(diagnostics) {
+  const resources = diagnostics.resources;
+  const resourceWarnings = resources ? resources.blocked_count + resources.failed_count : 0;
+  return {
+    warning_count: diagnostics.consoleWarnings + diagnostics.pageErrorCount + resourceWarnings,
+    console_count: diagnostics.consoleCount,
+    console: diagnostics.console,
+    page_error_count: diagnostics.pageErrorCount,
+    page_errors: diagnostics.pageErrors,
+    resources,
+    timings: diagnostics.timings,
+    error: diagnostics.error,
+  };
+}
+
+/**
+ * Build response headers summarizing diagnostics
+ * @param {object|null} diagnostics - Diagnostics from buildDiagnostics
+ * @returns {object} Headers (empty if there are no diagnostics)
+ */
+function getDiagnosticsHeaders(diagnostics) {
+  if (!diagnostics) {
+    return {};
+  }
+  return {
+    'X-PDF-Warnings': diagnostics.warning_count.toString(),
+  };
+}
+
+module.exports = {
+  createDiagnostics,
+  watchPage,
+  describeError,
+  buildDiagnostics,
+  getDiagnosticsHeaders,
+  MAX_CONSOLE_MESSAGES,
+  MAX_PAGE_ERRORS,
+};
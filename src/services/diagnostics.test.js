@@ -0,0 +1,115 @@
+/**
+ * Unit tests for diagnostics.js and jobTracking.capDiagnostics - render diagnostics
+ */
+
+import { describe, it, expect } from 'vitest';
+import { EventEmitter } from 'events';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const {
+  createDiagnostics,
+  watchPage,
+  describeError,
+  buildDiagnostics,
+  getDiagnosticsHeaders,
+  MAX_CONSOLE_MESSAGES,
+} = require('./diagnostics.js');
+const { capDiagnostics } = require('./jobTracking.js');
+const { BadRequest } = require('../utils/errors.js');
+
+// Console message with the parts of Puppeteer's ConsoleMessage that are read
+const consoleMessage = (type, text, url = null) => ({
+  type: () => type,
+  text: () => text,
+  location: () => (url ? { url, lineNumber: 4 } : {}),
+});
+
+describe('watchPage', () => {
+  it('should record console messages and page errors', () => {
+    const page = new EventEmitter();
+    const diagnostics = createDiagnostics();
+    watchPage(page, diagnostics);
+
+    page.emit('console', consoleMessage('log', 'ready'));
+    page.emit('console', consoleMessage('warning', 'deprecated API', 'https://example.com/app.js'));
+    page.emit('console', consoleMessage('error', 'Failed to load resource: net::ERR_FAILED', 'https://example.com/logo.png'));
+    page.emit('pageerror', new Error('chart is undefined'));
+
+    const result = buildDiagnostics(diagnostics);
+    expect(result.console).toEqual([
+      { type: 'log', text: 'ready' },
+      { type: 'warning', text: 'deprecated API', location: 'https://example.com/app.js:5' },
+      { type: 'error', text: 'Failed to load resource: net::ERR_FAILED', location: 'https://example.com/logo.png:5' },
+    ]);
+    expect(result.page_errors[0].message).toBe('chart is undefined');
+    // Failed requests are counted by the resource report, not by their console message
+    expect(result.warning_count).toBe(2);
+  });
+
+  it('should keep counting messages beyond the maximum', () => {
+    const page = new EventEmitter();
+    const diagnostics = createDiagnostics();
+    watchPage(page, diagnostics);
+
+    for (let i = 0; i < MAX_CONSOLE_MESSAGES + 5; i++) {
+      page.emit('console', consoleMessage('error', `error ${i}`));
+    }
+
+    const result = buildDiagnostics(diagnostics);
+    expect(result.console).toHaveLength(MAX_CONSOLE_MESSAGES);
+    expect(result.console_count).toBe(MAX_CONSOLE_MESSAGES + 5);
+    expect(result.warning_count).toBe(MAX_CONSOLE_MESSAGES + 5);
+  });
+});
+
+describe('describeError', () => {
+  it('should describe formatted errors, page limit errors and other errors', () => {
+    expect(describeError(BadRequest.URL_LOAD_FAILED('https://example.com', 'Server responded with HTTP 500', 500)))
+      .toMatchObject({ code: 'URL_LOAD_FAILED' });
+    expect(describeError(new Error('PAGE_LIMIT_EXCEEDED:120:100')))
+      .toEqual({ code: 'PAGE_LIMIT_EXCEEDED', message: 'Document has 120 pages; the maximum is 100' });
+    expect(describeError(new Error('Target closed'))).toEqual({ code: null, message: 'Target closed' });
+  });
+});
+
+describe('buildDiagnostics', () => {
+  it('should count blocked and failed requests as warnings', () => {
+    const diagnostics = createDiagnostics();
+    diagnostics.resources = { blocked_count: 2, failed_count: 1, blocked: [], failed: [] };
+
+    expect(buildDiagnostics(diagnostics).warning_count).toBe(3);
+    expect(getDiagnosticsHeaders(buildDiagnostics(diagnostics))).toEqual({ 'X-PDF-Warnings': '3' });
+    expect(getDiagnosticsHeaders(null)).toEqual({});
+  });
+});
+
+describe('capDiagnostics', () => {
+  it('should keep small diagnostics unchanged', () => {
+    const diagnostics = buildDiagnostics(createDiagnostics());
+    expect(capDiagnostics(diagnostics)).toEqual(diagnostics);
+  });
+
+  it('should drop entries until the diagnostics fit', () => {
+    const diagnostics = createDiagnostics();
+    diagnostics.console = Array.from({ length: 50 }, () => ({ type: 'log', text: 'x'.repeat(1000) }));
+    diagnostics.consoleCount = 50;
+    diagnostics.pageErrors = Array.from({ length: 20 }, () => ({ message: 'y'.repeat(1000), stack: 'z'.repeat(1000) }));
+    diagnostics.pageErrorCount = 20;
+    diagnostics.resources = {
+      blocked_count: 20,
+      failed_count: 0,
+      blocked: Array.from({ length: 20 }, () => ({ url: `https://example.com/${'a'.repeat(500)}`, reason: 'Blocked' })),
+      failed: [],
+    };
+
+    const capped = capDiagnostics(buildDiagnostics(diagnostics));
+
+    expect(Buffer.byteLength(JSON.stringify(capped))).toBeLessThanOrEqual(64 * 1024);
+    expect(capped.trimmed).toBe(true);
+    expect(capped.console.length).toBeLessThan(50);
+    expect(capped.console_count).toBe(50);
+    expect(capped.page_errors).toHaveLength(20);
+    expect(diagnostics.console).toHaveLength(50);
+  });
+});
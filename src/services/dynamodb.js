@@ -23,20 +23,26 @@ async function getItem(tableName, key) {
 
 /**
  * Put an item into a table
+ * With a condition expression the put fails with ConditionalCheckFailedException when it is not met
  */
-async function putItem(tableName, item) {
-  const command = new PutCommand({
+async function putItem(tableName, item, conditionExpression = null) {
+  const params = {
     TableName: tableName,
     Item: item,
-  });
+  };
+  if (conditionExpression) {
+    params.ConditionExpression = conditionExpression;
+  }
+  const command = new PutCommand(params);
   await docClient.send(command);
   return item;
 }
 
 /**
  * Update an item in a table
+ * With a condition expression the update fails with ConditionalCheckFailedException when it is not met
  */
-async function updateItem(tableName, key, updateExpression, expressionAttributeValues, expressionAttributeNames = {}) {
+async function updateItem(tableName, key, updateExpression, expressionAttributeValues, expressionAttributeNames = {}, conditionExpression = null) {
   const params = {
     TableName: tableName,
     Key: key,
@@ -49,6 +55,9 @@ async function updateItem(tableName, key, updateExpression, expressionAttributeV
   if (expressionAttributeNames && Object.keys(expressionAttributeNames).length > 0) {
     params.ExpressionAttributeNames = expressionAttributeNames;
   }
+  if (conditionExpression) {
+    params.ConditionExpression = conditionExpression;
+  }
   
   const command = new UpdateCommand(params);
   const response = await docClient.send(command);
@@ -99,6 +108,32 @@ async function query(tableName, keyConditionExpression, expressionAttributeValue
   };
 }
 
+/**
+ * Count the items matching a key condition, following every page of the query
+ */
+async function countItems(tableName, keyConditionExpression, expressionAttributeValues, indexName = null) {
+  let count = 0;
+  let exclusiveStartKey;
+  do {
+    const params = {
+      TableName: tableName,
+      KeyConditionExpression: keyConditionExpression,
+      ExpressionAttributeValues: expressionAttributeValues,
+      Select: 'COUNT',
+    };
+    if (indexName) {
+      params.IndexName = indexName;
+    }
+    if (exclusiveStartKey) {
+      params.ExclusiveStartKey = exclusiveStartKey;
+    }
+    const response = await docClient.send(new QueryCommand(params));
+    count += response.Count || 0;
+    exclusiveStartKey = response.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+  return count;
+}
+
 /**
  * Scan a table
  */
@@ -149,6 +184,7 @@ module.exports = {
   deleteItem,
   query,
   queryItems,
+  countItems,
   scan,
   batchWrite,
 };
@@ -0,0 +1,44 @@
+/**
+ * Unit tests for dynamodb.js - counting query results
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { countItems } = require('./dynamodb.js');
+
+describe('countItems', () => {
+  const { send } = DynamoDBDocumentClient.prototype;
+
+  afterEach(() => {
+    DynamoDBDocumentClient.prototype.send = send;
+  });
+
+  it('should add up the counts of every page of the query', async () => {
+    const pages = [
+      { Count: 100, LastEvaluatedKey: { template_id: 't100' } },
+      { Count: 100, LastEvaluatedKey: { template_id: 't200' } },
+      { Count: 7 },
+    ];
+    const sent = vi.fn(async () => pages.shift());
+    DynamoDBDocumentClient.prototype.send = sent;
+
+    const count = await countItems('templates', 'user_id = :user_id', { ':user_id': 'user-1' }, 'UserIdIndex');
+
+    expect(count).toBe(207);
+    expect(sent).toHaveBeenCalledTimes(3);
+    expect(sent.mock.calls[0][0].input).toMatchObject({ Select: 'COUNT', IndexName: 'UserIdIndex' });
+    expect(sent.mock.calls[0][0].input.ExclusiveStartKey).toBeUndefined();
+    expect(sent.mock.calls[2][0].input.ExclusiveStartKey).toEqual({ template_id: 't200' });
+  });
+
+  it('should let query errors through', async () => {
+    DynamoDBDocumentClient.prototype.send = async () => {
+      throw new Error('Throughput exceeded');
+    };
+
+    await expect(countItems('templates', 'user_id = :user_id', { ':user_id': 'user-1' })).rejects.toThrow('Throughput exceeded');
+  });
+});
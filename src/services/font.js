@@ -0,0 +1,478 @@
+/**
+ * Font Service
+ * Per-account custom font library: font files are validated, stored in the assets bucket
+ * and registered with @font-face for every render of the account
+ */
+
+const { putItem, getItem, deleteItem, query } = require('./dynamodb');
+const { uploadAsset, downloadAsset, deleteAsset } = require('./s3');
+const { generateULID } = require('../utils/ulid');
+const { Forbidden, BadRequest, NotFound } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const FONTS_TABLE = process.env.FONTS_TABLE;
+
+// Downloaded font files kept in memory across warm invocations (fonts are immutable)
+const FONT_CACHE_MAX_BYTES = parseInt(process.env.FONT_CACHE_MAX_MB || '100', 10) * 1024 * 1024;
+const fontCache = new Map();
+let fontCacheBytes = 0;
+
+const FONT_CONTENT_TYPES = {
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  woff2: 'font/woff2',
+};
+
+// Family names end up inside CSS strings, so only allow characters that need no escaping
+const FAMILY_PATTERN = /^[\p{L}\p{N} _.-]{1,100}$/u;
+
+/**
+ * Get font limits for a plan
+ * @param {object} plan - Plan configuration
+ * @returns {{maxFonts: number, maxFontSizeMb: number}}
+ */
+function getFontLimits(plan) {
+  const planType = plan?.type ? String(plan.type).toLowerCase().trim() : 'free';
+  const isPaid = planType === 'paid';
+
+  return {
+    maxFonts: plan && plan.max_fonts !== undefined && plan.max_fonts !== null
+      ? plan.max_fonts
+      : (isPaid ? 25 : 3),
+    maxFontSizeMb: plan && plan.max_font_size_mb !== undefined && plan.max_font_size_mb !== null
+      ? plan.max_font_size_mb
+      : (isPaid ? 10 : 2),
+  };
+}
+
+/**
+ * Read the table directory of a TrueType/OpenType (sfnt) font
+ * @param {Buffer} buffer - Font file
+ * @returns {Map|null} Table tag -> {offset, length}, or null if the directory is malformed
+ */
+function readSfntTables(buffer) {
+  if (buffer.length < 12) {
+    return null;
+  }
+
+  const numTables = buffer.readUInt16BE(4);
+  if (numTables === 0 || buffer.length < 12 + numTables * 16) {
+    return null;
+  }
+
+  const tables = new Map();
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    const tag = buffer.toString('latin1', record, record + 4);
+    const offset = buffer.readUInt32BE(record + 8);
+    const length = buffer.readUInt32BE(record + 12);
+    if (offset + length > buffer.length) {
+      return null;
+    }
+    tables.set(tag, { offset, length });
+  }
+  return tables;
+}
+
+/**
+ * Read the family name from the sfnt 'name' table
+ * Prefers the typographic family (ID 16) over the legacy family (ID 1), and Windows Unicode over Mac Roman.
+ * @param {Buffer} buffer - Font file
+ * @param {{offset: number, length: number}} nameTable - Location of the 'name' table
+ * @returns {string|null} Family name
+ */
+function readFamilyName(buffer, nameTable) {
+  const { offset, length } = nameTable;
+  if (length < 6) {
+    return null;
+  }
+
+  const count = buffer.readUInt16BE(offset + 2);
+  const stringOffset = offset + buffer.readUInt16BE(offset + 4);
+  const candidates = [];
+
+  for (let i = 0; i < count && offset + 6 + (i + 1) * 12 <= offset + length; i++) {
+    const record = offset + 6 + i * 12;
+    const platformId = buffer.readUInt16BE(record);
+    const nameId = buffer.readUInt16BE(record + 6);
+    const strLength = buffer.readUInt16BE(record + 8);
+    const strOffset = stringOffset + buffer.readUInt16BE(record + 10);
+    if ((nameId !== 1 && nameId !== 16) || strOffset + strLength > buffer.length) {
+      continue;
+    }
+
+    let value = null;
+    if (platformId === 3 || platformId === 0) {
+      // UTF-16BE
+      const bytes = Buffer.from(buffer.subarray(strOffset, strOffset + strLength));
+      value = bytes.swap16().toString('utf16le');
+    } else if (platformId === 1) {
+      value = buffer.toString('latin1', strOffset, strOffset + strLength);
+    }
+
+    if (value) {
+      candidates.push({ value: value.trim(), rank: (nameId === 16 ? 0 : 2) + (platformId === 1 ? 1 : 0) });
+    }
+  }
+
+  candidates.sort((a, b) => a.rank - b.rank);
+  return candidates.length > 0 ? candidates[0].value : null;
+}
+
+/**
+ * Validate a font file and detect its format
+ * TTF/OTF files must have a well-formed table directory with the tables every font needs;
+ * WOFF2 files must have a consistent header. Collections (TTC) and WOFF 1.0 are not supported.
+ * @param {Buffer} buffer - Font file
+ * @returns {{isValid: boolean, error: object|null, format: string|null, family: string|null}}
+ */
+function inspectFontFile(buffer) {
+  const invalid = (reason) => ({ isValid: false, error: BadRequest.INVALID_FONT(reason), format: null, family: null });
+
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return invalid('File is empty or too small to be a font');
+  }
+
+  const signature = buffer.toString('latin1', 0, 4);
+
+  if (signature === 'wOF2') {
+    if (buffer.length < 48 || buffer.readUInt32BE(8) !== buffer.length) {
+      return invalid('WOFF2 header is malformed or the file is truncated');
+    }
+    if (buffer.readUInt16BE(12) === 0) {
+      return invalid('WOFF2 file contains no tables');
+    }
+    return { isValid: true, error: null, format: 'woff2', family: null };
+  }
+
+  if (signature === 'ttcf') {
+    return invalid('Font collections (.ttc) are not supported; upload each font as a separate TTF/OTF file');
+  }
+  if (signature === 'wOFF') {
+    return invalid('WOFF 1.0 is not supported; upload TTF, OTF or WOFF2');
+  }
+
+  const isTrueType = buffer.readUInt32BE(0) === 0x00010000 || signature === 'true';
+  const isOpenType = signature === 'OTTO';
+  if (!isTrueType && !isOpenType) {
+    return invalid('Unrecognized font format; upload TTF, OTF or WOFF2');
+  }
+
+  const tables = readSfntTables(buffer);
+  if (!tables) {
+    return invalid('Font table directory is malformed or the file is truncated');
+  }
+
+  const requiredTables = ['cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name'];
+  const missing = requiredTables.filter((tag) => !tables.has(tag));
+  if (missing.length > 0) {
+    return invalid(`Font is missing required tables: ${missing.join(', ')}`);
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    format: isOpenType ? 'otf' : 'ttf',
+    family: readFamilyName(buffer, tables.get('name')),
+  };
+}
+
+/**
+ * Validate the descriptor fields of a font upload
+ * @param {object} fields - {family, weight, style}
+ * @returns {{isValid: boolean, error: object|null, data: object|null}}
+ */
+function validateFontFields(fields) {
+  const { family, weight, style } = fields;
+
+  if (typeof family !== 'string' || !FAMILY_PATTERN.test(family.trim())) {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_PARAMETER('family', 'Must be 1-100 letters, digits, spaces, dots, hyphens or underscores'),
+      data: null,
+    };
+  }
+
+  let fontWeight = 400;
+  if (weight !== undefined && weight !== null && weight !== '') {
+    fontWeight = weight === 'normal' ? 400 : weight === 'bold' ? 700 : Number(weight);
+    if (!Number.isInteger(fontWeight) || fontWeight < 1 || fontWeight > 1000) {
+      return {
+        isValid: false,
+        error: BadRequest.INVALID_PARAMETER('weight', 'Must be an integer between 1 and 1000, "normal" or "bold"'),
+        data: null,
+      };
+    }
+  }
+
+  const fontStyle = style === undefined || style === null || style === '' ? 'normal' : style;
+  if (fontStyle !== 'normal' && fontStyle !== 'italic') {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_PARAMETER('style', 'Must be "normal" or "italic"'),
+      data: null,
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    data: { family: family.trim(), weight: fontWeight, style: fontStyle },
+  };
+}
+
+/**
+ * Build API response object from a font record
+ * @param {object} font - Font record
+ * @returns {object} Font response
+ */
+function formatFont(font) {
+  return {
+    font_id: font.font_id,
+    family: font.family,
+    weight: font.weight,
+    style: font.style,
+    format: font.format,
+    filename: font.filename || null,
+    size_bytes: font.size_bytes,
+    created_at: font.created_at,
+  };
+}
+
+/**
+ * List font records for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<array>} Font records
+ */
+async function getFontRecords(userId) {
+  const result = await query(
+    FONTS_TABLE,
+    'user_id = :user_id',
+    { ':user_id': userId },
+    'UserIdIndex'
+  );
+  return result.Items || [];
+}
+
+/**
+ * Upload a font to the account library
+ * @param {string} userId - User ID
+ * @param {object} plan - User's plan configuration
+ * @param {object} upload - {buffer, filename, family, weight, style}; family defaults to the name in the font file
+ * @returns {Promise<object>} Created font
+ */
+async function createFont(userId, plan, upload) {
+  try {
+    const { buffer, filename } = upload;
+    const limits = getFontLimits(plan);
+
+    if (buffer && buffer.length > limits.maxFontSizeMb * 1024 * 1024) {
+      throw BadRequest.FONT_TOO_LARGE(buffer.length, limits.maxFontSizeMb);
+    }
+
+    const inspection = inspectFontFile(buffer);
+    if (!inspection.isValid) {
+      throw inspection.error;
+    }
+
+    const family = upload.family || inspection.family;
+    if (!family) {
+      throw BadRequest.INVALID_PARAMETER('family', 'family is required when it cannot be read from the font file (e.g. WOFF2)');
+    }
+
+    const fields = validateFontFields({ family, weight: upload.weight, style: upload.style });
+    if (!fields.isValid) {
+      throw fields.error;
+    }
+
+    // Check font limit
+    const currentCount = (await getFontRecords(userId)).length;
+    if (currentCount >= limits.maxFonts) {
+      throw Forbidden.FONT_LIMIT_EXCEEDED(
+        plan?.plan_id || 'free-basic',
+        plan?.type || 'free',
+        currentCount,
+        limits.maxFonts
+      );
+    }
+
+    const fontId = generateULID();
+    const s3Key = `fonts/${userId}/${fontId}.${inspection.format}`;
+    await uploadAsset(s3Key, buffer, FONT_CONTENT_TYPES[inspection.format]);
+
+    const font = {
+      font_id: fontId,
+      user_id: userId,
+      ...fields.data,
+      format: inspection.format,
+      filename: typeof filename === 'string' ? filename.slice(0, 255) : null,
+      size_bytes: buffer.length,
+      s3_key: s3Key,
+      created_at: new Date().toISOString(),
+    };
+    await putItem(FONTS_TABLE, font);
+
+    logger.info('Font created', {
+      fontId,
+      userId,
+      family: font.family,
+      format: font.format,
+      sizeBytes: font.size_bytes,
+    });
+
+    return formatFont(font);
+  } catch (error) {
+    logger.error('Error creating font', {
+      error: error.message,
+      userId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get a font and verify it belongs to the user
+ * @param {string} fontId - Font ID
+ * @param {string} userId - User ID
+ * @returns {Promise<{font: object|null, error: object|null}>}
+ */
+async function verifyFontOwnership(fontId, userId) {
+  let font = null;
+  try {
+    font = await getItem(FONTS_TABLE, { font_id: fontId });
+  } catch (error) {
+    logger.error('Error getting font', {
+      error: error.message,
+      fontId,
+    });
+  }
+
+  // Fonts of other users are reported as not found to avoid leaking IDs
+  if (!font || font.user_id !== userId) {
+    return { font: null, error: NotFound.FONT_NOT_FOUND(fontId) };
+  }
+
+  return { font, error: null };
+}
+
+/**
+ * List fonts for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<{fonts: array, count: number}>}
+ */
+async function listFonts(userId) {
+  try {
+    const fonts = (await getFontRecords(userId))
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .map(formatFont);
+
+    return { fonts, count: fonts.length };
+  } catch (error) {
+    logger.error('Error listing fonts', {
+      error: error.message,
+      userId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Delete a font from the library and the assets bucket
+ * @param {string} fontId - Font ID
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function deleteFont(fontId, userId) {
+  try {
+    const { font, error } = await verifyFontOwnership(fontId, userId);
+    if (error) {
+      throw error;
+    }
+
+    // Delete the record first so the font is no longer registered for renders, then the file
+    await deleteItem(FONTS_TABLE, { font_id: fontId });
+    await deleteAsset(font.s3_key);
+    const cached = fontCache.get(font.s3_key);
+    if (cached) {
+      fontCache.delete(font.s3_key);
+      fontCacheBytes -= cached.length;
+    }
+
+    logger.info('Font deleted', { fontId, userId });
+  } catch (error) {
+    logger.error('Error deleting font', {
+      error: error.message,
+      fontId,
+      userId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Download a font file, using the warm-invocation cache
+ * @param {string} s3Key - S3 key of the font file
+ * @returns {Promise<Buffer>} Font file
+ */
+async function loadFontFile(s3Key) {
+  if (fontCache.has(s3Key)) {
+    return fontCache.get(s3Key);
+  }
+
+  const buffer = await downloadAsset(s3Key);
+
+  // Evict oldest entries to stay within the cache budget
+  for (const [key, cached] of fontCache) {
+    if (fontCacheBytes + buffer.length <= FONT_CACHE_MAX_BYTES) {
+      break;
+    }
+    fontCache.delete(key);
+    fontCacheBytes -= cached.length;
+  }
+  if (buffer.length <= FONT_CACHE_MAX_BYTES) {
+    fontCache.set(s3Key, buffer);
+    fontCacheBytes += buffer.length;
+  }
+
+  return buffer;
+}
+
+/**
+ * Get the fonts to register for a render of the account
+ * Files are downloaded lazily (load()), only when the document uses the font.
+ * A library lookup failure never fails the render; the document is printed without account fonts.
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<{font_id, family, weight, style, format, contentType, load}>>}
+ */
+async function loadAccountFonts(userId) {
+  try {
+    const records = await getFontRecords(userId);
+    return records.map((font) => ({
+      font_id: font.font_id,
+      family: font.family,
+      weight: font.weight,
+      style: font.style,
+      format: font.format,
+      contentType: FONT_CONTENT_TYPES[font.format],
+      load: () => loadFontFile(font.s3_key),
+    }));
+  } catch (error) {
+    logger.warn('Error loading account fonts, rendering without them', {
+      error: error.message,
+      userId,
+    });
+    return [];
+  }
+}
+
+module.exports = {
+  createFont,
+  verifyFontOwnership,
+  listFonts,
+  deleteFont,
+  loadAccountFonts,
+  inspectFontFile,
+  validateFontFields,
+  getFontLimits,
+  formatFont,
+};
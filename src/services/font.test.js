@@ -0,0 +1,223 @@
+/**
+ * Unit tests for font.js - font file inspection, upload fields, plan limits and the font file cache
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const {
+  inspectFontFile,
+  validateFontFields,
+  getFontLimits,
+} = require('./font.js');
+
+/**
+ * Parse the error body of a formatted error response
+ */
+function errorOf(result) {
+  return JSON.parse(result.error.body).error;
+}
+
+/**
+ * Build a minimal sfnt font: table directory plus a 'name' table carrying the family name
+ */
+function buildSfnt(signature, tags, family = 'Brand Sans') {
+  const familyBytes = Buffer.from(family, 'utf16le').swap16();
+  const nameTable = Buffer.alloc(6 + 12 + familyBytes.length);
+  nameTable.writeUInt16BE(0, 0); // format
+  nameTable.writeUInt16BE(1, 2); // count
+  nameTable.writeUInt16BE(18, 4); // string storage offset
+  nameTable.writeUInt16BE(3, 6); // platform: Windows
+  nameTable.writeUInt16BE(1, 8); // encoding: Unicode BMP
+  nameTable.writeUInt16BE(0x409, 10); // language
+  nameTable.writeUInt16BE(1, 12); // name ID: family
+  nameTable.writeUInt16BE(familyBytes.length, 14);
+  nameTable.writeUInt16BE(0, 16);
+  familyBytes.copy(nameTable, 18);
+
+  const header = Buffer.alloc(12 + tags.length * 16);
+  if (signature === 'ttf') {
+    header.writeUInt32BE(0x00010000, 0);
+  } else {
+    header.write(signature, 0, 'latin1');
+  }
+  header.writeUInt16BE(tags.length, 4);
+
+  const tables = [];
+  let offset = header.length;
+  tags.forEach((tag, i) => {
+    const data = tag === 'name' ? nameTable : Buffer.alloc(4);
+    const record = 12 + i * 16;
+    header.write(tag, record, 'latin1');
+    header.writeUInt32BE(offset, record + 8);
+    header.writeUInt32BE(data.length, record + 12);
+    tables.push(data);
+    offset += data.length;
+  });
+
+  return Buffer.concat([header, ...tables]);
+}
+
+const REQUIRED_TABLES = ['cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name'];
+
+describe('inspectFontFile', () => {
+  it('accepts a TrueType font and reads its family name', () => {
+    const result = inspectFontFile(buildSfnt('ttf', REQUIRED_TABLES));
+    expect(result.isValid).toBe(true);
+    expect(result.format).toBe('ttf');
+    expect(result.family).toBe('Brand Sans');
+  });
+
+  it('detects OpenType (CFF) fonts', () => {
+    const result = inspectFontFile(buildSfnt('OTTO', [...REQUIRED_TABLES, 'CFF ']));
+    expect(result.isValid).toBe(true);
+    expect(result.format).toBe('otf');
+  });
+
+  it('accepts a WOFF2 file with a consistent header', () => {
+    const buffer = Buffer.alloc(64);
+    buffer.write('wOF2', 0, 'latin1');
+    buffer.writeUInt32BE(64, 8);
+    buffer.writeUInt16BE(10, 12);
+    const result = inspectFontFile(buffer);
+    expect(result.isValid).toBe(true);
+    expect(result.format).toBe('woff2');
+  });
+
+  it('rejects a WOFF2 file whose length does not match its header', () => {
+    const buffer = Buffer.alloc(64);
+    buffer.write('wOF2', 0, 'latin1');
+    buffer.writeUInt32BE(128, 8);
+    buffer.writeUInt16BE(10, 12);
+    expect(errorOf(inspectFontFile(buffer)).code).toBe('INVALID_FONT');
+  });
+
+  it('rejects files that are not fonts', () => {
+    const result = inspectFontFile(Buffer.from('<html><body>not a font</body></html>'));
+    expect(result.isValid).toBe(false);
+    expect(errorOf(result).message).toContain('Unrecognized font format');
+  });
+
+  it('rejects truncated fonts', () => {
+    const font = buildSfnt('ttf', REQUIRED_TABLES);
+    const result = inspectFontFile(font.subarray(0, font.length - 10));
+    expect(result.isValid).toBe(false);
+    expect(errorOf(result).message).toContain('truncated');
+  });
+
+  it('rejects fonts missing required tables', () => {
+    const result = inspectFontFile(buildSfnt('ttf', ['cmap', 'head', 'name']));
+    expect(result.isValid).toBe(false);
+    expect(errorOf(result).message).toContain('hhea, hmtx, maxp');
+  });
+
+  it('rejects font collections and WOFF 1.0', () => {
+    expect(errorOf(inspectFontFile(buildSfnt('ttcf', REQUIRED_TABLES))).message).toContain('collections');
+    expect(errorOf(inspectFontFile(buildSfnt('wOFF', REQUIRED_TABLES))).message).toContain('WOFF 1.0');
+  });
+
+  it('rejects empty input', () => {
+    expect(inspectFontFile(Buffer.alloc(0)).isValid).toBe(false);
+    expect(inspectFontFile(null).isValid).toBe(false);
+  });
+});
+
+describe('validateFontFields', () => {
+  it('applies weight and style defaults', () => {
+    const result = validateFontFields({ family: ' Brand Sans ' });
+    expect(result.isValid).toBe(true);
+    expect(result.data).toEqual({ family: 'Brand Sans', weight: 400, style: 'normal' });
+  });
+
+  it('accepts numeric and keyword weights', () => {
+    expect(validateFontFields({ family: 'Brand', weight: '600' }).data.weight).toBe(600);
+    expect(validateFontFields({ family: 'Brand', weight: 'bold' }).data.weight).toBe(700);
+    expect(validateFontFields({ family: 'Brand', weight: 'normal' }).data.weight).toBe(400);
+  });
+
+  it('rejects out-of-range or non-integer weights', () => {
+    expect(errorOf(validateFontFields({ family: 'Brand', weight: '1001' })).details.parameter).toBe('weight');
+    expect(validateFontFields({ family: 'Brand', weight: 'heavy' }).isValid).toBe(false);
+    expect(validateFontFields({ family: 'Brand', weight: '450.5' }).isValid).toBe(false);
+  });
+
+  it('only accepts normal and italic styles', () => {
+    expect(validateFontFields({ family: 'Brand', style: 'italic' }).data.style).toBe('italic');
+    expect(errorOf(validateFontFields({ family: 'Brand', style: 'oblique' })).details.parameter).toBe('style');
+  });
+
+  it('rejects family names that would need CSS escaping', () => {
+    expect(validateFontFields({ family: 'Brand"; } body { color: red' }).isValid).toBe(false);
+    expect(validateFontFields({ family: '' }).isValid).toBe(false);
+    expect(validateFontFields({}).isValid).toBe(false);
+    expect(validateFontFields({ family: 'Noto Sans JP' }).isValid).toBe(true);
+  });
+});
+
+describe('getFontLimits', () => {
+  it('uses free plan defaults', () => {
+    expect(getFontLimits({ type: 'free' })).toEqual({ maxFonts: 3, maxFontSizeMb: 2 });
+    expect(getFontLimits(null)).toEqual({ maxFonts: 3, maxFontSizeMb: 2 });
+  });
+
+  it('uses paid plan defaults', () => {
+    expect(getFontLimits({ type: 'paid' })).toEqual({ maxFonts: 25, maxFontSizeMb: 10 });
+  });
+
+  it('prefers limits configured on the plan', () => {
+    expect(getFontLimits({ type: 'paid', max_fonts: 100, max_font_size_mb: 20 })).toEqual({ maxFonts: 100, maxFontSizeMb: 20 });
+    expect(getFontLimits({ type: 'free', max_fonts: 0 })).toEqual({ maxFonts: 0, maxFontSizeMb: 2 });
+  });
+});
+
+describe('font file cache', () => {
+  const fonts = ['font-c', 'font-a', 'font-b'].map((fontId) => ({
+    font_id: fontId,
+    user_id: 'user-1',
+    family: fontId,
+    format: 'woff2',
+    s3_key: `fonts/user-1/${fontId}.woff2`,
+  }));
+  const mocks = {
+    './dynamodb.js': {
+      getItem: vi.fn(async (tableName, key) => fonts.find((font) => font.font_id === key.font_id)),
+      query: vi.fn(async () => ({ Items: fonts })),
+      deleteItem: vi.fn(),
+    },
+    './s3.js': {
+      downloadAsset: vi.fn(async () => Buffer.alloc(400 * 1024)),
+      deleteAsset: vi.fn(),
+    },
+  };
+  let font;
+
+  beforeAll(() => {
+    // A fresh font.js with a 1 MB cache, loaded after its helpers are patched in the module cache
+    process.env.FONT_CACHE_MAX_MB = '1';
+    for (const [path, exports] of Object.entries(mocks)) {
+      Object.assign(require(path), exports);
+    }
+    delete require.cache[require.resolve('./font.js')];
+    font = require('./font.js');
+  });
+
+  afterAll(() => {
+    delete process.env.FONT_CACHE_MAX_MB;
+  });
+
+  it('frees the cache budget of deleted fonts', async () => {
+    const { downloadAsset } = mocks['./s3.js'];
+    const [fontC, fontA, fontB] = await font.loadAccountFonts('user-1');
+    await fontC.load();
+    await fontA.load();
+
+    await font.deleteFont('font-a', 'user-1');
+    await fontB.load();
+    expect(downloadAsset).toHaveBeenCalledTimes(3);
+
+    // 800 KB of 1 MB is cached, so loading font-b had no reason to evict font-c
+    await fontC.load();
+    expect(downloadAsset).toHaveBeenCalledTimes(3);
+  });
+});
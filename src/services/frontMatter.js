@@ -0,0 +1,102 @@
+/**
+ * Front Matter Service
+ * Parses a leading YAML front-matter block in Markdown documents.
+ * The block declares document metadata (title, author, ...) and render options (format, margin, theme, ...);
+ * request options win over the document's own values.
+ */
+
+const yaml = require('js-yaml');
+const { BadRequest } = require('../utils/errors');
+
+// Front matter fields describing the document rather than render options
+const METADATA_FIELDS = ['title', 'author', 'subject', 'keywords', 'language'];
+
+// Opening `---` line, YAML, closing `---` (or `...`) line; a UTF-8 BOM before it is allowed
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+const EMPTY_FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+// First line of a front-matter block: a `key:` or a comment. Documents that merely start with a
+// `---` horizontal rule (e.g. followed by a setext heading) are left as Markdown.
+const FIRST_FIELD_PATTERN = /^\s*(#|[A-Za-z_][\w-]*[ \t]*:(\s|$))/;
+
+/**
+ * Check that parsed YAML is a plain tree
+ * Anchors and aliases reuse the same value, which could expand to a huge options object once serialized
+ * @param {*} value - Parsed YAML value
+ * @param {Set} seen - Objects already visited
+ * @returns {boolean} Whether no object appears twice
+ */
+function isPlainTree(value, seen = new Set()) {
+  if (!value || typeof value !== 'object') {
+    return true;
+  }
+  if (seen.has(value)) {
+    return false;
+  }
+  seen.add(value);
+  return Object.values(value).every((child) => isPlainTree(child, seen));
+}
+
+/**
+ * Parse the front matter of a Markdown document
+ * Documents without a front-matter block are returned unchanged with empty metadata and options.
+ * @param {string} markdown - Markdown content
+ * @returns {{isValid: boolean, error: object|null, data: {body: string, metadata: object, options: object}|null}}
+ */
+function parseFrontMatter(markdown) {
+  const match = FRONT_MATTER_PATTERN.exec(markdown) || EMPTY_FRONT_MATTER_PATTERN.exec(markdown);
+  if (!match || (match[1] && !FIRST_FIELD_PATTERN.test(match[1]))) {
+    return { isValid: true, error: null, data: { body: markdown, metadata: {}, options: {} } };
+  }
+
+  let attributes;
+  try {
+    // Core schema: plain JSON-like values, no timestamps or custom types
+    attributes = match[1] ? yaml.load(match[1], { schema: yaml.CORE_SCHEMA }) : null;
+  } catch (error) {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_FRONT_MATTER(error.reason || error.message, error.mark ? error.mark.line + 2 : null),
+      data: null,
+    };
+  }
+
+  if (attributes === null || attributes === undefined) {
+    attributes = {};
+  }
+  if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_FRONT_MATTER('Front matter must be a mapping of fields to values'),
+      data: null,
+    };
+  }
+  if (!isPlainTree(attributes)) {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_FRONT_MATTER('YAML anchors and aliases are not supported'),
+      data: null,
+    };
+  }
+
+  const metadata = {};
+  const options = {};
+  for (const [key, value] of Object.entries(attributes)) {
+    if (METADATA_FIELDS.includes(key)) {
+      metadata[key] = value;
+    } else {
+      options[key] = value;
+    }
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    data: { body: markdown.slice(match[0].length), metadata, options },
+  };
+}
+
+module.exports = {
+  parseFrontMatter,
+  METADATA_FIELDS,
+};
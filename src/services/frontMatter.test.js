@@ -0,0 +1,63 @@
+/**
+ * Unit tests for frontMatter.js - YAML front matter in Markdown documents
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { parseFrontMatter } = require('./frontMatter.js');
+
+/**
+ * Parse the error body of a formatted error response
+ */
+function errorOf(result) {
+  return JSON.parse(result.error.body).error;
+}
+
+describe('parseFrontMatter', () => {
+  it('should split metadata, options and body', () => {
+    const result = parseFrontMatter('---\ntitle: Report\nauthor: [Ann, Bob]\nformat: a5\nmargin:\n  top: 2cm\n---\n# Hello\n');
+
+    expect(result.isValid).toBe(true);
+    expect(result.data.metadata).toEqual({ title: 'Report', author: ['Ann', 'Bob'] });
+    expect(result.data.options).toEqual({ format: 'a5', margin: { top: '2cm' } });
+    expect(result.data.body).toBe('# Hello\n');
+  });
+
+  it('should return documents without front matter unchanged', () => {
+    const markdown = '# Hello\n\n---\n\ntitle: not front matter\n';
+    expect(parseFrontMatter(markdown).data).toEqual({ body: markdown, metadata: {}, options: {} });
+  });
+
+  it('should leave a leading horizontal rule and setext heading alone', () => {
+    const markdown = '---\nA setext heading\n---\nText';
+    expect(parseFrontMatter(markdown).data.body).toBe(markdown);
+  });
+
+  it('should accept a BOM, CRLF line endings, comments and a "..." terminator', () => {
+    const result = parseFrontMatter('\uFEFF---\r\n# Comment\r\ntheme: academic\r\n...\r\nBody');
+    expect(result.data.options).toEqual({ theme: 'academic' });
+    expect(result.data.body).toBe('Body');
+  });
+
+  it('should strip an empty front matter block', () => {
+    expect(parseFrontMatter('---\n---\nBody').data).toEqual({ body: 'Body', metadata: {}, options: {} });
+  });
+
+  it('should not convert dates or other YAML types', () => {
+    expect(parseFrontMatter('---\ntitle: 2024-01-31\n---\n').data.metadata.title).toBe('2024-01-31');
+  });
+
+  it('should report YAML syntax errors with the document line', () => {
+    const error = errorOf(parseFrontMatter('---\ntitle: Report\nmargin: { top: 1cm\n---\nBody'));
+    expect(error.code).toBe('INVALID_FRONT_MATTER');
+    expect(error.details.parameter).toBe('front_matter');
+    expect(error.details.line).toBeGreaterThanOrEqual(3);
+  });
+
+  it('should reject YAML anchors and aliases', () => {
+    const result = parseFrontMatter('---\nmargin: &m { top: 1cm }\ntheme_overrides: *m\n---\n');
+    expect(errorOf(result).message).toContain('anchors and aliases');
+  });
+});
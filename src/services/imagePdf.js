@@ -6,6 +6,11 @@
 const sharp = require('sharp');
 const { PDFDocument } = require('pdf-lib');
 const logger = require('../utils/logger');
+const { mergeMetadata, setDocumentMetadata } = require('./pdfMetadata');
+const { PROFILE_CONVERTERS } = require('./pdfa');
+const { encryptPdf } = require('./pdfEncryption');
+const { drawWatermark } = require('./watermark');
+const { describePages } = require('./pdfPages');
 
 const MAX_IMAGES = parseInt(process.env.MAX_IMAGES || '100', 10);
 const MAX_IMAGE_SIZE_MB = parseInt(process.env.MAX_IMAGE_SIZE_MB || '5', 10);
@@ -186,9 +191,11 @@ async function validateImage(buffer, index = 0) {
  * Convert images to PDF using Sharp + pdf-lib
  * @param {Array<{buffer: Buffer, contentType?: string, filename?: string}>} images - Array of image data
  * @param {object} options - PDF options
- * @returns {Promise<{buffer: Buffer, pageCount: number, truncated: boolean}>}
+ * @param {object} metadata - Document metadata from the request ({title, author, subject, keywords, language})
+ * @param {object|null} requiredWatermark - Watermark required by the plan or API key, drawn over options.watermark
+ * @returns {Promise<{buffer: Buffer, pageCount: number, pageReport: Array, truncated: boolean}>}
  */
-async function imagesToPdf(images, options = {}) {
+async function imagesToPdf(images, options = {}, metadata = {}, requiredWatermark = null) {
   const startTime = Date.now();
   
   const {
@@ -279,9 +286,25 @@ async function imagesToPdf(images, options = {}) {
     throw new Error('No valid images to convert to PDF');
   }
   
+  setDocumentMetadata(pdfDoc, mergeMetadata(metadata));
+
+  for (const watermark of [options.watermark, requiredWatermark].filter(Boolean)) {
+    await drawWatermark(pdfDoc, watermark);
+  }
+
+  // Archival output (PDF/A): output intent and XMP; CMYK JPEGs are rejected
+  if (options.output_profile) {
+    await PROFILE_CONVERTERS[options.output_profile](pdfDoc);
+  }
+
   // Save PDF
   const pdfBytes = await pdfDoc.save();
-  const pdfBuffer = Buffer.from(pdfBytes);
+  let pdfBuffer = Buffer.from(pdfBytes);
+
+  // Encryption comes last so everything written before it is encrypted
+  if (options.encryption) {
+    pdfBuffer = await encryptPdf(pdfBuffer, options.encryption);
+  }
   
   const duration = Date.now() - startTime;
   logger.info('Image to PDF conversion completed', {
@@ -296,6 +319,7 @@ async function imagesToPdf(images, options = {}) {
   return {
     buffer: pdfBuffer,
     pageCount: pdfDoc.getPageCount(),
+    pageReport: describePages(pdfDoc),
     truncated,
   };
 }
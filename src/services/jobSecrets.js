@@ -0,0 +1,95 @@
+/**
+ * Job Secrets Service
+ * Seals secrets (e.g. PDF passwords from `options.encryption`) that long jobs carry through SQS,
+ * so they are never stored in the queue in plain text. Sealed with AES-256-GCM using a key held
+ * in SSM Parameter Store (JOB_SECRETS_KEY_SSM).
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const JOB_SECRETS_KEY_SSM = process.env.JOB_SECRETS_KEY_SSM;
+
+// Sealed values: version, IV, auth tag and ciphertext, base64, separated by dots
+const SEALED_VERSION = 'v1';
+
+// Cache the key to avoid repeated SSM calls
+let cachedKey = null;
+let cacheTimestamp = 0;
+const CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Get the sealing key from SSM Parameter Store with caching
+ * The parameter holds any high-entropy secret (e.g. `openssl rand -base64 32`); the AES key is its SHA-256.
+ * @returns {Promise<Buffer>} 32-byte key
+ */
+async function getSealingKey() {
+  if (!JOB_SECRETS_KEY_SSM) {
+    throw new Error('JOB_SECRETS_KEY_SSM environment variable not set');
+  }
+
+  const now = Date.now();
+  if (cachedKey && (now - cacheTimestamp) < CACHE_TTL_MS) {
+    return cachedKey;
+  }
+
+  const { SSMClient, GetParameterCommand } = require('@aws-sdk/client-ssm');
+  const ssmClient = new SSMClient({ region: process.env.AWS_REGION || 'eu-central-1' });
+
+  const response = await ssmClient.send(new GetParameterCommand({
+    Name: JOB_SECRETS_KEY_SSM,
+    WithDecryption: true,
+  }));
+  if (!response.Parameter || !response.Parameter.Value) {
+    logger.error('Job secrets key not found in SSM', { parameterName: JOB_SECRETS_KEY_SSM });
+    throw new Error('Job secrets key not found in SSM');
+  }
+
+  cachedKey = crypto.createHash('sha256').update(response.Parameter.Value).digest();
+  cacheTimestamp = now;
+  return cachedKey;
+}
+
+/**
+ * Seal a JSON value
+ * @param {*} value - JSON-serializable value
+ * @param {string} jobId - Job ID, bound to the sealed value so it cannot be replayed into another job
+ * @returns {Promise<string>} Sealed value
+ */
+async function sealSecret(value, jobId) {
+  const key = await getSealingKey();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(jobId, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return [SEALED_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join('.');
+}
+
+/**
+ * Open a value sealed with sealSecret
+ * @param {string} sealed - Sealed value
+ * @param {string} jobId - Job ID the value was sealed for
+ * @returns {Promise<*>} Original value
+ */
+async function openSecret(sealed, jobId) {
+  const [version, iv, tag, ciphertext] = String(sealed).split('.');
+  if (version !== SEALED_VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Malformed sealed secret');
+  }
+
+  const key = await getSealingKey();
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(jobId, 'utf8'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+module.exports = {
+  sealSecret,
+  openSecret,
+};
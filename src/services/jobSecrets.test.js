@@ -0,0 +1,51 @@
+/**
+ * Unit tests for jobSecrets.js - sealing secrets carried through SQS
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+process.env.JOB_SECRETS_KEY_SSM = '/podpdf/test/jobs/secrets-key';
+
+let sealSecret;
+let openSecret;
+
+beforeAll(() => {
+  // Serve the key parameter from memory instead of SSM
+  const ssm = require('@aws-sdk/client-ssm');
+  ssm.SSMClient = class {
+    async send() {
+      return { Parameter: { Value: 'test-secret-value' } };
+    }
+  };
+
+  ({ sealSecret, openSecret } = require('./jobSecrets.js'));
+});
+
+describe('sealSecret / openSecret', () => {
+  const secret = { user_password: 'Payslip-2024!', permissions: { print: 'none' } };
+
+  it('should round-trip a value without exposing it', async () => {
+    const sealed = await sealSecret(secret, 'job-1');
+
+    expect(sealed).toMatch(/^v1\./);
+    expect(sealed).not.toContain('Payslip');
+    expect(await openSecret(sealed, 'job-1')).toEqual(secret);
+  });
+
+  it('should reject values sealed for another job', async () => {
+    const sealed = await sealSecret(secret, 'job-1');
+    await expect(openSecret(sealed, 'job-2')).rejects.toThrow();
+  });
+
+  it('should reject tampered values', async () => {
+    const [version, iv, tag, ciphertext] = (await sealSecret(secret, 'job-1')).split('.');
+    const tampered = Buffer.from(ciphertext, 'base64');
+    tampered[0] ^= 1;
+
+    await expect(openSecret([version, iv, tag, tampered.toString('base64')].join('.'), 'job-1')).rejects.toThrow();
+    await expect(openSecret('not sealed', 'job-1')).rejects.toThrow('Malformed sealed secret');
+  });
+});
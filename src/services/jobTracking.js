@@ -10,6 +10,9 @@ const logger = require('../utils/logger');
 const JOB_DETAILS_TABLE = process.env.JOB_DETAILS_TABLE;
 const ANALYTICS_TABLE = process.env.ANALYTICS_TABLE;
 
+// Largest diagnostics object stored on a job record (DynamoDB items are limited to 400 KB)
+const MAX_DIAGNOSTICS_BYTES = 64 * 1024;
+
 /**
  * Generate a unique job ID (UUID)
  * @returns {string} Job ID
@@ -124,6 +127,62 @@ async function updateJobRecord(jobId, updates) {
   }
 }
 
+/**
+ * Shrink render diagnostics to fit MAX_DIAGNOSTICS_BYTES
+ * Console messages, then page errors and then resource entries are dropped from the end
+ * (their counts are kept) and `trimmed` is set.
+ * @param {object} diagnostics - Diagnostics from diagnostics.buildDiagnostics
+ * @returns {object} Diagnostics that fit
+ */
+function capDiagnostics(diagnostics) {
+  const capped = {
+    ...diagnostics,
+    console: [...(diagnostics.console || [])],
+    page_errors: [...(diagnostics.page_errors || [])],
+    resources: diagnostics.resources
+      ? { ...diagnostics.resources, blocked: [...diagnostics.resources.blocked], failed: [...diagnostics.resources.failed] }
+      : null,
+  };
+  const lists = [
+    capped.console,
+    capped.page_errors,
+    ...(capped.resources ? [capped.resources.failed, capped.resources.blocked] : []),
+  ];
+
+  let size = Buffer.byteLength(JSON.stringify(capped), 'utf8');
+  for (const list of lists) {
+    while (size > MAX_DIAGNOSTICS_BYTES && list.length > 0) {
+      list.pop();
+      capped.trimmed = true;
+      size = Buffer.byteLength(JSON.stringify(capped), 'utf8');
+    }
+  }
+  return capped;
+}
+
+/**
+ * Store render diagnostics on a job record (read by GET /jobs/{job_id}/diagnostics)
+ * Never throws: diagnostics must not fail the job they describe.
+ * @param {string} jobId - Job ID
+ * @param {object} diagnostics - Diagnostics from diagnostics.buildDiagnostics
+ * @returns {Promise<void>}
+ */
+async function saveJobDiagnostics(jobId, diagnostics) {
+  try {
+    await updateJobRecord(jobId, {
+      diagnostics: {
+        ...capDiagnostics(diagnostics),
+        captured_at: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    logger.warn('Failed to save job diagnostics', {
+      error: error.message,
+      jobId,
+    });
+  }
+}
+
 /**
  * Atomically update job status from 'queued' to 'processing'
  * Used for deduplication in longjob-processor
@@ -355,6 +414,8 @@ module.exports = {
   generateJobId,
   createJobRecord,
   updateJobRecord,
+  capDiagnostics,
+  saveJobDiagnostics,
   atomicallyStartProcessing,
   getJobRecord,
   listJobsByUserId,
@@ -0,0 +1,306 @@
+/**
+ * Markdown Extensions Service
+ * Opt-in Markdown features for `options.extensions`: table of contents, heading anchors, footnotes,
+ * server-side syntax highlighting, KaTeX math and Mermaid diagrams.
+ * Without extensions Markdown is parsed exactly as before (marked with GFM).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Marked } = require('marked');
+const { markedHighlight } = require('marked-highlight');
+const { gfmHeadingId, getHeadingList } = require('marked-gfm-heading-id');
+const markedFootnote = require('marked-footnote');
+const hljs = require('highlight.js');
+const katex = require('katex');
+
+// Origin the bundled KaTeX and Mermaid files are served from (answered from memory like BUNDLE_ORIGIN)
+const LIBRARY_ORIGIN = 'https://lib.invalid';
+
+const EXTENSION_NAMES = ['toc', 'heading_anchors', 'footnotes', 'highlight', 'math', 'mermaid'];
+
+const DEFAULT_TOC_MAX_DEPTH = 3;
+const DEFAULT_TOC_TITLE = 'Contents';
+const MAX_TOC_TITLE_LENGTH = 100;
+
+// Paragraphs marking where the table of contents goes; without a marker it is placed at the top
+const TOC_MARKER_PATTERN = /<p>\s*(\[\[toc\]\]|\[toc\])\s*<\/p>\n?/i;
+
+// Fenced code languages rendered by the math and mermaid extensions instead of as code
+const MATH_LANGUAGES = ['math', 'latex', 'katex'];
+const MERMAID_LANGUAGE = 'mermaid';
+
+let libraryFiles = null;
+
+/**
+ * Normalize the `extensions` option to a flat settings object
+ * @param {object|null} extensions - Value of options.extensions
+ * @returns {object|null} Settings ({toc: {maxDepth, title}|null, headingAnchors, footnotes, highlight, math, mermaid}), or null if none are enabled
+ */
+function resolveExtensions(extensions) {
+  if (!extensions || typeof extensions !== 'object') {
+    return null;
+  }
+
+  const toc = extensions.toc
+    ? {
+      maxDepth: extensions.toc.max_depth || DEFAULT_TOC_MAX_DEPTH,
+      title: typeof extensions.toc.title === 'string' ? extensions.toc.title : DEFAULT_TOC_TITLE,
+    }
+    : null;
+
+  const settings = {
+    toc,
+    // The table of contents links to headings, so it needs their ids
+    headingAnchors: !!extensions.heading_anchors || !!toc,
+    footnotes: !!extensions.footnotes,
+    highlight: !!extensions.highlight,
+    math: !!extensions.math,
+    mermaid: !!extensions.mermaid,
+  };
+
+  return Object.entries(settings).some(([, enabled]) => enabled) ? settings : null;
+}
+
+/**
+ * Escape text for HTML element content and attributes
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render TeX with KaTeX
+ * Invalid TeX is shown in red instead of failing the render (throwOnError: false)
+ * @param {string} tex - TeX source
+ * @param {boolean} displayMode - Block (display) or inline math
+ * @returns {string} HTML
+ */
+function renderMath(tex, displayMode) {
+  return katex.renderToString(tex, {
+    displayMode,
+    throwOnError: false,
+    // \href, \url and \includegraphics stay disabled (trust defaults to false)
+    maxExpand: 1000,
+  });
+}
+
+/**
+ * marked extension for $inline$ and $$display$$ math
+ * Inline math follows Pandoc's rules so prices like "$5 and $10" are left alone:
+ * no space after the opening or before the closing $, and no digit right after the closing $.
+ * @returns {object} marked extension
+ */
+function mathExtension() {
+  return {
+    extensions: [
+      {
+        name: 'blockMath',
+        level: 'block',
+        start(src) {
+          const index = src.indexOf('$$');
+          return index === -1 ? undefined : index;
+        },
+        tokenizer(src) {
+          const match = /^\$\$[ \t]*\n?([\s\S]+?)\n?[ \t]*\$\$[ \t]*(?:\n+|$)/.exec(src);
+          if (match) {
+            return { type: 'blockMath', raw: match[0], text: match[1].trim() };
+          }
+          return undefined;
+        },
+        renderer(token) {
+          return `<div class="math-display">${renderMath(token.text, true)}</div>\n`;
+        },
+      },
+      {
+        name: 'inlineMath',
+        level: 'inline',
+        start(src) {
+          const index = src.indexOf('$');
+          return index === -1 ? undefined : index;
+        },
+        tokenizer(src) {
+          const display = /^\$\$(?!\s)([^$]+?)\$\$/.exec(src);
+          if (display) {
+            return { type: 'inlineMath', raw: display[0], text: display[1].trim(), displayMode: true };
+          }
+          const inline = /^\$(?![\s$])((?:\\\$|[^$\n])+?)(?<![\s\\])\$(?!\d)/.exec(src);
+          if (inline) {
+            return { type: 'inlineMath', raw: inline[0], text: inline[1], displayMode: false };
+          }
+          return undefined;
+        },
+        renderer(token) {
+          return renderMath(token.text, token.displayMode);
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * marked renderer for ```math and ```mermaid fenced blocks
+ * Other languages fall through to the default (or highlighting) code renderer.
+ * @param {object} settings - Resolved extension settings
+ * @returns {object} marked extension
+ */
+function fencedBlockExtension(settings) {
+  return {
+    renderer: {
+      code(code, infoString) {
+        const lang = (infoString || '').trim().split(/\s+/)[0].toLowerCase();
+        if (settings.math && MATH_LANGUAGES.includes(lang)) {
+          return `<div class="math-display">${renderMath(code, true)}</div>\n`;
+        }
+        if (settings.mermaid && lang === MERMAID_LANGUAGE) {
+          // Rendered to SVG in the browser before printing (see renderMermaidDiagrams in pdf.js)
+          return `<pre class="mermaid">${escapeHtml(code)}</pre>\n`;
+        }
+        return false;
+      },
+    },
+  };
+}
+
+/**
+ * Highlight a fenced code block with highlight.js
+ * Blocks without a language are auto-detected; math and mermaid blocks are left for their renderers.
+ * @param {string} code - Code
+ * @param {string} lang - Language from the info string
+ * @returns {string} Highlighted HTML, or the code unchanged
+ */
+function highlightCode(code, lang) {
+  const language = (lang || '').toLowerCase();
+  if (MATH_LANGUAGES.includes(language) || language === MERMAID_LANGUAGE) {
+    return code;
+  }
+  if (language && hljs.getLanguage(language)) {
+    return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+  }
+  if (language) {
+    // Unknown language: print as plain code rather than guessing
+    return code;
+  }
+  return hljs.highlightAuto(code).value;
+}
+
+/**
+ * Build the table of contents for the rendered headings
+ * @param {Array<{level: number, text: string, id: string}>} headings - Headings in document order
+ * @param {{maxDepth: number, title: string}} toc - TOC settings
+ * @returns {string} HTML (empty when there are no headings)
+ */
+function buildToc(headings, toc) {
+  const entries = headings.filter((heading) => heading.level <= toc.maxDepth);
+  if (entries.length === 0) {
+    return '';
+  }
+
+  // Nest by level; links inside heading text would be nested links in the TOC, so unwrap them
+  const baseLevel = Math.min(...entries.map((heading) => heading.level));
+  let html = '';
+  let depth = 0;
+  for (const heading of entries) {
+    const level = heading.level - baseLevel + 1;
+    if (level > depth) {
+      html += '<ul><li>'.repeat(level - depth);
+    } else {
+      html += '</li></ul>'.repeat(depth - level) + '</li><li>';
+    }
+    depth = level;
+    const text = heading.text.replace(/<\/?a\b[^>]*>/gi, '');
+    html += `<a href="#${heading.id}">${text}</a>`;
+  }
+  html += '</li></ul>'.repeat(depth);
+
+  const title = toc.title ? `<p class="toc-title">${escapeHtml(toc.title)}</p>` : '';
+  return `<nav class="toc">${title}${html}</nav>\n`;
+}
+
+/**
+ * Convert Markdown to HTML with the enabled extensions
+ * A fresh marked instance is used per call so extensions never leak into other renders.
+ * @param {string} markdown - Markdown content
+ * @param {object} settings - Resolved extension settings (from resolveExtensions)
+ * @returns {string} HTML content
+ */
+function renderMarkdownWithExtensions(markdown, settings) {
+  const marked = new Marked({ gfm: true, breaks: false });
+
+  if (settings.headingAnchors) {
+    marked.use(gfmHeadingId());
+  }
+  if (settings.footnotes) {
+    marked.use(markedFootnote());
+  }
+  if (settings.highlight) {
+    marked.use(markedHighlight({ langPrefix: 'hljs language-', highlight: highlightCode }));
+  }
+  if (settings.math) {
+    marked.use(mathExtension());
+  }
+  if (settings.math || settings.mermaid) {
+    marked.use(fencedBlockExtension(settings));
+  }
+
+  let html = marked.parse(markdown);
+
+  if (settings.toc) {
+    const toc = buildToc(getHeadingList(), settings.toc);
+    html = TOC_MARKER_PATTERN.test(html) ? html.replace(TOC_MARKER_PATTERN, () => toc) : toc + html;
+  }
+
+  return html;
+}
+
+/**
+ * Files served under LIBRARY_ORIGIN: KaTeX stylesheet and fonts, and the Mermaid browser bundle
+ * Read from node_modules on first request and cached across warm invocations
+ * @returns {Map} Files by path ({load, contentType})
+ */
+function getLibraryFiles() {
+  if (libraryFiles) {
+    return libraryFiles;
+  }
+
+  const cached = new Map();
+  const fileEntry = (filePath, contentType) => ({
+    contentType,
+    load: async () => {
+      if (!cached.has(filePath)) {
+        cached.set(filePath, await fs.promises.readFile(filePath));
+      }
+      return cached.get(filePath);
+    },
+  });
+
+  const katexDir = path.dirname(require.resolve('katex/dist/katex.min.css'));
+  libraryFiles = new Map([
+    ['katex/katex.min.css', fileEntry(path.join(katexDir, 'katex.min.css'), 'text/css; charset=utf-8')],
+    ['mermaid/mermaid.min.js', fileEntry(require.resolve('mermaid/dist/mermaid.min.js'), 'text/javascript; charset=utf-8')],
+  ]);
+  for (const fontFile of fs.readdirSync(path.join(katexDir, 'fonts'))) {
+    const extension = path.extname(fontFile).slice(1);
+    libraryFiles.set(`katex/fonts/${fontFile}`, fileEntry(path.join(katexDir, 'fonts', fontFile), `font/${extension}`));
+  }
+
+  return libraryFiles;
+}
+
+module.exports = {
+  resolveExtensions,
+  renderMarkdownWithExtensions,
+  buildToc,
+  getLibraryFiles,
+  escapeHtml,
+  LIBRARY_ORIGIN,
+  EXTENSION_NAMES,
+  MAX_TOC_TITLE_LENGTH,
+  MERMAID_LANGUAGE,
+};
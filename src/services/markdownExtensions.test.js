@@ -0,0 +1,112 @@
+/**
+ * Unit tests for markdownExtensions.js - opt-in Markdown extensions
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const {
+  resolveExtensions,
+  renderMarkdownWithExtensions,
+  buildToc,
+} = require('./markdownExtensions.js');
+
+/**
+ * Render Markdown with the given `extensions` option
+ */
+function render(markdown, extensions) {
+  return renderMarkdownWithExtensions(markdown, resolveExtensions(extensions));
+}
+
+describe('resolveExtensions', () => {
+  it('should return null when no extension is enabled', () => {
+    expect(resolveExtensions(undefined)).toBeNull();
+    expect(resolveExtensions({})).toBeNull();
+    expect(resolveExtensions({ toc: false, math: false })).toBeNull();
+  });
+
+  it('should apply toc defaults and enable heading anchors for the toc', () => {
+    const settings = resolveExtensions({ toc: true });
+    expect(settings.toc).toEqual({ maxDepth: 3, title: 'Contents' });
+    expect(settings.headingAnchors).toBe(true);
+    expect(resolveExtensions({ toc: { max_depth: 2, title: '' } }).toc).toEqual({ maxDepth: 2, title: '' });
+  });
+});
+
+describe('renderMarkdownWithExtensions', () => {
+  it('should add GitHub-style ids to headings', () => {
+    const html = render('# Hello World\n\n## Hello World', { heading_anchors: true });
+    expect(html).toContain('<h1 id="hello-world">');
+    expect(html).toContain('<h2 id="hello-world-1">');
+  });
+
+  it('should place the table of contents at the marker', () => {
+    const html = render('# Title\n\n[[toc]]\n\n## One\n\n### Deep\n\n#### Too deep', { toc: true });
+    expect(html.indexOf('<nav class="toc">')).toBeGreaterThan(html.indexOf('<h1'));
+    expect(html).toContain('<a href="#one">One</a><ul><li><a href="#deep">Deep</a></li></ul>');
+    expect(html).not.toContain('href="#too-deep"');
+    expect(html).not.toContain('[[toc]]');
+  });
+
+  it('should put the table of contents first without a marker', () => {
+    const html = render('## A\n\n## B', { toc: { title: 'On this page' } });
+    expect(html.startsWith('<nav class="toc"><p class="toc-title">On this page</p>')).toBe(true);
+  });
+
+  it('should render footnotes', () => {
+    const html = render('Text[^1].\n\n[^1]: The note.', { footnotes: true });
+    expect(html).toContain('data-footnote-ref');
+    expect(html).toContain('<section class="footnotes"');
+    expect(html).toContain('The note.');
+  });
+
+  it('should highlight fenced code on the server', () => {
+    const html = render('```js\nconst x = 1;\n```', { highlight: true });
+    expect(html).toContain('class="hljs language-js"');
+    expect(html).toContain('<span class="hljs-keyword">const</span>');
+  });
+
+  it('should leave unknown languages unhighlighted', () => {
+    const html = render('```nosuchlang\n<b>x</b>\n```', { highlight: true });
+    expect(html).not.toContain('hljs-');
+    expect(html).toContain('&lt;b&gt;x&lt;/b&gt;');
+  });
+
+  it('should render inline, display and fenced math with KaTeX', () => {
+    const html = render('Inline $E=mc^2$.\n\n$$\n\\frac{1}{2}\n$$\n\n```math\nx^2\n```', { math: true });
+    expect(html).toContain('<span class="katex">');
+    expect(html.match(/<div class="math-display">/g)).toHaveLength(2);
+  });
+
+  it('should leave currency amounts alone', () => {
+    const html = render('It costs $5 and $10, or $ 20.', { math: true });
+    expect(html).toBe('<p>It costs $5 and $10, or $ 20.</p>\n');
+  });
+
+  it('should keep mermaid blocks as escaped source for the browser', () => {
+    const html = render('```mermaid\ngraph TD; A-->B;\n```', { mermaid: true, highlight: true });
+    expect(html).toBe('<pre class="mermaid">graph TD; A--&gt;B;</pre>\n');
+  });
+
+  it('should not change math or mermaid fences when those extensions are off', () => {
+    const html = render('```mermaid\ngraph TD;\n```', { footnotes: true });
+    expect(html).toContain('<code class="language-mermaid">');
+  });
+});
+
+describe('buildToc', () => {
+  it('should nest entries relative to the highest level and unwrap links', () => {
+    const html = buildToc([
+      { level: 2, text: 'Intro', id: 'intro' },
+      { level: 3, text: 'See <a href="https://example.com">docs</a>', id: 'see-docs' },
+      { level: 2, text: 'End', id: 'end' },
+    ], { maxDepth: 3, title: '' });
+
+    expect(html).toBe('<nav class="toc"><ul><li><a href="#intro">Intro</a><ul><li><a href="#see-docs">See docs</a></li></ul></li><li><a href="#end">End</a></li></ul></nav>\n');
+  });
+
+  it('should return nothing when there are no headings', () => {
+    expect(buildToc([], { maxDepth: 3, title: 'Contents' })).toBe('');
+  });
+});
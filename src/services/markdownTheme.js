@@ -0,0 +1,278 @@
+/**
+ * Markdown Theme Service
+ * Bundled stylesheets for Markdown renders, plus typography overrides and custom CSS.
+ * Themes read their fonts and code colours from CSS variables, so overrides work with every theme.
+ */
+
+const fs = require('fs');
+
+// Custom CSS (inline `css` option or stored stylesheet) size limit
+const MAX_CSS_SIZE_KB = parseInt(process.env.MAX_CSS_SIZE_KB || '100', 10);
+const MAX_CSS_SIZE_BYTES = MAX_CSS_SIZE_KB * 1024;
+
+const DEFAULT_THEME = 'default';
+
+const SYSTEM_FONTS = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif";
+const MONO_FONTS = "ui-monospace, SFMono-Regular, Menlo, Consolas, 'Liberation Mono', monospace";
+
+// Theme override options mapped to the CSS variables the themes use
+const THEME_VARIABLES = {
+  font_family: '--md-font-family',
+  font_size: '--md-font-size',
+  line_height: '--md-line-height',
+  text_color: '--md-text-color',
+  link_color: '--md-link-color',
+  code_font_family: '--md-code-font-family',
+  code_background: '--md-code-background',
+  code_color: '--md-code-color',
+};
+
+// Rules shared by all themes; everything a theme or override may change goes through a variable
+const BASE_CSS = `
+body { font-family: var(--md-font-family); font-size: var(--md-font-size); line-height: var(--md-line-height); color: var(--md-text-color); }
+a { color: var(--md-link-color); }
+pre, code { font-family: var(--md-code-font-family); }
+code { background-color: var(--md-code-background); color: var(--md-code-color); }
+pre { background-color: var(--md-code-background); color: var(--md-code-color); overflow-wrap: anywhere; white-space: pre-wrap; }
+pre code { background-color: transparent; padding: 0; border-radius: 0; color: inherit; }
+img { max-width: 100%; }
+`;
+
+// Styles for elements produced by Markdown extensions (see markdownExtensions.js)
+const EXTENSION_CSS = {
+  toc: `
+nav.toc { margin: 0 0 2em; }
+nav.toc .toc-title { font-weight: bold; margin: 0 0 0.5em; }
+nav.toc ul { list-style: none; margin: 0; padding-left: 1.2em; }
+nav.toc > ul { padding-left: 0; }
+nav.toc a { color: inherit; text-decoration: none; }
+`,
+  footnotes: `
+section.footnotes { margin-top: 2em; padding-top: 0.5em; border-top: 1px solid #ccc; font-size: 0.85em; }
+section.footnotes .sr-only { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0, 0, 0, 0); }
+a[data-footnote-ref] { text-decoration: none; }
+`,
+  math: `
+.math-display { margin: 1em 0; overflow-x: auto; }
+`,
+  mermaid: `
+pre.mermaid { background-color: transparent; text-align: center; padding: 0; }
+pre.mermaid svg { max-width: 100%; height: auto; }
+`,
+};
+
+/**
+ * Bundled themes
+ * `default` is the stylesheet Markdown renders used before themes existed and stays the default.
+ */
+const THEMES = {
+  default: {
+    // highlight.js style used for syntax highlighting (extensions.highlight)
+    highlight: 'github',
+    variables: {
+      '--md-font-family': SYSTEM_FONTS,
+      '--md-font-size': '16px',
+      '--md-line-height': 'normal',
+      '--md-text-color': 'inherit',
+      '--md-link-color': 'revert',
+      '--md-code-font-family': 'monospace',
+      '--md-code-background': '#f4f4f4',
+      '--md-code-color': 'inherit',
+    },
+    css: `
+pre { padding: 1em; border-radius: 4px; }
+code { padding: 0.2em 0.4em; border-radius: 3px; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+th { background-color: #f2f2f2; }
+`,
+  },
+  github: {
+    highlight: 'github',
+    variables: {
+      '--md-font-family': SYSTEM_FONTS,
+      '--md-font-size': '16px',
+      '--md-line-height': '1.5',
+      '--md-text-color': '#1f2328',
+      '--md-link-color': '#0969da',
+      '--md-code-font-family': MONO_FONTS,
+      '--md-code-background': '#f6f8fa',
+      '--md-code-color': '#1f2328',
+    },
+    css: `
+a { text-decoration: none; }
+h1, h2, h3, h4, h5, h6 { margin-top: 24px; margin-bottom: 16px; font-weight: 600; line-height: 1.25; }
+h1 { font-size: 2em; padding-bottom: 0.3em; border-bottom: 1px solid #d1d9e0; }
+h2 { font-size: 1.5em; padding-bottom: 0.3em; border-bottom: 1px solid #d1d9e0; }
+p, blockquote, ul, ol, table, pre { margin-top: 0; margin-bottom: 16px; }
+code { padding: 0.2em 0.4em; border-radius: 6px; font-size: 85%; }
+pre { padding: 16px; border-radius: 6px; font-size: 85%; line-height: 1.45; }
+blockquote { margin-left: 0; padding: 0 1em; color: #59636e; border-left: 0.25em solid #d1d9e0; }
+hr { height: 0.25em; padding: 0; margin: 24px 0; background-color: #d1d9e0; border: 0; }
+table { border-collapse: collapse; }
+th, td { padding: 6px 13px; border: 1px solid #d1d9e0; }
+th { font-weight: 600; }
+tr:nth-child(2n) { background-color: #f6f8fa; }
+`,
+  },
+  academic: {
+    highlight: 'github',
+    variables: {
+      '--md-font-family': "'Times New Roman', Times, Georgia, serif",
+      '--md-font-size': '12pt',
+      '--md-line-height': '1.6',
+      '--md-text-color': '#000',
+      '--md-link-color': '#00308f',
+      '--md-code-font-family': "'Courier New', Courier, monospace",
+      '--md-code-background': 'transparent',
+      '--md-code-color': 'inherit',
+    },
+    css: `
+p { text-align: justify; hyphens: auto; margin: 0 0 0.8em; }
+h1 { font-size: 1.6em; text-align: center; margin: 0 0 1em; }
+h2 { font-size: 1.3em; margin: 1.4em 0 0.6em; }
+h3 { font-size: 1.1em; font-style: italic; margin: 1.2em 0 0.5em; }
+h1, h2, h3, h4 { font-weight: bold; page-break-after: avoid; }
+pre { padding: 0.6em 0; border-top: 1px solid #000; border-bottom: 1px solid #000; font-size: 0.9em; }
+blockquote { margin: 1em 2em; font-size: 0.95em; }
+table { border-collapse: collapse; margin: 1em auto; border-top: 2px solid #000; border-bottom: 2px solid #000; }
+th { border-bottom: 1px solid #000; }
+th, td { padding: 4px 10px; text-align: left; }
+img { display: block; margin: 1em auto; }
+`,
+  },
+  minimal: {
+    highlight: 'github',
+    variables: {
+      '--md-font-family': "'Helvetica Neue', Helvetica, Arial, sans-serif",
+      '--md-font-size': '15px',
+      '--md-line-height': '1.7',
+      '--md-text-color': '#222',
+      '--md-link-color': '#222',
+      '--md-code-font-family': MONO_FONTS,
+      '--md-code-background': 'transparent',
+      '--md-code-color': '#444',
+    },
+    css: `
+h1, h2, h3, h4 { font-weight: 500; margin: 1.6em 0 0.6em; }
+pre { padding: 0 0 0 1em; border-left: 2px solid #ddd; }
+blockquote { margin-left: 0; padding-left: 1em; color: #666; border-left: 2px solid #ddd; }
+hr { border: 0; border-top: 1px solid #eee; margin: 2em 0; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border-bottom: 1px solid #eee; padding: 6px 8px; text-align: left; }
+th { font-weight: 500; }
+`,
+  },
+  'dark-code': {
+    highlight: 'github-dark',
+    variables: {
+      '--md-font-family': SYSTEM_FONTS,
+      '--md-font-size': '16px',
+      '--md-line-height': '1.5',
+      '--md-text-color': '#1f2328',
+      '--md-link-color': '#0969da',
+      '--md-code-font-family': MONO_FONTS,
+      '--md-code-background': '#0d1117',
+      '--md-code-color': '#e6edf3',
+    },
+    css: `
+code { padding: 0.2em 0.4em; border-radius: 6px; font-size: 85%; }
+pre { padding: 16px; border-radius: 6px; font-size: 85%; line-height: 1.45; }
+blockquote { margin-left: 0; padding: 0 1em; color: #59636e; border-left: 0.25em solid #d1d9e0; }
+table { border-collapse: collapse; }
+th, td { padding: 6px 13px; border: 1px solid #d1d9e0; }
+`,
+  },
+};
+
+const THEME_NAMES = Object.keys(THEMES);
+
+const highlightStyles = new Map();
+
+/**
+ * Get a highlight.js token stylesheet
+ * The style's own background, text colour and padding are dropped so the theme's code styles still apply.
+ * @param {string} style - highlight.js style name (e.g. 'github')
+ * @returns {string} CSS
+ */
+function getHighlightCss(style) {
+  if (!highlightStyles.has(style)) {
+    const css = fs.readFileSync(require.resolve(`highlight.js/styles/${style}.min.css`), 'utf8');
+    highlightStyles.set(style, `${css}\n.hljs { background: transparent; color: inherit; }\npre code.hljs { padding: 0; }`);
+  }
+  return highlightStyles.get(style);
+}
+
+/**
+ * Make CSS safe to embed in a <style> element
+ * A literal "</style" would end the element early and let the rest be parsed as HTML
+ * @param {string} css - CSS text
+ * @returns {string} CSS text
+ */
+function escapeStyleContent(css) {
+  return css.replace(/<\/(style)/gi, '<\\/$1');
+}
+
+/**
+ * Build a :root rule declaring CSS variables
+ * @param {object} variables - Variable name -> value
+ * @returns {string} CSS rule
+ */
+function buildVariablesRule(variables) {
+  const declarations = Object.entries(variables).map(([name, value]) => `  ${name}: ${value};`);
+  return `:root {\n${declarations.join('\n')}\n}`;
+}
+
+/**
+ * Build the stylesheet for a Markdown render
+ * Cascade order: theme, extension styles, theme overrides, stored stylesheet, inline `css` option
+ * @param {object} options - Render options (`theme`, `theme_overrides`, `css`, `extensions`)
+ * @param {string|null} stylesheetCss - Content of the stored stylesheet from `stylesheet_id` (optional)
+ * @returns {string} CSS text, safe to embed in a <style> element
+ */
+function buildMarkdownCss(options = {}, stylesheetCss = null) {
+  const theme = THEMES[options.theme] || THEMES[DEFAULT_THEME];
+  const parts = [buildVariablesRule(theme.variables), BASE_CSS.trim(), theme.css.trim()];
+
+  const extensions = options.extensions || {};
+  if (extensions.highlight) {
+    parts.push(getHighlightCss(theme.highlight));
+  }
+  for (const [name, css] of Object.entries(EXTENSION_CSS)) {
+    if (extensions[name]) {
+      parts.push(css.trim());
+    }
+  }
+
+  const overrides = options.theme_overrides || {};
+  const overrideVariables = {};
+  for (const [key, variable] of Object.entries(THEME_VARIABLES)) {
+    if (overrides[key] !== undefined && overrides[key] !== null) {
+      // Unitless font sizes are pixels, like other numeric lengths in options
+      overrideVariables[variable] = key === 'font_size' && typeof overrides[key] === 'number'
+        ? `${overrides[key]}px`
+        : String(overrides[key]);
+    }
+  }
+  if (Object.keys(overrideVariables).length > 0) {
+    parts.push(buildVariablesRule(overrideVariables));
+  }
+
+  if (stylesheetCss) {
+    parts.push(stylesheetCss);
+  }
+  if (options.css) {
+    parts.push(options.css);
+  }
+
+  return escapeStyleContent(parts.join('\n'));
+}
+
+module.exports = {
+  buildMarkdownCss,
+  THEME_NAMES,
+  THEME_VARIABLES,
+  DEFAULT_THEME,
+  MAX_CSS_SIZE_KB,
+  MAX_CSS_SIZE_BYTES,
+};
@@ -0,0 +1,49 @@
+/**
+ * Unit tests for markdownTheme.js - Markdown themes, overrides and custom CSS
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { buildMarkdownCss, THEME_NAMES } = require('./markdownTheme.js');
+
+describe('buildMarkdownCss', () => {
+  it('should use the default theme when none is selected', () => {
+    expect(buildMarkdownCss({})).toBe(buildMarkdownCss({ theme: 'default' }));
+    expect(buildMarkdownCss({})).toContain('--md-code-background: #f4f4f4;');
+  });
+
+  it('should produce a different stylesheet for every bundled theme', () => {
+    const stylesheets = THEME_NAMES.map((theme) => buildMarkdownCss({ theme }));
+
+    expect(THEME_NAMES).toEqual(expect.arrayContaining(['github', 'academic', 'minimal', 'dark-code']));
+    expect(new Set(stylesheets).size).toBe(THEME_NAMES.length);
+  });
+
+  it('should declare overrides after the theme variables', () => {
+    const css = buildMarkdownCss({
+      theme: 'github',
+      theme_overrides: { font_family: 'Georgia, serif', font_size: 13, code_background: '#222' },
+    });
+
+    const overrides = css.lastIndexOf(':root');
+    expect(overrides).toBeGreaterThan(css.indexOf(':root'));
+    expect(css.slice(overrides)).toContain('--md-font-family: Georgia, serif;');
+    expect(css.slice(overrides)).toContain('--md-font-size: 13px;');
+    expect(css.slice(overrides)).toContain('--md-code-background: #222;');
+  });
+
+  it('should apply the stored stylesheet before the inline css option', () => {
+    const css = buildMarkdownCss({ css: 'h1 { color: red; }' }, 'h1 { color: blue; }');
+
+    expect(css.indexOf('color: blue')).toBeGreaterThan(css.indexOf('--md-font-family'));
+    expect(css.indexOf('color: red')).toBeGreaterThan(css.indexOf('color: blue'));
+  });
+
+  it('should not let custom CSS close the style element', () => {
+    const css = buildMarkdownCss({ css: 'p {} </style><script>alert(1)</script>' }, '</STYLE><img src=x>');
+
+    expect(css).not.toMatch(/<\/style/i);
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Network Policy Service
+ * Controls which network requests a render may make and tracks what it loaded.
+ * A policy can be set per account (Users.network_policy) and tightened per request (options.network).
+ *
+ * Modes:
+ * - allow_all: any public http(s) URL (SSRF protection still applies)
+ * - block_external: no external requests (for URL renders, only the page's own host)
+ * - allow_list: only hosts in allowed_domains (and subdomains), plus the page's own host for URL renders
+ */
+
+// From least to most strict
+const NETWORK_MODES = ['allow_all', 'allow_list', 'block_external'];
+
+// System-wide caps; policies may lower them but never raise them
+const MAX_NETWORK_REQUESTS = parseInt(process.env.MAX_NETWORK_REQUESTS || '300', 10);
+const MAX_NETWORK_BYTES = parseInt(process.env.MAX_NETWORK_BYTES || String(50 * 1024 * 1024), 10);
+const MAX_ALLOWED_DOMAINS = 50;
+
+// Number of blocked/failed URLs kept in reports (counts are always complete)
+const MAX_REPORTED_URLS = 20;
+
+/**
+ * Resolve the effective policy for a render
+ * A request policy can only tighten the account policy: the stricter mode wins, allow lists are
+ * intersected and every limit is the lowest given. Missing fields fall back to system defaults.
+ * @param {object|null} accountPolicy - Account default policy (Users.network_policy)
+ * @param {object|null} requestPolicy - Per-request policy (options.network)
+ * @returns {{mode: string, allowed_domains: string[], max_requests: number, max_bytes: number}}
+ */
+function resolveNetworkPolicy(accountPolicy = null, requestPolicy = null) {
+  const policies = [accountPolicy, requestPolicy].filter(Boolean);
+
+  // Modes from least to most strict
+  const mode = policies
+    .map((policy) => policy.mode || 'allow_all')
+    .reduce((stricter, next) => (NETWORK_MODES.indexOf(next) > NETWORK_MODES.indexOf(stricter) ? next : stricter), 'allow_all');
+
+  // Domains allowed by every allow-list policy; a subdomain of a domain the other list allows is kept
+  const allowLists = policies
+    .filter((policy) => policy.mode === 'allow_list')
+    .map((policy) => (policy.allowed_domains || []).map((domain) => domain.toLowerCase()));
+  const allowedDomains = allowLists.length === 0 ? [] : allowLists.reduce((kept, domains) => [
+    ...kept.filter((domain) => matchesDomain(domain, domains)),
+    ...domains.filter((domain) => matchesDomain(domain, kept) && !kept.includes(domain)),
+  ]);
+
+  const lowest = (field, cap) => Math.min(cap, ...policies.map((policy) => policy[field] || cap));
+
+  return {
+    mode,
+    allowed_domains: allowedDomains,
+    max_requests: lowest('max_requests', MAX_NETWORK_REQUESTS),
+    max_bytes: lowest('max_bytes', MAX_NETWORK_BYTES),
+  };
+}
+
+/**
+ * Check whether a hostname is one of the domains or a subdomain of one
+ * @param {string} hostname - Hostname to check
+ * @param {string[]} domains - Allowed domains (lowercase)
+ * @returns {boolean}
+ */
+function matchesDomain(hostname, domains) {
+  const host = hostname.toLowerCase();
+  return domains.some((domain) => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Check whether a request is allowed by the policy mode (limits are checked by the tracker)
+ * Only http(s) URLs are subject to the policy; data:/blob:/about: make no network request
+ * @param {object} policy - Effective policy from resolveNetworkPolicy
+ * @param {string} url - Request URL
+ * @param {string|null} pageHost - Host of the page being rendered for URL renders, null for inline content
+ * @returns {{allowed: boolean, reason: string|null}}
+ */
+function checkPolicy(policy, url, pageHost = null) {
+  let hostname;
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return { allowed: true, reason: null };
+    }
+    hostname = parsed.hostname.toLowerCase();
+  } catch (error) {
+    return { allowed: false, reason: 'URL is not valid' };
+  }
+
+  const isPageHost = pageHost !== null && hostname === pageHost.toLowerCase();
+
+  if (policy.mode === 'block_external' && !isPageHost) {
+    return { allowed: false, reason: 'External requests are blocked by network policy' };
+  }
+
+  if (policy.mode === 'allow_list' && !isPageHost && !matchesDomain(hostname, policy.allowed_domains)) {
+    return { allowed: false, reason: `Host ${hostname} is not in the network policy allow list` };
+  }
+
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Create a tracker for the requests of a single render
+ * @param {object} policy - Effective policy from resolveNetworkPolicy
+ * @returns {object} Tracker state
+ */
+function createResourceTracker(policy) {
+  return {
+    policy,
+    requests: 0,
+    bytes: 0,
+    blocked: [],
+    failed: [],
+    limitExceeded: null,
+  };
+}
+
+/**
+ * Check the request/byte limits for a new request and count it if allowed
+ * @param {object} tracker - Tracker from createResourceTracker
+ * @returns {{allowed: boolean, reason: string|null}}
+ */
+function admitRequest(tracker) {
+  if (tracker.bytes >= tracker.policy.max_bytes) {
+    tracker.limitExceeded = tracker.limitExceeded || 'max_bytes';
+    return { allowed: false, reason: `Network policy limit of ${tracker.policy.max_bytes} bytes reached` };
+  }
+  if (tracker.requests >= tracker.policy.max_requests) {
+    tracker.limitExceeded = tracker.limitExceeded || 'max_requests';
+    return { allowed: false, reason: `Network policy limit of ${tracker.policy.max_requests} requests reached` };
+  }
+
+  tracker.requests += 1;
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Count bytes received while a response downloads
+ * @param {object} tracker - Tracker
+ * @param {number} bytes - Bytes received
+ * @returns {{allowed: boolean, reason: string|null}} Not allowed once the total exceeds max_bytes
+ */
+function recordBytes(tracker, bytes) {
+  tracker.bytes += bytes;
+  if (tracker.bytes > tracker.policy.max_bytes) {
+    tracker.limitExceeded = tracker.limitExceeded || 'max_bytes';
+    return { allowed: false, reason: `Network policy limit of ${tracker.policy.max_bytes} bytes exceeded` };
+  }
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Record a blocked request
+ * @param {object} tracker - Tracker
+ * @param {string} url - Request URL
+ * @param {string} reason - Why it was blocked
+ */
+function recordBlocked(tracker, url, reason) {
+  tracker.blocked.push({ url, reason });
+}
+
+/**
+ * Record a request that was sent but failed (network error, timeout)
+ * @param {object} tracker - Tracker
+ * @param {string} url - Request URL
+ * @param {string} error - Failure reason
+ */
+function recordFailed(tracker, url, error) {
+  tracker.failed.push({ url, error });
+}
+
+/**
+ * Build the resource report stored on the job record and summarized in response headers
+ * @param {object} tracker - Tracker
+ * @returns {object} Resource report
+ */
+function buildResourceReport(tracker) {
+  const truncateUrl = (entry) => ({ ...entry, url: entry.url.length > 500 ? `${entry.url.slice(0, 500)}...` : entry.url });
+
+  return {
+    policy: tracker.policy.mode,
+    requests: tracker.requests,
+    bytes: tracker.bytes,
+    blocked_count: tracker.blocked.length,
+    failed_count: tracker.failed.length,
+    blocked: tracker.blocked.slice(0, MAX_REPORTED_URLS).map(truncateUrl),
+    failed: tracker.failed.slice(0, MAX_REPORTED_URLS).map(truncateUrl),
+    limit_exceeded: tracker.limitExceeded,
+  };
+}
+
+/**
+ * Build response headers summarizing a resource report
+ * @param {object|null} report - Resource report from buildResourceReport
+ * @returns {object} Headers (empty if there is no report)
+ */
+function getResourceHeaders(report) {
+  if (!report) {
+    return {};
+  }
+  return {
+    'X-PDF-Resources-Requested': report.requests.toString(),
+    'X-PDF-Resources-Blocked': report.blocked_count.toString(),
+    'X-PDF-Resources-Failed': report.failed_count.toString(),
+  };
+}
+
+module.exports = {
+  resolveNetworkPolicy,
+  matchesDomain,
+  checkPolicy,
+  createResourceTracker,
+  admitRequest,
+  recordBytes,
+  recordBlocked,
+  recordFailed,
+  buildResourceReport,
+  getResourceHeaders,
+  NETWORK_MODES,
+  MAX_NETWORK_REQUESTS,
+  MAX_NETWORK_BYTES,
+  MAX_ALLOWED_DOMAINS,
+};
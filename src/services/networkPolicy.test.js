@@ -0,0 +1,145 @@
+/**
+ * Unit tests for networkPolicy.js - render network policy and resource tracking
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const {
+  resolveNetworkPolicy,
+  checkPolicy,
+  createResourceTracker,
+  admitRequest,
+  recordBytes,
+  recordBlocked,
+  buildResourceReport,
+  getResourceHeaders,
+  MAX_NETWORK_REQUESTS,
+} = require('./networkPolicy.js');
+
+describe('resolveNetworkPolicy', () => {
+  it('should default to allow_all with system caps', () => {
+    const policy = resolveNetworkPolicy();
+
+    expect(policy.mode).toBe('allow_all');
+    expect(policy.allowed_domains).toEqual([]);
+    expect(policy.max_requests).toBe(MAX_NETWORK_REQUESTS);
+  });
+
+  it('should let request fields tighten account fields', () => {
+    const policy = resolveNetworkPolicy(
+      { mode: 'allow_list', allowed_domains: ['CDN.example.com'], max_requests: 50 },
+      { max_requests: 10 }
+    );
+
+    expect(policy.mode).toBe('allow_list');
+    expect(policy.allowed_domains).toEqual(['cdn.example.com']);
+    expect(policy.max_requests).toBe(10);
+  });
+
+  it('should not let a request loosen the account policy', () => {
+    const account = { mode: 'block_external', max_requests: 20, max_bytes: 1000 };
+
+    expect(resolveNetworkPolicy(account, { mode: 'allow_all', max_requests: 200, max_bytes: 5000 })).toEqual({
+      mode: 'block_external',
+      allowed_domains: [],
+      max_requests: 20,
+      max_bytes: 1000,
+    });
+    expect(resolveNetworkPolicy(account, { mode: 'allow_list', allowed_domains: ['example.com'] }).mode).toBe('block_external');
+    expect(resolveNetworkPolicy({ mode: 'allow_list', allowed_domains: ['example.com'] }, { mode: 'allow_all' })).toMatchObject({
+      mode: 'allow_list',
+      allowed_domains: ['example.com'],
+    });
+  });
+
+  it('should intersect the allow lists of account and request', () => {
+    const policy = resolveNetworkPolicy(
+      { mode: 'allow_list', allowed_domains: ['example.com', 'cdn.other.com'] },
+      { mode: 'allow_list', allowed_domains: ['img.example.com', 'other.com', 'evil.net'] }
+    );
+
+    expect(policy.allowed_domains.sort()).toEqual(['cdn.other.com', 'img.example.com']);
+    expect(checkPolicy(policy, 'https://evil.net/a.png').allowed).toBe(false);
+    expect(checkPolicy(policy, 'https://www.example.com/a.png').allowed).toBe(false);
+  });
+
+  it('should let a request tighten an allow_all account policy', () => {
+    const policy = resolveNetworkPolicy({ mode: 'allow_all' }, { mode: 'allow_list', allowed_domains: ['CDN.example.com'] });
+
+    expect(policy).toMatchObject({ mode: 'allow_list', allowed_domains: ['cdn.example.com'] });
+  });
+
+  it('should never raise limits above the system caps', () => {
+    expect(resolveNetworkPolicy(null, { max_requests: MAX_NETWORK_REQUESTS * 10 }).max_requests).toBe(MAX_NETWORK_REQUESTS);
+  });
+});
+
+describe('checkPolicy', () => {
+  it('should block all http(s) requests in block_external mode except the page host', () => {
+    const policy = resolveNetworkPolicy({ mode: 'block_external' });
+
+    expect(checkPolicy(policy, 'https://cdn.example.com/a.css').allowed).toBe(false);
+    expect(checkPolicy(policy, 'https://example.com/a.css', 'example.com').allowed).toBe(true);
+    expect(checkPolicy(policy, 'data:image/png;base64,AAAA').allowed).toBe(true);
+  });
+
+  it('should allow listed domains and their subdomains in allow_list mode', () => {
+    const policy = resolveNetworkPolicy({ mode: 'allow_list', allowed_domains: ['example.com'] });
+
+    expect(checkPolicy(policy, 'https://example.com/a.png').allowed).toBe(true);
+    expect(checkPolicy(policy, 'https://img.example.com/a.png').allowed).toBe(true);
+    expect(checkPolicy(policy, 'https://badexample.com/a.png').allowed).toBe(false);
+    expect(checkPolicy(policy, 'https://example.com.evil.net/a.png').allowed).toBe(false);
+  });
+});
+
+describe('resource tracking', () => {
+  it('should stop admitting requests at max_requests and report the limit', () => {
+    const tracker = createResourceTracker(resolveNetworkPolicy(null, { max_requests: 2 }));
+
+    expect(admitRequest(tracker).allowed).toBe(true);
+    expect(admitRequest(tracker).allowed).toBe(true);
+    const third = admitRequest(tracker);
+    expect(third.allowed).toBe(false);
+    recordBlocked(tracker, 'https://example.com/3.png', third.reason);
+
+    const report = buildResourceReport(tracker);
+    expect(report.requests).toBe(2);
+    expect(report.blocked_count).toBe(1);
+    expect(report.limit_exceeded).toBe('max_requests');
+  });
+
+  it('should stop admitting requests once max_bytes is reached', () => {
+    const tracker = createResourceTracker(resolveNetworkPolicy(null, { max_bytes: 1000 }));
+    tracker.bytes = 1000;
+
+    expect(admitRequest(tracker).allowed).toBe(false);
+    expect(tracker.limitExceeded).toBe('max_bytes');
+  });
+
+  it('should report a resource larger than max_bytes while it downloads', () => {
+    const tracker = createResourceTracker(resolveNetworkPolicy(null, { max_bytes: 1000 }));
+
+    expect(recordBytes(tracker, 1000).allowed).toBe(true);
+    const chunk = recordBytes(tracker, 1);
+    expect(chunk.allowed).toBe(false);
+    expect(chunk.reason).toContain('1000 bytes');
+    expect(tracker.limitExceeded).toBe('max_bytes');
+    expect(tracker.bytes).toBe(1001);
+  });
+
+  it('should summarize the report in response headers', () => {
+    const tracker = createResourceTracker(resolveNetworkPolicy());
+    admitRequest(tracker);
+    recordBlocked(tracker, 'http://10.0.0.1/x.png', 'blocked');
+
+    expect(getResourceHeaders(buildResourceReport(tracker))).toEqual({
+      'X-PDF-Resources-Requested': '1',
+      'X-PDF-Resources-Blocked': '1',
+      'X-PDF-Resources-Failed': '0',
+    });
+    expect(getResourceHeaders(null)).toEqual({});
+  });
+});
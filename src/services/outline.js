@@ -0,0 +1,348 @@
+/**
+ * Outline Service
+ * Builds PDF bookmarks (`options.outline`) and a clickable table of contents with page numbers
+ * (`options.toc`) from the headings of a rendered page.
+ * Each heading gets an anchor that a hidden link points to; Chromium writes a named destination
+ * (page and position) for every link target, which is how headings are found in the printed PDF.
+ */
+
+const {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFHexString,
+  PDFNumber,
+} = require('pdf-lib');
+const { BadRequest } = require('../utils/errors');
+
+const DEFAULT_HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6';
+const MAX_SELECTOR_LENGTH = 500;
+
+const DEFAULT_OUTLINE_MAX_DEPTH = 6;
+const DEFAULT_TOC_MAX_DEPTH = 3;
+const DEFAULT_TOC_TITLE = 'Contents';
+
+// Headings beyond this are left out of the outline and the table of contents
+const MAX_HEADINGS = 1000;
+const MAX_TITLE_LENGTH = 300;
+
+// Anchor ids (and destination names) given to headings
+const ANCHOR_PREFIX = 'pdf-heading-';
+
+// Base styles have no specificity so the document's own styles win
+const TOC_CSS = `
+:where(nav.toc) ul { list-style: none; margin: 0; padding-left: 1.2em; }
+:where(nav.toc > ul) { padding-left: 0; }
+:where(nav.toc .toc-title) { font-weight: bold; }
+:where(nav.toc a) { color: inherit; text-decoration: none; }
+nav.toc.toc-pages a { display: flex; align-items: baseline; }
+nav.toc.toc-pages .toc-leader { flex: 1 1 auto; margin: 0 0.3em; border-bottom: 1px dotted currentColor; opacity: 0.5; }
+nav.toc.toc-pages .toc-page { flex: none; font-variant-numeric: tabular-nums; }
+`;
+
+/**
+ * Normalize the `outline` and `toc` options
+ * @param {object} options - Render options
+ * @returns {object|null} Settings ({outline: {selector, maxDepth}|null, toc: {selector, maxDepth, title, pageNumbers}|null}), or null if neither is enabled
+ */
+function resolveOutlineSettings(options = {}) {
+  const settingsOf = (value) => (value && typeof value === 'object' ? value : {});
+
+  const outline = options.outline
+    ? {
+      selector: settingsOf(options.outline).selector || DEFAULT_HEADING_SELECTOR,
+      maxDepth: settingsOf(options.outline).max_depth || DEFAULT_OUTLINE_MAX_DEPTH,
+    }
+    : null;
+
+  const toc = options.toc
+    ? {
+      selector: settingsOf(options.toc).selector || DEFAULT_HEADING_SELECTOR,
+      maxDepth: settingsOf(options.toc).max_depth || DEFAULT_TOC_MAX_DEPTH,
+      title: typeof settingsOf(options.toc).title === 'string' ? settingsOf(options.toc).title : DEFAULT_TOC_TITLE,
+      pageNumbers: settingsOf(options.toc).page_numbers !== false,
+    }
+    : null;
+
+  return outline || toc ? { outline, toc } : null;
+}
+
+/**
+ * Anchor the headings of the loaded page and insert the table of contents
+ * The table of contents replaces an element with a `data-toc` attribute or a `[[toc]]` paragraph,
+ * and is otherwise placed at the top of the body. Its page numbers are filled in by fillTocPageNumbers.
+ * @param {object} page - Puppeteer page
+ * @param {object} settings - Settings from resolveOutlineSettings
+ * @returns {Promise<Array<{name: string, title: string, level: number, outline: boolean, toc: boolean}>>} Headings in document order
+ */
+async function prepareHeadings(page, settings) {
+  const result = await page.evaluate((settings, prefix, maxHeadings, maxTitleLength, tocCss) => {
+    const levelOf = (element) => {
+      const match = /^H([1-6])$/.exec(element.tagName);
+      const ariaLevel = parseInt(element.getAttribute('aria-level'), 10);
+      if (match) {
+        return Number(match[1]);
+      }
+      return ariaLevel >= 1 && ariaLevel <= 6 ? ariaLevel : 1;
+    };
+
+    const matches = {};
+    for (const key of ['outline', 'toc']) {
+      if (!settings[key]) {
+        continue;
+      }
+      try {
+        matches[key] = new Set(document.querySelectorAll(settings[key].selector));
+      } catch (error) {
+        return { invalidSelector: key };
+      }
+    }
+
+    // Headings from both selectors, in document order
+    const elements = Array.from(new Set([...(matches.outline || []), ...(matches.toc || [])]));
+    elements.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+
+    const headings = [];
+    const links = document.createElement('div');
+    links.style.display = 'none';
+    links.setAttribute('aria-hidden', 'true');
+    for (const element of elements) {
+      const title = element.textContent.replace(/\s+/g, ' ').trim().slice(0, maxTitleLength);
+      const level = levelOf(element);
+      if (!title || headings.length >= maxHeadings) {
+        continue;
+      }
+
+      // A separate anchor keeps the heading's own id (and links to it) intact
+      const name = `${prefix}${headings.length + 1}`;
+      const anchor = document.createElement('span');
+      anchor.id = name;
+      element.prepend(anchor);
+      const link = document.createElement('a');
+      link.href = `#${name}`;
+      links.appendChild(link);
+
+      headings.push({
+        name,
+        title,
+        level,
+        outline: !!(matches.outline && matches.outline.has(element) && level <= settings.outline.maxDepth),
+        toc: !!(matches.toc && matches.toc.has(element) && level <= settings.toc.maxDepth),
+      });
+    }
+    document.body.appendChild(links);
+
+    const tocEntries = headings.filter((heading) => heading.toc);
+    if (settings.toc && tocEntries.length > 0) {
+      const nav = document.createElement('nav');
+      nav.className = settings.toc.pageNumbers ? 'toc toc-pages' : 'toc';
+      if (settings.toc.title) {
+        const title = document.createElement('p');
+        title.className = 'toc-title';
+        title.textContent = settings.toc.title;
+        nav.appendChild(title);
+      }
+
+      // Nest by level, like the Markdown table of contents
+      const baseLevel = Math.min(...tocEntries.map((heading) => heading.level));
+      const lists = [];
+      for (const heading of tocEntries) {
+        const depth = heading.level - baseLevel + 1;
+        while (lists.length > depth) {
+          lists.pop();
+        }
+        while (lists.length < depth) {
+          const list = document.createElement('ul');
+          const parent = lists.length > 0 ? lists[lists.length - 1].lastElementChild : nav;
+          (parent || lists[lists.length - 1]).appendChild(list);
+          lists.push(list);
+        }
+
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `#${heading.name}`;
+        const text = document.createElement('span');
+        text.className = 'toc-text';
+        text.textContent = heading.title;
+        link.appendChild(text);
+        if (settings.toc.pageNumbers) {
+          const leader = document.createElement('span');
+          leader.className = 'toc-leader';
+          const pageNumber = document.createElement('span');
+          pageNumber.className = 'toc-page';
+          pageNumber.dataset.heading = heading.name;
+          pageNumber.textContent = '0';
+          link.append(leader, pageNumber);
+        }
+        item.appendChild(link);
+        lists[lists.length - 1].appendChild(item);
+      }
+
+      const marker = document.querySelector('[data-toc]') ||
+        Array.from(document.querySelectorAll('p')).find((p) => /^\[\[?toc\]\]?$/i.test(p.textContent.trim()));
+      if (marker) {
+        marker.replaceWith(nav);
+      } else {
+        document.body.prepend(nav);
+      }
+
+      const style = document.createElement('style');
+      style.textContent = tocCss;
+      document.head.appendChild(style);
+    }
+
+    return { headings };
+  }, settings, ANCHOR_PREFIX, MAX_HEADINGS, MAX_TITLE_LENGTH, TOC_CSS);
+
+  if (result.invalidSelector) {
+    throw BadRequest.INVALID_PARAMETER(`options.${result.invalidSelector}.selector`, 'Must be a valid CSS selector');
+  }
+  return result.headings;
+}
+
+/**
+ * Find the named destinations Chromium wrote for heading anchors
+ * @param {object} pdfDoc - pdf-lib PDFDocument
+ * @returns {Map<string, {pageIndex: number, dest: object}>} Destinations by anchor name
+ */
+function findHeadingDestinations(pdfDoc) {
+  const destinations = new Map();
+  const dests = pdfDoc.catalog.lookup(PDFName.of('Dests'));
+  if (!(dests instanceof PDFDict)) {
+    return destinations;
+  }
+
+  const pageIndexes = new Map(pdfDoc.getPages().map((page, index) => [page.ref.toString(), index]));
+  for (const [key, value] of dests.entries()) {
+    const name = key.decodeText();
+    const dest = pdfDoc.context.lookup(value);
+    if (!name.startsWith(ANCHOR_PREFIX) || !(dest instanceof PDFArray)) {
+      continue;
+    }
+    const pageIndex = pageIndexes.get(dest.get(0).toString());
+    if (pageIndex !== undefined) {
+      destinations.set(name, { pageIndex, dest });
+    }
+  }
+  return destinations;
+}
+
+/**
+ * Write the page numbers of the headings into the table of contents
+ * Headings that were not printed (e.g. outside pageRanges) keep an empty page number.
+ * @param {object} page - Puppeteer page prepared with prepareHeadings
+ * @param {Buffer} pdfBuffer - PDF printed from the page
+ * @returns {Promise<void>}
+ */
+async function fillTocPageNumbers(page, pdfBuffer) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const pageNumbers = {};
+  for (const [name, { pageIndex }] of findHeadingDestinations(pdfDoc)) {
+    pageNumbers[name] = pageIndex + 1;
+  }
+
+  await page.evaluate((pageNumbers) => {
+    for (const element of document.querySelectorAll('nav.toc-pages .toc-page')) {
+      element.textContent = pageNumbers[element.dataset.heading] || '';
+    }
+  }, pageNumbers);
+}
+
+/**
+ * Write an outline (bookmarks) into a pdf-lib document, replacing any outline it has
+ * @param {object} pdfDoc - pdf-lib PDFDocument
+ * @param {Array<{title: string, dest: object|null, children: Array}>} items - Top-level items (not empty);
+ *   `dest` is a destination array of the document, items without one only group their children
+ * @returns {void}
+ */
+function writeOutline(pdfDoc, items) {
+  const { context } = pdfDoc;
+
+  // Every item is shown expanded; Count is the number of visible descendants
+  const writeItems = (parentRef, children) => {
+    const refs = children.map(() => context.nextRef());
+    let count = 0;
+    children.forEach((item, index) => {
+      const nested = writeItems(refs[index], item.children);
+      const dict = context.obj({
+        Title: PDFHexString.fromText(item.title),
+        Parent: parentRef,
+      });
+      if (item.dest) {
+        dict.set(PDFName.of('Dest'), item.dest);
+      }
+      if (index > 0) {
+        dict.set(PDFName.of('Prev'), refs[index - 1]);
+      }
+      if (index < refs.length - 1) {
+        dict.set(PDFName.of('Next'), refs[index + 1]);
+      }
+      if (nested.refs.length > 0) {
+        dict.set(PDFName.of('First'), nested.refs[0]);
+        dict.set(PDFName.of('Last'), nested.refs[nested.refs.length - 1]);
+        dict.set(PDFName.of('Count'), PDFNumber.of(nested.count));
+      }
+      context.assign(refs[index], dict);
+      count += 1 + nested.count;
+    });
+    return { refs, count };
+  };
+
+  const rootRef = context.nextRef();
+  const { refs, count } = writeItems(rootRef, items);
+  context.assign(rootRef, context.obj({
+    Type: 'Outlines',
+    First: refs[0],
+    Last: refs[refs.length - 1],
+    Count: count,
+  }));
+  pdfDoc.catalog.set(PDFName.of('Outlines'), rootRef);
+  // Open with the bookmarks panel showing
+  pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+/**
+ * Add an outline (bookmarks) to a PDF printed from a page prepared with prepareHeadings
+ * Headings nest by level; a heading deeper than the one before it becomes its child.
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @param {Array<{name: string, title: string, level: number, outline: boolean}>} headings - Headings from prepareHeadings
+ * @returns {Promise<Buffer>} PDF with outline, or the original buffer when no heading was printed
+ */
+async function addOutline(pdfBuffer, headings) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const destinations = findHeadingDestinations(pdfDoc);
+
+  const root = { children: [], level: 0 };
+  const stack = [root];
+  for (const heading of headings) {
+    const destination = destinations.get(heading.name);
+    if (!heading.outline || !destination) {
+      continue;
+    }
+    while (stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    const item = { title: heading.title, dest: destination.dest.clone(), children: [], level: heading.level };
+    stack[stack.length - 1].children.push(item);
+    stack.push(item);
+  }
+  if (root.children.length === 0) {
+    return pdfBuffer;
+  }
+
+  writeOutline(pdfDoc, root.children);
+
+  // Saved without object streams, like Chromium's own output
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+module.exports = {
+  resolveOutlineSettings,
+  prepareHeadings,
+  fillTocPageNumbers,
+  addOutline,
+  writeOutline,
+  DEFAULT_HEADING_SELECTOR,
+  MAX_SELECTOR_LENGTH,
+};
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for outline.js - PDF bookmarks from headings
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { resolveOutlineSettings, addOutline } = require('./outline.js');
+
+/**
+ * Build a PDF with named destinations like the ones Chromium writes for heading anchors
+ */
+async function pdfWithDestinations(pageCount, names) {
+  const pdfDoc = await PDFDocument.create();
+  const pages = Array.from({ length: pageCount }, () => pdfDoc.addPage());
+  const dests = {};
+  for (const [name, pageIndex] of Object.entries(names)) {
+    dests[name] = [pages[pageIndex].ref, 'XYZ', 6, 800, 0];
+  }
+  pdfDoc.catalog.set(PDFName.of('Dests'), pdfDoc.context.obj(dests));
+  return Buffer.from(await pdfDoc.save());
+}
+
+/**
+ * Read the outline as nested [title, pageIndex, children] entries
+ */
+function readOutline(pdfDoc) {
+  const pageIndexes = new Map(pdfDoc.getPages().map((page, index) => [page.ref.toString(), index]));
+  const readItems = (parent) => {
+    const items = [];
+    for (let item = parent.lookup(PDFName.of('First')); item; item = item.lookup(PDFName.of('Next'))) {
+      const dest = item.lookup(PDFName.of('Dest'));
+      items.push([item.lookup(PDFName.of('Title')).decodeText(), pageIndexes.get(dest.get(0).toString()), readItems(item)]);
+    }
+    return items;
+  };
+  return readItems(pdfDoc.catalog.lookup(PDFName.of('Outlines')));
+}
+
+describe('resolveOutlineSettings', () => {
+  it('should return null when neither outline nor toc is enabled', () => {
+    expect(resolveOutlineSettings({ outline: false })).toBeNull();
+  });
+
+  it('should apply defaults', () => {
+    expect(resolveOutlineSettings({ outline: true, toc: { max_depth: 2 } })).toEqual({
+      outline: { selector: 'h1, h2, h3, h4, h5, h6', maxDepth: 6 },
+      toc: { selector: 'h1, h2, h3, h4, h5, h6', maxDepth: 2, title: 'Contents', pageNumbers: true },
+    });
+  });
+});
+
+describe('addOutline', () => {
+  it('should nest headings by level and point them at their pages', async () => {
+    const pdf = await pdfWithDestinations(3, { 'pdf-heading-1': 0, 'pdf-heading-2': 1, 'pdf-heading-3': 1, 'pdf-heading-4': 2 });
+    const headings = [
+      { name: 'pdf-heading-1', title: 'Introduction', level: 1, outline: true },
+      { name: 'pdf-heading-2', title: 'Scope', level: 3, outline: true },
+      { name: 'pdf-heading-3', title: 'Glossary', level: 2, outline: true },
+      { name: 'pdf-heading-4', title: 'Appendix – Zahlen', level: 1, outline: true },
+    ];
+
+    const pdfDoc = await PDFDocument.load(await addOutline(pdf, headings));
+
+    expect(readOutline(pdfDoc)).toEqual([
+      ['Introduction', 0, [['Scope', 1, []], ['Glossary', 1, []]]],
+      ['Appendix – Zahlen', 2, []],
+    ]);
+    expect(pdfDoc.catalog.lookup(PDFName.of('Outlines')).lookup(PDFName.of('Count')).asNumber()).toBe(4);
+    expect(pdfDoc.catalog.lookup(PDFName.of('PageMode'))).toBe(PDFName.of('UseOutlines'));
+  });
+
+  it('should skip headings left out of the outline or not printed', async () => {
+    const pdf = await pdfWithDestinations(1, { 'pdf-heading-1': 0 });
+    const headings = [
+      { name: 'pdf-heading-1', title: 'Kept', level: 1, outline: true },
+      { name: 'pdf-heading-2', title: 'Not printed', level: 1, outline: true },
+      { name: 'pdf-heading-3', title: 'Table of contents only', level: 1, outline: false },
+    ];
+
+    const pdfDoc = await PDFDocument.load(await addOutline(pdf, headings));
+    expect(readOutline(pdfDoc)).toEqual([['Kept', 0, []]]);
+  });
+
+  it('should return the original buffer when no heading was printed', async () => {
+    const pdf = await pdfWithDestinations(1, {});
+    expect(await addOutline(pdf, [{ name: 'pdf-heading-1', title: 'Gone', level: 1, outline: true }])).toBe(pdf);
+  });
+});
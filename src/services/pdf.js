@@ -7,16 +7,126 @@ const puppeteer = require('puppeteer-core');
 const chromium = require('@sparticuz/chromium');
 const { marked } = require('marked');
 const logger = require('../utils/logger');
+const { BadRequest } = require('../utils/errors');
+const { checkUrl, isBlockedAddress } = require('./urlGuard');
+const {
+  resolveNetworkPolicy,
+  checkPolicy,
+  createResourceTracker,
+  admitRequest,
+  recordBytes,
+  recordBlocked,
+  recordFailed,
+  buildResourceReport,
+} = require('./networkPolicy');
+const { BUNDLE_ORIGIN, BUNDLE_ENTRY, normalizeAssetPath } = require('./assetBundle');
+const { buildMarkdownCss } = require('./markdownTheme');
+const {
+  resolveExtensions,
+  renderMarkdownWithExtensions,
+  getLibraryFiles,
+  escapeHtml,
+  LIBRARY_ORIGIN,
+} = require('./markdownExtensions');
+const { parseFrontMatter } = require('./frontMatter');
+const { mergeMetadata, applyMetadata } = require('./pdfMetadata');
+const { convertToProfile } = require('./pdfa');
+const { encryptPdf } = require('./pdfEncryption');
+const { applyWatermarks } = require('./watermark');
+const { inspectPages } = require('./pdfPages');
+const { PAPER_FORMATS } = require('./validation');
+const {
+  resolveOutlineSettings,
+  prepareHeadings,
+  fillTocPageNumbers,
+  addOutline,
+} = require('./outline');
+const { resolveWaitSettings, waitForReady } = require('./waitFor');
+const { auditPage, buildAccessibilityReport } = require('./accessibility');
+const { createDiagnostics, watchPage, describeError, buildDiagnostics } = require('./diagnostics');
+const {
+  isImageOutput,
+  resolveScreenshotSettings,
+  preparePage,
+  captureScreenshots,
+  IMAGE_OUTPUT_FORMATS,
+} = require('./screenshot');
+
+// Origin account fonts are served from (answered from memory like BUNDLE_ORIGIN)
+const FONT_ORIGIN = 'https://fonts.invalid';
+
+// CSS @font-face format() names by stored font format
+const FONT_CSS_FORMATS = {
+  ttf: 'truetype',
+  otf: 'opentype',
+  woff2: 'woff2',
+};
 
 const MAX_PAGES = parseInt(process.env.MAX_PAGES || '100', 10);
 
+// CSS pixels per unit (Chromium prints at 96 CSS px per inch)
+const UNIT_TO_PX = {
+  px: 1,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+};
+
+// Header/footer placeholders mapped to the elements Chromium fills in at print time
+const HEADER_FOOTER_PLACEHOLDERS = {
+  page: '<span class="pageNumber"></span>',
+  pages: '<span class="totalPages"></span>',
+  title: '<span class="title"></span>',
+  date: '<span class="date"></span>',
+};
+
+// URL renders: navigation timeout and maximum redirects per navigation
+const URL_NAVIGATION_TIMEOUT_MS = parseInt(process.env.URL_NAVIGATION_TIMEOUT_MS || '20000', 10);
+const MAX_URL_REDIRECTS = parseInt(process.env.MAX_URL_REDIRECTS || '5', 10);
+
+// WebSocket connections bypass Puppeteer request interception, so Chromium blocks them (Network.setBlockedURLs)
+const WEBSOCKET_URL_PATTERNS = ['ws://*', 'wss://*'];
+
+// How long subresources (images, fonts, stylesheets) may keep loading before the page is printed anyway
+const RESOURCE_TIMEOUT_MS = parseInt(process.env.RESOURCE_TIMEOUT_MS || '15000', 10);
+
+// Shared browser (promise) kept across warm Lambda invocations; see getBrowser()
+let browserPromise = null;
+
+// Options passed through to page.pdf(); anything else (e.g. `path`) is never forwarded
+const PDF_OPTION_KEYS = [
+  'format',
+  'width',
+  'height',
+  'landscape',
+  'margin',
+  'scale',
+  'printBackground',
+  'omitBackground',
+  'pageRanges',
+  'preferCSSPageSize',
+  'displayHeaderFooter',
+  'headerTemplate',
+  'footerTemplate',
+];
+
+// Chromium's header/footer page pads the header top and footer bottom by 0.4cm
+const HEADER_FOOTER_PADDING_PX = 0.4 * UNIT_TO_PX.cm;
+
+// Space kept between header/footer and body content when margins are adjusted
+const HEADER_FOOTER_GAP_PX = 8;
+
 /**
  * Convert Markdown to HTML
  * @param {string} markdown - Markdown content
+ * @param {object|null} extensions - Resolved Markdown extension settings (from resolveExtensions), if any
  * @returns {string} HTML content
  */
-function markdownToHtml(markdown) {
+function markdownToHtml(markdown, extensions = null) {
   try {
+    if (extensions) {
+      return renderMarkdownWithExtensions(markdown, extensions);
+    }
     return marked.parse(markdown, {
       gfm: true, // GitHub Flavored Markdown
       breaks: false,
@@ -28,34 +138,205 @@ function markdownToHtml(markdown) {
 }
 
 /**
- * Count pages in a PDF buffer
- * @param {Buffer} pdfBuffer - PDF buffer
- * @returns {number} Number of pages
+ * Convert a CSS length (number or string with px/in/cm/mm unit) to CSS pixels
+ * @param {number|string} value - Length value (numbers are treated as pixels)
+ * @returns {number|null} Length in pixels, or null if it cannot be parsed
  */
-function countPages(pdfBuffer) {
-  try {
-    // PDF page count: search for /Count in the document
-    // This is a simple heuristic - look for /Count followed by a number
-    const pdfString = pdfBuffer.toString('binary');
-    const matches = pdfString.match(/\/Count\s+(\d+)/g);
-    if (matches && matches.length > 0) {
-      // Get the last match (document page count)
-      const lastMatch = matches[matches.length - 1];
-      const count = parseInt(lastMatch.match(/\d+/)[0], 10);
-      return count;
-    }
-    // Fallback: count page objects
-    const pageMatches = pdfString.match(/\/Type\s*\/Page[^s]/g);
-    if (pageMatches) {
-      return pageMatches.length;
-    }
-    // If we can't determine, return 0 (will be handled by truncation logic)
-    return 0;
-  } catch (error) {
-    logger.error('Page counting error', { error: error.message });
-    // Return 0 if we can't count - truncation will handle it
-    return 0;
+function toPixels(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const match = value.trim().toLowerCase().match(/^(-?\d*\.?\d+)\s*(px|in|cm|mm)?$/);
+  if (!match) {
+    return null;
+  }
+  return parseFloat(match[1]) * UNIT_TO_PX[match[2] || 'px'];
+}
+
+/**
+ * Get the printed page width in pixels for the given PDF options
+ * @param {object} options - PDF options (format, width, landscape)
+ * @returns {number} Page width in pixels
+ */
+function getPageWidthPx(options) {
+  const explicitWidth = toPixels(options.width);
+  if (explicitWidth) {
+    return explicitWidth;
+  }
+  const format = PAPER_FORMATS[String(options.format || 'A4').toLowerCase()] || PAPER_FORMATS.a4;
+  return (options.landscape ? format.height : format.width) * UNIT_TO_PX.in;
+}
+
+/**
+ * Get the printed page size and margins in pixels for the given PDF options
+ * @param {object} options - PDF options (format, width, height, landscape, margin)
+ * @returns {{width: number, height: number, margin: {top: number, right: number, bottom: number, left: number}}}
+ */
+function getPageLayoutPx(options) {
+  const format = PAPER_FORMATS[String(options.format || 'A4').toLowerCase()] || PAPER_FORMATS.a4;
+  const height = toPixels(options.height) || (options.landscape ? format.width : format.height) * UNIT_TO_PX.in;
+  const margin = options.margin || {};
+  return {
+    width: getPageWidthPx(options),
+    height,
+    margin: {
+      top: toPixels(margin.top) || 0,
+      right: toPixels(margin.right) || 0,
+      bottom: toPixels(margin.bottom) || 0,
+      left: toPixels(margin.left) || 0,
+    },
+  };
+}
+
+/**
+ * Pick the options that are forwarded to page.pdf()
+ * Request options are validated against the schema in validation.js; this is a second
+ * line of defence for callers that bypass it (e.g. queued longjob messages)
+ * @param {object} options - PDF options
+ * @returns {object} Options containing only allow-listed, non-null keys
+ */
+function pickPdfOptions(options) {
+  const picked = {};
+  for (const key of PDF_OPTION_KEYS) {
+    if (options[key] !== undefined && options[key] !== null) {
+      picked[key] = options[key];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Normalize a header/footer option to an HTML snippet
+ * Accepts an HTML string, or an object with either an `html` or a `markdown` snippet
+ * @param {string|object} value - Header or footer option
+ * @returns {string|null} HTML snippet, or null if not set
+ */
+function normalizeHeaderFooter(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (typeof value.markdown === 'string') {
+    return markdownToHtml(value.markdown);
+  }
+  return typeof value.html === 'string' ? value.html : null;
+}
+
+/**
+ * Remove active content from a header/footer snippet
+ * Snippets are measured in the document page, where scripts and event handlers would run:
+ * script-like elements, on* attributes and javascript: URLs are dropped, markup and inline styles are kept.
+ * @param {string} snippet - HTML snippet
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeHeaderFooter(snippet) {
+  return snippet
+    .replace(/<(script|iframe|object|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<\/?(script|iframe|object|noscript|template|embed|frame|base|link|meta)\b[^>]*>/gi, '')
+    // Attributes are only rewritten inside tags, so text such as "one=1" is left alone
+    .replace(/<[a-z][^>]*>/gi, (tag) => tag
+      .replace(/\s+on[a-z]+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '')
+      .replace(/\b(href|src|action|formaction|xlink:href)(\s*=\s*["']?)\s*javascript:/gi, '$1$2#'));
+}
+
+/**
+ * Build a Chromium header/footer template from a snippet
+ * Sanitizes the snippet, replaces {{page}}, {{pages}}, {{title}} and {{date}} placeholders and wraps
+ * it with default styles (header/footer templates do not inherit the document's styles)
+ * @param {string} snippet - HTML snippet
+ * @param {number} marginLeftPx - Left page margin in pixels (used to align with body content)
+ * @param {number} marginRightPx - Right page margin in pixels
+ * @returns {string} Template HTML
+ */
+function buildHeaderFooterTemplate(snippet, marginLeftPx, marginRightPx) {
+  const html = sanitizeHeaderFooter(snippet).replace(/\{\{\s*(page|pages|title|date)\s*\}\}/g, (match, name) => HEADER_FOOTER_PLACEHOLDERS[name]);
+
+  return `<div style="width: 100%; box-sizing: border-box; padding: 0 ${marginRightPx}px 0 ${marginLeftPx}px; ` +
+    'font-family: -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, \'Helvetica Neue\', Arial, sans-serif; ' +
+    'font-size: 10px; color: #333; -webkit-print-color-adjust: exact;">' +
+    `<style>p { margin: 0; }</style>${html}</div>`;
+}
+
+/**
+ * Measure the rendered height of header/footer templates in the page
+ * Templates are rendered in an isolated shadow root so document styles do not affect the result
+ * @param {object} page - Puppeteer page
+ * @param {string[]} templates - Template HTML strings
+ * @param {number} widthPx - Page width in pixels
+ * @returns {Promise<number[]>} Heights in pixels
+ */
+async function measureTemplates(page, templates, widthPx) {
+  return page.evaluate((htmlList, width) => {
+    const host = document.createElement('div');
+    host.style.cssText = `all: initial; position: absolute; left: -100000px; top: 0; width: ${width}px; visibility: hidden;`;
+    document.body.appendChild(host);
+    const root = host.attachShadow({ mode: 'open' });
+    const heights = htmlList.map((html) => {
+      root.innerHTML = html;
+      return Math.ceil(root.firstElementChild ? root.firstElementChild.getBoundingClientRect().height : 0);
+    });
+    host.remove();
+    return heights;
+  }, templates, widthPx);
+}
+
+/**
+ * Apply header/footer options to PDF options
+ * Builds Chromium templates from `header`/`footer` and raises the top/bottom margins
+ * so the header and footer do not overlap body content
+ * @param {object} page - Puppeteer page (content already loaded)
+ * @param {object} pdfOptions - PDF options (modified copy is returned)
+ * @returns {Promise<object>} PDF options for page.pdf()
+ */
+async function applyHeaderFooter(page, pdfOptions) {
+  const { header, footer, ...rest } = pdfOptions;
+  const headerHtml = normalizeHeaderFooter(header);
+  const footerHtml = normalizeHeaderFooter(footer);
+
+  if (!headerHtml && !footerHtml) {
+    return rest;
+  }
+
+  const margin = { ...(rest.margin || {}) };
+  const marginLeftPx = toPixels(margin.left) || 0;
+  const marginRightPx = toPixels(margin.right) || 0;
+
+  // An empty template suppresses Chromium's default header/footer (title, date, URL)
+  const headerTemplate = headerHtml ? buildHeaderFooterTemplate(headerHtml, marginLeftPx, marginRightPx) : '<span></span>';
+  const footerTemplate = footerHtml ? buildHeaderFooterTemplate(footerHtml, marginLeftPx, marginRightPx) : '<span></span>';
+
+  const [headerHeight, footerHeight] = await measureTemplates(
+    page,
+    [headerHtml ? headerTemplate : '', footerHtml ? footerTemplate : ''],
+    getPageWidthPx(rest)
+  );
+
+  // Only ever raise margins - a caller-provided margin that already fits is kept
+  if (headerHtml) {
+    const requiredTop = Math.ceil(headerHeight + HEADER_FOOTER_PADDING_PX + HEADER_FOOTER_GAP_PX);
+    if ((toPixels(margin.top) || 0) < requiredTop) {
+      margin.top = `${requiredTop}px`;
+    }
   }
+  if (footerHtml) {
+    const requiredBottom = Math.ceil(footerHeight + HEADER_FOOTER_PADDING_PX + HEADER_FOOTER_GAP_PX);
+    if ((toPixels(margin.bottom) || 0) < requiredBottom) {
+      margin.bottom = `${requiredBottom}px`;
+    }
+  }
+
+  return {
+    ...rest,
+    margin,
+    displayHeaderFooter: true,
+    headerTemplate,
+    footerTemplate,
+  };
 }
 
 /**
@@ -130,86 +411,826 @@ async function truncatePdf(pdfBuffer, maxPages) {
 }
 
 /**
- * Generate PDF from HTML or Markdown
- * @param {string} content - HTML or Markdown content
- * @param {string} inputType - 'html' or 'markdown'
- * @param {object} options - Puppeteer PDF options
- * @param {number} maxPages - Maximum number of pages allowed (optional, defaults to MAX_PAGES)
- * @returns {Promise<{pdf: Buffer, pages: number, truncated: boolean}>}
+ * Launch a new Chromium browser configured for Lambda
+ * @returns {Promise<object>} Puppeteer browser
  */
-async function generatePDF(content, inputType, options = {}, maxPages = null) {
-  let browser = null;
-  let startTime = Date.now();
+async function launchBrowser() {
+  const executablePath = await chromium.executablePath();
 
+  // --single-process Chromium shuts down when an incognito context is closed,
+  // which would kill the shared browser after every render
+  const args = chromium.args.filter((arg) => arg !== '--single-process');
+
+  return puppeteer.launch({
+    args,
+    defaultViewport: chromium.defaultViewport,
+    executablePath,
+    headless: chromium.headless,
+    ignoreHTTPSErrors: true,
+  });
+}
+
+/**
+ * Get the shared browser instance, launching it if needed
+ * The browser lives at module level so it survives warm Lambda invocations.
+ * A crashed or disconnected browser is detected and replaced with a new one.
+ * @returns {Promise<{browser: object, reused: boolean}>}
+ */
+async function getBrowser() {
+  if (browserPromise) {
+    try {
+      const browser = await browserPromise;
+      if (browser.isConnected()) {
+        return { browser, reused: true };
+      }
+      logger.warn('Cached Chromium browser is disconnected, relaunching');
+    } catch (error) {
+      // Previous launch failed - launch again below
+    }
+    browserPromise = null;
+  }
+
+  const launching = launchBrowser();
+  browserPromise = launching;
+
+  let browser;
   try {
-    // Convert Markdown to HTML if needed
-    let htmlContent = content;
-    if (inputType === 'markdown') {
-      htmlContent = markdownToHtml(content);
-      // Wrap in a basic HTML structure if not already wrapped
-      if (!htmlContent.includes('<!DOCTYPE') && !htmlContent.includes('<html')) {
-        htmlContent = `<!DOCTYPE html>
-<html>
+    browser = await launching;
+  } catch (error) {
+    if (browserPromise === launching) {
+      browserPromise = null;
+    }
+    throw error;
+  }
+
+  browser.once('disconnected', () => {
+    logger.warn('Chromium browser disconnected');
+    if (browserPromise === launching) {
+      browserPromise = null;
+    }
+  });
+
+  return { browser, reused: false };
+}
+
+/**
+ * Close the shared browser instance (if any)
+ * Not needed in Lambda, where the browser is kept for warm invocations; used by scripts and tests
+ * @returns {Promise<void>}
+ */
+async function closeBrowser() {
+  const launching = browserPromise;
+  browserPromise = null;
+  if (launching) {
+    const browser = await launching.catch(() => null);
+    if (browser) {
+      await browser.close().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Build <title> and <meta> tags for document metadata
+ * The <title> is what the {{title}} header/footer placeholder shows
+ * @param {object} metadata - Document metadata ({title, author, subject, keywords})
+ * @returns {string} HTML for the document head
+ */
+function buildMetadataTags(metadata) {
+  const text = (value) => escapeHtml(Array.isArray(value) ? value.join(', ') : String(value));
+  let tags = '';
+  if (metadata.title) {
+    tags += `\n  <title>${text(metadata.title)}</title>`;
+  }
+  for (const [field, name] of [['author', 'author'], ['subject', 'description'], ['keywords', 'keywords']]) {
+    if (metadata[field]) {
+      tags += `\n  <meta name="${name}" content="${text(metadata[field])}">`;
+    }
+  }
+  return tags;
+}
+
+/**
+ * Wrap HTML or converted Markdown into a complete HTML document
+ * Markdown is styled with the selected theme, theme overrides and custom CSS (see markdownTheme.js)
+ * and converted with the enabled extensions (see markdownExtensions.js)
+ * @param {string} content - HTML or Markdown content (Markdown without its front matter)
+ * @param {string} inputType - 'html' or 'markdown'
+ * @param {object} options - Render options (`theme`, `theme_overrides`, `css`, `extensions` for Markdown)
+ * @param {string|null} stylesheetCss - Stored stylesheet content for Markdown (optional)
+ * @param {object} metadata - Document metadata from Markdown front matter (optional)
+ * @returns {string} HTML document
+ */
+function buildHtmlDocument(content, inputType, options = {}, stylesheetCss = null, metadata = {}) {
+  let htmlContent = content;
+  if (inputType === 'markdown') {
+    const extensions = resolveExtensions(options.extensions);
+    htmlContent = markdownToHtml(content, extensions);
+    // Wrap in a basic HTML structure if not already wrapped
+    if (!htmlContent.includes('<!DOCTYPE') && !htmlContent.includes('<html')) {
+      const katexLink = extensions && extensions.math
+        ? `\n  <link rel="stylesheet" href="${LIBRARY_ORIGIN}/katex/katex.min.css">`
+        : '';
+      const lang = metadata.language ? ` lang="${escapeHtml(metadata.language)}"` : '';
+      htmlContent = `<!DOCTYPE html>
+<html${lang}>
 <head>
-  <meta charset="UTF-8">
+  <meta charset="UTF-8">${buildMetadataTags(metadata)}${katexLink}
   <style>
-    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; }
-    pre { background-color: #f4f4f4; padding: 1em; border-radius: 4px; }
-    code { background-color: #f4f4f4; padding: 0.2em 0.4em; border-radius: 3px; }
-    table { border-collapse: collapse; width: 100%; }
-    th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-    th { background-color: #f2f2f2; }
+${buildMarkdownCss(options, stylesheetCss)}
   </style>
 </head>
 <body>
 ${htmlContent}
 </body>
 </html>`;
+    }
+  } else {
+    // Ensure HTML has DOCTYPE for best results
+    if (!htmlContent.includes('<!DOCTYPE')) {
+      if (!htmlContent.includes('<html')) {
+        htmlContent = `<!DOCTYPE html>\n<html>\n<head><meta charset="UTF-8"></head>\n<body>\n${htmlContent}\n</body>\n</html>`;
+      } else {
+        htmlContent = `<!DOCTYPE html>\n${htmlContent}`;
       }
-    } else {
-      // Ensure HTML has DOCTYPE for best results
-      if (!htmlContent.includes('<!DOCTYPE')) {
-        if (!htmlContent.includes('<html')) {
-          htmlContent = `<!DOCTYPE html>\n<html>\n<head><meta charset="UTF-8"></head>\n<body>\n${htmlContent}\n</body>\n</html>`;
-        } else {
-          htmlContent = `<!DOCTYPE html>\n${htmlContent}`;
+    }
+  }
+  return htmlContent;
+}
+
+/**
+ * Intercept every request the page makes and apply the network policy and URL guard
+ * - Requests not allowed by the network policy (mode, allow list, request/byte limits) are aborted
+ * - Once the bytes received pass max_bytes (counted while responses download), the page stops loading
+ * - Requests to private/link-local/metadata addresses and non-http schemes are aborted (SSRF protection)
+ * - WebSockets are blocked in Chromium itself: they never reach request interception, so no address check could run
+ * - Navigations with too many redirects are aborted
+ * - Responses served from a blocked address anyway (e.g. DNS rebinding) are recorded as violations
+ * Sent requests are tracked so failures, timeouts and downloaded bytes can be reported.
+ * Requests to local origins (asset bundle, account fonts) are answered from memory and never reach the network.
+ * @param {object} page - Puppeteer page
+ * @param {object} tracker - Resource tracker from createResourceTracker
+ * @param {string|null} pageHost - Host of the page for URL renders, null for inline content
+ * @param {Map} localOrigins - Origin -> Map of files by path ({body, contentType} or {load, contentType})
+ * @returns {Promise<object>} Guard state ({blocked, violations, redirectLimitExceeded, bytesLimitExceeded, tracker, inFlight})
+ */
+async function attachRequestInterceptor(page, tracker, pageHost = null, localOrigins = new Map()) {
+  const state = {
+    blocked: [], // Requests aborted by the URL guard before they were sent
+    violations: [], // Responses that came from a blocked address anyway
+    redirectLimitExceeded: false,
+    bytesLimitExceeded: false, // max_bytes was passed while a response was downloading
+    dnsCache: new Map(),
+    tracker,
+    inFlight: new Set(), // Requests sent and not yet finished
+  };
+  const aborted = new WeakSet();
+
+  /**
+   * Abort a request and remember that the failure was ours
+   */
+  const abort = async (request) => {
+    aborted.add(request);
+    await request.abort('blockedbyclient');
+  };
+
+  /**
+   * Files served for a URL if it belongs to a local origin, otherwise null
+   */
+  const getLocalFiles = (url) => {
+    const origin = url.match(/^https?:\/\/[^/]+/);
+    return origin ? localOrigins.get(origin[0]) || null : null;
+  };
+
+  // Count downloaded bytes (encoded size on the wire) for the max_bytes limit as they arrive; local files are not downloaded
+  const localRequestIds = new Set();
+  const receivedBytes = new Map(); // Request ID -> bytes counted so far
+  const client = await page.target().createCDPSession();
+  await client.send('Network.enable');
+  await client.send('Network.setBlockedURLs', { urls: WEBSOCKET_URL_PATTERNS });
+  client.on('Network.webSocketCreated', (event) => {
+    state.blocked.push({ url: event.url, reason: 'WebSockets are not allowed', navigation: false });
+    recordBlocked(tracker, event.url, 'WebSockets are not allowed');
+  });
+  client.on('Network.requestWillBeSent', (event) => {
+    if (getLocalFiles(event.request.url)) {
+      localRequestIds.add(event.requestId);
+    }
+  });
+  const countBytes = (requestId, bytes) => {
+    if (localRequestIds.has(requestId) || !(bytes > 0)) {
+      return;
+    }
+    receivedBytes.set(requestId, (receivedBytes.get(requestId) || 0) + bytes);
+    if (!recordBytes(tracker, bytes).allowed && !state.bytesLimitExceeded) {
+      // A response that is already downloading cannot be aborted on its own: stop loading the page
+      // (like the browser's stop button); later requests are refused by admitRequest
+      state.bytesLimitExceeded = true;
+      logger.warn('Network policy byte limit exceeded, stopping page load', { maxBytes: tracker.policy.max_bytes });
+      client.send('Page.stopLoading').catch(() => {});
+    }
+  };
+  client.on('Network.dataReceived', (event) => {
+    countBytes(event.requestId, event.encodedDataLength || event.dataLength);
+  });
+  client.on('Network.loadingFinished', (event) => {
+    // The final size includes headers and anything not reported in chunks
+    countBytes(event.requestId, (event.encodedDataLength || 0) - (receivedBytes.get(event.requestId) || 0));
+    receivedBytes.delete(event.requestId);
+  });
+
+  await page.setRequestInterception(true);
+
+  page.on('request', async (request) => {
+    const url = request.url();
+    try {
+      const localFiles = getLocalFiles(url);
+      if (localFiles) {
+        await respondFromMemory(request, localFiles, tracker);
+        return;
+      }
+
+      if (request.isNavigationRequest() && request.redirectChain().length > MAX_URL_REDIRECTS) {
+        state.redirectLimitExceeded = true;
+        await abort(request);
+        return;
+      }
+
+      // data:, blob: and about: URLs make no network request
+      if (!/^https?:/i.test(url)) {
+        const { allowed } = await checkUrl(url, state.dnsCache);
+        if (!allowed) {
+          state.blocked.push({ url, reason: 'Scheme is not allowed', navigation: request.isNavigationRequest() });
+          recordBlocked(tracker, url, 'Scheme is not allowed');
+          await abort(request);
+          return;
         }
+        await request.continue();
+        return;
       }
+
+      const policyCheck = checkPolicy(tracker.policy, url, pageHost);
+      if (!policyCheck.allowed) {
+        recordBlocked(tracker, url, policyCheck.reason);
+        await abort(request);
+        return;
+      }
+
+      const { allowed, reason } = await checkUrl(url, state.dnsCache);
+      if (!allowed) {
+        state.blocked.push({ url, reason, navigation: request.isNavigationRequest() });
+        recordBlocked(tracker, url, reason);
+        await abort(request);
+        return;
+      }
+
+      const admission = admitRequest(tracker);
+      if (!admission.allowed) {
+        recordBlocked(tracker, url, admission.reason);
+        await abort(request);
+        return;
+      }
+
+      state.inFlight.add(request);
+      await request.continue();
+    } catch (error) {
+      // Request was already handled or the page was closed
+      logger.debug('Request interception error', { url, error: error.message });
     }
+  });
 
-    // Configure Chromium for Lambda
-    const executablePath = await chromium.executablePath();
+  page.on('requestfinished', (request) => {
+    state.inFlight.delete(request);
+  });
 
-    // Launch browser
-    browser = await puppeteer.launch({
-      args: chromium.args,
-      defaultViewport: chromium.defaultViewport,
-      executablePath,
-      headless: chromium.headless,
-      ignoreHTTPSErrors: true,
+  page.on('requestfailed', (request) => {
+    state.inFlight.delete(request);
+    if (!aborted.has(request)) {
+      const failure = request.failure();
+      recordFailed(tracker, request.url(), failure ? failure.errorText : 'Request failed');
+    }
+  });
+
+  page.on('response', (response) => {
+    const remoteAddress = response.remoteAddress();
+    if (remoteAddress && remoteAddress.ip && isBlockedAddress(remoteAddress.ip)) {
+      state.violations.push({
+        url: response.url(),
+        reason: `Response was served from non-public address ${remoteAddress.ip}`,
+      });
+    }
+  });
+
+  return state;
+}
+
+/**
+ * Answer a request to a local origin from memory (404 if the file is missing)
+ * Files either carry their body or a load() function that fetches it on first use,
+ * so account fonts are only downloaded when the document actually uses them.
+ * @param {object} request - Intercepted Puppeteer request
+ * @param {Map} files - Files by path ({body, contentType} or {load, contentType})
+ * @param {object} tracker - Resource tracker (missing files are reported as failed)
+ * @returns {Promise<void>}
+ */
+async function respondFromMemory(request, files, tracker) {
+  let filePath;
+  try {
+    filePath = normalizeAssetPath(decodeURIComponent(new URL(request.url()).pathname)) || BUNDLE_ENTRY;
+  } catch (error) {
+    filePath = null;
+  }
+
+  const file = filePath ? files.get(filePath) : null;
+  if (!file) {
+    recordFailed(tracker, request.url(), 'File not found in bundle');
+    await request.respond({ status: 404, contentType: 'text/plain', body: 'Not found' });
+    return;
+  }
+
+  let body = file.body;
+  if (!body) {
+    try {
+      body = await file.load();
+    } catch (error) {
+      logger.warn('Failed to load local file', { url: request.url(), error: error.message });
+      recordFailed(tracker, request.url(), 'File could not be loaded');
+      await request.respond({ status: 500, contentType: 'text/plain', body: 'Not available' });
+      return;
+    }
+  }
+
+  await request.respond({
+    status: 200,
+    contentType: file.contentType,
+    // Fonts are loaded cross-origin (CORS mode) from every page origin
+    headers: { 'Access-Control-Allow-Origin': '*' },
+    body,
+  });
+}
+
+/**
+ * Build @font-face rules that register account fonts for the document
+ * @param {Array} fonts - Account fonts ({font_id, family, weight, style, format})
+ * @returns {string} CSS
+ */
+function buildFontFaceCss(fonts) {
+  return fonts.map((font) => `@font-face {
+  font-family: "${font.family}";
+  src: url("${FONT_ORIGIN}/${font.font_id}") format("${FONT_CSS_FORMATS[font.format]}");
+  font-weight: ${font.weight};
+  font-style: ${font.style};
+  font-display: block;
+}`).join('\n');
+}
+
+/**
+ * Wait for subresources to finish loading, up to RESOURCE_TIMEOUT_MS
+ * Slow third-party assets do not fail the render: requests still pending at the deadline
+ * are reported as failed and the page is printed with what has loaded
+ * @param {object} page - Puppeteer page
+ * @param {object} guard - Guard state from attachRequestInterceptor
+ * @returns {Promise<void>}
+ */
+async function waitForResources(page, guard) {
+  const deadline = Date.now() + RESOURCE_TIMEOUT_MS;
+  try {
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: RESOURCE_TIMEOUT_MS });
+    // Web fonts can still be decoding after their requests finish
+    await page.evaluate((ms) => Promise.race([
+      document.fonts.ready,
+      new Promise((resolve) => setTimeout(resolve, ms)),
+    ]), Math.max(deadline - Date.now(), 0));
+  } catch (error) {
+    if (error.name !== 'TimeoutError') {
+      throw error;
+    }
+    for (const request of guard.inFlight) {
+      recordFailed(guard.tracker, request.url(), `Timed out after ${RESOURCE_TIMEOUT_MS}ms`);
+    }
+    logger.warn('Resources still loading at deadline, rendering anyway', {
+      pending: guard.inFlight.size,
+      timeoutMs: RESOURCE_TIMEOUT_MS,
     });
+  }
+}
+
+/**
+ * Render ```mermaid blocks of a Markdown document to SVG in the page
+ * The Mermaid bundle is served from LIBRARY_ORIGIN and only loaded when the document has diagrams.
+ * Every diagram is parsed first so a syntax error fails the render with a clear message.
+ * @param {object} page - Puppeteer page
+ * @returns {Promise<void>}
+ */
+async function renderMermaidDiagrams(page) {
+  const count = await page.$$eval('pre.mermaid', (nodes) => nodes.length);
+  if (count === 0) {
+    return;
+  }
 
-    const page = await browser.newPage();
+  await page.addScriptTag({ url: `${LIBRARY_ORIGIN}/mermaid/mermaid.min.js` });
+  const failure = await page.evaluate(async () => {
+    const { mermaid } = window;
+    mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' });
+    const nodes = Array.from(document.querySelectorAll('pre.mermaid'));
+    for (let i = 0; i < nodes.length; i++) {
+      try {
+        await mermaid.parse(nodes[i].textContent);
+      } catch (error) {
+        return `Mermaid diagram ${i + 1}: ${(error && (error.message || error.str)) || String(error)}`;
+      }
+    }
+    await mermaid.run({ nodes });
+    return null;
+  });
 
-    // Set content
-    await page.setContent(htmlContent, {
-      waitUntil: 'networkidle0',
-      timeout: 30000,
+  if (failure) {
+    throw BadRequest.MARKDOWN_RENDER_FAILED(failure);
+  }
+}
+
+/**
+ * Apply emulation settings (options.emulation) before the document is loaded
+ * The locale sets navigator.language, the Intl/Date default locale and the Accept-Language request header.
+ * Viewport fields not given keep the current viewport (the browser default, or the screenshot viewport).
+ * @param {object} page - Puppeteer page
+ * @param {object} emulation - Emulation ({media_type, viewport, device_scale_factor, locale, timezone, javascript_enabled})
+ * @returns {Promise<void>}
+ */
+async function applyEmulation(page, emulation) {
+  if (emulation.media_type) {
+    await page.emulateMediaType(emulation.media_type);
+  }
+  if (emulation.viewport || emulation.device_scale_factor) {
+    const current = page.viewport();
+    await page.setViewport({
+      ...current,
+      ...emulation.viewport,
+      deviceScaleFactor: emulation.device_scale_factor || current.deviceScaleFactor,
     });
+  }
+  if (emulation.locale) {
+    const session = await page.target().createCDPSession();
+    await session.send('Emulation.setLocaleOverride', { locale: emulation.locale });
+    await session.send('Emulation.setUserAgentOverride', {
+      userAgent: await page.browser().userAgent(),
+      acceptLanguage: emulation.locale,
+    });
+  }
+  if (emulation.timezone) {
+    try {
+      await page.emulateTimezone(emulation.timezone);
+    } catch (error) {
+      // Chromium's time zone database can lag behind Node's
+      throw BadRequest.INVALID_PARAMETER('options.emulation.timezone', 'Must be an IANA time zone, e.g. "Europe/Berlin"');
+    }
+  }
+  if (emulation.javascript_enabled === false) {
+    await page.setJavaScriptEnabled(false);
+  }
+}
+
+/**
+ * Navigate to a URL and check that the page loaded successfully
+ * @param {object} page - Puppeteer page (with request interceptor attached)
+ * @param {string} url - URL to load
+ * @param {object} guard - Guard state from attachRequestInterceptor
+ * @returns {Promise<void>}
+ */
+async function loadUrl(page, url, guard) {
+  // Check the destination up front for a clear error (the interceptor enforces it again)
+  const { allowed, reason } = await checkUrl(url, guard.dnsCache);
+  if (!allowed) {
+    throw BadRequest.URL_NOT_ALLOWED(url, reason);
+  }
+
+  let response;
+  try {
+    response = await page.goto(url, {
+      waitUntil: 'domcontentloaded',
+      timeout: URL_NAVIGATION_TIMEOUT_MS,
+    });
+  } catch (error) {
+    if (guard.redirectLimitExceeded) {
+      throw BadRequest.URL_LOAD_FAILED(url, `More than ${MAX_URL_REDIRECTS} redirects`);
+    }
+    if (guard.bytesLimitExceeded) {
+      throw BadRequest.NETWORK_LIMIT_EXCEEDED(guard.tracker.policy.max_bytes, guard.tracker.bytes);
+    }
+    const blockedNavigation = guard.blocked.find((entry) => entry.navigation);
+    if (blockedNavigation) {
+      throw BadRequest.URL_NOT_ALLOWED(blockedNavigation.url, blockedNavigation.reason);
+    }
+    if (error.name === 'TimeoutError') {
+      throw BadRequest.URL_LOAD_FAILED(url, `Page did not finish loading within ${URL_NAVIGATION_TIMEOUT_MS}ms`);
+    }
+    throw BadRequest.URL_LOAD_FAILED(url, error.message);
+  }
+
+  if (!response) {
+    throw BadRequest.URL_LOAD_FAILED(url, 'No response received');
+  }
+  if (response.status() >= 400) {
+    throw BadRequest.URL_LOAD_FAILED(url, `Server responded with HTTP ${response.status()}`, response.status());
+  }
+}
+
+/**
+ * Render an HTML document or a URL to PDF in a fresh incognito context of the shared browser
+ * HTML with assets is loaded from BUNDLE_ORIGIN/index.html so relative asset URLs resolve against the bundle.
+ * Account fonts are registered with injected @font-face rules and served from FONT_ORIGIN.
+ * KaTeX and Mermaid files for Markdown extensions are served from LIBRARY_ORIGIN.
+ * Emulation settings (options.emulation) are applied before loading; wait conditions (options.wait_for)
+ * are awaited once subresources have loaded.
+ * With a table of contents showing page numbers (options.toc), the page is printed twice: the numbers
+ * are read from the first print and filled in before the second.
+ * With `screenshot`, the page is captured as images instead (tables of contents then have no page numbers).
+ * With options.accessible, a tagged PDF is printed and the page is audited for the accessibility report.
+ * @param {object} source - What to render: {html: string, assets?: Map, extensions?: object, titleFromHeading?: boolean} or {url: string}
+ * @param {object} options - PDF options
+ * @param {object} networkPolicy - Effective network policy from resolveNetworkPolicy
+ * @param {Array} fonts - Account fonts ({font_id, family, weight, style, format, load})
+ * @param {object} screenshot - Image capture ({settings, watermarks, maxImages}; see screenshot.js), or null for a PDF
+ * @param {object} diagnostics - Collector from diagnostics.createDiagnostics (optional); gets console messages,
+ *   page errors and the resource report, also when rendering fails
+ * @returns {Promise<{pdf?: Buffer, images?: Array, truncated?: boolean, title: string, headings: Array|null, audit?: object|null, timings: object, resources: object}>}
+ */
+async function renderInBrowser(source, options, networkPolicy, fonts = [], screenshot = null, diagnostics = null) {
+  let context = null;
+  let tracker = null;
+
+  try {
+    // Get the warm browser (only launches on cold start or after a crash)
+    const launchStart = Date.now();
+    const { browser, reused } = await getBrowser();
+    const launchMs = Date.now() - launchStart;
+
+    // Fresh incognito context per render so cookies, storage and cache never leak between jobs
+    context = await browser.createIncognitoBrowserContext();
+    const page = await context.newPage();
+    if (diagnostics) {
+      watchPage(page, diagnostics);
+    }
+    tracker = createResourceTracker(networkPolicy);
+    const localOrigins = new Map();
+    if (source.assets) {
+      localOrigins.set(BUNDLE_ORIGIN, new Map([
+        ...source.assets,
+        [BUNDLE_ENTRY, { body: Buffer.from(source.html, 'utf8'), contentType: 'text/html; charset=utf-8' }],
+      ]));
+    }
+    if (fonts.length > 0) {
+      localOrigins.set(FONT_ORIGIN, new Map(fonts.map((font) => [font.font_id, { load: font.load, contentType: font.contentType }])));
+      // Injected @font-face rules must not be rejected by the page's Content-Security-Policy
+      await page.setBypassCSP(true);
+    }
+    if (source.extensions && (source.extensions.math || source.extensions.mermaid)) {
+      localOrigins.set(LIBRARY_ORIGIN, getLibraryFiles());
+    }
+    if (screenshot) {
+      await preparePage(page, screenshot.settings);
+      if (screenshot.watermarks.some(Boolean)) {
+        // Image watermarks are data URLs, which the page's Content-Security-Policy must not block
+        await page.setBypassCSP(true);
+      }
+    }
+    if (options.emulation) {
+      await applyEmulation(page, options.emulation);
+    }
+    const guard = await attachRequestInterceptor(page, tracker, source.url ? new URL(source.url).hostname : null, localOrigins);
+
+    const renderStart = Date.now();
+
+    if (source.url) {
+      await loadUrl(page, source.url, guard);
+    } else if (source.assets) {
+      await page.goto(`${BUNDLE_ORIGIN}/${BUNDLE_ENTRY}`, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000,
+      });
+    } else {
+      await page.setContent(source.html, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000,
+      });
+    }
+
+    if (fonts.length > 0) {
+      await page.addStyleTag({ content: buildFontFaceCss(fonts) });
+    }
+
+    // Give subresources (and fonts) a bounded time to load
+    await waitForResources(page, guard);
+
+    if (source.extensions && source.extensions.mermaid) {
+      await renderMermaidDiagrams(page);
+    }
+
+    // Wait for content drawn by the page's own scripts (options.wait_for)
+    const waitSettings = resolveWaitSettings(options);
+    if (waitSettings) {
+      await waitForReady(page, waitSettings);
+    }
+
+    // Default PDF title: the document <title>, or the first heading of Markdown documents
+    const title = await page.evaluate((fromHeading) => {
+      const heading = fromHeading ? document.querySelector('h1, h2, h3, h4, h5, h6') : null;
+      return (document.title || (heading ? heading.textContent : '')).replace(/\s+/g, ' ').trim();
+    }, !!source.titleFromHeading);
+
+    // Audited before the table of contents is inserted, so its title is not counted as a heading
+    const audit = options.accessible && !screenshot ? await auditPage(page) : null;
+
+    // Anchor headings for the outline and insert the table of contents
+    const outlineSettings = resolveOutlineSettings(options);
+    if (screenshot && outlineSettings && outlineSettings.toc) {
+      outlineSettings.toc.pageNumbers = false;
+    }
+    const headings = outlineSettings ? await prepareHeadings(page, outlineSettings) : null;
 
-    // Default PDF options
-    const pdfOptions = {
+    // Anything served from a private address (e.g. via DNS rebinding) fails the whole render
+    if (guard.violations.length > 0) {
+      throw BadRequest.URL_NOT_ALLOWED(guard.violations[0].url, guard.violations[0].reason);
+    }
+    // So does a download that passed max_bytes: the page was stopped part-way through loading
+    if (guard.bytesLimitExceeded) {
+      throw BadRequest.NETWORK_LIMIT_EXCEEDED(tracker.policy.max_bytes, tracker.bytes);
+    }
+    if (tracker.blocked.length > 0) {
+      logger.warn('Blocked requests during render', {
+        count: tracker.blocked.length,
+        blocked: tracker.blocked.slice(0, 10),
+      });
+    }
+
+    if (screenshot) {
+      const renderMs = Date.now() - renderStart;
+      const captureStart = Date.now();
+      const { images, truncated } = await captureScreenshots(page, screenshot.settings, screenshot.watermarks, screenshot.maxImages);
+      return {
+        images,
+        truncated,
+        title,
+        headings,
+        timings: {
+          browser_reused: reused,
+          launch_ms: launchMs,
+          render_ms: renderMs,
+          serialize_ms: Date.now() - captureStart,
+        },
+        resources: buildResourceReport(tracker),
+      };
+    }
+
+    // Default PDF options, with header/footer snippets turned into Chromium templates
+    const pdfOptions = pickPdfOptions(await applyHeaderFooter(page, {
       format: 'A4',
       printBackground: true,
       scale: 1.0,
-      ...options,
-    };
+      ...pickPdfOptions(options),
+      header: options.header,
+      footer: options.footer,
+    }));
+    if (options.accessible) {
+      // Structure tree with headings, paragraphs, tables and figures (with alt text), and the document language
+      pdfOptions.tagged = true;
+    }
+
+    const renderMs = Date.now() - renderStart;
 
     // Generate PDF
-    let pdfBuffer = await page.pdf(pdfOptions);
+    const serializeStart = Date.now();
+    let pdf = await page.pdf(pdfOptions);
+    if (outlineSettings && outlineSettings.toc && outlineSettings.toc.pageNumbers) {
+      await fillTocPageNumbers(page, pdf);
+      pdf = await page.pdf(pdfOptions);
+    }
+    const serializeMs = Date.now() - serializeStart;
 
-    // Count pages
-    let pageCount = countPages(pdfBuffer);
+    return {
+      pdf,
+      title,
+      headings,
+      audit,
+      timings: {
+        browser_reused: reused,
+        launch_ms: launchMs,
+        render_ms: renderMs,
+        serialize_ms: serializeMs,
+      },
+      resources: buildResourceReport(tracker),
+    };
+  } finally {
+    if (diagnostics && tracker) {
+      diagnostics.resources = buildResourceReport(tracker);
+    }
+    if (context) {
+      // The context is gone already if the browser crashed
+      await context.close().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Generate PDF from HTML, Markdown or a public URL
+ * Markdown front matter is stripped from the document and merged into `options` (request options win).
+ * Document metadata is written into the PDF; the title defaults to the HTML <title> or the first Markdown heading.
+ * With options.accessible, the PDF is tagged and `accessibility` is the report from accessibility.js.
+ * With options.output_format png, jpeg or webp, images are returned instead of a PDF (`images`, `format`,
+ * `contentType`; `pages` is the number of images and `pageReport` is null).
+ * @param {string} content - HTML or Markdown content, or the URL for inputType 'url'
+ * @param {string} inputType - 'html', 'markdown' or 'url'
+ * @param {object} options - Puppeteer PDF options, plus `header`/`footer` snippets
+ * @param {number} maxPages - Maximum number of pages allowed (optional, defaults to MAX_PAGES)
+ * @param {object} context - Account context (optional)
+ * @param {object} context.networkPolicy - Account default network policy (Users.network_policy)
+ * @param {Map} context.assets - Asset bundle files for 'html' (from parseBundle), resolved relative to the document
+ * @param {Array} context.fonts - Account fonts to register (from font.loadAccountFonts)
+ * @param {string} context.stylesheetCss - Stored stylesheet content for 'markdown' (options.stylesheet_id)
+ * @param {object} context.metadata - Document metadata from the request ({title, author, subject, keywords, language})
+ * @param {object} context.requiredWatermark - Watermark required by the plan or API key (business.getRequiredWatermark), drawn over options.watermark
+ * @param {function} context.onDiagnostics - Called with the render diagnostics (diagnostics.buildDiagnostics) when
+ *   generation finishes or fails, e.g. jobTracking.saveJobDiagnostics
+ * @returns {Promise<{pdf: Buffer, pages: number, pageReport: Array, accessibility: object|null, truncated: boolean, timings: object, resources: object, diagnostics: object}>}
+ */
+async function generatePDF(content, inputType, options = {}, maxPages = null, context = {}) {
+  const startTime = Date.now();
+  const diagnostics = createDiagnostics();
+
+  try {
+    let metadata = mergeMetadata(context.metadata);
+    if (inputType === 'markdown') {
+      const frontMatter = parseFrontMatter(content);
+      if (!frontMatter.isValid) {
+        throw frontMatter.error;
+      }
+      content = frontMatter.data.body;
+      options = { ...frontMatter.data.options, ...options };
+      metadata = mergeMetadata(frontMatter.data.metadata, context.metadata);
+    }
+
+    const source = inputType === 'url'
+      ? { url: content }
+      : {
+        html: buildHtmlDocument(content, inputType, options, context.stylesheetCss || null, metadata),
+        assets: context.assets || null,
+        extensions: inputType === 'markdown' ? resolveExtensions(options.extensions) : null,
+        titleFromHeading: inputType === 'markdown',
+      };
+    const networkPolicy = resolveNetworkPolicy(context.networkPolicy, options.network);
+
+    const screenshot = isImageOutput(options)
+      ? {
+        settings: resolveScreenshotSettings(options, getPageLayoutPx({ format: 'A4', ...pickPdfOptions(options) })),
+        watermarks: [options.watermark, context.requiredWatermark],
+        maxImages: maxPages !== null ? maxPages : MAX_PAGES,
+      }
+      : null;
+
+    // Render, retrying once on a fresh browser if the shared one crashed mid-render
+    // (client errors such as URL_NOT_ALLOWED come from the document and would fail again)
+    let rendered;
+    for (let attempt = 1; !rendered; attempt++) {
+      try {
+        rendered = await renderInBrowser(source, options, networkPolicy, context.fonts || [], screenshot, diagnostics);
+      } catch (error) {
+        const browser = browserPromise ? await browserPromise.catch(() => null) : null;
+        if (attempt >= 2 || (browser && browser.isConnected()) || (error.statusCode && error.headers && error.body)) {
+          throw error;
+        }
+        logger.warn('Chromium browser crashed during render, retrying', { error: error.message });
+      }
+    }
+
+    if (screenshot) {
+      const timings = {
+        ...rendered.timings,
+        total_ms: Date.now() - startTime,
+      };
+      diagnostics.timings = timings;
+      logger.info('Images generated successfully', {
+        inputType,
+        format: screenshot.settings.format,
+        images: rendered.images.length,
+        truncated: rendered.truncated,
+        duration_ms: timings.total_ms,
+        timings,
+      });
+      return {
+        images: rendered.images,
+        format: screenshot.settings.format,
+        contentType: IMAGE_OUTPUT_FORMATS[screenshot.settings.format],
+        pages: rendered.images.length,
+        pageReport: null,
+        truncated: rendered.truncated,
+        timings,
+        resources: rendered.resources,
+        diagnostics: buildDiagnostics(diagnostics),
+      };
+    }
+
+    // Count pages (the steps below never add or remove pages)
+    const pageInfo = await inspectPages(rendered.pdf);
+    const pageCount = pageInfo.count;
 
     // Check if page count exceeds limit - reject instead of truncating
     // Use provided maxPages or fall back to global MAX_PAGES
@@ -224,20 +1245,73 @@ ${htmlContent}
       throw new Error(`PAGE_LIMIT_EXCEEDED:${pageCount}:${limitMaxPages}`);
     }
 
-    const duration = Date.now() - startTime;
+    let pdfBuffer = rendered.pdf;
+    if (options.outline && rendered.headings) {
+      pdfBuffer = await addOutline(pdfBuffer, rendered.headings);
+    }
+
+    // Document properties: the page's own title (and for tagged PDFs, language) is the default,
+    // front matter and request metadata win
+    const documentMetadata = mergeMetadata(
+      { title: rendered.title, language: rendered.audit ? rendered.audit.language : null },
+      metadata
+    );
+    pdfBuffer = await applyMetadata(pdfBuffer, documentMetadata);
+    pdfBuffer = await applyWatermarks(pdfBuffer, [options.watermark, context.requiredWatermark]);
+
+    // Archival output (PDF/A) is made from the final document, so its XMP matches the metadata above
+    if (options.output_profile) {
+      pdfBuffer = await convertToProfile(pdfBuffer, options.output_profile);
+    }
+
+    // Encryption comes last so everything written before it is encrypted
+    if (options.encryption) {
+      pdfBuffer = await encryptPdf(pdfBuffer, options.encryption);
+    }
+
+    const timings = {
+      ...rendered.timings,
+      total_ms: Date.now() - startTime,
+    };
+    diagnostics.timings = timings;
+
     logger.info('PDF generated successfully', {
       inputType,
       pages: pageCount,
-      duration_ms: duration,
+      duration_ms: timings.total_ms,
       pdf_size_bytes: pdfBuffer.length,
+      timings,
+      resources: {
+        requests: rendered.resources.requests,
+        bytes: rendered.resources.bytes,
+        blocked: rendered.resources.blocked_count,
+        failed: rendered.resources.failed_count,
+      },
     });
 
     return {
       pdf: pdfBuffer,
       pages: pageCount,
+      pageReport: pageInfo.pages,
+      accessibility: rendered.audit ? buildAccessibilityReport(rendered.audit, documentMetadata) : null,
       truncated: false,
+      timings,
+      resources: rendered.resources,
+      diagnostics: buildDiagnostics(diagnostics),
     };
   } catch (error) {
+    diagnostics.error = describeError(error);
+    diagnostics.timings = diagnostics.timings || { total_ms: Date.now() - startTime };
+
+    // Client errors (formatted responses such as URL_NOT_ALLOWED) and page limit errors
+    // are passed through untouched so handlers can return them
+    if (error.statusCode && error.headers && error.body) {
+      throw error;
+    }
+    if (error.message && error.message.startsWith('PAGE_LIMIT_EXCEEDED:')) {
+      throw error;
+    }
+
     logger.error('PDF generation error', {
       error: error.message,
       stack: error.stack,
@@ -245,15 +1319,18 @@ ${htmlContent}
     });
     throw new Error(`PDF generation failed: ${error.message}`);
   } finally {
-    if (browser) {
-      await browser.close();
+    if (context.onDiagnostics) {
+      await context.onDiagnostics(buildDiagnostics(diagnostics));
     }
   }
 }
 
 module.exports = {
   generatePDF,
+  closeBrowser,
   markdownToHtml,
-  countPages,
+  buildHeaderFooterTemplate,
+  applyHeaderFooter,
+  attachRequestInterceptor,
 };
 
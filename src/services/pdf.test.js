@@ -0,0 +1,279 @@
+/**
+ * Unit tests for pdf.js - headers/footers, request interception and the shared browser (with fake pages and browsers)
+ */
+
+import { describe, it, expect, beforeEach, afterEach, afterAll } from 'vitest';
+import { createRequire } from 'module';
+import { EventEmitter } from 'events';
+
+const require = createRequire(import.meta.url);
+const puppeteer = require('puppeteer-core');
+const chromium = require('@sparticuz/chromium');
+const {
+  generatePDF,
+  closeBrowser,
+  markdownToHtml,
+  buildHeaderFooterTemplate,
+  applyHeaderFooter,
+  attachRequestInterceptor,
+} = require('./pdf.js');
+const { createResourceTracker, resolveNetworkPolicy } = require('./networkPolicy.js');
+const { BadRequest } = require('../utils/errors.js');
+
+/**
+ * Fake Puppeteer page with a CDP session that records the commands sent to it
+ */
+function fakePage() {
+  const page = new EventEmitter();
+  const client = new EventEmitter();
+  client.commands = [];
+  client.send = async (method, params) => {
+    client.commands.push({ method, params });
+  };
+  page.client = client;
+  page.target = () => ({ createCDPSession: async () => client });
+  page.setRequestInterception = async () => {};
+  return page;
+}
+
+describe('attachRequestInterceptor', () => {
+  it('should stop loading as soon as a resource larger than max_bytes passes the limit', async () => {
+    const page = fakePage();
+    const tracker = createResourceTracker(resolveNetworkPolicy(null, { max_bytes: 1000 }));
+    const guard = await attachRequestInterceptor(page, tracker, 'example.com');
+
+    page.client.emit('Network.requestWillBeSent', { requestId: '1', request: { url: 'https://example.com/big.jpg' } });
+    page.client.emit('Network.dataReceived', { requestId: '1', dataLength: 600, encodedDataLength: 600 });
+    expect(guard.bytesLimitExceeded).toBe(false);
+
+    page.client.emit('Network.dataReceived', { requestId: '1', dataLength: 600, encodedDataLength: 600 });
+    expect(guard.bytesLimitExceeded).toBe(true);
+    expect(tracker.limitExceeded).toBe('max_bytes');
+    expect(page.client.commands.filter((command) => command.method === 'Page.stopLoading')).toHaveLength(1);
+
+    // Later chunks are still counted but the page is only stopped once
+    page.client.emit('Network.dataReceived', { requestId: '1', dataLength: 600, encodedDataLength: 600 });
+    expect(tracker.bytes).toBe(1800);
+    expect(page.client.commands.filter((command) => command.method === 'Page.stopLoading')).toHaveLength(1);
+  });
+
+  it('should add only the part of the finished size not already counted in chunks', async () => {
+    const page = fakePage();
+    const tracker = createResourceTracker(resolveNetworkPolicy());
+    await attachRequestInterceptor(page, tracker, 'example.com');
+
+    page.client.emit('Network.requestWillBeSent', { requestId: '1', request: { url: 'https://example.com/a.css' } });
+    page.client.emit('Network.dataReceived', { requestId: '1', dataLength: 400, encodedDataLength: 400 });
+    page.client.emit('Network.loadingFinished', { requestId: '1', encodedDataLength: 650 });
+
+    expect(tracker.bytes).toBe(650);
+  });
+
+  it('should block WebSockets in Chromium and report them as blocked', async () => {
+    const page = fakePage();
+    const tracker = createResourceTracker(resolveNetworkPolicy());
+    const guard = await attachRequestInterceptor(page, tracker, 'example.com');
+
+    expect(page.client.commands).toContainEqual({ method: 'Network.setBlockedURLs', params: { urls: ['ws://*', 'wss://*'] } });
+
+    page.client.emit('Network.webSocketCreated', { requestId: '7', url: 'ws://10.0.0.5:9222/devtools/browser' });
+    expect(guard.blocked).toEqual([{ url: 'ws://10.0.0.5:9222/devtools/browser', reason: 'WebSockets are not allowed', navigation: false }]);
+    expect(tracker.blocked).toHaveLength(1);
+  });
+
+  it('should not count files served from a local origin', async () => {
+    const page = fakePage();
+    const tracker = createResourceTracker(resolveNetworkPolicy(null, { max_bytes: 1000 }));
+    const localOrigins = new Map([['https://bundle.local', new Map()]]);
+    const guard = await attachRequestInterceptor(page, tracker, null, localOrigins);
+
+    page.client.emit('Network.requestWillBeSent', { requestId: '1', request: { url: 'https://bundle.local/big.png' } });
+    page.client.emit('Network.dataReceived', { requestId: '1', dataLength: 5000, encodedDataLength: 0 });
+    page.client.emit('Network.loadingFinished', { requestId: '1', encodedDataLength: 5000 });
+
+    expect(tracker.bytes).toBe(0);
+    expect(guard.bytesLimitExceeded).toBe(false);
+  });
+});
+
+describe('generatePDF browser lifecycle', () => {
+  const { launch } = puppeteer;
+  const { executablePath } = chromium;
+  let browsers;
+  let onRender; // Called with the browser each time a render starts
+
+  /**
+   * Fake browser: a render starts by creating an incognito context, which calls onRender
+   */
+  function fakeBrowser() {
+    const browser = new EventEmitter();
+    browser.connected = true;
+    browser.renders = 0;
+    browser.isConnected = () => browser.connected;
+    browser.createIncognitoBrowserContext = async () => {
+      browser.renders++;
+      return onRender(browser);
+    };
+    browser.close = async () => {
+      browser.connected = false;
+    };
+    return browser;
+  }
+
+  /**
+   * Simulate Chromium crashing mid-render
+   */
+  function crash(browser) {
+    browser.connected = false;
+    browser.emit('disconnected');
+    throw new Error('Protocol error: Target closed');
+  }
+
+  beforeEach(() => {
+    browsers = [];
+    chromium.executablePath = async () => '/fake/chromium';
+    puppeteer.launch = async () => {
+      const browser = fakeBrowser();
+      browsers.push(browser);
+      return browser;
+    };
+  });
+
+  afterEach(async () => {
+    await closeBrowser();
+  });
+
+  afterAll(() => {
+    puppeteer.launch = launch;
+    chromium.executablePath = executablePath;
+  });
+
+  it('should launch the browser once and share it across renders', async () => {
+    onRender = () => {
+      throw BadRequest.URL_NOT_ALLOWED('http://10.0.0.1/', 'Private address');
+    };
+
+    await expect(generatePDF('<p>one</p>', 'html')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(generatePDF('<p>two</p>', 'html')).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(browsers).toHaveLength(1);
+    expect(browsers[0].renders).toBe(2);
+  });
+
+  it('should relaunch a browser that is no longer connected', async () => {
+    onRender = () => {
+      throw BadRequest.URL_NOT_ALLOWED('http://10.0.0.1/', 'Private address');
+    };
+
+    await expect(generatePDF('<p>one</p>', 'html')).rejects.toBeDefined();
+    // Disconnected without a 'disconnected' event (e.g. the process was killed while idle)
+    browsers[0].connected = false;
+    await expect(generatePDF('<p>two</p>', 'html')).rejects.toBeDefined();
+
+    expect(browsers).toHaveLength(2);
+    expect(browsers.map((browser) => browser.renders)).toEqual([1, 1]);
+  });
+
+  it('should retry exactly once on a fresh browser after a crash', async () => {
+    onRender = crash;
+
+    await expect(generatePDF('<p>crash</p>', 'html')).rejects.toThrow('PDF generation failed: Protocol error: Target closed');
+
+    expect(browsers).toHaveLength(2);
+    expect(browsers.map((browser) => browser.renders)).toEqual([1, 1]);
+  });
+
+  it('should not retry client errors, even when the browser disconnected', async () => {
+    onRender = (browser) => {
+      browser.connected = false;
+      throw BadRequest.URL_LOAD_FAILED('https://example.com/', 'HTTP 404', 404);
+    };
+
+    await expect(generatePDF('https://example.com/', 'url')).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(browsers).toHaveLength(1);
+    expect(browsers[0].renders).toBe(1);
+  });
+
+  it('should not retry errors from a browser that is still connected', async () => {
+    onRender = () => {
+      throw new Error('Navigation failed');
+    };
+
+    await expect(generatePDF('<p>x</p>', 'html')).rejects.toThrow('PDF generation failed: Navigation failed');
+
+    expect(browsers).toHaveLength(1);
+    expect(browsers[0].renders).toBe(1);
+  });
+});
+
+describe('buildHeaderFooterTemplate', () => {
+  it('should replace page number and total pages placeholders with the elements Chromium fills in', () => {
+    const template = buildHeaderFooterTemplate('Page {{page}} of {{ pages }} - {{title}}, {{date}} {{unknown}}', 20, 30);
+
+    expect(template).toContain('Page <span class="pageNumber"></span> of <span class="totalPages"></span>');
+    expect(template).toContain('<span class="title"></span>, <span class="date"></span> {{unknown}}');
+    expect(template).toContain('padding: 0 30px 0 20px');
+  });
+
+  it('should remove scripts, event handlers and javascript: links but keep markup and styles', () => {
+    const template = buildHeaderFooterTemplate(
+      '<script>alert(1)</script><b style="color: red" onclick="alert(2)">ACME</b>' +
+      '<img src="data:image/png;base64,AAAA" onerror=alert(3)><a href="javascript:alert(4)">one=1</a>' +
+      '<iframe src="https://example.com/"></iframe><SCRIPT src="https://example.com/x.js">',
+      0,
+      0
+    );
+
+    expect(template).toContain('<b style="color: red">ACME</b>');
+    expect(template).toContain('<img src="data:image/png;base64,AAAA">');
+    expect(template).toContain('<a href="#alert(4)">one=1</a>');
+    expect(template).not.toMatch(/script|iframe|onclick|onerror|javascript:/i);
+  });
+
+  it('should keep text escaped when the snippet is Markdown', () => {
+    const html = markdownToHtml('Tom & Jerry <3 **{{page}}**');
+    const template = buildHeaderFooterTemplate(html, 0, 0);
+
+    expect(template).toContain('Tom &amp; Jerry &lt;3 <strong><span class="pageNumber"></span></strong>');
+  });
+});
+
+describe('applyHeaderFooter', () => {
+  // Header and footer templates render 40px and 30px high
+  const page = { evaluate: async (measure, templates) => templates.map((html, index) => (html ? [40, 30][index] : 0)) };
+  // 0.4cm Chromium padding plus an 8px gap
+  const padding = 0.4 * (96 / 2.54) + 8;
+
+  it('should raise the top and bottom margins so the header and footer fit', async () => {
+    const pdfOptions = await applyHeaderFooter(page, {
+      format: 'A4',
+      margin: { top: '10px', bottom: '0.1in', left: '1cm' },
+      header: '<p>Invoice</p>',
+      footer: { markdown: 'Page {{page}}' },
+    });
+
+    expect(pdfOptions.displayHeaderFooter).toBe(true);
+    expect(pdfOptions.margin).toEqual({
+      top: `${Math.ceil(40 + padding)}px`,
+      bottom: `${Math.ceil(30 + padding)}px`,
+      left: '1cm',
+    });
+    expect(pdfOptions.headerTemplate).toContain('<p>Invoice</p>');
+    expect(pdfOptions.footerTemplate).toContain('<span class="pageNumber"></span>');
+    expect(pdfOptions).not.toHaveProperty('header');
+    expect(pdfOptions).not.toHaveProperty('footer');
+  });
+
+  it('should keep margins that are already large enough and leave the other side alone', async () => {
+    const pdfOptions = await applyHeaderFooter(page, { margin: { top: '1in', bottom: '5px' }, header: 'Title' });
+
+    expect(pdfOptions.margin).toEqual({ top: '1in', bottom: '5px' });
+    // An empty footer template suppresses Chromium's default footer
+    expect(pdfOptions.footerTemplate).toBe('<span></span>');
+  });
+
+  it('should leave the options unchanged without a header or footer', async () => {
+    expect(await applyHeaderFooter(page, { margin: { top: '5px' }, header: null })).toEqual({ margin: { top: '5px' } });
+  });
+});
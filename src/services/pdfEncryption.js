@@ -0,0 +1,253 @@
+/**
+ * PDF Encryption Service
+ * Password-protects generated PDFs and restricts what readers may do with them (`options.encryption`).
+ * Uses the PDF 2.0 standard security handler with AES-256 (V5/R6), supported by current viewers
+ * (Acrobat X and later, Chrome, Firefox, macOS Preview). pdf-lib cannot encrypt, so strings and
+ * streams are encrypted here with Node's crypto before saving.
+ */
+
+const crypto = require('crypto');
+const {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRawStream,
+  PDFString,
+  PDFHexString,
+  PDFNumber,
+  PDFBool,
+} = require('pdf-lib');
+
+// Passwords are UTF-8 and limited to 127 bytes by the security handler
+const MAX_PASSWORD_BYTES = 127;
+
+const PRINT_MODES = ['none', 'low', 'high'];
+
+// Permission flags (PDF 2.0, Table 22) controlled by boolean permissions
+const PERMISSION_BITS = {
+  modify: 4,
+  copy: 5,
+  annotate: 6,
+  fill_forms: 9,
+  assemble: 11,
+};
+const PERMISSION_NAMES = ['print', ...Object.keys(PERMISSION_BITS)];
+
+const PRINT_BIT = 3;
+const PRINT_HIGH_QUALITY_BIT = 12;
+// Text extraction for accessibility (screen readers) is always allowed, as PDF 2.0 requires
+const ACCESSIBILITY_BIT = 10;
+
+const HASHES = ['sha256', 'sha384', 'sha512'];
+
+/**
+ * Compute the /P permission value
+ * Permissions not given are allowed.
+ * @param {object} permissions - Permissions ({print: 'none'|'low'|'high', modify, copy, annotate, fill_forms, assemble})
+ * @returns {number} Signed 32-bit permission flags
+ */
+function permissionFlags(permissions = {}) {
+  const bit = (n) => 2 ** (n - 1);
+  // Bits 7-8 and 13-32 must be set; bits 1-2 must be clear
+  let flags = 0xFFFFF0C0;
+
+  const print = permissions.print || 'high';
+  if (print !== 'none') {
+    flags += bit(PRINT_BIT);
+  }
+  if (print === 'high') {
+    flags += bit(PRINT_HIGH_QUALITY_BIT);
+  }
+  for (const [name, position] of Object.entries(PERMISSION_BITS)) {
+    if (permissions[name] !== false) {
+      flags += bit(position);
+    }
+  }
+  flags += bit(ACCESSIBILITY_BIT);
+
+  return flags | 0;
+}
+
+/**
+ * Encode a password for the security handler
+ * Normalized like SASLprep (NFKC) so the same text typed in a viewer matches
+ * @param {string} password - Password ('' for none)
+ * @returns {Buffer} UTF-8 bytes
+ */
+function passwordBytes(password) {
+  return Buffer.from((password || '').normalize('NFKC'), 'utf8').subarray(0, MAX_PASSWORD_BYTES);
+}
+
+/**
+ * Password hash of the R6 security handler (ISO 32000-2, algorithm 2.B)
+ * @param {Buffer} password - Password bytes
+ * @param {Buffer} salt - 8-byte salt
+ * @param {Buffer} userKey - 48-byte /U value for owner passwords, empty for user passwords
+ * @returns {Buffer} 32-byte hash
+ */
+function hashPassword(password, salt, userKey) {
+  let key = crypto.createHash('sha256').update(Buffer.concat([password, salt, userKey])).digest();
+
+  for (let round = 0; ; round++) {
+    const block = Buffer.concat([password, key, userKey]);
+    const cipher = crypto.createCipheriv('aes-128-cbc', key.subarray(0, 16), key.subarray(16, 32));
+    cipher.setAutoPadding(false);
+    const encrypted = Buffer.concat([cipher.update(Buffer.concat(Array(64).fill(block))), cipher.final()]);
+
+    // The first 16 bytes as a big-endian number, modulo 3, pick the next hash
+    let remainder = 0;
+    for (let i = 0; i < 16; i++) {
+      remainder = (remainder * 256 + encrypted[i]) % 3;
+    }
+    key = crypto.createHash(HASHES[remainder]).update(encrypted).digest();
+
+    if (round >= 63 && encrypted[encrypted.length - 1] <= round - 31) {
+      break;
+    }
+  }
+
+  return key.subarray(0, 32);
+}
+
+/**
+ * AES-256 encrypt a 32-byte key without padding or IV (for /UE and /OE)
+ * @param {Buffer} key - Key encryption key
+ * @param {Buffer} data - Data (multiple of 16 bytes)
+ * @param {string} mode - 'aes-256-cbc' (zero IV) or 'aes-256-ecb'
+ * @returns {Buffer} Encrypted data
+ */
+function aesWithoutPadding(key, data, mode = 'aes-256-cbc') {
+  const cipher = crypto.createCipheriv(mode, key, mode === 'aes-256-ecb' ? null : Buffer.alloc(16));
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+/**
+ * Build the encryption dictionary values for a file key
+ * @param {Buffer} fileKey - 32-byte file encryption key
+ * @param {object} encryption - Encryption settings ({user_password, owner_password, permissions})
+ * @returns {{U: Buffer, UE: Buffer, O: Buffer, OE: Buffer, Perms: Buffer, P: number}}
+ */
+function buildSecurityValues(fileKey, encryption) {
+  const userPassword = passwordBytes(encryption.user_password);
+  // Without an owner password nobody can lift the restrictions
+  const ownerPassword = encryption.owner_password
+    ? passwordBytes(encryption.owner_password)
+    : crypto.randomBytes(32);
+
+  const userValidationSalt = crypto.randomBytes(8);
+  const userKeySalt = crypto.randomBytes(8);
+  const U = Buffer.concat([hashPassword(userPassword, userValidationSalt, Buffer.alloc(0)), userValidationSalt, userKeySalt]);
+  const UE = aesWithoutPadding(hashPassword(userPassword, userKeySalt, Buffer.alloc(0)), fileKey);
+
+  const ownerValidationSalt = crypto.randomBytes(8);
+  const ownerKeySalt = crypto.randomBytes(8);
+  const O = Buffer.concat([hashPassword(ownerPassword, ownerValidationSalt, U), ownerValidationSalt, ownerKeySalt]);
+  const OE = aesWithoutPadding(hashPassword(ownerPassword, ownerKeySalt, U), fileKey);
+
+  const P = permissionFlags(encryption.permissions);
+  const perms = Buffer.alloc(16);
+  perms.writeInt32LE(P, 0);
+  perms.writeUInt32LE(0xFFFFFFFF, 4);
+  // 'T': metadata is encrypted too; 'adb' marks a valid Perms entry
+  perms.write('Tadb', 8, 'latin1');
+  crypto.randomBytes(4).copy(perms, 12);
+  const Perms = aesWithoutPadding(fileKey, perms, 'aes-256-ecb');
+
+  return { U, UE, O, OE, Perms, P };
+}
+
+/**
+ * Encrypt bytes for a string or stream (AESV3: random IV followed by AES-256-CBC with padding)
+ * @param {Buffer} fileKey - File encryption key
+ * @param {Uint8Array} data - Plain bytes
+ * @returns {Buffer} Encrypted bytes
+ */
+function encryptBytes(fileKey, data) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', fileKey, iv);
+  return Buffer.concat([iv, cipher.update(data), cipher.final()]);
+}
+
+/**
+ * Encrypt every string inside an object, in place
+ * @param {*} object - pdf-lib object (dictionary, array or other)
+ * @param {Buffer} fileKey - File encryption key
+ * @returns {*} The object, or the encrypted replacement for a string
+ */
+function encryptStrings(object, fileKey) {
+  if (object instanceof PDFString || object instanceof PDFHexString) {
+    return PDFHexString.of(encryptBytes(fileKey, object.asBytes()).toString('hex'));
+  }
+  if (object instanceof PDFDict) {
+    for (const [key, value] of object.entries()) {
+      object.set(key, encryptStrings(value, fileKey));
+    }
+  } else if (object instanceof PDFArray) {
+    for (let i = 0; i < object.size(); i++) {
+      object.set(i, encryptStrings(object.get(i), fileKey));
+    }
+  }
+  return object;
+}
+
+/**
+ * Encrypt a PDF with passwords and permissions
+ * Applied last: any change to the document afterwards would be written unencrypted.
+ * @param {Buffer} pdfBuffer - PDF buffer (unencrypted)
+ * @param {object} encryption - Encryption settings ({user_password, owner_password, permissions})
+ * @returns {Promise<Buffer>} Encrypted PDF
+ */
+async function encryptPdf(pdfBuffer, encryption) {
+  // Loading turns every stream into raw (already filtered) bytes, which are encrypted as they are
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const { context } = pdfDoc;
+  const fileKey = crypto.randomBytes(32);
+
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (object instanceof PDFRawStream) {
+      encryptStrings(object.dict, fileKey);
+      context.assign(ref, PDFRawStream.of(object.dict, encryptBytes(fileKey, object.contents)));
+    } else {
+      context.assign(ref, encryptStrings(object, fileKey));
+    }
+  }
+
+  const values = buildSecurityValues(fileKey, encryption);
+  const hex = (bytes) => PDFHexString.of(bytes.toString('hex'));
+  const encryptDict = context.obj({
+    Filter: 'Standard',
+    V: 5,
+    R: 6,
+    Length: 256,
+    CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 } },
+    StmF: 'StdCF',
+    StrF: 'StdCF',
+    U: hex(values.U),
+    UE: hex(values.UE),
+    O: hex(values.O),
+    OE: hex(values.OE),
+    Perms: hex(values.Perms),
+    P: PDFNumber.of(values.P),
+    EncryptMetadata: PDFBool.True,
+  });
+  context.trailerInfo.Encrypt = context.register(encryptDict);
+
+  // The file identifier is written in the clear
+  if (!context.trailerInfo.ID) {
+    const id = PDFHexString.of(crypto.randomBytes(16).toString('hex'));
+    context.trailerInfo.ID = context.obj([id, id]);
+  }
+
+  // Object streams would be written by pdf-lib without encryption
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+module.exports = {
+  encryptPdf,
+  permissionFlags,
+  MAX_PASSWORD_BYTES,
+  PRINT_MODES,
+  PERMISSION_NAMES,
+};
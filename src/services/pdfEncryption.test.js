@@ -0,0 +1,156 @@
+/**
+ * Unit tests for pdfEncryption.js - password protection and permissions
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { PDFDocument, PDFName, PDFArray, StandardFonts } = require('pdf-lib');
+const { encryptPdf, permissionFlags } = require('./pdfEncryption.js');
+
+/**
+ * Build a one-page PDF with a title and some text
+ */
+async function samplePdf() {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle('Payslip March');
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  pdfDoc.addPage().drawText('Net salary 4321', { font });
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+/**
+ * Reference implementation of the R6 password hash (ISO 32000-2, algorithm 2.B), written
+ * independently of the module so the round trip checks the handler against the spec
+ */
+function referenceHash(password, salt, userKey = Buffer.alloc(0)) {
+  let k = crypto.createHash('sha256').update(Buffer.concat([password, salt, userKey])).digest();
+  let e;
+  for (let round = 0; round < 64 || e[e.length - 1] > round - 32; round++) {
+    const k1 = Buffer.concat(Array(64).fill(Buffer.concat([password, k, userKey])));
+    const cipher = crypto.createCipheriv('aes-128-cbc', k.subarray(0, 16), k.subarray(16, 32)).setAutoPadding(false);
+    e = Buffer.concat([cipher.update(k1), cipher.final()]);
+    // 256 mod 3 is 1, so the 16-byte number mod 3 is the sum of its bytes mod 3
+    const sum = e.subarray(0, 16).reduce((total, byte) => total + byte, 0);
+    k = crypto.createHash(['sha256', 'sha384', 'sha512'][sum % 3]).update(e).digest();
+  }
+  return k.subarray(0, 32);
+}
+
+/**
+ * AES-256 decrypt without padding (zero IV for CBC)
+ */
+function aesDecrypt(mode, key, data, iv = Buffer.alloc(16)) {
+  const decipher = crypto.createDecipheriv(mode, key, mode === 'aes-256-ecb' ? null : iv).setAutoPadding(false);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+/**
+ * Open an encrypted PDF like a viewer: check the password (algorithm 2.A) and recover the file key
+ * @returns {{fileKey: Buffer, owner: boolean}|null} null if the password is wrong
+ */
+function openWithPassword(encrypt, password) {
+  const bytes = (name) => Buffer.from(encrypt.lookup(PDFName.of(name)).asBytes());
+  const U = bytes('U');
+  const O = bytes('O');
+  const passwordBytes = Buffer.from(password.normalize('NFKC'), 'utf8');
+
+  if (referenceHash(passwordBytes, O.subarray(32, 40), U).equals(O.subarray(0, 32))) {
+    return { fileKey: aesDecrypt('aes-256-cbc', referenceHash(passwordBytes, O.subarray(40, 48), U), bytes('OE')), owner: true };
+  }
+  if (referenceHash(passwordBytes, U.subarray(32, 40)).equals(U.subarray(0, 32))) {
+    return { fileKey: aesDecrypt('aes-256-cbc', referenceHash(passwordBytes, U.subarray(40, 48)), bytes('UE')), owner: false };
+  }
+  return null;
+}
+
+describe('permissionFlags', () => {
+  it('should allow everything when no permissions are given', () => {
+    expect(permissionFlags() >>> 0).toBe(0xFFFFFFFC);
+  });
+
+  it('should clear the flags of denied permissions', () => {
+    const flags = permissionFlags({ print: 'none', copy: false }) >>> 0;
+    expect(flags & 0x4).toBe(0); // print
+    expect(flags & 0x800).toBe(0); // high-quality print
+    expect(flags & 0x10).toBe(0); // copy
+    expect(flags & 0x8).toBe(0x8); // modify still allowed
+    expect(flags & 0x200).toBe(0x200); // accessibility always allowed
+  });
+
+  it('should allow low-quality printing only', () => {
+    const flags = permissionFlags({ print: 'low' }) >>> 0;
+    expect(flags & 0x4).toBe(0x4);
+    expect(flags & 0x800).toBe(0);
+  });
+});
+
+describe('encryptPdf', () => {
+  it('should add an AES-256 encryption dictionary with the permissions', async () => {
+    const pdf = await encryptPdf(await samplePdf(), { user_password: 'open me', permissions: { copy: false } });
+
+    const pdfDoc = await PDFDocument.load(pdf, { ignoreEncryption: true, updateMetadata: false });
+    expect(pdfDoc.isEncrypted).toBe(true);
+
+    const encrypt = pdfDoc.context.lookup(pdfDoc.context.trailerInfo.Encrypt);
+    expect(encrypt.lookup(PDFName.of('V')).asNumber()).toBe(5);
+    expect(encrypt.lookup(PDFName.of('R')).asNumber()).toBe(6);
+    expect(encrypt.lookup(PDFName.of('P')).asNumber()).toBe(permissionFlags({ copy: false }));
+    expect(encrypt.lookup(PDFName.of('U')).asBytes()).toHaveLength(48);
+    expect(encrypt.lookup(PDFName.of('OE')).asBytes()).toHaveLength(32);
+    expect(pdfDoc.context.trailerInfo.ID).toBeDefined();
+  });
+
+  it('should not leave strings or content readable', async () => {
+    const pdf = (await encryptPdf(await samplePdf(), { user_password: 'open me' })).toString('latin1');
+
+    expect(pdf).not.toContain('Payslip March');
+    expect(pdf).not.toContain('Net salary');
+    expect(pdf).not.toContain('open me');
+  });
+
+  it('should encrypt the same document differently every time', async () => {
+    const original = await samplePdf();
+    const first = await encryptPdf(original, { owner_password: 'owner' });
+    const second = await encryptPdf(original, { owner_password: 'owner' });
+    expect(first.equals(second)).toBe(false);
+  });
+
+  it('should open with the user or owner password and decrypt back to the original content', async () => {
+    const pdf = await encryptPdf(await samplePdf(), {
+      user_password: 'open me',
+      owner_password: 'owner secret',
+      permissions: { print: 'low', modify: false },
+    });
+    const pdfDoc = await PDFDocument.load(pdf, { ignoreEncryption: true, updateMetadata: false });
+    const encrypt = pdfDoc.context.lookup(pdfDoc.context.trailerInfo.Encrypt);
+
+    expect(openWithPassword(encrypt, 'wrong')).toBeNull();
+    const user = openWithPassword(encrypt, 'open me');
+    const owner = openWithPassword(encrypt, 'owner secret');
+    expect(user.owner).toBe(false);
+    expect(owner.owner).toBe(true);
+    expect(owner.fileKey.equals(user.fileKey)).toBe(true);
+    const { fileKey } = user;
+
+    // Perms holds the permissions, encrypted with the file key, so they cannot be changed unnoticed
+    const perms = aesDecrypt('aes-256-ecb', fileKey, Buffer.from(encrypt.lookup(PDFName.of('Perms')).asBytes()));
+    expect(perms.toString('latin1', 9, 12)).toBe('adb');
+    expect(perms.toString('latin1', 8, 9)).toBe('T');
+    expect(perms.readInt32LE(0)).toBe(encrypt.lookup(PDFName.of('P')).asNumber());
+    expect(perms.readInt32LE(0)).toBe(permissionFlags({ print: 'low', modify: false }));
+
+    // Streams are the IV followed by AES-256-CBC data with PKCS#7 padding
+    const contents = pdfDoc.getPage(0).node.Contents();
+    const stream = contents instanceof PDFArray ? contents.lookup(contents.size() - 1) : contents;
+    const encrypted = Buffer.from(stream.contents);
+    const decipher = crypto.createDecipheriv('aes-256-cbc', fileKey, encrypted.subarray(0, 16));
+    const decrypted = Buffer.concat([decipher.update(encrypted.subarray(16)), decipher.final()]);
+    const content = stream.dict.has(PDFName.of('Filter')) ? zlib.inflateSync(decrypted) : decrypted;
+    const shown = content.toString('latin1').match(/<([0-9A-F]+)> Tj/);
+    expect(Buffer.from(shown[1], 'hex').toString('latin1')).toBe('Net salary 4321');
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * PDF Metadata Service
+ * Writes document properties (title, author, subject, keywords, language) into generated PDFs with pdf-lib.
+ * Chromium and image renders produce PDFs without meaningful properties; they are set here after rendering.
+ */
+
+const { PDFDocument } = require('pdf-lib');
+
+/**
+ * Merge metadata sources, later sources winning
+ * Empty values (null, '' or []) do not override earlier ones.
+ * @param {...object} sources - Metadata objects ({title, author, subject, keywords, language})
+ * @returns {object} Merged metadata
+ */
+function mergeMetadata(...sources) {
+  const merged = {};
+  for (const source of sources) {
+    for (const [field, value] of Object.entries(source || {})) {
+      const isEmpty = value === null || value === undefined ||
+        (typeof value === 'string' && !value.trim()) ||
+        (Array.isArray(value) && value.length === 0);
+      if (!isEmpty) {
+        merged[field] = value;
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Set metadata on a pdf-lib document
+ * Only given fields are written; the title is also shown in the viewer's title bar instead of the file name.
+ * @param {object} pdfDoc - pdf-lib PDFDocument
+ * @param {object} metadata - Metadata ({title, author, subject, keywords, language})
+ * @returns {void}
+ */
+function setDocumentMetadata(pdfDoc, metadata) {
+  const text = (value) => (Array.isArray(value) ? value.join(', ') : String(value)).trim();
+
+  if (metadata.title) {
+    pdfDoc.setTitle(text(metadata.title), { showInWindowTitleBar: true });
+  }
+  if (metadata.author) {
+    pdfDoc.setAuthor(text(metadata.author));
+  }
+  if (metadata.subject) {
+    pdfDoc.setSubject(text(metadata.subject));
+  }
+  if (metadata.keywords) {
+    // pdf-lib joins keyword lists with spaces; a single comma-separated entry keeps multi-word keywords intact
+    pdfDoc.setKeywords([text(metadata.keywords)]);
+  }
+  if (metadata.language) {
+    pdfDoc.setLanguage(metadata.language);
+  }
+}
+
+/**
+ * Write metadata into a rendered PDF
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @param {object} metadata - Metadata ({title, author, subject, keywords, language})
+ * @returns {Promise<Buffer>} PDF with metadata, or the original buffer when there is nothing to write
+ */
+async function applyMetadata(pdfBuffer, metadata) {
+  if (Object.keys(mergeMetadata(metadata)).length === 0) {
+    return pdfBuffer;
+  }
+
+  // Keep Chromium's producer and dates; only the given fields change
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  setDocumentMetadata(pdfDoc, mergeMetadata(metadata));
+  // Saved without object streams, like Chromium's own output
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+module.exports = {
+  mergeMetadata,
+  setDocumentMetadata,
+  applyMetadata,
+};
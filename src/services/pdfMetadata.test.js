@@ -0,0 +1,65 @@
+/**
+ * Unit tests for pdfMetadata.js - document properties written into PDFs
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { PDFDocument } = require('pdf-lib');
+const { mergeMetadata, applyMetadata } = require('./pdfMetadata.js');
+
+/**
+ * Build a one-page PDF without metadata
+ */
+async function blankPdf() {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage();
+  return Buffer.from(await pdfDoc.save());
+}
+
+describe('mergeMetadata', () => {
+  it('should let later sources win', () => {
+    expect(mergeMetadata({ title: 'Heading', author: 'Ann' }, { title: 'Front matter' }, { title: 'Request' }))
+      .toEqual({ title: 'Request', author: 'Ann' });
+  });
+
+  it('should not override with empty values', () => {
+    expect(mergeMetadata({ title: 'Heading' }, { title: '', author: null, keywords: [] }, undefined))
+      .toEqual({ title: 'Heading' });
+  });
+});
+
+describe('applyMetadata', () => {
+  it('should write title, author, subject, keywords and language', async () => {
+    const pdf = await applyMetadata(await blankPdf(), {
+      title: 'Quarterly Report',
+      author: ['Ann Lee', 'Bob Stone'],
+      subject: 'Finance',
+      keywords: ['tax', 'q1 report'],
+      language: 'de-CH',
+    });
+
+    const pdfDoc = await PDFDocument.load(pdf);
+    expect(pdfDoc.getTitle()).toBe('Quarterly Report');
+    expect(pdfDoc.getAuthor()).toBe('Ann Lee, Bob Stone');
+    expect(pdfDoc.getSubject()).toBe('Finance');
+    expect(pdfDoc.getKeywords()).toBe('tax, q1 report');
+    expect(pdf.toString('latin1')).toContain('/Lang (de-CH)');
+    expect(pdf.toString('latin1')).toContain('/DisplayDocTitle true');
+  });
+
+  it('should keep the existing producer', async () => {
+    const original = await blankPdf();
+    const producer = (await PDFDocument.load(original, { updateMetadata: false })).getProducer();
+
+    const pdf = await applyMetadata(original, { title: 'Report' });
+    expect((await PDFDocument.load(pdf, { updateMetadata: false })).getProducer()).toBe(producer);
+  });
+
+  it('should return the PDF unchanged when there is no metadata', async () => {
+    const original = await blankPdf();
+    expect(await applyMetadata(original, {})).toBe(original);
+    expect(await applyMetadata(original, { title: '  ' })).toBe(original);
+  });
+});
@@ -0,0 +1,409 @@
+/**
+ * PDF Operations Service
+ * Merges uploaded PDFs into one document (`input_type: "pdf_merge"`) with pdf-lib.
+ * Pages are copied as they are; the bookmarks of every PDF are carried over and point at the merged pages.
+ * Form fields and named destinations are not carried over, so form widgets and internal links may stop working.
+ */
+
+const crypto = require('crypto');
+const {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFStream,
+  PDFString,
+  PDFHexString,
+  EncryptedPDFError,
+} = require('pdf-lib');
+const logger = require('../utils/logger');
+const { mergeMetadata, setDocumentMetadata } = require('./pdfMetadata');
+const { encryptPdf } = require('./pdfEncryption');
+const { drawWatermark } = require('./watermark');
+const { describePages } = require('./pdfPages');
+const { writeOutline } = require('./outline');
+
+const MIN_MERGE_PDFS = 2;
+const MAX_MERGE_SIZE_MB = parseInt(process.env.MAX_MERGE_SIZE_MB || '10', 10);
+const MAX_MERGE_SIZE_BYTES = MAX_MERGE_SIZE_MB * 1024 * 1024;
+
+const MERGE_PAGE_ORDERS = ['sequential', 'reverse'];
+
+// Bookmarks read per PDF, and how deep they (and name trees) are followed
+const MAX_BOOKMARKS = 1000;
+const MAX_BOOKMARK_DEPTH = 20;
+
+// Page attributes compared by remove_duplicates
+const PAGE_CONTENT_KEYS = ['MediaBox', 'CropBox', 'Rotate', 'Resources', 'Contents'];
+
+/**
+ * Check one uploaded PDF
+ * @param {{buffer: Buffer, filename?: string}} pdf - Uploaded PDF
+ * @param {number} index - PDF index (for error reporting)
+ * @returns {Promise<{valid: boolean, pages?: number, error?: string, details?: object}>}
+ */
+async function validatePdf(pdf, index = 0) {
+  const details = { index, filename: pdf.filename || null };
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(pdf.buffer, { updateMetadata: false });
+  } catch (error) {
+    return {
+      valid: false,
+      error: 'INVALID_PDF',
+      details: {
+        ...details,
+        message: error instanceof EncryptedPDFError
+          ? `PDF ${index + 1} is encrypted; remove its password before merging`
+          : `PDF ${index + 1} is corrupted or invalid: ${error.message}`,
+      },
+    };
+  }
+
+  const pages = pdfDoc.getPageCount();
+  if (pages === 0) {
+    return {
+      valid: false,
+      error: 'INVALID_PDF',
+      details: { ...details, message: `PDF ${index + 1} has no pages` },
+    };
+  }
+  return { valid: true, pages };
+}
+
+/**
+ * Check the PDFs of a merge request: count, total size, and that each one can be read
+ * @param {Array<{buffer: Buffer, filename?: string}>} pdfs - Uploaded PDFs
+ * @returns {Promise<{valid: boolean, errors: Array, pageCount: number}>} pageCount is the total of all PDFs
+ */
+async function validatePdfs(pdfs) {
+  if (!pdfs || pdfs.length < MIN_MERGE_PDFS) {
+    return {
+      valid: false,
+      errors: [{ error: 'MISSING_PDFS', message: `At least ${MIN_MERGE_PDFS} PDFs required for merge operation` }],
+      pageCount: 0,
+    };
+  }
+
+  const totalSize = pdfs.reduce((sum, pdf) => sum + (pdf.buffer?.length || 0), 0);
+  if (totalSize > MAX_MERGE_SIZE_BYTES) {
+    return {
+      valid: false,
+      errors: [{
+        error: 'PAYLOAD_TOO_LARGE',
+        message: `Total PDF size (${(totalSize / 1024 / 1024).toFixed(2)}MB) exceeds maximum of ${MAX_MERGE_SIZE_MB}MB`,
+      }],
+      pageCount: 0,
+    };
+  }
+
+  let pageCount = 0;
+  for (let i = 0; i < pdfs.length; i++) {
+    const validation = await validatePdf(pdfs[i], i);
+    if (!validation.valid) {
+      return { valid: false, errors: [validation], pageCount: 0 };
+    }
+    pageCount += validation.pages;
+  }
+  return { valid: true, errors: [], pageCount };
+}
+
+/**
+ * Create a function hashing pages of a document by what they show
+ * Referenced objects (fonts, images, content streams) are hashed by content, so the same page
+ * in two different PDFs gets the same hash.
+ * @param {object} pdfDoc - pdf-lib PDFDocument
+ * @returns {function(object): string} Hash of a pdf-lib PDFPage
+ */
+function createPageHasher(pdfDoc) {
+  const { context } = pdfDoc;
+  const refHashes = new Map();
+
+  const digest = (object) => {
+    const hash = crypto.createHash('sha256');
+    if (object === undefined) {
+      hash.update('undefined');
+    } else if (object instanceof PDFRef) {
+      if (!refHashes.has(object.tag)) {
+        // Marks the reference while it is hashed, so reference cycles end
+        refHashes.set(object.tag, 'cycle');
+        refHashes.set(object.tag, digest(context.lookup(object)));
+      }
+      return refHashes.get(object.tag);
+    } else if (object instanceof PDFStream) {
+      hash.update('stream').update(digest(object.dict)).update(object.getContents());
+    } else if (object instanceof PDFDict) {
+      hash.update('dict');
+      const entries = object.entries()
+        .map(([key, value]) => [key.toString(), value])
+        .sort(([a], [b]) => (a < b ? -1 : 1));
+      for (const [key, value] of entries) {
+        hash.update(key).update(digest(value));
+      }
+    } else if (object instanceof PDFArray) {
+      hash.update('array');
+      for (const value of object.asArray()) {
+        hash.update(digest(value));
+      }
+    } else {
+      hash.update(object.toString());
+    }
+    return hash.digest('hex');
+  };
+
+  return (page) => {
+    const hash = crypto.createHash('sha256');
+    for (const key of PAGE_CONTENT_KEYS) {
+      // Resources, MediaBox, CropBox and Rotate can be inherited from the page tree
+      const value = key === 'Contents' ? page.node.get(PDFName.of(key)) : page.node.getInheritableAttribute(PDFName.of(key));
+      hash.update(key).update(digest(value));
+    }
+    return hash.digest('hex');
+  };
+}
+
+/**
+ * Decode a PDF text string or name
+ * @param {*} object - pdf-lib object
+ * @returns {string|null} Text, or null for other objects
+ */
+function decodeText(object) {
+  if (object instanceof PDFString || object instanceof PDFHexString || object instanceof PDFName) {
+    return object.decodeText();
+  }
+  return null;
+}
+
+/**
+ * Read the named destinations of a document (catalog /Dests and the /Names /Dests name tree)
+ * @param {object} pdfDoc - pdf-lib PDFDocument
+ * @returns {Map<string, object>} Destination (array, or dict with /D) by name
+ */
+function readNamedDestinations(pdfDoc) {
+  const { context, catalog } = pdfDoc;
+  const destinations = new Map();
+
+  const dests = catalog.lookup(PDFName.of('Dests'));
+  if (dests instanceof PDFDict) {
+    for (const [key, value] of dests.entries()) {
+      destinations.set(key.decodeText(), context.lookup(value));
+    }
+  }
+
+  const readTree = (node, depth) => {
+    if (!(node instanceof PDFDict) || depth > MAX_BOOKMARK_DEPTH) {
+      return;
+    }
+    const names = node.lookup(PDFName.of('Names'));
+    if (names instanceof PDFArray) {
+      for (let i = 0; i + 1 < names.size(); i += 2) {
+        const name = decodeText(names.lookup(i));
+        if (name !== null) {
+          destinations.set(name, names.lookup(i + 1));
+        }
+      }
+    }
+    const kids = node.lookup(PDFName.of('Kids'));
+    if (kids instanceof PDFArray) {
+      for (let i = 0; i < kids.size(); i++) {
+        readTree(kids.lookup(i), depth + 1);
+      }
+    }
+  };
+  const nameTree = catalog.lookup(PDFName.of('Names'));
+  if (nameTree instanceof PDFDict) {
+    readTree(nameTree.lookup(PDFName.of('Dests')), 0);
+  }
+  return destinations;
+}
+
+/**
+ * Read the bookmarks of a source PDF, pointing them at the pages they were copied to
+ * Bookmarks are kept when they go to a page of the document (directly, through a named destination
+ * or a GoTo action); others are dropped unless they group kept bookmarks.
+ * @param {object} pdfDoc - Source pdf-lib PDFDocument
+ * @param {Map<string, object>} pageRefs - Merged page ref by source page ref (tag)
+ * @returns {Array<{title: string, dest: Array|null, children: Array}>} Bookmarks; `dest` lists the merged page ref and the view
+ */
+function readBookmarks(pdfDoc, pageRefs) {
+  const { catalog } = pdfDoc;
+  const outlines = catalog.lookup(PDFName.of('Outlines'));
+  if (!(outlines instanceof PDFDict)) {
+    return [];
+  }
+
+  let namedDestinations = null;
+  const resolveDestination = (item) => {
+    let dest = item.lookup(PDFName.of('Dest'));
+    if (!dest) {
+      const action = item.lookup(PDFName.of('A'));
+      if (action instanceof PDFDict && action.lookup(PDFName.of('S')) === PDFName.of('GoTo')) {
+        dest = action.lookup(PDFName.of('D'));
+      }
+    }
+    const name = decodeText(dest);
+    if (name !== null) {
+      namedDestinations = namedDestinations || readNamedDestinations(pdfDoc);
+      dest = namedDestinations.get(name);
+    }
+    if (dest instanceof PDFDict) {
+      dest = dest.lookup(PDFName.of('D'));
+    }
+    if (!(dest instanceof PDFArray) || dest.size() === 0) {
+      return null;
+    }
+
+    const pageRef = pageRefs.get(dest.get(0).toString());
+    if (!pageRef) {
+      return null;
+    }
+    // Same view (e.g. /XYZ left top zoom) on the merged page
+    return [pageRef, ...dest.asArray().slice(1).map((value, index) => dest.lookup(index + 1))];
+  };
+
+  const visited = new Set();
+  const readItems = (first, depth) => {
+    const items = [];
+    let ref = first;
+    while (ref instanceof PDFRef && !visited.has(ref.tag) && visited.size < MAX_BOOKMARKS) {
+      visited.add(ref.tag);
+      const item = pdfDoc.context.lookup(ref);
+      if (!(item instanceof PDFDict)) {
+        break;
+      }
+      const children = depth < MAX_BOOKMARK_DEPTH ? readItems(item.get(PDFName.of('First')), depth + 1) : [];
+      const dest = resolveDestination(item);
+      if (dest || children.length > 0) {
+        items.push({ title: decodeText(item.lookup(PDFName.of('Title'))) || '', dest, children });
+      }
+      ref = item.get(PDFName.of('Next'));
+    }
+    return items;
+  };
+  return readItems(outlines.get(PDFName.of('First')), 1);
+}
+
+/**
+ * Copy the bookmarks of a source PDF into the merged document
+ * Bookmarks are a convenience; a PDF whose outline cannot be read is merged without it.
+ * @param {object} pdfDoc - Source pdf-lib PDFDocument
+ * @param {Map<string, object>} pageRefs - Merged page ref by source page ref (tag)
+ * @param {object} merged - Merged pdf-lib PDFDocument
+ * @param {number} index - PDF index (for logging)
+ * @returns {Array<object>} Items for outline.writeOutline
+ */
+function copyBookmarks(pdfDoc, pageRefs, merged, index) {
+  try {
+    const items = readBookmarks(pdfDoc, pageRefs);
+    const rebuild = (item) => ({
+      title: item.title,
+      dest: item.dest ? merged.context.obj(item.dest) : null,
+      children: item.children.map(rebuild),
+    });
+    return items.map(rebuild);
+  } catch (error) {
+    logger.warn('Skipping unreadable bookmarks', { index, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Merge PDFs into one document
+ * @param {Array<{buffer: Buffer, filename?: string}>} pdfs - PDFs (checked with validatePdfs), in request order
+ * @param {object} options - Merge options ({page_order, remove_duplicates, watermark, encryption})
+ * @param {object} metadata - Document metadata from the request ({title, author, subject, keywords, language})
+ * @param {object|null} requiredWatermark - Watermark required by the plan or API key, drawn over options.watermark
+ * @returns {Promise<{buffer: Buffer, pages: number, pageReport: Array, removedDuplicates: number}>}
+ */
+async function mergePdfs(pdfs, options = {}, metadata = {}, requiredWatermark = null) {
+  const startTime = Date.now();
+  const sources = options.page_order === 'reverse' ? [...pdfs].reverse() : pdfs;
+
+  const merged = await PDFDocument.create();
+  const bookmarks = [];
+  // Merged page ref by page hash (remove_duplicates)
+  const pagesByHash = new Map();
+  let removedDuplicates = 0;
+
+  for (let i = 0; i < sources.length; i++) {
+    const pdfDoc = await PDFDocument.load(sources[i].buffer, { updateMetadata: false });
+    const sourcePages = pdfDoc.getPages();
+    const hashPage = options.remove_duplicates ? createPageHasher(pdfDoc) : null;
+
+    const hashes = sourcePages.map((page) => (hashPage ? hashPage(page) : null));
+    const copyIndexes = [];
+    hashes.forEach((hash, index) => {
+      if (hash && pagesByHash.has(hash)) {
+        removedDuplicates += 1;
+        return;
+      }
+      copyIndexes.push(index);
+      if (hash) {
+        // Set to the copied page below; marks repeats within the same PDF too
+        pagesByHash.set(hash, null);
+      }
+    });
+
+    const copiedRefs = new Map();
+    const copied = await merged.copyPages(pdfDoc, copyIndexes);
+    copied.forEach((page, position) => {
+      const index = copyIndexes[position];
+      merged.addPage(page);
+      copiedRefs.set(index, page.ref);
+      if (hashes[index]) {
+        pagesByHash.set(hashes[index], page.ref);
+      }
+    });
+
+    // Bookmarks to a duplicate page go to the page it repeats
+    const pageRefs = new Map(sourcePages.map((page, index) => [
+      page.ref.toString(),
+      copiedRefs.get(index) || pagesByHash.get(hashes[index]),
+    ]));
+    bookmarks.push(...copyBookmarks(pdfDoc, pageRefs, merged, pdfs.indexOf(sources[i])));
+  }
+
+  if (bookmarks.length > 0) {
+    writeOutline(merged, bookmarks);
+  }
+
+  setDocumentMetadata(merged, mergeMetadata(metadata));
+
+  for (const watermark of [options.watermark, requiredWatermark].filter(Boolean)) {
+    await drawWatermark(merged, watermark);
+  }
+
+  let pdfBuffer = Buffer.from(await merged.save());
+
+  // Encryption comes last so everything written before it is encrypted
+  if (options.encryption) {
+    pdfBuffer = await encryptPdf(pdfBuffer, options.encryption);
+  }
+
+  logger.info('PDF merge completed', {
+    inputPdfs: pdfs.length,
+    pages: merged.getPageCount(),
+    removedDuplicates,
+    bookmarks: bookmarks.length,
+    duration_ms: Date.now() - startTime,
+    pdf_size_bytes: pdfBuffer.length,
+  });
+
+  return {
+    buffer: pdfBuffer,
+    pages: merged.getPageCount(),
+    pageReport: describePages(merged),
+    removedDuplicates,
+  };
+}
+
+module.exports = {
+  mergePdfs,
+  validatePdf,
+  validatePdfs,
+  MIN_MERGE_PDFS,
+  MAX_MERGE_SIZE_MB,
+  MAX_MERGE_SIZE_BYTES,
+  MERGE_PAGE_ORDERS,
+};
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for pdfOperations.js - PDF merge
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { mergePdfs, validatePdfs } = require('./pdfOperations.js');
+const { writeOutline } = require('./outline.js');
+
+/**
+ * Build a PDF with one page per size and, optionally, a bookmark per page
+ * Bookmarks go through a named destination (the first) and a GoTo action (the others).
+ */
+async function samplePdf(sizes, { bookmarks = false, filename = 'sample.pdf' } = {}) {
+  const pdfDoc = await PDFDocument.create();
+  const pages = sizes.map((size) => pdfDoc.addPage(size));
+
+  if (bookmarks) {
+    const { context } = pdfDoc;
+    pdfDoc.catalog.set(PDFName.of('Dests'), context.obj({
+      start: [pages[0].ref, PDFName.of('Fit')],
+    }));
+    writeOutline(pdfDoc, pages.map((page, index) => ({
+      title: `Page ${index + 1}`,
+      dest: index === 0 ? PDFName.of('start') : null,
+      children: [],
+    })));
+
+    // The other bookmarks go to their page with an action
+    let item = pdfDoc.catalog.lookup(PDFName.of('Outlines')).lookup(PDFName.of('First'));
+    for (const page of pages.slice(1)) {
+      item = item.lookup(PDFName.of('Next'));
+      item.set(PDFName.of('A'), context.obj({ S: 'GoTo', D: [page.ref, PDFName.of('XYZ'), 0, page.getHeight(), null] }));
+    }
+  }
+  return { buffer: Buffer.from(await pdfDoc.save()), filename };
+}
+
+/**
+ * List the top-level bookmarks of a PDF with the (0-based) page they go to
+ */
+function readBookmarks(pdfDoc) {
+  const pageRefs = pdfDoc.getPages().map((page) => page.ref.toString());
+  const bookmarks = [];
+  const outlines = pdfDoc.catalog.lookup(PDFName.of('Outlines'));
+  let item = outlines ? outlines.lookup(PDFName.of('First')) : undefined;
+  while (item) {
+    bookmarks.push({
+      title: item.lookup(PDFName.of('Title')).decodeText(),
+      page: pageRefs.indexOf(item.lookup(PDFName.of('Dest')).get(0).toString()),
+    });
+    item = item.lookup(PDFName.of('Next'));
+  }
+  return bookmarks;
+}
+
+describe('validatePdfs', () => {
+  it('should count the pages of all PDFs', async () => {
+    const result = await validatePdfs([await samplePdf([[300, 300]]), await samplePdf([[300, 300], [400, 400]])]);
+
+    expect(result).toEqual({ valid: true, errors: [], pageCount: 3 });
+  });
+
+  it('should require at least two PDFs', async () => {
+    const result = await validatePdfs([await samplePdf([[300, 300]])]);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors[0].error).toBe('MISSING_PDFS');
+  });
+
+  it('should name the PDF that cannot be read', async () => {
+    const result = await validatePdfs([
+      await samplePdf([[300, 300]]),
+      { buffer: Buffer.from('not a pdf'), filename: 'broken.pdf' },
+    ]);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors[0].error).toBe('INVALID_PDF');
+    expect(result.errors[0].details).toMatchObject({ index: 1, filename: 'broken.pdf' });
+  });
+});
+
+describe('mergePdfs', () => {
+  it('should merge pages in request order, or in reverse order of the PDFs', async () => {
+    const first = await samplePdf([[200, 200], [210, 210]]);
+    const second = await samplePdf([[300, 300]]);
+
+    const merged = await mergePdfs([first, second], {}, { title: 'Combined' });
+    const pdfDoc = await PDFDocument.load(merged.buffer);
+
+    expect(merged.pages).toBe(3);
+    expect(pdfDoc.getPages().map((page) => page.getWidth())).toEqual([200, 210, 300]);
+    expect(pdfDoc.getTitle()).toBe('Combined');
+
+    const reversed = await mergePdfs([first, second], { page_order: 'reverse' });
+    expect(reversed.pageReport.map((page) => page.width)).toEqual([300, 200, 210]);
+  });
+
+  it('should carry bookmarks over to the merged pages', async () => {
+    const first = await samplePdf([[200, 200], [210, 210]], { bookmarks: true });
+    const second = await samplePdf([[300, 300], [310, 310]], { bookmarks: true });
+
+    const merged = await mergePdfs([first, second], {});
+
+    expect(readBookmarks(await PDFDocument.load(merged.buffer))).toEqual([
+      { title: 'Page 1', page: 0 },
+      { title: 'Page 2', page: 1 },
+      { title: 'Page 1', page: 2 },
+      { title: 'Page 2', page: 3 },
+    ]);
+  });
+
+  it('should remove duplicate pages and point their bookmarks at the page they repeat', async () => {
+    const pdf = await samplePdf([[200, 200], [210, 210]], { bookmarks: true });
+
+    const merged = await mergePdfs([pdf, pdf, await samplePdf([[300, 300]])], { remove_duplicates: true });
+
+    expect(merged.pages).toBe(3);
+    expect(merged.removedDuplicates).toBe(2);
+    expect(readBookmarks(await PDFDocument.load(merged.buffer)).map((bookmark) => bookmark.page)).toEqual([0, 1, 0, 1]);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * PDF Pages Service
+ * Counts pages and reports their sizes by parsing the page tree with pdf-lib, so compressed object
+ * streams, nested page trees and inherited page boxes are handled. Page limits and billing use this count.
+ */
+
+const { PDFDocument } = require('pdf-lib');
+
+// Standard paper sizes in points (portrait); Ledger is reported as landscape Tabloid
+const PAPER_SIZES = {
+  A0: { width: 2383.94, height: 3370.39 },
+  A1: { width: 1683.78, height: 2383.94 },
+  A2: { width: 1190.55, height: 1683.78 },
+  A3: { width: 841.89, height: 1190.55 },
+  A4: { width: 595.28, height: 841.89 },
+  A5: { width: 419.53, height: 595.28 },
+  A6: { width: 297.64, height: 419.53 },
+  Letter: { width: 612, height: 792 },
+  Legal: { width: 612, height: 1008 },
+  Tabloid: { width: 792, height: 1224 },
+};
+
+// Chromium rounds page sizes to whole pixels, so formats match within about 1mm
+const PAPER_SIZE_TOLERANCE = 3;
+
+/**
+ * Find the standard paper size of a page
+ * @param {number} width - Page width in points
+ * @param {number} height - Page height in points
+ * @returns {string|null} Paper size name (e.g. 'A4'), or null for custom sizes
+ */
+function paperSizeOf(width, height) {
+  const [short, long] = width <= height ? [width, height] : [height, width];
+  const match = Object.entries(PAPER_SIZES).find(([, size]) =>
+    Math.abs(size.width - short) <= PAPER_SIZE_TOLERANCE && Math.abs(size.height - long) <= PAPER_SIZE_TOLERANCE);
+  return match ? match[0] : null;
+}
+
+/**
+ * Describe the pages of a pdf-lib document as they are displayed
+ * Sizes come from the crop box (falling back to the media box) and account for page rotation.
+ * @param {object} pdfDoc - pdf-lib PDFDocument
+ * @returns {Array<{page: number, width: number, height: number, orientation: string, format: string|null}>} One entry per page; sizes in points
+ */
+function describePages(pdfDoc) {
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return pdfDoc.getPages().map((page, index) => {
+    const box = page.getCropBox();
+    const quarterTurns = Math.round(page.getRotation().angle / 90);
+    const [width, height] = quarterTurns % 2 === 0
+      ? [Math.abs(box.width), Math.abs(box.height)]
+      : [Math.abs(box.height), Math.abs(box.width)];
+
+    let orientation = 'square';
+    if (width > height) {
+      orientation = 'landscape';
+    } else if (height > width) {
+      orientation = 'portrait';
+    }
+
+    return {
+      page: index + 1,
+      width: round(width),
+      height: round(height),
+      orientation,
+      format: paperSizeOf(width, height),
+    };
+  });
+}
+
+/**
+ * Count the pages of a PDF and report their sizes
+ * Fails if the PDF cannot be parsed, rather than guessing a count.
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @returns {Promise<{count: number, pages: Array<object>}>} Page count and report from describePages
+ */
+async function inspectPages(pdfBuffer) {
+  // The page tree is never encrypted, so encrypted PDFs can be counted too
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true, updateMetadata: false });
+  const pages = describePages(pdfDoc);
+  return { count: pages.length, pages };
+}
+
+/**
+ * Count the pages of a PDF
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @returns {Promise<number>} Number of pages
+ */
+async function countPages(pdfBuffer) {
+  return (await inspectPages(pdfBuffer)).count;
+}
+
+module.exports = {
+  inspectPages,
+  countPages,
+  describePages,
+  PAPER_SIZES,
+};
@@ -0,0 +1,79 @@
+/**
+ * Unit tests for pdfPages.js - page counting and page report
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { PDFDocument, PDFName, PageSizes, degrees } = require('pdf-lib');
+const { inspectPages, countPages } = require('./pdfPages.js');
+
+/**
+ * Build a five-page PDF whose middle pages sit in a nested page tree node with an inherited media box
+ */
+async function nestedPageTreePdf(options) {
+  const pdfDoc = await PDFDocument.create();
+  const pages = [
+    pdfDoc.addPage(PageSizes.A4),
+    pdfDoc.addPage(PageSizes.Letter),
+    pdfDoc.addPage(PageSizes.Letter),
+    pdfDoc.addPage([500, 500]),
+    pdfDoc.addPage(PageSizes.A4),
+  ];
+  pages[4].setRotation(degrees(90));
+
+  const { context } = pdfDoc;
+  const rootRef = pdfDoc.catalog.get(PDFName.of('Pages'));
+  const root = context.lookup(rootRef);
+  const nested = context.obj({
+    Type: 'Pages',
+    Parent: rootRef,
+    Kids: pages.slice(1, 4).map((page) => page.ref),
+    Count: 3,
+    MediaBox: [0, 0, 612, 792],
+  });
+  const nestedRef = context.register(nested);
+  for (const page of pages.slice(1, 4)) {
+    page.node.set(PDFName.of('Parent'), nestedRef);
+  }
+  // The third page takes its size from the nested node
+  pages[2].node.delete(PDFName.of('MediaBox'));
+  root.set(PDFName.of('Kids'), context.obj([pages[0].ref, nestedRef, pages[4].ref]));
+
+  return Buffer.from(await pdfDoc.save(options));
+}
+
+describe('inspectPages', () => {
+  it('should count pages in nested page trees stored in compressed object streams', async () => {
+    const pdf = await nestedPageTreePdf({ useObjectStreams: true });
+    // Nothing to find with a plain-text search for /Count
+    expect(pdf.toString('latin1')).not.toMatch(/\/Count\s+5/);
+
+    expect(await countPages(pdf)).toBe(5);
+  });
+
+  it('should report size, orientation and paper format per page', async () => {
+    const { count, pages } = await inspectPages(await nestedPageTreePdf({ useObjectStreams: false }));
+
+    expect(count).toBe(5);
+    expect(pages).toEqual([
+      { page: 1, width: 595.28, height: 841.89, orientation: 'portrait', format: 'A4' },
+      { page: 2, width: 612, height: 792, orientation: 'portrait', format: 'Letter' },
+      { page: 3, width: 612, height: 792, orientation: 'portrait', format: 'Letter' },
+      { page: 4, width: 500, height: 500, orientation: 'square', format: null },
+      { page: 5, width: 841.89, height: 595.28, orientation: 'landscape', format: 'A4' },
+    ]);
+  });
+
+  it('should match sizes rounded to whole pixels by Chromium', async () => {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage([595.92, 842.88]);
+    const { pages } = await inspectPages(Buffer.from(await pdfDoc.save()));
+    expect(pages[0].format).toBe('A4');
+  });
+
+  it('should fail for data that is not a PDF instead of guessing', async () => {
+    await expect(countPages(Buffer.from('/Type /Pages /Count 1'))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,338 @@
+/**
+ * PDF/A Service
+ * Post-processes rendered PDFs into PDF/A-2b (ISO 19005-2, level B) for archiving:
+ * - embeds an sRGB output intent and XMP metadata matching the document info dictionary
+ * - checks that all fonts are embedded (Chromium embeds the fonts it uses)
+ * - rejects features PDF/A forbids (JavaScript, embedded files, encryption, CMYK images, LZW compression, ...)
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRawStream,
+  PDFString,
+  PDFHexString,
+  PDFNumber,
+} = require('pdf-lib');
+const { BadRequest } = require('../utils/errors');
+
+
+// Output intent for the sRGB colours Chromium and image jobs produce
+const SRGB_CONDITION = 'sRGB IEC61966-2.1';
+
+// Annotation flags (PDF 1.7, 12.5.3): Invisible, Hidden, Print, NoView
+const ANNOTATION_FLAG_INVISIBLE = 1;
+const ANNOTATION_FLAG_HIDDEN = 2;
+const ANNOTATION_FLAG_PRINT = 4;
+const ANNOTATION_FLAG_NOVIEW = 32;
+
+// Annotation types that need no appearance stream in PDF/A-2
+const ANNOTATIONS_WITHOUT_APPEARANCE = ['Link', 'Popup'];
+
+let srgbProfile = null;
+
+/**
+ * Get the sRGB ICC profile bundled with libvips
+ * Read once from a 1x1 image tagged with it and cached across warm invocations
+ * @returns {Promise<Buffer>} ICC profile
+ */
+async function getSrgbProfile() {
+  if (!srgbProfile) {
+    const tagged = await sharp({ create: { width: 1, height: 1, channels: 3, background: '#ffffff' } })
+      .withIccProfile('srgb')
+      .png()
+      .toBuffer();
+    srgbProfile = (await sharp(tagged).metadata()).icc;
+  }
+  return srgbProfile;
+}
+
+/**
+ * Read a name (or the first name of an array) from a dictionary entry
+ * @param {object} dict - pdf-lib PDFDict
+ * @param {string} key - Entry key
+ * @returns {string[]} Names found
+ */
+function namesOf(dict, key) {
+  const value = dict.lookup(PDFName.of(key));
+  if (value instanceof PDFName) {
+    return [value.decodeText()];
+  }
+  if (value instanceof PDFArray) {
+    return value.asArray()
+      .map((entry) => dict.context.lookup(entry))
+      .filter((entry) => entry instanceof PDFName)
+      .map((entry) => entry.decodeText());
+  }
+  return [];
+}
+
+/**
+ * Check whether a font dictionary has its font program embedded
+ * Type 3 fonts are drawn with PDF operators and need no font program.
+ * @param {object} font - pdf-lib PDFDict of the font
+ * @returns {boolean} Whether the font is embedded
+ */
+function isFontEmbedded(font) {
+  const subtype = namesOf(font, 'Subtype')[0];
+  if (subtype === 'Type3') {
+    return true;
+  }
+  if (subtype === 'Type0') {
+    const descendants = font.lookup(PDFName.of('DescendantFonts'));
+    const descendant = descendants instanceof PDFArray ? font.context.lookup(descendants.get(0)) : null;
+    return descendant instanceof PDFDict && isFontEmbedded(descendant);
+  }
+  const descriptor = font.lookup(PDFName.of('FontDescriptor'));
+  return descriptor instanceof PDFDict &&
+    ['FontFile', 'FontFile2', 'FontFile3'].some((key) => descriptor.has(PDFName.of(key)));
+}
+
+/**
+ * Find features PDF/A-2b forbids, fixing those that can be fixed in place
+ * Fixed: annotations not flagged for printing, image interpolation.
+ * @param {object} pdfDoc - pdf-lib PDFDocument
+ * @returns {string[]} Violations that cannot be fixed
+ */
+function findViolations(pdfDoc) {
+  const violations = new Set();
+  const { context, catalog } = pdfDoc;
+
+  if (context.trailerInfo.Encrypt) {
+    violations.add('Encrypted PDFs are not allowed');
+  }
+
+  const names = catalog.lookup(PDFName.of('Names'));
+  if (names instanceof PDFDict) {
+    if (names.has(PDFName.of('JavaScript'))) {
+      violations.add('JavaScript is not allowed');
+    }
+    if (names.has(PDFName.of('EmbeddedFiles'))) {
+      violations.add('Embedded files are not allowed');
+    }
+  }
+  if (catalog.has(PDFName.of('AA'))) {
+    violations.add('Document actions are not allowed');
+  }
+
+  for (const [, object] of context.enumerateIndirectObjects()) {
+    const dict = object instanceof PDFRawStream ? object.dict : object;
+    if (!(dict instanceof PDFDict)) {
+      continue;
+    }
+
+    const type = namesOf(dict, 'Type')[0];
+    const subtype = namesOf(dict, 'Subtype')[0];
+    const actionType = namesOf(dict, 'S')[0];
+
+    if (actionType === 'JavaScript' || dict.has(PDFName.of('JS'))) {
+      violations.add('JavaScript is not allowed');
+    } else if (['Launch', 'Sound', 'Movie', 'ResetForm', 'ImportData', 'Hide'].includes(actionType)) {
+      violations.add(`${actionType} actions are not allowed`);
+    }
+
+    if (type === 'Font' && subtype && !isFontEmbedded(dict)) {
+      const baseFont = namesOf(dict, 'BaseFont')[0] || 'unnamed';
+      violations.add(`Font ${baseFont} is not embedded`);
+    }
+
+    if (object instanceof PDFRawStream && namesOf(dict, 'Filter').includes('LZWDecode')) {
+      violations.add('LZW compression is not allowed');
+    }
+
+    if (subtype === 'Image') {
+      const colorSpace = dict.lookup(PDFName.of('ColorSpace'));
+      const colorSpaceNames = colorSpace instanceof PDFArray
+        ? colorSpace.asArray().map((entry) => context.lookup(entry)).filter((entry) => entry instanceof PDFName)
+          .map((entry) => entry.decodeText())
+        : namesOf(dict, 'ColorSpace');
+      if (colorSpaceNames.includes('DeviceCMYK')) {
+        violations.add('CMYK images are not allowed with the sRGB output intent; convert them to RGB');
+      }
+      // Fixed in place: image interpolation must be off
+      if (dict.has(PDFName.of('Interpolate'))) {
+        dict.delete(PDFName.of('Interpolate'));
+      }
+    }
+  }
+
+  // Annotations must be printable and visible; only links and popups may lack an appearance
+  for (const page of pdfDoc.getPages()) {
+    const annots = page.node.Annots();
+    if (!annots) {
+      continue;
+    }
+    for (const ref of annots.asArray()) {
+      const annot = context.lookup(ref);
+      if (!(annot instanceof PDFDict)) {
+        continue;
+      }
+      const subtype = namesOf(annot, 'Subtype')[0];
+      if (!ANNOTATIONS_WITHOUT_APPEARANCE.includes(subtype) && !annot.has(PDFName.of('AP'))) {
+        violations.add(`${subtype || 'Unknown'} annotations without an appearance are not allowed`);
+      }
+      const flags = annot.lookup(PDFName.of('F'));
+      const value = flags instanceof PDFNumber ? flags.asNumber() : 0;
+      const fixed = (value | ANNOTATION_FLAG_PRINT) &
+        ~(ANNOTATION_FLAG_INVISIBLE | ANNOTATION_FLAG_HIDDEN | ANNOTATION_FLAG_NOVIEW);
+      annot.set(PDFName.of('F'), PDFNumber.of(fixed));
+    }
+  }
+
+  return [...violations];
+}
+
+/**
+ * Escape text for XML element content
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Format a date for XMP, to the second like the info dictionary
+ * @param {Date} date - Date
+ * @returns {string} ISO 8601 date
+ */
+function xmpDate(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Build the XMP metadata packet
+ * PDF/A requires it to declare the conformance level and to match the info dictionary.
+ * @param {object} info - Document info ({title, author, subject, keywords, creator, producer, createDate, modifyDate})
+ * @returns {string} XMP packet
+ */
+function buildXmp(info) {
+  const properties = [];
+  if (info.title) {
+    properties.push(`<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(info.title)}</rdf:li></rdf:Alt></dc:title>`);
+  }
+  if (info.author) {
+    properties.push(`<dc:creator><rdf:Seq><rdf:li>${escapeXml(info.author)}</rdf:li></rdf:Seq></dc:creator>`);
+  }
+  if (info.subject) {
+    properties.push(`<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(info.subject)}</rdf:li></rdf:Alt></dc:description>`);
+  }
+  if (info.keywords) {
+    properties.push(`<pdf:Keywords>${escapeXml(info.keywords)}</pdf:Keywords>`);
+  }
+  if (info.producer) {
+    properties.push(`<pdf:Producer>${escapeXml(info.producer)}</pdf:Producer>`);
+  }
+  if (info.creator) {
+    properties.push(`<xmp:CreatorTool>${escapeXml(info.creator)}</xmp:CreatorTool>`);
+  }
+  properties.push(`<xmp:CreateDate>${xmpDate(info.createDate)}</xmp:CreateDate>`);
+  properties.push(`<xmp:ModifyDate>${xmpDate(info.modifyDate)}</xmp:ModifyDate>`);
+  properties.push(`<xmp:MetadataDate>${xmpDate(info.modifyDate)}</xmp:MetadataDate>`);
+
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description rdf:about=""
+  xmlns:dc="http://purl.org/dc/elements/1.1/"
+  xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+  xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+  xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">
+<pdfaid:part>2</pdfaid:part>
+<pdfaid:conformance>B</pdfaid:conformance>
+${properties.join('\n')}
+</rdf:Description>
+</rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+/**
+ * Make a pdf-lib document PDF/A-2b conformant
+ * Throws PDFA_CONFORMANCE_FAILED when the document uses features PDF/A forbids.
+ * @param {object} pdfDoc - pdf-lib PDFDocument (loaded or created)
+ * @returns {Promise<void>}
+ */
+async function applyPdfA(pdfDoc) {
+  // Embed pending images and fonts (pdf-lib defers this to save) so they are checked too
+  await pdfDoc.flush();
+
+  const violations = findViolations(pdfDoc);
+  if (violations.length > 0) {
+    throw BadRequest.PDFA_CONFORMANCE_FAILED('pdfa-2b', violations);
+  }
+
+  const { context, catalog } = pdfDoc;
+
+  // sRGB output intent
+  const profile = context.flateStream(await getSrgbProfile(), { N: 3 });
+  const outputIntent = context.obj({
+    Type: 'OutputIntent',
+    S: 'GTS_PDFA1',
+    OutputConditionIdentifier: PDFString.of(SRGB_CONDITION),
+    Info: PDFString.of(SRGB_CONDITION),
+    RegistryName: PDFString.of('http://www.color.org'),
+    DestOutputProfile: context.register(profile),
+  });
+  catalog.set(PDFName.of('OutputIntents'), context.obj([outputIntent]));
+
+  // Dates are written to the second so the info dictionary and XMP agree exactly
+  const toSeconds = (date) => new Date(Math.floor(date.getTime() / 1000) * 1000);
+  const createDate = toSeconds(pdfDoc.getCreationDate() || new Date());
+  const modifyDate = toSeconds(new Date());
+  pdfDoc.setCreationDate(createDate);
+  pdfDoc.setModificationDate(modifyDate);
+
+  // XMP metadata (uncompressed, as PDF/A readers expect)
+  const xmp = buildXmp({
+    title: pdfDoc.getTitle(),
+    author: pdfDoc.getAuthor(),
+    subject: pdfDoc.getSubject(),
+    keywords: pdfDoc.getKeywords(),
+    creator: pdfDoc.getCreator(),
+    producer: pdfDoc.getProducer(),
+    createDate,
+    modifyDate,
+  });
+  const metadata = context.stream(Buffer.from(xmp, 'utf8'), { Type: 'Metadata', Subtype: 'XML' });
+  catalog.set(PDFName.of('Metadata'), context.register(metadata));
+
+  // File identifier (required by PDF/A)
+  if (!context.trailerInfo.ID) {
+    const id = PDFHexString.of(crypto.randomBytes(16).toString('hex'));
+    context.trailerInfo.ID = context.obj([id, id]);
+  }
+}
+
+/**
+ * Convert a rendered PDF to an output profile
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @param {string} outputProfile - Output profile ('pdfa-2b')
+ * @returns {Promise<Buffer>} Converted PDF
+ */
+async function convertToProfile(pdfBuffer, outputProfile) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  await PROFILE_CONVERTERS[outputProfile](pdfDoc);
+  // Saved without object streams, like Chromium's own output
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+// Output profiles (options.output_profile) and the conversion each applies
+const PROFILE_CONVERTERS = {
+  'pdfa-2b': applyPdfA,
+};
+
+const OUTPUT_PROFILES = Object.keys(PROFILE_CONVERTERS);
+
+module.exports = {
+  applyPdfA,
+  convertToProfile,
+  findViolations,
+  buildXmp,
+  PROFILE_CONVERTERS,
+  OUTPUT_PROFILES,
+};
@@ -0,0 +1,84 @@
+/**
+ * Unit tests for pdfa.js - PDF/A-2b conversion
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const sharp = require('sharp');
+const { PDFDocument, PDFName, StandardFonts } = require('pdf-lib');
+const { convertToProfile, PROFILE_CONVERTERS } = require('./pdfa.js');
+
+/**
+ * Build a one-page PDF with a title and author
+ */
+async function samplePdf() {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage();
+  pdfDoc.setTitle('Terms & <Conditions>');
+  pdfDoc.setAuthor('Ann Lee');
+  return Buffer.from(await pdfDoc.save());
+}
+
+describe('convertToProfile (pdfa-2b)', () => {
+  it('should embed an sRGB output intent and a file identifier', async () => {
+    const pdfDoc = await PDFDocument.load(await convertToProfile(await samplePdf(), 'pdfa-2b'));
+
+    const intent = pdfDoc.catalog.lookup(PDFName.of('OutputIntents')).lookup(0);
+    expect(intent.lookup(PDFName.of('S'))).toBe(PDFName.of('GTS_PDFA1'));
+    expect(intent.lookup(PDFName.of('OutputConditionIdentifier')).decodeText()).toBe('sRGB IEC61966-2.1');
+    expect(intent.lookup(PDFName.of('DestOutputProfile')).dict.lookup(PDFName.of('N')).asNumber()).toBe(3);
+    expect(pdfDoc.context.trailerInfo.ID).toBeDefined();
+  });
+
+  it('should write XMP metadata declaring PDF/A-2b and matching the info dictionary', async () => {
+    const pdfDoc = await PDFDocument.load(await convertToProfile(await samplePdf(), 'pdfa-2b'), { updateMetadata: false });
+
+    const xmp = Buffer.from(pdfDoc.catalog.lookup(PDFName.of('Metadata')).getContents()).toString('utf8');
+    expect(xmp).toContain('<pdfaid:part>2</pdfaid:part>');
+    expect(xmp).toContain('<pdfaid:conformance>B</pdfaid:conformance>');
+    expect(xmp).toContain('<rdf:li xml:lang="x-default">Terms &amp; &lt;Conditions&gt;</rdf:li>');
+    expect(xmp).toContain('<rdf:Seq><rdf:li>Ann Lee</rdf:li></rdf:Seq>');
+
+    const modified = pdfDoc.getModificationDate().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    expect(xmp).toContain(`<xmp:ModifyDate>${modified}</xmp:ModifyDate>`);
+  });
+
+  it('should reject fonts that are not embedded', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    pdfDoc.addPage().drawText('Hello', { font });
+
+    await expect(convertToProfile(Buffer.from(await pdfDoc.save()), 'pdfa-2b')).rejects.toMatchObject({
+      statusCode: 400,
+      body: expect.stringContaining('Font Helvetica is not embedded'),
+    });
+  });
+
+  it('should reject CMYK images', async () => {
+    const cmyk = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#c00' } })
+      .toColourspace('cmyk')
+      .jpeg()
+      .toBuffer();
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage().drawImage(await pdfDoc.embedJpg(cmyk), { x: 0, y: 0, width: 4, height: 4 });
+
+    // Pending images are embedded before checking, as for image jobs
+    const error = await PROFILE_CONVERTERS['pdfa-2b'](pdfDoc).catch((e) => e);
+    const body = JSON.parse(error.body);
+    expect(body.error.code).toBe('PDFA_CONFORMANCE_FAILED');
+    expect(body.error.details.output_profile).toBe('pdfa-2b');
+    expect(body.error.details.violations[0]).toMatch(/CMYK images/);
+  });
+
+  it('should reject JavaScript', async () => {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage();
+    pdfDoc.addJavaScript('hello', 'app.alert("hi")');
+
+    await expect(convertToProfile(Buffer.from(await pdfDoc.save()), 'pdfa-2b')).rejects.toMatchObject({
+      body: expect.stringContaining('JavaScript is not allowed'),
+    });
+  });
+});
@@ -3,12 +3,14 @@
  * Handles PDF uploads and signed URL generation
  */
 
-const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const logger = require('../utils/logger');
 
 const s3Client = new S3Client({ region: process.env.AWS_REGION || 'eu-central-1' });
 const bucketName = process.env.PDFS_BUCKET;
+// Long-lived account assets (fonts); the PDFs bucket expires objects after a day
+const assetsBucketName = process.env.ASSETS_BUCKET;
 
 /**
  * Upload PDF to S3
@@ -47,6 +49,246 @@ async function uploadPDF(jobId, pdfBuffer) {
   }
 }
 
+/**
+ * Upload the images of an image-output job (options.output_format) to S3
+ * @param {string} jobId - Job ID (images are stored as <jobId>/<n>.<format>, numbered from 1)
+ * @param {Buffer[]} images - Encoded images
+ * @param {string} format - Image format ('png', 'jpeg' or 'webp')
+ * @returns {Promise<string[]>} S3 keys, in image order
+ */
+async function uploadImages(jobId, images, format) {
+  try {
+    const keys = [];
+    for (let i = 0; i < images.length; i++) {
+      const key = `${jobId}/${i + 1}.${format}`;
+      const command = new PutObjectCommand({
+        Bucket: bucketName,
+        Key: key,
+        Body: images[i],
+        ContentType: `image/${format}`,
+        ServerSideEncryption: 'AES256',
+      });
+
+      await s3Client.send(command);
+      keys.push(key);
+    }
+
+    logger.info('Images uploaded to S3', {
+      bucket: bucketName,
+      jobId,
+      count: keys.length,
+      size_bytes: images.reduce((total, image) => total + image.length, 0),
+    });
+
+    return keys;
+  } catch (error) {
+    logger.error('S3 image upload error', {
+      error: error.message,
+      jobId,
+    });
+    throw new Error(`Failed to upload images to S3: ${error.message}`);
+  }
+}
+
+/**
+ * Stage HTML bundle assets for a long job (removed by the bucket lifecycle rule)
+ * @param {string} jobId - Job ID
+ * @param {Buffer} bundleBuffer - Serialized assets (see assetBundle.serializeAssets)
+ * @returns {Promise<string>} S3 key
+ */
+async function uploadBundle(jobId, bundleBuffer) {
+  try {
+    const key = `bundles/${jobId}.json`;
+
+    const command = new PutObjectCommand({
+      Bucket: bucketName,
+      Key: key,
+      Body: bundleBuffer,
+      ContentType: 'application/json',
+      ServerSideEncryption: 'AES256',
+    });
+
+    await s3Client.send(command);
+
+    logger.info('Bundle assets uploaded to S3', {
+      bucket: bucketName,
+      key,
+      size_bytes: bundleBuffer.length,
+    });
+
+    return key;
+  } catch (error) {
+    logger.error('S3 bundle upload error', {
+      error: error.message,
+      jobId,
+    });
+    throw new Error(`Failed to upload bundle assets to S3: ${error.message}`);
+  }
+}
+
+/**
+ * Download staged HTML bundle assets
+ * @param {string} s3Key - S3 key returned by uploadBundle
+ * @returns {Promise<Buffer>} Serialized assets
+ */
+async function downloadBundle(s3Key) {
+  try {
+    const command = new GetObjectCommand({
+      Bucket: bucketName,
+      Key: s3Key,
+    });
+
+    const response = await s3Client.send(command);
+    return Buffer.from(await response.Body.transformToByteArray());
+  } catch (error) {
+    logger.error('S3 bundle download error', {
+      error: error.message,
+      s3Key,
+    });
+    throw new Error(`Failed to download bundle assets from S3: ${error.message}`);
+  }
+}
+
+/**
+ * Stage the content of a long job that does not fit in an SQS message (removed by the bucket lifecycle rule)
+ * @param {string} jobId - Job ID
+ * @param {string} content - HTML or Markdown to render
+ * @returns {Promise<string>} S3 key
+ */
+async function uploadContent(jobId, content) {
+  try {
+    const key = `contents/${jobId}.txt`;
+    const body = Buffer.from(content, 'utf8');
+
+    const command = new PutObjectCommand({
+      Bucket: bucketName,
+      Key: key,
+      Body: body,
+      ContentType: 'text/plain; charset=utf-8',
+      ServerSideEncryption: 'AES256',
+    });
+
+    await s3Client.send(command);
+
+    logger.info('Job content uploaded to S3', {
+      bucket: bucketName,
+      key,
+      size_bytes: body.length,
+    });
+
+    return key;
+  } catch (error) {
+    logger.error('S3 content upload error', {
+      error: error.message,
+      jobId,
+    });
+    throw new Error(`Failed to upload job content to S3: ${error.message}`);
+  }
+}
+
+/**
+ * Download staged long job content
+ * @param {string} s3Key - S3 key returned by uploadContent
+ * @returns {Promise<string>} HTML or Markdown to render
+ */
+async function downloadContent(s3Key) {
+  try {
+    const command = new GetObjectCommand({
+      Bucket: bucketName,
+      Key: s3Key,
+    });
+
+    const response = await s3Client.send(command);
+    return response.Body.transformToString('utf8');
+  } catch (error) {
+    logger.error('S3 content download error', {
+      error: error.message,
+      s3Key,
+    });
+    throw new Error(`Failed to download job content from S3: ${error.message}`);
+  }
+}
+
+/**
+ * Upload an account asset (e.g. a font file)
+ * @param {string} key - S3 key
+ * @param {Buffer} buffer - File content
+ * @param {string} contentType - Content type
+ * @returns {Promise<string>} S3 key
+ */
+async function uploadAsset(key, buffer, contentType) {
+  try {
+    const command = new PutObjectCommand({
+      Bucket: assetsBucketName,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+      ServerSideEncryption: 'AES256',
+    });
+
+    await s3Client.send(command);
+
+    logger.info('Asset uploaded to S3', {
+      bucket: assetsBucketName,
+      key,
+      size_bytes: buffer.length,
+    });
+
+    return key;
+  } catch (error) {
+    logger.error('S3 asset upload error', {
+      error: error.message,
+      key,
+    });
+    throw new Error(`Failed to upload asset to S3: ${error.message}`);
+  }
+}
+
+/**
+ * Download an account asset
+ * @param {string} key - S3 key
+ * @returns {Promise<Buffer>} File content
+ */
+async function downloadAsset(key) {
+  try {
+    const command = new GetObjectCommand({
+      Bucket: assetsBucketName,
+      Key: key,
+    });
+
+    const response = await s3Client.send(command);
+    return Buffer.from(await response.Body.transformToByteArray());
+  } catch (error) {
+    logger.error('S3 asset download error', {
+      error: error.message,
+      key,
+    });
+    throw new Error(`Failed to download asset from S3: ${error.message}`);
+  }
+}
+
+/**
+ * Delete an account asset
+ * @param {string} key - S3 key
+ * @returns {Promise<void>}
+ */
+async function deleteAsset(key) {
+  try {
+    const command = new DeleteObjectCommand({
+      Bucket: assetsBucketName,
+      Key: key,
+    });
+
+    await s3Client.send(command);
+  } catch (error) {
+    logger.error('S3 asset delete error', {
+      error: error.message,
+      key,
+    });
+    throw new Error(`Failed to delete asset from S3: ${error.message}`);
+  }
+}
+
 /**
  * Generate signed URL for S3 object
  * @param {string} s3Key - S3 object key
@@ -90,6 +332,14 @@ function getExpirationTimestamp(expiresIn = 3600) {
 
 module.exports = {
   uploadPDF,
+  uploadImages,
+  uploadBundle,
+  downloadBundle,
+  uploadContent,
+  downloadContent,
+  uploadAsset,
+  downloadAsset,
+  deleteAsset,
   generateSignedUrl,
   getExpirationTimestamp,
 };
@@ -0,0 +1,305 @@
+/**
+ * Screenshot Service
+ * Captures rendered documents as PNG, JPEG or WebP images (options.output_format) with Chromium:
+ * the full page, the viewport (optionally clipped), or one image per printed page.
+ * Watermarks are drawn into the page before capturing, so text uses Chromium's fonts.
+ */
+
+const sharp = require('sharp');
+const {
+  selectPages,
+  decodeWatermarkImage,
+  WATERMARK_DEFAULTS,
+  EDGE_MARGIN,
+  MAX_AUTO_FONT_SIZE,
+} = require('./watermark');
+
+// Image output formats and their content types
+const IMAGE_OUTPUT_FORMATS = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+};
+
+const OUTPUT_FORMATS = ['pdf', ...Object.keys(IMAGE_OUTPUT_FORMATS)];
+
+const SCREENSHOT_MODES = ['full_page', 'viewport', 'pages'];
+
+const DEFAULT_VIEWPORT = { width: 1280, height: 800 };
+const DEFAULT_QUALITY = 80;
+
+// Viewport size limits in CSS pixels, and device scale factor limits
+const MIN_VIEWPORT_SIZE = 100;
+const MAX_VIEWPORT_SIZE = 4000;
+const MIN_DEVICE_SCALE_FACTOR = 0.25;
+const MAX_DEVICE_SCALE_FACTOR = 4;
+
+// Largest image side in device pixels (WebP cannot encode larger images); taller full pages are cut off
+const MAX_IMAGE_SIZE_PX = 16383;
+
+// Watermark sizes are given in points, like for PDFs
+const PT_TO_PX = 96 / 72;
+
+/**
+ * Check whether options ask for image output instead of a PDF
+ * @param {object} options - Render options
+ * @returns {boolean} True for png, jpeg and webp
+ */
+function isImageOutput(options) {
+  return !!(options && IMAGE_OUTPUT_FORMATS[options.output_format]);
+}
+
+/**
+ * Resolve screenshot settings from render options
+ * In `pages` mode the viewport is the content box of the printed page (from format/width/height/landscape
+ * minus margins) and each image gets the page margins added around it.
+ * @param {object} options - Render options with output_format and screenshot
+ * @param {object} pageLayout - Printed page size and margins in CSS pixels ({width, height, margin})
+ * @returns {object} Settings ({format, mode, width, height, deviceScaleFactor, clip, quality, omitBackground, margin})
+ */
+function resolveScreenshotSettings(options, pageLayout) {
+  const screenshot = options.screenshot || {};
+  const mode = screenshot.mode || 'full_page';
+  const settings = {
+    format: options.output_format,
+    mode,
+    width: screenshot.width || DEFAULT_VIEWPORT.width,
+    height: screenshot.height || DEFAULT_VIEWPORT.height,
+    deviceScaleFactor: screenshot.device_scale_factor || 1,
+    clip: screenshot.clip || null,
+    quality: options.output_format === 'png' ? null : (screenshot.quality || DEFAULT_QUALITY),
+    // JPEG has no transparency
+    omitBackground: options.omitBackground === true && options.output_format !== 'jpeg',
+    margin: null,
+  };
+
+  if (mode === 'pages') {
+    const { margin } = pageLayout;
+    settings.width = Math.max(Math.round(pageLayout.width - margin.left - margin.right), 1);
+    settings.height = Math.max(Math.round(pageLayout.height - margin.top - margin.bottom), 1);
+    settings.margin = margin;
+  }
+  return settings;
+}
+
+/**
+ * Prepare the page for capturing: viewport size, and print media for `pages` mode
+ * Called before the document is loaded so it is laid out at the captured width.
+ * @param {object} page - Puppeteer page
+ * @param {object} settings - Settings from resolveScreenshotSettings
+ * @returns {Promise<void>}
+ */
+async function preparePage(page, settings) {
+  await page.setViewport({
+    width: settings.width,
+    height: settings.height,
+    deviceScaleFactor: settings.deviceScaleFactor,
+  });
+  if (settings.mode === 'pages') {
+    await page.emulateMediaType('print');
+  }
+}
+
+/**
+ * Find the regions of the document to capture, in CSS pixels
+ * @param {object} page - Puppeteer page
+ * @param {object} settings - Settings from resolveScreenshotSettings
+ * @param {number} maxImages - Maximum number of images (`pages` mode)
+ * @returns {Promise<{regions: Array<{x: number, y: number, width: number, height: number}>, truncated: boolean}>}
+ */
+async function findRegions(page, settings, maxImages) {
+  if (settings.clip) {
+    return { regions: [settings.clip], truncated: false };
+  }
+  if (settings.mode === 'viewport') {
+    return { regions: [{ x: 0, y: 0, width: settings.width, height: settings.height }], truncated: false };
+  }
+
+  const documentSize = await page.evaluate(() => ({
+    width: Math.ceil(document.documentElement.scrollWidth),
+    height: Math.ceil(document.documentElement.scrollHeight),
+  }));
+
+  if (settings.mode === 'pages') {
+    const count = Math.max(Math.ceil(documentSize.height / settings.height), 1);
+    if (count > maxImages) {
+      throw new Error(`PAGE_LIMIT_EXCEEDED:${count}:${maxImages}`);
+    }
+    return {
+      regions: Array.from({ length: count }, (_, index) => ({
+        x: 0,
+        y: index * settings.height,
+        width: settings.width,
+        height: settings.height,
+      })),
+      truncated: false,
+    };
+  }
+
+  const maxSize = Math.floor(MAX_IMAGE_SIZE_PX / settings.deviceScaleFactor);
+  const height = Math.max(documentSize.height, settings.height);
+  return {
+    regions: [{
+      x: 0,
+      y: 0,
+      width: Math.min(Math.max(documentSize.width, settings.width), maxSize),
+      height: Math.min(height, maxSize),
+    }],
+    truncated: height > maxSize,
+  };
+}
+
+/**
+ * Draw watermarks over the captured regions of the page
+ * Mirrors watermark.drawWatermark: sizes in points, rotation counter-clockwise, `pages` selecting images.
+ * @param {object} page - Puppeteer page
+ * @param {Array<object>} regions - Regions from findRegions
+ * @param {Array<object|null>} watermarks - Watermarks, drawn in order; null entries are skipped
+ * @returns {Promise<void>}
+ */
+async function drawWatermarkOverlays(page, regions, watermarks) {
+  const overlays = [];
+  for (const watermark of watermarks.filter(Boolean)) {
+    const settings = { ...WATERMARK_DEFAULTS, ...watermark };
+    if (settings.image) {
+      const image = decodeWatermarkImage(settings.image);
+      settings.image = `data:image/${image.format};base64,${image.bytes.toString('base64')}`;
+    }
+    for (const index of selectPages(settings.pages, regions.length)) {
+      overlays.push({ region: regions[index], watermark: settings });
+    }
+  }
+  if (overlays.length === 0) {
+    return;
+  }
+
+  await page.evaluate(async (overlays, edgeMargin, maxFontSize) => {
+    for (const { region, watermark } of overlays) {
+      const box = document.createElement('div');
+      box.style.cssText = `all: initial; display: block; position: absolute; left: ${region.x}px; top: ${region.y}px;
+        width: ${region.width}px; height: ${region.height}px; overflow: hidden; pointer-events: none; z-index: 2147483647;`;
+
+      let mark;
+      if (watermark.image) {
+        mark = document.createElement('img');
+        mark.src = watermark.image;
+        mark.style.cssText = `all: initial; display: block; width: ${region.width * watermark.scale}px;`;
+      } else {
+        mark = document.createElement('span');
+        mark.textContent = watermark.text;
+        mark.style.cssText = `all: initial; display: block; white-space: pre; line-height: 1; font-weight: bold;
+          font-family: Helvetica, Arial, sans-serif; color: ${watermark.color}; font-size: 100px;`;
+      }
+      mark.style.position = 'absolute';
+      mark.style.opacity = String(watermark.opacity);
+      box.appendChild(mark);
+      document.documentElement.appendChild(box);
+
+      if (watermark.image) {
+        await mark.decode();
+      } else {
+        // Text otherwise spans 70% of the region diagonal
+        const size = watermark.font_size || Math.min(
+          maxFontSize,
+          (0.7 * Math.hypot(region.width, region.height) * 100) / mark.offsetWidth
+        );
+        mark.style.fontSize = `${size}px`;
+      }
+
+      const width = mark.offsetWidth;
+      const height = mark.offsetHeight;
+      const angle = (watermark.rotation * Math.PI) / 180;
+      const boundsWidth = Math.abs(width * Math.cos(angle)) + Math.abs(height * Math.sin(angle));
+      const boundsHeight = Math.abs(width * Math.sin(angle)) + Math.abs(height * Math.cos(angle));
+
+      let centerX = region.width / 2;
+      let centerY = region.height / 2;
+      if (watermark.position.includes('left')) {
+        centerX = edgeMargin + boundsWidth / 2;
+      } else if (watermark.position.includes('right')) {
+        centerX = region.width - edgeMargin - boundsWidth / 2;
+      }
+      if (watermark.position.includes('top')) {
+        centerY = edgeMargin + boundsHeight / 2;
+      } else if (watermark.position.includes('bottom')) {
+        centerY = region.height - edgeMargin - boundsHeight / 2;
+      }
+
+      mark.style.left = `${centerX - width / 2}px`;
+      mark.style.top = `${centerY - height / 2}px`;
+      // CSS rotates clockwise
+      mark.style.transform = `rotate(${-watermark.rotation}deg)`;
+    }
+  }, overlays.map(({ region, watermark }) => ({
+    region,
+    watermark: {
+      ...watermark,
+      font_size: watermark.font_size ? watermark.font_size * PT_TO_PX : null,
+    },
+  })), EDGE_MARGIN * PT_TO_PX, MAX_AUTO_FONT_SIZE * PT_TO_PX);
+}
+
+/**
+ * Add the printed page margins around a captured page
+ * @param {Buffer} image - Captured image
+ * @param {object} settings - Settings from resolveScreenshotSettings
+ * @returns {Promise<Buffer>} Image with margins, in the output format
+ */
+async function addMargins(image, settings) {
+  const scale = settings.deviceScaleFactor;
+  return sharp(image)
+    .extend({
+      top: Math.round(settings.margin.top * scale),
+      right: Math.round(settings.margin.right * scale),
+      bottom: Math.round(settings.margin.bottom * scale),
+      left: Math.round(settings.margin.left * scale),
+      background: settings.omitBackground ? { r: 0, g: 0, b: 0, alpha: 0 } : { r: 255, g: 255, b: 255, alpha: 1 },
+    })
+    .toFormat(settings.format, settings.quality ? { quality: settings.quality } : {})
+    .toBuffer();
+}
+
+/**
+ * Capture the loaded page as images
+ * @param {object} page - Puppeteer page (prepared with preparePage)
+ * @param {object} settings - Settings from resolveScreenshotSettings
+ * @param {Array<object|null>} watermarks - Watermarks to draw (options.watermark, then the required watermark)
+ * @param {number} maxImages - Maximum number of images (`pages` mode)
+ * @returns {Promise<{images: Array<{data: Buffer, width: number, height: number}>, truncated: boolean}>} Images in device pixels
+ */
+async function captureScreenshots(page, settings, watermarks, maxImages) {
+  const { regions, truncated } = await findRegions(page, settings, maxImages);
+  await drawWatermarkOverlays(page, regions, watermarks);
+
+  const images = [];
+  for (const region of regions) {
+    let data = await page.screenshot({
+      type: settings.format,
+      ...(settings.quality && { quality: settings.quality }),
+      omitBackground: settings.omitBackground,
+      clip: region,
+      captureBeyondViewport: true,
+    });
+    if (settings.margin) {
+      data = await addMargins(data, settings);
+    }
+    const { width, height } = await sharp(data).metadata();
+    images.push({ data: Buffer.from(data), width, height });
+  }
+  return { images, truncated };
+}
+
+module.exports = {
+  isImageOutput,
+  resolveScreenshotSettings,
+  preparePage,
+  captureScreenshots,
+  IMAGE_OUTPUT_FORMATS,
+  OUTPUT_FORMATS,
+  SCREENSHOT_MODES,
+  MIN_VIEWPORT_SIZE,
+  MAX_VIEWPORT_SIZE,
+  MIN_DEVICE_SCALE_FACTOR,
+  MAX_DEVICE_SCALE_FACTOR,
+  MAX_IMAGE_SIZE_PX,
+};
@@ -0,0 +1,54 @@
+/**
+ * Unit tests for screenshot.js - image output settings
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { isImageOutput, resolveScreenshotSettings } = require('./screenshot.js');
+
+// A4 portrait at 96 CSS px per inch with 20px margins
+const A4_LAYOUT = { width: 794, height: 1123, margin: { top: 20, right: 20, bottom: 20, left: 20 } };
+
+describe('isImageOutput', () => {
+  it('should only be true for image formats', () => {
+    expect(isImageOutput({ output_format: 'webp' })).toBe(true);
+    expect(isImageOutput({ output_format: 'pdf' })).toBe(false);
+    expect(isImageOutput({})).toBe(false);
+  });
+});
+
+describe('resolveScreenshotSettings', () => {
+  it('should default to a full-page capture of a 1280px wide viewport', () => {
+    const settings = resolveScreenshotSettings({ output_format: 'png' }, A4_LAYOUT);
+
+    expect(settings).toMatchObject({
+      format: 'png',
+      mode: 'full_page',
+      width: 1280,
+      height: 800,
+      deviceScaleFactor: 1,
+      clip: null,
+      quality: null,
+      margin: null,
+    });
+  });
+
+  it('should use the quality for jpeg and webp, and never a transparent background for jpeg', () => {
+    expect(resolveScreenshotSettings({ output_format: 'jpeg' }, A4_LAYOUT).quality).toBe(80);
+    expect(resolveScreenshotSettings({ output_format: 'webp', screenshot: { quality: 50 } }, A4_LAYOUT).quality).toBe(50);
+
+    expect(resolveScreenshotSettings({ output_format: 'jpeg', omitBackground: true }, A4_LAYOUT).omitBackground).toBe(false);
+    expect(resolveScreenshotSettings({ output_format: 'png', omitBackground: true }, A4_LAYOUT).omitBackground).toBe(true);
+  });
+
+  it('should capture the content box of the printed page in pages mode', () => {
+    const settings = resolveScreenshotSettings({
+      output_format: 'png',
+      screenshot: { mode: 'pages', device_scale_factor: 2 },
+    }, A4_LAYOUT);
+
+    expect(settings).toMatchObject({ width: 754, height: 1083, deviceScaleFactor: 2, margin: A4_LAYOUT.margin });
+  });
+});
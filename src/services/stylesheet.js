@@ -0,0 +1,366 @@
+/**
+ * Stylesheet Service
+ * Handles stored CSS stylesheets (CRUD) applied to Markdown renders via `options.stylesheet_id`
+ */
+
+const { getItem, putItem, updateItem, deleteItem, query } = require('./dynamodb');
+const { generateULID } = require('../utils/ulid');
+const { Forbidden, BadRequest, NotFound } = require('../utils/errors');
+const { MAX_CSS_SIZE_KB, MAX_CSS_SIZE_BYTES } = require('./markdownTheme');
+const logger = require('../utils/logger');
+
+const STYLESHEETS_TABLE = process.env.STYLESHEETS_TABLE;
+
+/**
+ * Get stylesheet limit for a plan
+ * @param {object} plan - Plan configuration
+ * @returns {number} Maximum stylesheets allowed
+ */
+function getStylesheetLimit(plan) {
+  if (plan && plan.max_stylesheets !== undefined && plan.max_stylesheets !== null) {
+    return plan.max_stylesheets;
+  }
+
+  // Default limits based on plan type
+  const planType = plan?.type ? String(plan.type).toLowerCase().trim() : 'free';
+  if (planType === 'paid') {
+    return 50;
+  }
+  return 5; // Free tier default
+}
+
+/**
+ * Validate stylesheet content (type and size)
+ * @param {string} content - CSS text
+ * @returns {{isValid: boolean, error: object|null}}
+ */
+function validateStylesheetContent(content) {
+  if (!content || typeof content !== 'string' || content.trim().length === 0) {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_PARAMETER('content', 'content field is required and must be a non-empty string'),
+    };
+  }
+
+  if (Buffer.byteLength(content, 'utf8') > MAX_CSS_SIZE_BYTES) {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_PARAMETER('content', `Stylesheet content exceeds the maximum size of ${MAX_CSS_SIZE_KB}KB`),
+    };
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Build API response object from a stylesheet record
+ * @param {object} stylesheet - Stylesheet record
+ * @param {boolean} includeContent - Whether to include the CSS content
+ * @returns {object} Stylesheet response
+ */
+function formatStylesheet(stylesheet, includeContent = true) {
+  const response = {
+    stylesheet_id: stylesheet.stylesheet_id,
+    name: stylesheet.name,
+    description: stylesheet.description || null,
+    size_bytes: Buffer.byteLength(stylesheet.content || '', 'utf8'),
+    created_at: stylesheet.created_at,
+    updated_at: stylesheet.updated_at,
+  };
+
+  if (includeContent) {
+    response.content = stylesheet.content;
+  }
+
+  return response;
+}
+
+/**
+ * Count existing stylesheets for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of stylesheets
+ */
+async function countStylesheets(userId) {
+  try {
+    const result = await query(
+      STYLESHEETS_TABLE,
+      'user_id = :user_id',
+      { ':user_id': userId },
+      'UserIdIndex'
+    );
+    return result.Items ? result.Items.length : 0;
+  } catch (error) {
+    logger.error('Error counting stylesheets', {
+      error: error.message,
+      userId,
+    });
+    return 0;
+  }
+}
+
+/**
+ * Create a new stylesheet
+ * @param {string} userId - User ID
+ * @param {object} plan - User's plan configuration
+ * @param {object} stylesheetData - Stylesheet data (name, description, content)
+ * @returns {Promise<object>} Created stylesheet
+ */
+async function createStylesheet(userId, plan, stylesheetData) {
+  try {
+    const { name, description, content } = stylesheetData;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      throw BadRequest.INVALID_PARAMETER('name', 'name field is required');
+    }
+
+    const contentValidation = validateStylesheetContent(content);
+    if (!contentValidation.isValid) {
+      throw contentValidation.error;
+    }
+
+    // Check stylesheet limit
+    const currentCount = await countStylesheets(userId);
+    const maxAllowed = getStylesheetLimit(plan);
+    if (currentCount >= maxAllowed) {
+      throw Forbidden.STYLESHEET_LIMIT_EXCEEDED(
+        plan?.plan_id || 'free-basic',
+        plan?.type || 'free',
+        currentCount,
+        maxAllowed
+      );
+    }
+
+    const now = new Date().toISOString();
+    const stylesheet = {
+      stylesheet_id: generateULID(),
+      user_id: userId,
+      name: name.trim(),
+      description: description && typeof description === 'string' ? description.trim() : null,
+      content,
+      created_at: now,
+      updated_at: now,
+    };
+
+    await putItem(STYLESHEETS_TABLE, stylesheet);
+
+    logger.info('Stylesheet created', {
+      stylesheetId: stylesheet.stylesheet_id,
+      userId,
+      sizeBytes: Buffer.byteLength(content, 'utf8'),
+    });
+
+    return formatStylesheet(stylesheet);
+  } catch (error) {
+    logger.error('Error creating stylesheet', {
+      error: error.message,
+      userId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get a stylesheet by ID
+ * @param {string} stylesheetId - Stylesheet ID
+ * @returns {Promise<object|null>} Stylesheet or null
+ */
+async function getStylesheet(stylesheetId) {
+  try {
+    const stylesheet = await getItem(STYLESHEETS_TABLE, { stylesheet_id: stylesheetId });
+    return stylesheet || null;
+  } catch (error) {
+    logger.error('Error getting stylesheet', {
+      error: error.message,
+      stylesheetId,
+    });
+    return null;
+  }
+}
+
+/**
+ * Verify stylesheet belongs to user
+ * @param {string} stylesheetId - Stylesheet ID
+ * @param {string} userId - User ID
+ * @returns {Promise<{stylesheet: object|null, error: object|null}>}
+ */
+async function verifyStylesheetOwnership(stylesheetId, userId) {
+  const stylesheet = await getStylesheet(stylesheetId);
+
+  // Stylesheets of other users are reported as not found to avoid leaking IDs
+  if (!stylesheet || stylesheet.user_id !== userId) {
+    return {
+      stylesheet: null,
+      error: NotFound.STYLESHEET_NOT_FOUND(stylesheetId),
+    };
+  }
+
+  return { stylesheet, error: null };
+}
+
+/**
+ * List stylesheets for a user (without content)
+ * @param {string} userId - User ID
+ * @param {object} filters - Filters (limit, next_token)
+ * @returns {Promise<{stylesheets: array, count: number, next_token: string|null}>}
+ */
+async function listStylesheets(userId, filters = {}) {
+  try {
+    const limit = Math.min(filters.limit || 50, 100);
+    const nextToken = filters.next_token;
+
+    const result = await query(
+      STYLESHEETS_TABLE,
+      'user_id = :user_id',
+      { ':user_id': userId },
+      'UserIdIndex',
+      limit,
+      nextToken ? JSON.parse(Buffer.from(nextToken, 'base64').toString()) : null
+    );
+
+    const stylesheets = (result.Items || []).map(stylesheet => formatStylesheet(stylesheet, false));
+
+    const responseNextToken = result.LastEvaluatedKey
+      ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64')
+      : null;
+
+    return {
+      stylesheets,
+      count: stylesheets.length,
+      next_token: responseNextToken,
+    };
+  } catch (error) {
+    logger.error('Error listing stylesheets', {
+      error: error.message,
+      userId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Update a stylesheet
+ * @param {string} stylesheetId - Stylesheet ID
+ * @param {string} userId - User ID
+ * @param {object} updates - Fields to update (name, description, content)
+ * @returns {Promise<object>} Updated stylesheet
+ */
+async function updateStylesheet(stylesheetId, userId, updates) {
+  try {
+    const { stylesheet, error } = await verifyStylesheetOwnership(stylesheetId, userId);
+    if (error) {
+      throw error;
+    }
+
+    const updateExpressions = [];
+    const expressionAttributeValues = {};
+    const expressionAttributeNames = {};
+
+    if (updates.name !== undefined) {
+      if (!updates.name || typeof updates.name !== 'string' || !updates.name.trim()) {
+        throw BadRequest.INVALID_PARAMETER('name', 'name cannot be empty');
+      }
+      updateExpressions.push('#name = :name');
+      expressionAttributeNames['#name'] = 'name';
+      expressionAttributeValues[':name'] = updates.name.trim();
+    }
+
+    if (updates.description !== undefined) {
+      updateExpressions.push('description = :description');
+      expressionAttributeValues[':description'] =
+        updates.description && typeof updates.description === 'string' ? updates.description.trim() : null;
+    }
+
+    if (updates.content !== undefined) {
+      const contentValidation = validateStylesheetContent(updates.content);
+      if (!contentValidation.isValid) {
+        throw contentValidation.error;
+      }
+      updateExpressions.push('content = :content');
+      expressionAttributeValues[':content'] = updates.content;
+    }
+
+    if (updateExpressions.length === 0) {
+      // No updates provided, return current stylesheet
+      return formatStylesheet(stylesheet);
+    }
+
+    updateExpressions.push('updated_at = :updated_at');
+    expressionAttributeValues[':updated_at'] = new Date().toISOString();
+
+    const updatedStylesheet = await updateItem(
+      STYLESHEETS_TABLE,
+      { stylesheet_id: stylesheetId },
+      'SET ' + updateExpressions.join(', '),
+      expressionAttributeValues,
+      expressionAttributeNames
+    );
+
+    logger.info('Stylesheet updated', {
+      stylesheetId,
+      updates: Object.keys(updates),
+    });
+
+    return formatStylesheet(updatedStylesheet);
+  } catch (error) {
+    logger.error('Error updating stylesheet', {
+      error: error.message,
+      stylesheetId,
+      userId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Delete a stylesheet
+ * @param {string} stylesheetId - Stylesheet ID
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function deleteStylesheet(stylesheetId, userId) {
+  try {
+    const { error } = await verifyStylesheetOwnership(stylesheetId, userId);
+    if (error) {
+      throw error;
+    }
+
+    await deleteItem(STYLESHEETS_TABLE, { stylesheet_id: stylesheetId });
+
+    logger.info('Stylesheet deleted', { stylesheetId, userId });
+  } catch (error) {
+    logger.error('Error deleting stylesheet', {
+      error: error.message,
+      stylesheetId,
+      userId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Load the CSS of a stored stylesheet for a render
+ * Used by /quickjob and /longjob for `options.stylesheet_id` on Markdown renders
+ * @param {string} userId - User ID (stylesheet owner)
+ * @param {string} stylesheetId - Stylesheet ID
+ * @returns {Promise<{css: string|null, error: object|null}>}
+ */
+async function loadStylesheetCss(userId, stylesheetId) {
+  const { stylesheet, error } = await verifyStylesheetOwnership(stylesheetId, userId);
+  if (error) {
+    return { css: null, error };
+  }
+  return { css: stylesheet.content, error: null };
+}
+
+module.exports = {
+  createStylesheet,
+  getStylesheet,
+  verifyStylesheetOwnership,
+  listStylesheets,
+  updateStylesheet,
+  deleteStylesheet,
+  loadStylesheetCss,
+  validateStylesheetContent,
+  getStylesheetLimit,
+  formatStylesheet,
+};
@@ -0,0 +1,567 @@
+/**
+ * Template Service
+ * Handles stored HTML templates (CRUD + versions) and server-side rendering with JSON data
+ */
+
+const Handlebars = require('handlebars');
+const { getItem, putItem, updateItem, deleteItem, query, countItems } = require('./dynamodb');
+const { generateULID } = require('../utils/ulid');
+const { Forbidden, BadRequest, NotFound } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const TEMPLATES_TABLE = process.env.TEMPLATES_TABLE;
+const TEMPLATE_VERSIONS_TABLE = process.env.TEMPLATE_VERSIONS_TABLE;
+
+// DynamoDB items are limited to 400KB, keep template content well below that
+const MAX_TEMPLATE_SIZE_KB = parseInt(process.env.MAX_TEMPLATE_SIZE_KB || '300', 10);
+const MAX_TEMPLATE_SIZE_BYTES = MAX_TEMPLATE_SIZE_KB * 1024;
+
+// Isolated Handlebars environment (no globally registered helpers/partials)
+const handlebars = Handlebars.create();
+
+/**
+ * Get template limit for a plan
+ * @param {object} plan - Plan configuration
+ * @returns {number} Maximum templates allowed
+ */
+function getTemplateLimit(plan) {
+  if (plan && plan.max_templates !== undefined && plan.max_templates !== null) {
+    return plan.max_templates;
+  }
+
+  // Default limits based on plan type
+  const planType = plan?.type ? String(plan.type).toLowerCase().trim() : 'free';
+  if (planType === 'paid') {
+    return 100;
+  }
+  return 5; // Free tier default
+}
+
+/**
+ * Validate template content (type, size and Handlebars syntax)
+ * @param {string} content - Template content (HTML with Handlebars expressions)
+ * @returns {{isValid: boolean, error: object|null}}
+ */
+function validateTemplateContent(content) {
+  if (!content || typeof content !== 'string' || content.trim().length === 0) {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_PARAMETER('content', 'content field is required and must be a non-empty string'),
+    };
+  }
+
+  if (Buffer.byteLength(content, 'utf8') > MAX_TEMPLATE_SIZE_BYTES) {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_PARAMETER('content', `Template content exceeds the maximum size of ${MAX_TEMPLATE_SIZE_KB}KB`),
+    };
+  }
+
+  try {
+    // precompile parses the whole template and throws on syntax errors
+    handlebars.precompile(content);
+  } catch (error) {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_TEMPLATE(error.message),
+    };
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Render template content with JSON data
+ * Values are HTML-escaped unless triple-stash ({{{value}}}) is used
+ * @param {string} content - Template content
+ * @param {object} data - Data to bind
+ * @returns {string} Rendered HTML
+ */
+function renderTemplate(content, data = {}) {
+  const template = handlebars.compile(content);
+  return template(data);
+}
+
+/**
+ * Build API response object from template and version records
+ * @param {object} template - Template record
+ * @param {object|null} version - Template version record (optional)
+ * @returns {object} Template response
+ */
+function formatTemplate(template, version = null) {
+  const response = {
+    template_id: template.template_id,
+    name: template.name,
+    description: template.description || null,
+    current_version: template.current_version,
+    created_at: template.created_at,
+    updated_at: template.updated_at,
+  };
+
+  if (version) {
+    response.version = version.version;
+    response.content = version.content;
+  }
+
+  return response;
+}
+
+/**
+ * Count existing templates for a user
+ * Errors are rethrown so the template limit is never skipped.
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of templates
+ */
+async function countTemplates(userId) {
+  try {
+    return await countItems(
+      TEMPLATES_TABLE,
+      'user_id = :user_id',
+      { ':user_id': userId },
+      'UserIdIndex'
+    );
+  } catch (error) {
+    logger.error('Error counting templates', {
+      error: error.message,
+      userId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Create a new template (version 1)
+ * @param {string} userId - User ID
+ * @param {object} plan - User's plan configuration
+ * @param {object} templateData - Template data (name, description, content)
+ * @returns {Promise<object>} Created template
+ */
+async function createTemplate(userId, plan, templateData) {
+  try {
+    const { name, description, content } = templateData;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      throw BadRequest.INVALID_PARAMETER('name', 'name field is required');
+    }
+
+    const contentValidation = validateTemplateContent(content);
+    if (!contentValidation.isValid) {
+      throw contentValidation.error;
+    }
+
+    // Check template limit
+    const currentCount = await countTemplates(userId);
+    const maxAllowed = getTemplateLimit(plan);
+    if (currentCount >= maxAllowed) {
+      throw Forbidden.TEMPLATE_LIMIT_EXCEEDED(
+        plan?.plan_id || 'free-basic',
+        plan?.type || 'free',
+        currentCount,
+        maxAllowed
+      );
+    }
+
+    const now = new Date().toISOString();
+    const templateId = generateULID();
+    const template = {
+      template_id: templateId,
+      user_id: userId,
+      name: name.trim(),
+      description: description && typeof description === 'string' ? description.trim() : null,
+      current_version: 1,
+      created_at: now,
+      updated_at: now,
+    };
+    const version = {
+      template_id: templateId,
+      version: 1,
+      content,
+      created_at: now,
+    };
+
+    await putItem(TEMPLATE_VERSIONS_TABLE, version);
+    await putItem(TEMPLATES_TABLE, template);
+
+    logger.info('Template created', {
+      templateId,
+      userId,
+      sizeBytes: Buffer.byteLength(content, 'utf8'),
+    });
+
+    return formatTemplate(template, version);
+  } catch (error) {
+    logger.error('Error creating template', {
+      error: error.message,
+      userId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get a template by ID
+ * @param {string} templateId - Template ID
+ * @returns {Promise<object|null>} Template or null
+ */
+async function getTemplate(templateId) {
+  try {
+    const template = await getItem(TEMPLATES_TABLE, { template_id: templateId });
+    return template || null;
+  } catch (error) {
+    logger.error('Error getting template', {
+      error: error.message,
+      templateId,
+    });
+    return null;
+  }
+}
+
+/**
+ * Get a specific template version
+ * @param {string} templateId - Template ID
+ * @param {number} version - Version number
+ * @returns {Promise<object|null>} Version record or null
+ */
+async function getTemplateVersion(templateId, version) {
+  try {
+    const record = await getItem(TEMPLATE_VERSIONS_TABLE, {
+      template_id: templateId,
+      version,
+    });
+    return record || null;
+  } catch (error) {
+    logger.error('Error getting template version', {
+      error: error.message,
+      templateId,
+      version,
+    });
+    return null;
+  }
+}
+
+/**
+ * Verify template belongs to user
+ * @param {string} templateId - Template ID
+ * @param {string} userId - User ID
+ * @returns {Promise<{template: object|null, error: object|null}>}
+ */
+async function verifyTemplateOwnership(templateId, userId) {
+  const template = await getTemplate(templateId);
+
+  // Templates of other users are reported as not found to avoid leaking IDs
+  if (!template || template.user_id !== userId) {
+    return {
+      template: null,
+      error: NotFound.TEMPLATE_NOT_FOUND(templateId),
+    };
+  }
+
+  return { template, error: null };
+}
+
+/**
+ * List templates for a user
+ * @param {string} userId - User ID
+ * @param {object} filters - Filters (limit, next_token)
+ * @returns {Promise<{templates: array, count: number, next_token: string|null}>}
+ * @throws {object} 400 error response if next_token is not a token from a previous response
+ */
+async function listTemplates(userId, filters = {}) {
+  const limit = Math.min(filters.limit || 50, 100);
+  const nextToken = filters.next_token;
+
+  let exclusiveStartKey = null;
+  if (nextToken) {
+    try {
+      exclusiveStartKey = JSON.parse(Buffer.from(nextToken, 'base64').toString());
+    } catch (error) {
+      exclusiveStartKey = null;
+    }
+    if (!exclusiveStartKey || typeof exclusiveStartKey !== 'object' || Array.isArray(exclusiveStartKey)) {
+      throw BadRequest.INVALID_PARAMETER('next_token', 'Must be a next_token from a previous response');
+    }
+  }
+
+  try {
+    const result = await query(
+      TEMPLATES_TABLE,
+      'user_id = :user_id',
+      { ':user_id': userId },
+      'UserIdIndex',
+      limit,
+      exclusiveStartKey
+    );
+
+    const templates = (result.Items || []).map(template => formatTemplate(template));
+
+    const responseNextToken = result.LastEvaluatedKey
+      ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64')
+      : null;
+
+    return {
+      templates,
+      count: templates.length,
+      next_token: responseNextToken,
+    };
+  } catch (error) {
+    logger.error('Error listing templates', {
+      error: error.message,
+      userId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * List all versions of a template (newest first, without content)
+ * @param {string} templateId - Template ID
+ * @returns {Promise<array>} Version summaries
+ */
+async function listTemplateVersions(templateId) {
+  try {
+    const result = await query(
+      TEMPLATE_VERSIONS_TABLE,
+      'template_id = :template_id',
+      { ':template_id': templateId },
+      null,
+      null,
+      null,
+      null,
+      null,
+      false // Newest version first
+    );
+
+    return (result.Items || []).map(version => ({
+      version: version.version,
+      size_bytes: Buffer.byteLength(version.content || '', 'utf8'),
+      created_at: version.created_at,
+    }));
+  } catch (error) {
+    logger.error('Error listing template versions', {
+      error: error.message,
+      templateId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Map a failed conditional write to a 409 conflict (other errors are returned unchanged)
+ * @param {Error} error - DynamoDB error
+ * @param {string} templateId - Template ID
+ * @param {number} expectedVersion - current_version the update was based on
+ * @returns {object|Error} Conflict error response or the original error
+ */
+function toVersionConflict(error, templateId, expectedVersion) {
+  if (error.name === 'ConditionalCheckFailedException') {
+    return Forbidden.TEMPLATE_VERSION_CONFLICT(templateId, expectedVersion);
+  }
+  return error;
+}
+
+/**
+ * Update a template
+ * Changing content creates a new version; name/description are updated in place
+ * @param {string} templateId - Template ID
+ * @param {string} userId - User ID
+ * @param {object} updates - Fields to update (name, description, content)
+ * @returns {Promise<object>} Updated template
+ */
+async function updateTemplate(templateId, userId, updates) {
+  try {
+    const { template, error } = await verifyTemplateOwnership(templateId, userId);
+    if (error) {
+      throw error;
+    }
+
+    const updateExpressions = [];
+    const expressionAttributeValues = {};
+    const expressionAttributeNames = {};
+    let newVersion = null;
+    let conditionExpression = null;
+
+    if (updates.name !== undefined) {
+      if (!updates.name || typeof updates.name !== 'string' || !updates.name.trim()) {
+        throw BadRequest.INVALID_PARAMETER('name', 'name cannot be empty');
+      }
+      updateExpressions.push('#name = :name');
+      expressionAttributeNames['#name'] = 'name';
+      expressionAttributeValues[':name'] = updates.name.trim();
+    }
+
+    if (updates.description !== undefined) {
+      updateExpressions.push('description = :description');
+      expressionAttributeValues[':description'] =
+        updates.description && typeof updates.description === 'string' ? updates.description.trim() : null;
+    }
+
+    const now = new Date().toISOString();
+
+    if (updates.content !== undefined) {
+      const contentValidation = validateTemplateContent(updates.content);
+      if (!contentValidation.isValid) {
+        throw contentValidation.error;
+      }
+
+      newVersion = {
+        template_id: templateId,
+        version: template.current_version + 1,
+        content: updates.content,
+        created_at: now,
+      };
+      // Concurrent updates read the same current_version: only the first may write the next version
+      try {
+        await putItem(TEMPLATE_VERSIONS_TABLE, newVersion, 'attribute_not_exists(version)');
+      } catch (putError) {
+        throw toVersionConflict(putError, templateId, template.current_version);
+      }
+
+      updateExpressions.push('current_version = :current_version');
+      expressionAttributeValues[':current_version'] = newVersion.version;
+      expressionAttributeValues[':expected_version'] = template.current_version;
+      conditionExpression = 'current_version = :expected_version';
+    }
+
+    if (updateExpressions.length === 0) {
+      // No updates provided, return current template
+      return formatTemplate(template);
+    }
+
+    updateExpressions.push('updated_at = :updated_at');
+    expressionAttributeValues[':updated_at'] = now;
+
+    let updatedTemplate;
+    try {
+      updatedTemplate = await updateItem(
+        TEMPLATES_TABLE,
+        { template_id: templateId },
+        'SET ' + updateExpressions.join(', '),
+        expressionAttributeValues,
+        expressionAttributeNames,
+        conditionExpression
+      );
+    } catch (updateError) {
+      throw toVersionConflict(updateError, templateId, template.current_version);
+    }
+
+    logger.info('Template updated', {
+      templateId,
+      updates: Object.keys(updates),
+      version: updatedTemplate.current_version,
+    });
+
+    return formatTemplate(updatedTemplate, newVersion);
+  } catch (error) {
+    logger.error('Error updating template', {
+      error: error.message,
+      templateId,
+      userId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Delete a template and all of its versions
+ * @param {string} templateId - Template ID
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function deleteTemplate(templateId, userId) {
+  try {
+    const { error } = await verifyTemplateOwnership(templateId, userId);
+    if (error) {
+      throw error;
+    }
+
+    // Delete the template first so it can no longer be rendered, then clean up versions
+    await deleteItem(TEMPLATES_TABLE, { template_id: templateId });
+
+    const versions = await listTemplateVersions(templateId);
+    for (const version of versions) {
+      await deleteItem(TEMPLATE_VERSIONS_TABLE, {
+        template_id: templateId,
+        version: version.version,
+      });
+    }
+
+    logger.info('Template deleted', {
+      templateId,
+      userId,
+      versionsDeleted: versions.length,
+    });
+  } catch (error) {
+    logger.error('Error deleting template', {
+      error: error.message,
+      templateId,
+      userId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Load a stored template and render it with JSON data
+ * Used by /quickjob and /longjob for input_type 'template'
+ * @param {string} userId - User ID (template owner)
+ * @param {string} templateId - Template ID
+ * @param {number|null} version - Version to render (defaults to current version)
+ * @param {object} data - Data to bind
+ * @returns {Promise<{content: string|null, version: number|null, error: object|null}>}
+ */
+async function renderStoredTemplate(userId, templateId, version, data) {
+  const { template, error } = await verifyTemplateOwnership(templateId, userId);
+  if (error) {
+    return { content: null, version: null, error };
+  }
+
+  const versionToRender = version || template.current_version;
+  const versionRecord = await getTemplateVersion(templateId, versionToRender);
+  if (!versionRecord) {
+    return {
+      content: null,
+      version: null,
+      error: NotFound.TEMPLATE_VERSION_NOT_FOUND(templateId, versionToRender),
+    };
+  }
+
+  try {
+    const content = renderTemplate(versionRecord.content, data || {});
+
+    logger.info('Template rendered', {
+      templateId,
+      version: versionToRender,
+      renderedSizeBytes: Buffer.byteLength(content, 'utf8'),
+    });
+
+    return { content, version: versionToRender, error: null };
+  } catch (renderError) {
+    logger.warn('Template rendering failed', {
+      error: renderError.message,
+      templateId,
+      version: versionToRender,
+    });
+    return {
+      content: null,
+      version: versionToRender,
+      error: BadRequest.TEMPLATE_RENDER_FAILED(templateId, renderError.message),
+    };
+  }
+}
+
+module.exports = {
+  createTemplate,
+  getTemplate,
+  getTemplateVersion,
+  verifyTemplateOwnership,
+  listTemplates,
+  listTemplateVersions,
+  updateTemplate,
+  deleteTemplate,
+  renderTemplate,
+  renderStoredTemplate,
+  validateTemplateContent,
+  getTemplateLimit,
+  formatTemplate,
+  MAX_TEMPLATE_SIZE_KB,
+};
@@ -0,0 +1,267 @@
+/**
+ * Unit tests for template.js - rendering, plan limits, ownership and versions
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+process.env.TEMPLATES_TABLE = 'test-templates-table';
+process.env.TEMPLATE_VERSIONS_TABLE = 'test-template-versions-table';
+
+/**
+ * In-memory stand-in for the dynamodb helpers, with the condition expressions template.js uses
+ */
+const tables = new Map();
+const keyFields = {
+  'test-templates-table': ['template_id'],
+  'test-template-versions-table': ['template_id', 'version'],
+};
+const getTable = (tableName) => {
+  if (!tables.has(tableName)) {
+    tables.set(tableName, new Map());
+  }
+  return tables.get(tableName);
+};
+const keyOf = (tableName, item) => keyFields[tableName].map((field) => item[field]).join('#');
+let beforeNextUpdate = null; // Runs once before the next updateItem (simulates a concurrent writer)
+let countFailure = null; // Error thrown by the next countItems
+const conditionFailed = () => Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+
+const fakeDynamodb = {
+  getItem: async (tableName, key) => {
+    const item = getTable(tableName).get(keyOf(tableName, key));
+    return item && { ...item };
+  },
+  putItem: async (tableName, item, conditionExpression = null) => {
+    const table = getTable(tableName);
+    if (conditionExpression && conditionExpression.startsWith('attribute_not_exists') && table.has(keyOf(tableName, item))) {
+      throw conditionFailed();
+    }
+    table.set(keyOf(tableName, item), { ...item });
+    return item;
+  },
+  updateItem: async (tableName, key, updateExpression, values, names = {}, conditionExpression = null) => {
+    if (beforeNextUpdate) {
+      beforeNextUpdate();
+      beforeNextUpdate = null;
+    }
+    const item = getTable(tableName).get(keyOf(tableName, key));
+    if (conditionExpression === 'current_version = :expected_version' && item.current_version !== values[':expected_version']) {
+      throw conditionFailed();
+    }
+    for (const assignment of updateExpression.replace(/^SET /, '').split(', ')) {
+      const [field, value] = assignment.split(' = ');
+      item[names[field] || field] = values[value];
+    }
+    return { ...item };
+  },
+  countItems: async (tableName, keyCondition, values) => {
+    if (countFailure) {
+      throw countFailure;
+    }
+    return [...getTable(tableName).values()].filter((item) => item.user_id === values[':user_id']).length;
+  },
+  deleteItem: async (tableName, key) => {
+    getTable(tableName).delete(keyOf(tableName, key));
+  },
+  query: async (tableName, keyCondition, values, indexName = null, limit = null, startKey = null, filter = null, names = null, scanIndexForward = true) => {
+    const field = indexName === 'UserIdIndex' ? 'user_id' : 'template_id';
+    const items = [...getTable(tableName).values()].filter((item) => item[field] === values[`:${field}`]);
+    if (tableName === 'test-template-versions-table') {
+      items.sort((a, b) => (scanIndexForward ? a.version - b.version : b.version - a.version));
+    }
+    return { Items: items };
+  },
+};
+
+let templates;
+
+beforeAll(() => {
+  // template.js destructures the helpers when it is loaded, so patch the cached module first
+  const dynamodbPath = require.resolve('./dynamodb.js');
+  Object.assign(require(dynamodbPath), fakeDynamodb);
+  templates = require('./template.js');
+});
+
+beforeEach(() => {
+  tables.clear();
+  beforeNextUpdate = null;
+  countFailure = null;
+});
+
+/**
+ * Parse a formatted error response
+ */
+function errorOf(response) {
+  return { statusCode: response.statusCode, ...JSON.parse(response.body).error };
+}
+
+/**
+ * Await a promise that should reject with a formatted error response
+ */
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return errorOf(error);
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+describe('renderTemplate', () => {
+  it('should bind data with Handlebars expressions and blocks', () => {
+    const html = templates.renderTemplate(
+      '<h1>Invoice {{number}}</h1>{{#each items}}<p>{{name}}: {{price}}</p>{{/each}}',
+      { number: 42, items: [{ name: 'Tea', price: 3 }, { name: 'Cake', price: 5 }] }
+    );
+
+    expect(html).toBe('<h1>Invoice 42</h1><p>Tea: 3</p><p>Cake: 5</p>');
+  });
+
+  it('should HTML-escape values unless triple-stash is used', () => {
+    const data = { name: '<script>alert("x")</script>' };
+
+    expect(templates.renderTemplate('<p>{{name}}</p>', data)).toBe('<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</p>');
+    expect(templates.renderTemplate('<p>{{{name}}}</p>', data)).toBe('<p><script>alert("x")</script></p>');
+  });
+
+  it('should reject content with invalid syntax', () => {
+    const result = templates.validateTemplateContent('<p>{{#each items}}</p>');
+
+    expect(result.isValid).toBe(false);
+    expect(errorOf(result.error).code).toBe('INVALID_TEMPLATE');
+  });
+});
+
+describe('getTemplateLimit', () => {
+  it('should allow 5 templates on free plans and 100 on paid plans', () => {
+    expect(templates.getTemplateLimit(null)).toBe(5);
+    expect(templates.getTemplateLimit({ type: 'free' })).toBe(5);
+    expect(templates.getTemplateLimit({ type: 'paid' })).toBe(100);
+  });
+
+  it('should use the plan limit when it is set', () => {
+    expect(templates.getTemplateLimit({ type: 'paid', max_templates: 7 })).toBe(7);
+  });
+});
+
+describe('createTemplate', () => {
+  it('should store version 1 of a new template', async () => {
+    const created = await templates.createTemplate('user-1', { type: 'free' }, { name: ' Invoice ', content: '<p>{{total}}</p>' });
+
+    expect(created).toMatchObject({ name: 'Invoice', current_version: 1, version: 1, content: '<p>{{total}}</p>' });
+    expect(await templates.getTemplateVersion(created.template_id, 1)).toMatchObject({ content: '<p>{{total}}</p>' });
+  });
+
+  it('should refuse a sixth template on a free plan', async () => {
+    for (let i = 0; i < 5; i++) {
+      await templates.createTemplate('user-1', { type: 'free' }, { name: `Template ${i}`, content: '<p>x</p>' });
+    }
+
+    const error = await rejection(templates.createTemplate('user-1', { type: 'free' }, { name: 'One more', content: '<p>x</p>' }));
+
+    expect(error.statusCode).toBe(403);
+    expect(error.code).toBe('TEMPLATE_LIMIT_EXCEEDED');
+    expect(error.details).toMatchObject({ current_count: 5, max_allowed: 5 });
+    await expect(templates.createTemplate('user-1', { type: 'paid' }, { name: 'Paid', content: '<p>x</p>' })).resolves.toBeDefined();
+  });
+});
+
+describe('template limit errors', () => {
+  it('should not create a template when the templates cannot be counted', async () => {
+    countFailure = Object.assign(new Error('Throughput exceeded'), { name: 'ProvisionedThroughputExceededException' });
+
+    await expect(templates.createTemplate('user-1', { type: 'free' }, { name: 'Letter', content: '<p>x</p>' }))
+      .rejects.toThrow('Throughput exceeded');
+    expect(getTable('test-templates-table').size).toBe(0);
+  });
+});
+
+describe('listTemplates', () => {
+  it('should reject a malformed next_token with a 400', async () => {
+    for (const nextToken of ['not-a-token!', Buffer.from('{"user_id":').toString('base64'), Buffer.from('42').toString('base64')]) {
+      expect(await rejection(templates.listTemplates('user-1', { next_token: nextToken })))
+        .toMatchObject({ statusCode: 400, code: 'INVALID_PARAMETER', details: { parameter: 'next_token' } });
+    }
+  });
+
+  it('should accept a next_token from a previous response', async () => {
+    const nextToken = Buffer.from(JSON.stringify({ template_id: 't1', user_id: 'user-1' })).toString('base64');
+
+    await expect(templates.listTemplates('user-1', { next_token: nextToken })).resolves.toMatchObject({ count: 0 });
+  });
+});
+
+describe('template ownership', () => {
+  it('should report templates of other users as not found', async () => {
+    const { template_id: templateId } = await templates.createTemplate('owner', null, { name: 'Private', content: '<p>{{secret}}</p>' });
+
+    const ownership = await templates.verifyTemplateOwnership(templateId, 'someone-else');
+    expect(ownership.template).toBeNull();
+    expect(errorOf(ownership.error)).toMatchObject({ statusCode: 404, code: 'TEMPLATE_NOT_FOUND' });
+
+    expect(await rejection(templates.updateTemplate(templateId, 'someone-else', { name: 'Mine' })))
+      .toMatchObject({ statusCode: 404, code: 'TEMPLATE_NOT_FOUND' });
+    expect(await rejection(templates.deleteTemplate(templateId, 'someone-else')))
+      .toMatchObject({ statusCode: 404, code: 'TEMPLATE_NOT_FOUND' });
+
+    const rendered = await templates.renderStoredTemplate('someone-else', templateId, null, { secret: 'x' });
+    expect(rendered.content).toBeNull();
+    expect(errorOf(rendered.error).statusCode).toBe(404);
+  });
+});
+
+describe('template versions', () => {
+  it('should create a version per content change and keep old versions renderable', async () => {
+    const { template_id: templateId } = await templates.createTemplate('user-1', null, { name: 'Letter', content: '<p>Hi {{name}}</p>' });
+
+    const renamed = await templates.updateTemplate(templateId, 'user-1', { name: 'Cover letter' });
+    expect(renamed.current_version).toBe(1);
+
+    const updated = await templates.updateTemplate(templateId, 'user-1', { content: '<p>Hello {{name}}</p>' });
+    expect(updated).toMatchObject({ name: 'Cover letter', current_version: 2, version: 2 });
+
+    const versions = await templates.listTemplateVersions(templateId);
+    expect(versions.map((version) => version.version)).toEqual([2, 1]);
+    expect(versions[1].size_bytes).toBe('<p>Hi {{name}}</p>'.length);
+
+    expect(await templates.renderStoredTemplate('user-1', templateId, null, { name: 'Ada' }))
+      .toMatchObject({ content: '<p>Hello Ada</p>', version: 2, error: null });
+    expect(await templates.renderStoredTemplate('user-1', templateId, 1, { name: 'Ada' }))
+      .toMatchObject({ content: '<p>Hi Ada</p>', version: 1, error: null });
+
+    const missing = await templates.renderStoredTemplate('user-1', templateId, 3, {});
+    expect(errorOf(missing.error)).toMatchObject({ statusCode: 404, code: 'TEMPLATE_VERSION_NOT_FOUND' });
+  });
+
+  it('should let only one of two concurrent content updates create the next version', async () => {
+    const { template_id: templateId } = await templates.createTemplate('user-1', null, { name: 'Letter', content: '<p>v1</p>' });
+
+    const results = await Promise.allSettled([
+      templates.updateTemplate(templateId, 'user-1', { content: '<p>first</p>' }),
+      templates.updateTemplate(templateId, 'user-1', { content: '<p>second</p>' }),
+    ]);
+
+    expect(results[0].value).toMatchObject({ current_version: 2, content: '<p>first</p>' });
+    expect(errorOf(results[1].reason)).toMatchObject({
+      statusCode: 409,
+      code: 'TEMPLATE_VERSION_CONFLICT',
+      details: { template_id: templateId, expected_version: 1 },
+    });
+    expect(await templates.getTemplateVersion(templateId, 2)).toMatchObject({ content: '<p>first</p>' });
+  });
+
+  it('should return 409 when the template changed between reading it and updating it', async () => {
+    const { template_id: templateId } = await templates.createTemplate('user-1', null, { name: 'Letter', content: '<p>v1</p>' });
+    // Another writer moves current_version on while this update is writing its version
+    beforeNextUpdate = () => {
+      getTable('test-templates-table').get(templateId).current_version = 3;
+    };
+
+    expect(await rejection(templates.updateTemplate(templateId, 'user-1', { content: '<p>late</p>' })))
+      .toMatchObject({ statusCode: 409, code: 'TEMPLATE_VERSION_CONFLICT' });
+    expect(getTable('test-templates-table').get(templateId).current_version).toBe(3);
+  });
+});
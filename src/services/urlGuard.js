@@ -0,0 +1,216 @@
+/**
+ * URL Guard Service
+ * SSRF protection for URLs loaded by Chromium: only public http(s) destinations are allowed.
+ * Hostnames are resolved and every resolved address is checked against private, loopback,
+ * link-local (including cloud metadata) and reserved ranges.
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const logger = require('../utils/logger');
+
+const DNS_LOOKUP_TIMEOUT_MS = parseInt(process.env.URL_DNS_TIMEOUT_MS || '5000', 10);
+const MAX_URL_LENGTH = 2048;
+
+// Schemes Chromium may load without a network request
+const LOCAL_SCHEMES = ['data:', 'blob:', 'about:'];
+
+// Ranges that must never be reachable from a render (RFC 6890 special-purpose and private ranges)
+const BLOCKED_IPV4_SUBNETS = [
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8], // Private
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local, includes 169.254.169.254 instance metadata
+  ['172.16.0.0', 12], // Private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // TEST-NET-1
+  ['192.88.99.0', 24], // 6to4 relay anycast
+  ['192.168.0.0', 16], // Private
+  ['198.18.0.0', 15], // Benchmarking
+  ['198.51.100.0', 24], // TEST-NET-2
+  ['203.0.113.0', 24], // TEST-NET-3
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4], // Reserved, includes 255.255.255.255 broadcast
+];
+
+const BLOCKED_IPV6_SUBNETS = [
+  ['::', 128], // Unspecified
+  ['::1', 128], // Loopback
+  ['64:ff9b:1::', 48], // Local-use NAT64
+  ['100::', 64], // Discard-only
+  ['2001:db8::', 32], // Documentation
+  ['fc00::', 7], // Unique local, includes fd00:ec2::254 instance metadata
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8], // Multicast
+];
+
+const blockList = new net.BlockList();
+BLOCKED_IPV4_SUBNETS.forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+BLOCKED_IPV6_SUBNETS.forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Extract an embedded IPv4 address from IPv4-mapped (::ffff:a.b.c.d) and
+ * NAT64 (64:ff9b::a.b.c.d) IPv6 addresses
+ * @param {string} address - IPv6 address
+ * @returns {string|null} Embedded IPv4 address, or null
+ */
+function getEmbeddedIPv4(address) {
+  const match = address.toLowerCase().match(/^(?:::ffff:|64:ff9b::)(?:0:)?([0-9a-f.:]+)$/);
+  if (!match) {
+    return null;
+  }
+
+  const tail = match[1];
+  if (net.isIPv4(tail)) {
+    return tail;
+  }
+
+  // Hex form, e.g. ::ffff:a9fe:a9fe
+  const hex = tail.match(/^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (hex) {
+    const high = parseInt(hex[1], 16);
+    const low = parseInt(hex[2], 16);
+    return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+  }
+  return null;
+}
+
+/**
+ * Check whether an IP address is private, loopback, link-local or otherwise non-public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be contacted
+ */
+function isBlockedAddress(address) {
+  const unbracketed = address.replace(/^\[|\]$/g, '');
+
+  if (net.isIPv4(unbracketed)) {
+    return blockList.check(unbracketed, 'ipv4');
+  }
+
+  if (net.isIPv6(unbracketed)) {
+    const embedded = getEmbeddedIPv4(unbracketed);
+    if (embedded) {
+      return blockList.check(embedded, 'ipv4');
+    }
+    return blockList.check(unbracketed, 'ipv6');
+  }
+
+  // Not an IP address - treat as blocked
+  return true;
+}
+
+/**
+ * Resolve a hostname to all of its addresses, with a timeout
+ * @param {string} hostname - Hostname
+ * @returns {Promise<string[]>} Resolved addresses
+ */
+async function resolveHostname(hostname) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`DNS lookup timed out after ${DNS_LOOKUP_TIMEOUT_MS}ms`)), DNS_LOOKUP_TIMEOUT_MS);
+  });
+
+  try {
+    const results = await Promise.race([dns.lookup(hostname, { all: true, verbatim: true }), timeout]);
+    return results.map((result) => result.address);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Validate the syntax of a user-supplied URL (no network access)
+ * @param {string} url - URL to validate
+ * @returns {{isValid: boolean, reason: string|null, parsed: URL|null}}
+ */
+function parseUrl(url) {
+  if (typeof url !== 'string' || !url.trim()) {
+    return { isValid: false, reason: 'URL is required', parsed: null };
+  }
+
+  if (url.length > MAX_URL_LENGTH) {
+    return { isValid: false, reason: `URL must not exceed ${MAX_URL_LENGTH} characters`, parsed: null };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (error) {
+    return { isValid: false, reason: 'URL is not valid', parsed: null };
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return { isValid: false, reason: 'Only http and https URLs are supported', parsed: null };
+  }
+
+  if (parsed.username || parsed.password) {
+    return { isValid: false, reason: 'URLs with credentials are not supported', parsed: null };
+  }
+
+  return { isValid: true, reason: null, parsed };
+}
+
+/**
+ * Check whether a URL may be loaded by a render
+ * data:, blob: and about: URLs are allowed; http(s) URLs are allowed only if every
+ * address the hostname resolves to is public. All other schemes (file:, ftp:, chrome:, ...) are blocked.
+ * @param {string} url - URL to check
+ * @param {Map} cache - Optional per-render cache of hostname -> result
+ * @returns {Promise<{allowed: boolean, reason: string|null}>}
+ */
+async function checkUrl(url, cache = null) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { allowed: false, reason: 'URL is not valid' };
+  }
+
+  if (LOCAL_SCHEMES.includes(parsed.protocol)) {
+    return { allowed: true, reason: null };
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return { allowed: false, reason: `Scheme ${parsed.protocol} is not allowed` };
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (cache && cache.has(hostname)) {
+    return cache.get(hostname);
+  }
+
+  let result;
+  if (net.isIP(hostname)) {
+    result = isBlockedAddress(hostname)
+      ? { allowed: false, reason: `Address ${hostname} is not publicly routable` }
+      : { allowed: true, reason: null };
+  } else {
+    try {
+      const addresses = await resolveHostname(hostname);
+      const blocked = addresses.find(isBlockedAddress);
+      if (addresses.length === 0) {
+        result = { allowed: false, reason: `Host ${hostname} could not be resolved` };
+      } else if (blocked) {
+        result = { allowed: false, reason: `Host ${hostname} resolves to non-public address ${blocked}` };
+      } else {
+        result = { allowed: true, reason: null };
+      }
+    } catch (error) {
+      logger.warn('URL guard DNS lookup failed', { hostname, error: error.message });
+      result = { allowed: false, reason: `Host ${hostname} could not be resolved` };
+    }
+  }
+
+  if (cache) {
+    cache.set(hostname, result);
+  }
+  return result;
+}
+
+module.exports = {
+  parseUrl,
+  checkUrl,
+  isBlockedAddress,
+  MAX_URL_LENGTH,
+};
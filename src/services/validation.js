@@ -4,11 +4,102 @@
  */
 
 const { BadRequest } = require('../utils/errors');
+const { parseUrl } = require('./urlGuard');
+const {
+  NETWORK_MODES,
+  MAX_NETWORK_REQUESTS,
+  MAX_NETWORK_BYTES,
+  MAX_ALLOWED_DOMAINS,
+} = require('./networkPolicy');
+const { THEME_NAMES, THEME_VARIABLES, MAX_CSS_SIZE_BYTES } = require('./markdownTheme');
+const { EXTENSION_NAMES, MAX_TOC_TITLE_LENGTH } = require('./markdownExtensions');
+const { parseFrontMatter } = require('./frontMatter');
+const { OUTPUT_PROFILES } = require('./pdfa');
+const { MAX_PASSWORD_BYTES, PRINT_MODES, PERMISSION_NAMES } = require('./pdfEncryption');
+const {
+  decodeWatermarkImage,
+  WATERMARK_POSITIONS,
+  WATERMARK_TEXT_PATTERN,
+  MAX_WATERMARK_TEXT_LENGTH,
+  MAX_WATERMARK_IMAGE_BYTES,
+} = require('./watermark');
+const { MAX_SELECTOR_LENGTH } = require('./outline');
+const { MAX_WAIT_TIMEOUT_MS, DEFAULT_WAIT_TIMEOUT_MS } = require('./waitFor');
+const { MERGE_PAGE_ORDERS } = require('./pdfOperations');
+const {
+  OUTPUT_FORMATS,
+  SCREENSHOT_MODES,
+  MIN_VIEWPORT_SIZE,
+  MAX_VIEWPORT_SIZE,
+  MIN_DEVICE_SCALE_FACTOR,
+  MAX_DEVICE_SCALE_FACTOR,
+  MAX_IMAGE_SIZE_PX,
+} = require('./screenshot');
 const logger = require('../utils/logger');
 
 const MAX_INPUT_SIZE_MB = parseInt(process.env.MAX_INPUT_SIZE_MB || '5', 10);
 const MAX_INPUT_SIZE_BYTES = MAX_INPUT_SIZE_MB * 1024 * 1024;
 
+const VALID_INPUT_TYPES = ['html', 'markdown', 'image', 'template', 'url', 'pdf_merge'];
+
+// Header/footer snippets are repeated on every page, keep them small
+const MAX_HEADER_FOOTER_SIZE_BYTES = 50 * 1024;
+
+// Paper sizes in inches (width x height, portrait), matching Puppeteer's formats
+const PAPER_FORMATS = {
+  letter: { width: 8.5, height: 11 },
+  legal: { width: 8.5, height: 14 },
+  tabloid: { width: 11, height: 17 },
+  ledger: { width: 17, height: 11 },
+  a0: { width: 33.1, height: 46.8 },
+  a1: { width: 23.4, height: 33.1 },
+  a2: { width: 16.54, height: 23.4 },
+  a3: { width: 11.7, height: 16.54 },
+  a4: { width: 8.27, height: 11.7 },
+  a5: { width: 5.83, height: 8.27 },
+  a6: { width: 4.13, height: 5.83 },
+};
+
+// Page formats accepted by page.pdf() (case-insensitive)
+const PDF_FORMATS = Object.keys(PAPER_FORMATS);
+
+// Largest custom page width/height; Chromium fails or runs out of memory on huge pages
+const MAX_PAGE_SIZE_IN = 200;
+
+// Page formats supported by image conversion (see PAGE_SIZES in imagePdf.js)
+const IMAGE_FORMATS = ['A4', 'Letter', 'Legal', 'A3', 'A5', 'Tabloid'];
+
+const IMAGE_FIT_MODES = ['contain', 'cover', 'fill', 'none'];
+
+// Lengths: plain numbers or a number with a unit. Chromium takes px/in/cm/mm, image conversion takes pt/in/cm/mm
+const RENDER_LENGTH_PATTERN = /^\d*\.?\d+\s*(px|in|cm|mm)?$/i;
+const IMAGE_LENGTH_PATTERN = /^\d*\.?\d+\s*(pt|in|cm|mm)?$/i;
+
+// Units of render lengths per inch (Chromium prints at 96 CSS px per inch)
+const RENDER_UNITS_PER_INCH = { px: 96, in: 1, cm: 2.54, mm: 25.4 };
+
+// Page ranges such as "1-5, 8, 11-13" (open-ended ranges like "3-" are allowed)
+const PAGE_RANGES_PATTERN = /^\s*\d+(\s*-\s*\d*)?(\s*,\s*\d+(\s*-\s*\d*)?)*\s*$/;
+
+const MARGIN_SIDES = ['top', 'right', 'bottom', 'left'];
+
+// Hostnames for network policy allow lists (e.g. "cdn.example.com")
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+// Theme override values end up in CSS declarations, so only allow characters that cannot end one
+const FONT_FAMILY_PATTERN = /^[\p{L}\p{N} ,'"_.-]{1,200}$/u;
+const FONT_SIZE_PATTERN = /^\d*\.?\d+\s*(px|pt|em|rem|%)$/i;
+const LINE_HEIGHT_PATTERN = /^\d*\.?\d+\s*(px|pt|em|rem|%)?$/i;
+const COLOR_PATTERN = /^(#[0-9a-f]{3,4}|#[0-9a-f]{6}|#[0-9a-f]{8}|[a-z]{3,30}|(rgb|hsl)a?\([\d\s.,%/]+\))$/i;
+
+// Document metadata (front matter title, author, ...)
+const MAX_METADATA_TEXT_LENGTH = 1000;
+const MAX_METADATA_LIST_ITEMS = 50;
+const LANGUAGE_TAG_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i;
+
+// CSS media types for options.emulation.media_type
+const EMULATION_MEDIA_TYPES = ['print', 'screen'];
+
 /**
  * Validate request body structure
  * @param {object} body - Request body
@@ -36,10 +127,10 @@ function validateRequestBody(body) {
   const inputType = body.input_type.toLowerCase();
 
   // Validate input_type value
-  if (inputType !== 'html' && inputType !== 'markdown' && inputType !== 'image') {
+  if (!VALID_INPUT_TYPES.includes(inputType)) {
     return {
       isValid: false,
-      error: BadRequest.INVALID_INPUT_TYPE(inputType, ['html', 'markdown', 'image']),
+      error: BadRequest.INVALID_INPUT_TYPE(inputType, VALID_INPUT_TYPES),
       data: null,
     };
   }
@@ -54,6 +145,25 @@ function validateRequestBody(body) {
     };
   }
 
+  // PDF merges upload files too
+  if (inputType === 'pdf_merge') {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_PARAMETER('input_type', 'PDF merges must use multipart/form-data, not JSON'),
+      data: null,
+    };
+  }
+
+  // Stored templates carry a template reference and JSON data instead of content
+  if (inputType === 'template') {
+    return validateTemplateRequest(body);
+  }
+
+  // URL renders navigate to a public page instead of rendering inline content
+  if (inputType === 'url') {
+    return validateUrlRequest(body);
+  }
+
   // Check content field based on input_type
   const contentField = inputType;
   const content = body[contentField];
@@ -127,7 +237,47 @@ function validateRequestBody(body) {
   }
 
   // Extract options (optional)
-  const options = body.options || {};
+  let options = body.options || {};
+
+  const optionsValidation = validateOptions(options, inputType);
+  if (!optionsValidation.isValid) {
+    return {
+      isValid: false,
+      error: optionsValidation.error,
+      data: null,
+    };
+  }
+
+  // Markdown documents may declare options in YAML front matter; request options win
+  if (inputType === 'markdown') {
+    const frontMatterValidation = validateFrontMatter(content);
+    if (!frontMatterValidation.isValid) {
+      return {
+        isValid: false,
+        error: frontMatterValidation.error,
+        data: null,
+      };
+    }
+    options = { ...frontMatterValidation.data.options, ...options };
+
+    const conflict = checkOptionConflicts(options, 'options') || checkMarginsFitPage(options, 'options');
+    if (conflict) {
+      return {
+        isValid: false,
+        error: conflict,
+        data: null,
+      };
+    }
+  }
+
+  const metadataValidation = validateMetadata(body.metadata, 'metadata');
+  if (!metadataValidation.isValid) {
+    return {
+      isValid: false,
+      error: metadataValidation.error,
+      data: null,
+    };
+  }
 
   // Extract webhook_url (optional, for longjob)
   const webhookUrl = body.webhook_url;
@@ -139,11 +289,1195 @@ function validateRequestBody(body) {
       inputType,
       content,
       options,
+      metadata: body.metadata || {},
       webhookUrl,
     },
   };
 }
 
+/**
+ * Validate request body for input_type 'template'
+ * @param {object} body - Request body
+ * @returns {object} Validation result with isValid, error, and parsed data
+ */
+function validateTemplateRequest(body) {
+  // Content fields are not allowed - content comes from the stored template
+  for (const field of ['html', 'markdown']) {
+    if (body[field] !== undefined) {
+      return {
+        isValid: false,
+        error: BadRequest.WRONG_FIELD_PROVIDED('template', field),
+        data: null,
+      };
+    }
+  }
+
+  const templateId = body.template_id;
+  if (!templateId || typeof templateId !== 'string' || !templateId.trim()) {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_PARAMETER('template_id', 'template_id field is required when input_type is \'template\''),
+      data: null,
+    };
+  }
+
+  const templateVersion = body.template_version;
+  if (templateVersion !== undefined && templateVersion !== null &&
+      (!Number.isInteger(templateVersion) || templateVersion < 1)) {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_PARAMETER('template_version', 'Must be a positive integer'),
+      data: null,
+    };
+  }
+
+  const templateData = body.data !== undefined ? body.data : {};
+  if (!templateData || typeof templateData !== 'object' || Array.isArray(templateData)) {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_PARAMETER('data', 'Must be a JSON object'),
+      data: null,
+    };
+  }
+
+  // Validate data size (same limit as inline content)
+  if (Buffer.byteLength(JSON.stringify(templateData), 'utf8') > MAX_INPUT_SIZE_BYTES) {
+    return {
+      isValid: false,
+      error: BadRequest.INPUT_SIZE_EXCEEDED(MAX_INPUT_SIZE_MB),
+      data: null,
+    };
+  }
+
+  const optionsValidation = validateOptions(body.options || {}, 'template');
+  if (!optionsValidation.isValid) {
+    return {
+      isValid: false,
+      error: optionsValidation.error,
+      data: null,
+    };
+  }
+
+  const metadataValidation = validateMetadata(body.metadata, 'metadata');
+  if (!metadataValidation.isValid) {
+    return {
+      isValid: false,
+      error: metadataValidation.error,
+      data: null,
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    data: {
+      inputType: 'template',
+      content: null,
+      options: body.options || {},
+      metadata: body.metadata || {},
+      webhookUrl: body.webhook_url,
+      templateId: templateId.trim(),
+      templateVersion: templateVersion || null,
+      templateData,
+    },
+  };
+}
+
+/**
+ * Validate request body for input_type 'url'
+ * Only the URL syntax is checked here; destination checks (DNS, private ranges)
+ * happen at render time in the URL guard
+ * @param {object} body - Request body
+ * @returns {object} Validation result with isValid, error, and parsed data
+ */
+function validateUrlRequest(body) {
+  // Content fields are not allowed - content comes from the URL
+  for (const field of ['html', 'markdown']) {
+    if (body[field] !== undefined) {
+      return {
+        isValid: false,
+        error: BadRequest.WRONG_FIELD_PROVIDED('url', field),
+        data: null,
+      };
+    }
+  }
+
+  if (body.url === undefined || body.url === null) {
+    return {
+      isValid: false,
+      error: BadRequest.MISSING_CONTENT_FIELD('url'),
+      data: null,
+    };
+  }
+
+  const { isValid, reason, parsed } = parseUrl(body.url);
+  if (!isValid) {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_URL(reason),
+      data: null,
+    };
+  }
+
+  const optionsValidation = validateOptions(body.options || {}, 'url');
+  if (!optionsValidation.isValid) {
+    return {
+      isValid: false,
+      error: optionsValidation.error,
+      data: null,
+    };
+  }
+
+  const metadataValidation = validateMetadata(body.metadata, 'metadata');
+  if (!metadataValidation.isValid) {
+    return {
+      isValid: false,
+      error: metadataValidation.error,
+      data: null,
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    data: {
+      inputType: 'url',
+      content: parsed.href,
+      options: body.options || {},
+      metadata: body.metadata || {},
+      webhookUrl: body.webhook_url,
+    },
+  };
+}
+
+/**
+ * Build an option validation failure
+ * @param {string} message - What is wrong with the value
+ * @param {string|null} field - Nested field name (e.g. 'top' for margin.top), if any
+ * @returns {{message: string, field: string|null}}
+ */
+function invalid(message, field = null) {
+  return { message, field };
+}
+
+/**
+ * Validate a boolean option
+ * @param {*} value - Option value
+ * @returns {object|null} Failure or null if valid
+ */
+function validateBoolean(value) {
+  return typeof value === 'boolean' ? null : invalid('Must be a boolean');
+}
+
+/**
+ * Create a validator for length options (numbers or strings with a unit)
+ * @param {RegExp} pattern - Allowed string pattern
+ * @param {string} units - Allowed units, for the error message
+ * @returns {function} Validator
+ */
+function lengthValidator(pattern, units) {
+  return (value) => {
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+      return null;
+    }
+    if (typeof value === 'string' && pattern.test(value.trim())) {
+      return null;
+    }
+    return invalid(`Must be a non-negative number or a string with a unit (${units})`);
+  };
+}
+
+/**
+ * Convert a valid render length (number of pixels or string with a px/in/cm/mm unit) to inches
+ * @param {number|string} value - Length
+ * @returns {number} Length in inches
+ */
+function renderLengthToInches(value) {
+  if (typeof value === 'number') {
+    return value / RENDER_UNITS_PER_INCH.px;
+  }
+  const [, amount, unit] = value.trim().match(/^(\d*\.?\d+)\s*([a-z]*)$/i);
+  return parseFloat(amount) / RENDER_UNITS_PER_INCH[(unit || 'px').toLowerCase()];
+}
+
+/**
+ * Create a validator for margin objects ({top, right, bottom, left})
+ * @param {function} validateLength - Validator for each side
+ * @param {boolean} allowShorthand - Whether a single length for all sides is accepted
+ * @returns {function} Validator
+ */
+function marginValidator(validateLength, allowShorthand) {
+  return (value) => {
+    if (allowShorthand && (typeof value === 'string' || typeof value === 'number')) {
+      return validateLength(value);
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return invalid(allowShorthand
+        ? 'Must be a length or an object with top, right, bottom and/or left'
+        : 'Must be an object with top, right, bottom and/or left');
+    }
+    for (const [side, sideValue] of Object.entries(value)) {
+      if (!MARGIN_SIDES.includes(side)) {
+        return invalid(`Unknown margin side. Allowed: ${MARGIN_SIDES.join(', ')}`, side);
+      }
+      const failure = validateLength(sideValue);
+      if (failure) {
+        return invalid(failure.message, side);
+      }
+    }
+    return null;
+  };
+}
+
+/**
+ * Create a validator for string options restricted to a set of values
+ * @param {string[]} allowed - Allowed values
+ * @param {boolean} caseInsensitive - Whether to compare case-insensitively
+ * @returns {function} Validator
+ */
+function enumValidator(allowed, caseInsensitive = false) {
+  return (value) => {
+    const normalized = caseInsensitive && typeof value === 'string' ? value.toLowerCase() : value;
+    return allowed.includes(normalized) ? null : invalid(`Must be one of: ${allowed.join(', ')}`);
+  };
+}
+
+/**
+ * Create a validator for string options
+ * @param {number} maxBytes - Maximum size in bytes
+ * @returns {function} Validator
+ */
+function stringValidator(maxBytes) {
+  return (value) => {
+    if (typeof value !== 'string') {
+      return invalid('Must be a string');
+    }
+    if (Buffer.byteLength(value, 'utf8') > maxBytes) {
+      return invalid(`Must not exceed ${maxBytes / 1024} KB`);
+    }
+    return null;
+  };
+}
+
+/**
+ * Validate a header/footer option
+ * May be an HTML string, or an object with exactly one of `html` or `markdown`
+ * @param {*} value - Option value
+ * @returns {object|null} Failure or null if valid
+ */
+function validateHeaderFooter(value) {
+  let snippet = value;
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const fields = Object.keys(value);
+    if (fields.length !== 1 || !['html', 'markdown'].includes(fields[0]) || typeof value[fields[0]] !== 'string') {
+      return invalid('Must contain exactly one of html or markdown as a string');
+    }
+    snippet = value[fields[0]];
+  } else if (typeof value !== 'string') {
+    return invalid('Must be an HTML string or an object with html or markdown');
+  }
+
+  return stringValidator(MAX_HEADER_FOOTER_SIZE_BYTES)(snippet);
+}
+
+/**
+ * Check a network policy object ({mode, allowed_domains, max_requests, max_bytes})
+ * @param {*} value - Policy value
+ * @returns {object|null} Failure or null if valid
+ */
+function checkNetworkPolicy(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return invalid('Must be an object');
+  }
+
+  const allowedKeys = ['mode', 'allowed_domains', 'max_requests', 'max_bytes'];
+  const unknownKey = Object.keys(value).find((key) => !allowedKeys.includes(key));
+  if (unknownKey) {
+    return invalid(`Unknown field. Allowed fields: ${allowedKeys.join(', ')}`, unknownKey);
+  }
+
+  if (value.mode !== undefined && !NETWORK_MODES.includes(value.mode)) {
+    return invalid(`Must be one of: ${NETWORK_MODES.join(', ')}`, 'mode');
+  }
+
+  if (value.allowed_domains !== undefined) {
+    const domains = value.allowed_domains;
+    if (!Array.isArray(domains) || domains.length > MAX_ALLOWED_DOMAINS) {
+      return invalid(`Must be an array of at most ${MAX_ALLOWED_DOMAINS} domains`, 'allowed_domains');
+    }
+    const badDomain = domains.find((domain) => typeof domain !== 'string' || !DOMAIN_PATTERN.test(domain));
+    if (badDomain !== undefined) {
+      return invalid(`Invalid domain: ${badDomain}`, 'allowed_domains');
+    }
+  }
+
+  if (value.mode === 'allow_list' && (!value.allowed_domains || value.allowed_domains.length === 0)) {
+    return invalid('Required when mode is allow_list', 'allowed_domains');
+  }
+
+  if (value.max_requests !== undefined &&
+      (!Number.isInteger(value.max_requests) || value.max_requests < 1 || value.max_requests > MAX_NETWORK_REQUESTS)) {
+    return invalid(`Must be an integer between 1 and ${MAX_NETWORK_REQUESTS}`, 'max_requests');
+  }
+
+  if (value.max_bytes !== undefined &&
+      (!Number.isInteger(value.max_bytes) || value.max_bytes < 1 || value.max_bytes > MAX_NETWORK_BYTES)) {
+    return invalid(`Must be an integer between 1 and ${MAX_NETWORK_BYTES}`, 'max_bytes');
+  }
+
+  return null;
+}
+
+/**
+ * Check Markdown theme overrides ({font_family, font_size, code_background, ...})
+ * @param {*} value - Overrides value
+ * @returns {object|null} Failure or null if valid
+ */
+function checkThemeOverrides(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return invalid('Must be an object');
+  }
+
+  const allowedKeys = Object.keys(THEME_VARIABLES);
+  for (const [key, override] of Object.entries(value)) {
+    if (!allowedKeys.includes(key)) {
+      return invalid(`Unknown field. Allowed fields: ${allowedKeys.join(', ')}`, key);
+    }
+    if (override === null) {
+      continue;
+    }
+
+    if (key === 'font_family' || key === 'code_font_family') {
+      const hasUnbalancedQuotes = typeof override === 'string' &&
+        ((override.match(/"/g) || []).length % 2 !== 0 || (override.match(/'/g) || []).length % 2 !== 0);
+      if (typeof override !== 'string' || !FONT_FAMILY_PATTERN.test(override) || hasUnbalancedQuotes) {
+        return invalid('Must be a CSS font-family list (letters, digits, spaces, commas, quotes, dots, hyphens)', key);
+      }
+    } else if (key === 'font_size') {
+      const isValid = (typeof override === 'number' && override > 0 && override <= 200) ||
+        (typeof override === 'string' && FONT_SIZE_PATTERN.test(override.trim()));
+      if (!isValid) {
+        return invalid('Must be a number of pixels or a string with a unit (px, pt, em, rem, %)', key);
+      }
+    } else if (key === 'line_height') {
+      const isValid = (typeof override === 'number' && override > 0 && override <= 10) ||
+        (typeof override === 'string' && LINE_HEIGHT_PATTERN.test(override.trim()));
+      if (!isValid) {
+        return invalid('Must be a number or a string with a unit (px, pt, em, rem, %)', key);
+      }
+    } else if (typeof override !== 'string' || !COLOR_PATTERN.test(override.trim())) {
+      return invalid('Must be a CSS color (#hex, rgb(), hsl() or a color name)', key);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check Markdown extensions ({toc, heading_anchors, footnotes, highlight, math, mermaid})
+ * Each extension is a boolean; `toc` may also be an object with max_depth and title
+ * @param {*} value - Extensions value
+ * @returns {object|null} Failure or null if valid
+ */
+function checkMarkdownExtensions(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return invalid('Must be an object');
+  }
+
+  for (const [key, setting] of Object.entries(value)) {
+    if (!EXTENSION_NAMES.includes(key)) {
+      return invalid(`Unknown extension. Allowed extensions: ${EXTENSION_NAMES.join(', ')}`, key);
+    }
+    if (typeof setting === 'boolean' || setting === null) {
+      continue;
+    }
+    if (key !== 'toc') {
+      return invalid('Must be a boolean', key);
+    }
+
+    if (typeof setting !== 'object' || Array.isArray(setting)) {
+      return invalid('Must be a boolean or an object with max_depth and/or title', key);
+    }
+    const unknownKey = Object.keys(setting).find((field) => !['max_depth', 'title'].includes(field));
+    if (unknownKey) {
+      return invalid('Unknown field. Allowed fields: max_depth, title', `toc.${unknownKey}`);
+    }
+    if (setting.max_depth !== undefined &&
+        (!Number.isInteger(setting.max_depth) || setting.max_depth < 1 || setting.max_depth > 6)) {
+      return invalid('Must be an integer between 1 and 6', 'toc.max_depth');
+    }
+    if (setting.title !== undefined &&
+        (typeof setting.title !== 'string' || setting.title.length > MAX_TOC_TITLE_LENGTH)) {
+      return invalid(`Must be a string of at most ${MAX_TOC_TITLE_LENGTH} characters`, 'toc.title');
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check PDF encryption settings ({user_password, owner_password, permissions})
+ * Password values are never echoed in error messages.
+ * @param {*} value - Encryption value
+ * @returns {object|null} Failure or null if valid
+ */
+function checkEncryption(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return invalid('Must be an object');
+  }
+
+  const allowedKeys = ['user_password', 'owner_password', 'permissions'];
+  const unknownKey = Object.keys(value).find((key) => !allowedKeys.includes(key));
+  if (unknownKey) {
+    return invalid(`Unknown field. Allowed fields: ${allowedKeys.join(', ')}`, unknownKey);
+  }
+  if (!value.user_password && !value.owner_password && !value.permissions) {
+    return invalid('Must set user_password, owner_password or permissions');
+  }
+
+  for (const key of ['user_password', 'owner_password']) {
+    const password = value[key];
+    if (password !== undefined && password !== null &&
+        (typeof password !== 'string' || !password ||
+          Buffer.byteLength(password.normalize('NFKC'), 'utf8') > MAX_PASSWORD_BYTES)) {
+      return invalid(`Must be a non-empty string of at most ${MAX_PASSWORD_BYTES} bytes`, key);
+    }
+  }
+  if (value.user_password && value.user_password === value.owner_password) {
+    // Opening with the user password would then lift all restrictions
+    return invalid('Must differ from user_password', 'owner_password');
+  }
+
+  const permissions = value.permissions;
+  if (permissions !== undefined && permissions !== null) {
+    if (typeof permissions !== 'object' || Array.isArray(permissions)) {
+      return invalid('Must be an object', 'permissions');
+    }
+    for (const [name, setting] of Object.entries(permissions)) {
+      if (!PERMISSION_NAMES.includes(name)) {
+        return invalid(`Unknown permission. Allowed permissions: ${PERMISSION_NAMES.join(', ')}`, `permissions.${name}`);
+      }
+      if (name === 'print' ? !PRINT_MODES.includes(setting) : typeof setting !== 'boolean') {
+        return invalid(name === 'print' ? `Must be one of: ${PRINT_MODES.join(', ')}` : 'Must be a boolean', `permissions.${name}`);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create a validator for heading-based options (`outline`, `toc`)
+ * The option is a boolean or an object with the given fields.
+ * @param {string[]} fields - Allowed fields (selector, max_depth, title, page_numbers)
+ * @returns {function} Validator
+ */
+function headingOptionsValidator(fields) {
+  return (value) => {
+    if (typeof value === 'boolean') {
+      return null;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return invalid(`Must be a boolean or an object with ${fields.join(', ')}`);
+    }
+
+    const unknownKey = Object.keys(value).find((key) => !fields.includes(key));
+    if (unknownKey) {
+      return invalid(`Unknown field. Allowed fields: ${fields.join(', ')}`, unknownKey);
+    }
+    if (value.selector !== undefined &&
+        (typeof value.selector !== 'string' || !value.selector.trim() || value.selector.length > MAX_SELECTOR_LENGTH)) {
+      return invalid(`Must be a CSS selector of at most ${MAX_SELECTOR_LENGTH} characters`, 'selector');
+    }
+    if (value.max_depth !== undefined &&
+        (!Number.isInteger(value.max_depth) || value.max_depth < 1 || value.max_depth > 6)) {
+      return invalid('Must be an integer between 1 and 6', 'max_depth');
+    }
+    if (value.title !== undefined &&
+        (typeof value.title !== 'string' || value.title.length > MAX_TOC_TITLE_LENGTH)) {
+      return invalid(`Must be a string of at most ${MAX_TOC_TITLE_LENGTH} characters`, 'title');
+    }
+    if (value.page_numbers !== undefined && typeof value.page_numbers !== 'boolean') {
+      return invalid('Must be a boolean', 'page_numbers');
+    }
+    return null;
+  };
+}
+
+/**
+ * Check a watermark ({text|image, opacity, rotation, position, font_size, color, scale, pages})
+ * @param {*} value - Watermark value
+ * @returns {object|null} Failure or null if valid
+ */
+function checkWatermark(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return invalid('Must be an object');
+  }
+
+  const allowedKeys = ['text', 'image', 'opacity', 'rotation', 'position', 'font_size', 'color', 'scale', 'pages'];
+  const unknownKey = Object.keys(value).find((key) => !allowedKeys.includes(key));
+  if (unknownKey) {
+    return invalid(`Unknown field. Allowed fields: ${allowedKeys.join(', ')}`, unknownKey);
+  }
+
+  const hasText = value.text !== undefined && value.text !== null;
+  const hasImage = value.image !== undefined && value.image !== null;
+  if (hasText === hasImage) {
+    return invalid('Must have exactly one of text or image');
+  }
+  if (hasText && (typeof value.text !== 'string' || !value.text.trim() ||
+      value.text.length > MAX_WATERMARK_TEXT_LENGTH || !WATERMARK_TEXT_PATTERN.test(value.text))) {
+    return invalid(`Must be a non-empty string of at most ${MAX_WATERMARK_TEXT_LENGTH} Latin-1 characters`, 'text');
+  }
+  if (hasImage) {
+    const image = typeof value.image === 'string' ? decodeWatermarkImage(value.image) : null;
+    if (!image) {
+      return invalid('Must be a base64 PNG or JPEG image (optionally a data URL)', 'image');
+    }
+    if (image.bytes.length > MAX_WATERMARK_IMAGE_BYTES) {
+      return invalid(`Must not exceed ${MAX_WATERMARK_IMAGE_BYTES / 1024} KB`, 'image');
+    }
+  }
+
+  const numberInRange = (key, min, max, exclusiveMin = false) => {
+    const number = value[key];
+    if (number === undefined || number === null) {
+      return null;
+    }
+    const aboveMin = exclusiveMin ? number > min : number >= min;
+    return typeof number === 'number' && aboveMin && number <= max
+      ? null
+      : invalid(`Must be a number between ${min} and ${max}`, key);
+  };
+  const rangeFailure = numberInRange('opacity', 0, 1, true) ||
+    numberInRange('rotation', -360, 360) ||
+    numberInRange('font_size', 4, 500) ||
+    numberInRange('scale', 0, 1, true);
+  if (rangeFailure) {
+    return rangeFailure;
+  }
+
+  if (value.position !== undefined && value.position !== null && !WATERMARK_POSITIONS.includes(value.position)) {
+    return invalid(`Must be one of: ${WATERMARK_POSITIONS.join(', ')}`, 'position');
+  }
+  if (value.color !== undefined && value.color !== null &&
+      (typeof value.color !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value.color))) {
+    return invalid('Must be a hex color such as "#c00" or "#cc0000"', 'color');
+  }
+  if (value.pages !== undefined && value.pages !== null &&
+      (typeof value.pages !== 'string' || !PAGE_RANGES_PATTERN.test(value.pages))) {
+    return invalid('Must be a string of page numbers and ranges, e.g. "1-5, 8, 11-13"', 'pages');
+  }
+
+  return null;
+}
+
+/**
+ * Check wait conditions ({selector, ready_flag, fonts, delay_ms, timeout_ms})
+ * @param {*} value - Wait conditions value
+ * @returns {object|null} Failure or null if valid
+ */
+function checkWaitFor(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return invalid('Must be an object');
+  }
+
+  const allowedKeys = ['selector', 'ready_flag', 'fonts', 'delay_ms', 'timeout_ms'];
+  const unknownKey = Object.keys(value).find((key) => !allowedKeys.includes(key));
+  if (unknownKey) {
+    return invalid(`Unknown field. Allowed fields: ${allowedKeys.join(', ')}`, unknownKey);
+  }
+  if (!value.selector && !value.ready_flag && !value.fonts && !value.delay_ms) {
+    return invalid('Must set selector, ready_flag, fonts or delay_ms');
+  }
+
+  if (value.selector !== undefined &&
+      (typeof value.selector !== 'string' || !value.selector.trim() || value.selector.length > MAX_SELECTOR_LENGTH)) {
+    return invalid(`Must be a CSS selector of at most ${MAX_SELECTOR_LENGTH} characters`, 'selector');
+  }
+  for (const key of ['ready_flag', 'fonts']) {
+    if (value[key] !== undefined && typeof value[key] !== 'boolean') {
+      return invalid('Must be a boolean', key);
+    }
+  }
+  for (const key of ['delay_ms', 'timeout_ms']) {
+    const number = value[key];
+    if (number !== undefined && (!Number.isInteger(number) || number < 0 || number > MAX_WAIT_TIMEOUT_MS)) {
+      return invalid(`Must be an integer between 0 and ${MAX_WAIT_TIMEOUT_MS}`, key);
+    }
+  }
+  const timeoutMs = value.timeout_ms || DEFAULT_WAIT_TIMEOUT_MS;
+  if (value.delay_ms > timeoutMs) {
+    return invalid(`Must not exceed timeout_ms (${timeoutMs})`, 'delay_ms');
+  }
+
+  return null;
+}
+
+/**
+ * Check emulation settings ({media_type, viewport, device_scale_factor, locale, timezone, javascript_enabled})
+ * @param {*} value - Emulation value
+ * @returns {object|null} Failure or null if valid
+ */
+function checkEmulation(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return invalid('Must be an object');
+  }
+
+  const allowedKeys = ['media_type', 'viewport', 'device_scale_factor', 'locale', 'timezone', 'javascript_enabled'];
+  const unknownKey = Object.keys(value).find((key) => !allowedKeys.includes(key));
+  if (unknownKey) {
+    return invalid(`Unknown field. Allowed fields: ${allowedKeys.join(', ')}`, unknownKey);
+  }
+
+  if (value.media_type !== undefined && !EMULATION_MEDIA_TYPES.includes(value.media_type)) {
+    return invalid(`Must be one of: ${EMULATION_MEDIA_TYPES.join(', ')}`, 'media_type');
+  }
+
+  const viewport = value.viewport;
+  if (viewport !== undefined) {
+    if (!viewport || typeof viewport !== 'object' || Array.isArray(viewport)) {
+      return invalid('Must be an object with width and/or height', 'viewport');
+    }
+    const viewportKeys = ['width', 'height'];
+    const unknownViewportKey = Object.keys(viewport).find((key) => !viewportKeys.includes(key));
+    if (unknownViewportKey) {
+      return invalid(`Unknown field. Allowed fields: ${viewportKeys.join(', ')}`, `viewport.${unknownViewportKey}`);
+    }
+    for (const key of viewportKeys) {
+      if (viewport[key] !== undefined &&
+          (!Number.isInteger(viewport[key]) || viewport[key] < MIN_VIEWPORT_SIZE || viewport[key] > MAX_VIEWPORT_SIZE)) {
+        return invalid(`Must be an integer between ${MIN_VIEWPORT_SIZE} and ${MAX_VIEWPORT_SIZE}`, `viewport.${key}`);
+      }
+    }
+  }
+
+  const scaleFactor = value.device_scale_factor;
+  if (scaleFactor !== undefined &&
+      (typeof scaleFactor !== 'number' || scaleFactor < MIN_DEVICE_SCALE_FACTOR || scaleFactor > MAX_DEVICE_SCALE_FACTOR)) {
+    return invalid(`Must be a number between ${MIN_DEVICE_SCALE_FACTOR} and ${MAX_DEVICE_SCALE_FACTOR}`, 'device_scale_factor');
+  }
+
+  if (value.locale !== undefined) {
+    let canonical = false;
+    try {
+      canonical = typeof value.locale === 'string' && LANGUAGE_TAG_PATTERN.test(value.locale) &&
+        Intl.getCanonicalLocales(value.locale).length === 1;
+    } catch (error) {
+      // RangeError for structurally invalid tags
+    }
+    if (!canonical) {
+      return invalid('Must be a BCP 47 language tag, e.g. "de-DE"', 'locale');
+    }
+  }
+
+  if (value.timezone !== undefined) {
+    let known = false;
+    try {
+      known = typeof value.timezone === 'string' && !!new Intl.DateTimeFormat('en-US', { timeZone: value.timezone });
+    } catch (error) {
+      // RangeError for unknown time zones
+    }
+    if (!known) {
+      return invalid('Must be an IANA time zone, e.g. "Europe/Berlin"', 'timezone');
+    }
+  }
+
+  if (value.javascript_enabled !== undefined && typeof value.javascript_enabled !== 'boolean') {
+    return invalid('Must be a boolean', 'javascript_enabled');
+  }
+
+  return null;
+}
+
+/**
+ * Check screenshot settings for image output ({mode, width, height, device_scale_factor, clip, quality})
+ * @param {*} value - Screenshot value
+ * @returns {object|null} Failure or null if valid
+ */
+function checkScreenshot(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return invalid('Must be an object');
+  }
+
+  const allowedKeys = ['mode', 'width', 'height', 'device_scale_factor', 'clip', 'quality'];
+  const unknownKey = Object.keys(value).find((key) => !allowedKeys.includes(key));
+  if (unknownKey) {
+    return invalid(`Unknown field. Allowed fields: ${allowedKeys.join(', ')}`, unknownKey);
+  }
+
+  if (value.mode !== undefined && !SCREENSHOT_MODES.includes(value.mode)) {
+    return invalid(`Must be one of: ${SCREENSHOT_MODES.join(', ')}`, 'mode');
+  }
+  for (const key of ['width', 'height']) {
+    if (value[key] !== undefined &&
+        (!Number.isInteger(value[key]) || value[key] < MIN_VIEWPORT_SIZE || value[key] > MAX_VIEWPORT_SIZE)) {
+      return invalid(`Must be an integer between ${MIN_VIEWPORT_SIZE} and ${MAX_VIEWPORT_SIZE}`, key);
+    }
+    if (value[key] !== undefined && value.mode === 'pages') {
+      return invalid('Not used with mode "pages"; the page size comes from format, width, height and landscape', key);
+    }
+  }
+  const scaleFactor = value.device_scale_factor;
+  if (scaleFactor !== undefined &&
+      (typeof scaleFactor !== 'number' || scaleFactor < MIN_DEVICE_SCALE_FACTOR || scaleFactor > MAX_DEVICE_SCALE_FACTOR)) {
+    return invalid(`Must be a number between ${MIN_DEVICE_SCALE_FACTOR} and ${MAX_DEVICE_SCALE_FACTOR}`, 'device_scale_factor');
+  }
+  if (value.quality !== undefined && (!Number.isInteger(value.quality) || value.quality < 1 || value.quality > 100)) {
+    return invalid('Must be an integer between 1 and 100', 'quality');
+  }
+
+  const clip = value.clip;
+  if (clip !== undefined) {
+    if (value.mode === 'pages') {
+      return invalid('Not used with mode "pages"', 'clip');
+    }
+    if (!clip || typeof clip !== 'object' || Array.isArray(clip)) {
+      return invalid('Must be an object with x, y, width and height', 'clip');
+    }
+    const clipKeys = ['x', 'y', 'width', 'height'];
+    const unknownClipKey = Object.keys(clip).find((key) => !clipKeys.includes(key));
+    if (unknownClipKey) {
+      return invalid(`Unknown field. Allowed fields: ${clipKeys.join(', ')}`, `clip.${unknownClipKey}`);
+    }
+    const maxSize = Math.floor(MAX_IMAGE_SIZE_PX / (scaleFactor || 1));
+    for (const key of clipKeys) {
+      const number = clip[key];
+      const min = key === 'x' || key === 'y' ? 0 : 1;
+      if (typeof number !== 'number' || !Number.isFinite(number) || number < min || (min === 1 && number > maxSize)) {
+        return invalid(min === 0
+          ? 'Must be a non-negative number'
+          : `Must be a number between 1 and ${maxSize} (image sides are limited to ${MAX_IMAGE_SIZE_PX} device pixels)`, `clip.${key}`);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check that render margins leave room for content on the page
+ * The page is options.width/height, or the format (A4 by default) turned for landscape.
+ * Not checked with preferCSSPageSize, where the page size comes from the document's CSS.
+ * @param {object} options - Render options (already validated one by one)
+ * @param {string} parameterName - Name used for the options in errors
+ * @returns {object|null} Validation error or null
+ */
+function checkMarginsFitPage(options, parameterName) {
+  const { margin } = options;
+  if (!margin || options.preferCSSPageSize) {
+    return null;
+  }
+
+  const format = PAPER_FORMATS[String(options.format || 'a4').toLowerCase()];
+  const page = {
+    width: options.width ? renderLengthToInches(options.width) : (options.landscape ? format.height : format.width),
+    height: options.height ? renderLengthToInches(options.height) : (options.landscape ? format.width : format.height),
+  };
+  const total = (sides) => sides.reduce((sum, side) => sum + (margin[side] ? renderLengthToInches(margin[side]) : 0), 0);
+
+  for (const [dimension, sides] of [['width', ['left', 'right']], ['height', ['top', 'bottom']]]) {
+    if (total(sides) >= page[dimension]) {
+      return BadRequest.INVALID_PARAMETER(
+        `${parameterName}.margin`,
+        `margin.${sides[0]} and margin.${sides[1]} together must be smaller than the page ${dimension} (${+page[dimension].toFixed(2)}in)`
+      );
+    }
+  }
+  return null;
+}
+
+/**
+ * Check combinations of options that cannot be used together
+ * @param {object} options - Options (already validated one by one)
+ * @param {string} parameterName - Name used for the options in errors
+ * @returns {object|null} Validation error or null
+ */
+function checkOptionConflicts(options, parameterName) {
+  if (options.encryption && options.output_profile) {
+    return BadRequest.INVALID_PARAMETER(
+      `${parameterName}.encryption`,
+      `Cannot be combined with output_profile "${options.output_profile}" (PDF/A does not allow encryption)`
+    );
+  }
+  if (options.watermark && options.watermark.text && options.output_profile) {
+    // Text watermarks use a standard font, which PDF/A requires to be embedded
+    return BadRequest.INVALID_PARAMETER(
+      `${parameterName}.watermark.text`,
+      `Cannot be combined with output_profile "${options.output_profile}"; use an image watermark`
+    );
+  }
+  if (options.output_format && options.output_format !== 'pdf') {
+    // Image output has no PDF document to protect, archive, navigate or print headers on
+    const pdfOnlyOption = ['encryption', 'output_profile', 'outline', 'header', 'footer', 'pageRanges',
+      'displayHeaderFooter', 'headerTemplate', 'footerTemplate', 'accessible'].find((key) => options[key]);
+    if (pdfOnlyOption) {
+      return BadRequest.INVALID_PARAMETER(
+        `${parameterName}.${pdfOnlyOption}`,
+        `Only applies to PDF output; cannot be combined with output_format "${options.output_format}"`
+      );
+    }
+    if (options.output_format === 'png' && options.screenshot && options.screenshot.quality !== undefined) {
+      return BadRequest.INVALID_PARAMETER(
+        `${parameterName}.screenshot.quality`,
+        'Only applies to output_format "jpeg" and "webp"'
+      );
+    }
+    // The screenshot settings size the viewport for image output
+    const viewportOption = ['viewport', 'device_scale_factor'].find((key) => options.emulation && options.emulation[key]);
+    if (viewportOption) {
+      return BadRequest.INVALID_PARAMETER(
+        `${parameterName}.emulation.${viewportOption}`,
+        `Cannot be combined with output_format "${options.output_format}"; use screenshot.width, height and device_scale_factor`
+      );
+    }
+  } else if (options.screenshot) {
+    return BadRequest.INVALID_PARAMETER(
+      `${parameterName}.screenshot`,
+      'Requires output_format "png", "jpeg" or "webp"'
+    );
+  }
+  if (options.emulation && options.emulation.javascript_enabled === false) {
+    // Mermaid diagrams are drawn by a script in the page, and only page scripts can set the ready flag
+    if (options.extensions && options.extensions.mermaid) {
+      return BadRequest.INVALID_PARAMETER(
+        `${parameterName}.extensions.mermaid`,
+        'Requires JavaScript; cannot be combined with emulation.javascript_enabled false'
+      );
+    }
+    if (options.wait_for && options.wait_for.ready_flag) {
+      return BadRequest.INVALID_PARAMETER(
+        `${parameterName}.wait_for.ready_flag`,
+        'Requires JavaScript; cannot be combined with emulation.javascript_enabled false'
+      );
+    }
+  }
+  if (options.toc && options.extensions && options.extensions.toc) {
+    return BadRequest.INVALID_PARAMETER(
+      `${parameterName}.toc`,
+      'Cannot be combined with extensions.toc; use one table of contents'
+    );
+  }
+  return null;
+}
+
+/**
+ * Create a validator for metadata text (a string, or optionally a list of strings)
+ * @param {boolean} allowList - Whether a list of strings is accepted (author, keywords)
+ * @returns {function} Validator
+ */
+function metadataTextValidator(allowList) {
+  return (value) => {
+    const values = allowList && Array.isArray(value) ? value : [value];
+    if (values.length > MAX_METADATA_LIST_ITEMS) {
+      return invalid(`Must not have more than ${MAX_METADATA_LIST_ITEMS} entries`);
+    }
+    if (values.some((entry) => typeof entry !== 'string')) {
+      return invalid(allowList ? 'Must be a string or a list of strings' : 'Must be a string');
+    }
+    if (values.join(', ').length > MAX_METADATA_TEXT_LENGTH) {
+      return invalid(`Must not exceed ${MAX_METADATA_TEXT_LENGTH} characters`);
+    }
+    return null;
+  };
+}
+
+/**
+ * Allowed document metadata fields, keyed by field name
+ */
+const METADATA_VALIDATORS = {
+  title: metadataTextValidator(false),
+  author: metadataTextValidator(true),
+  subject: metadataTextValidator(false),
+  keywords: metadataTextValidator(true),
+  language: (value) => (typeof value === 'string' && LANGUAGE_TAG_PATTERN.test(value)
+    ? null
+    : invalid('Must be a language tag, e.g. "en" or "de-CH"')),
+};
+
+const validateRenderLength = lengthValidator(RENDER_LENGTH_PATTERN, 'px, in, cm, mm');
+const validateImageLength = lengthValidator(IMAGE_LENGTH_PATTERN, 'pt, in, cm, mm');
+
+/**
+ * Validate a render length that must fit on a page (at most MAX_PAGE_SIZE_IN)
+ * @param {*} value - Length
+ * @returns {object|null} Failure or null if valid
+ */
+function validatePageLength(value) {
+  const failure = validateRenderLength(value);
+  if (failure) {
+    return failure;
+  }
+  if (renderLengthToInches(value) > MAX_PAGE_SIZE_IN) {
+    return invalid(`Must not exceed ${MAX_PAGE_SIZE_IN}in`);
+  }
+  return null;
+}
+
+/**
+ * Allowed options for HTML/Markdown/template/URL rendering, keyed by option name
+ * Only these keys are accepted in `options`; anything else is rejected
+ */
+const RENDER_OPTION_VALIDATORS = {
+  format: enumValidator(PDF_FORMATS, true),
+  width: validatePageLength,
+  height: validatePageLength,
+  landscape: validateBoolean,
+  margin: marginValidator(validatePageLength, false),
+  scale: (value) => (typeof value === 'number' && value >= 0.1 && value <= 2
+    ? null
+    : invalid('Must be a number between 0.1 and 2')),
+  printBackground: validateBoolean,
+  omitBackground: validateBoolean,
+  pageRanges: (value) => (typeof value === 'string' && PAGE_RANGES_PATTERN.test(value)
+    ? null
+    : invalid('Must be a string of page numbers and ranges, e.g. "1-5, 8, 11-13"')),
+  preferCSSPageSize: validateBoolean,
+  header: validateHeaderFooter,
+  footer: validateHeaderFooter,
+  network: checkNetworkPolicy,
+  output_profile: enumValidator(OUTPUT_PROFILES),
+  encryption: checkEncryption,
+  watermark: checkWatermark,
+  outline: headingOptionsValidator(['selector', 'max_depth']),
+  toc: headingOptionsValidator(['selector', 'max_depth', 'title', 'page_numbers']),
+  emulation: checkEmulation,
+  wait_for: checkWaitFor,
+  accessible: validateBoolean,
+  output_format: enumValidator(OUTPUT_FORMATS),
+  screenshot: checkScreenshot,
+  // Raw Chromium templates, kept for backward compatibility (prefer header/footer)
+  displayHeaderFooter: validateBoolean,
+  headerTemplate: stringValidator(MAX_HEADER_FOOTER_SIZE_BYTES),
+  footerTemplate: stringValidator(MAX_HEADER_FOOTER_SIZE_BYTES),
+};
+
+/**
+ * Allowed options for Markdown rendering: all render options plus theme, stylesheet and extension options
+ */
+const MARKDOWN_OPTION_VALIDATORS = {
+  ...RENDER_OPTION_VALIDATORS,
+  theme: enumValidator(THEME_NAMES),
+  theme_overrides: checkThemeOverrides,
+  css: stringValidator(MAX_CSS_SIZE_BYTES),
+  stylesheet_id: (value) => (typeof value === 'string' && value.trim()
+    ? null
+    : invalid('Must be a non-empty string')),
+  extensions: checkMarkdownExtensions,
+};
+
+/**
+ * Allowed options for image to PDF conversion, keyed by option name
+ */
+const IMAGE_OPTION_VALIDATORS = {
+  format: enumValidator(IMAGE_FORMATS),
+  margin: marginValidator(validateImageLength, true),
+  fit: enumValidator(IMAGE_FIT_MODES),
+  landscape: validateBoolean,
+  output_profile: enumValidator(OUTPUT_PROFILES),
+  encryption: checkEncryption,
+  watermark: checkWatermark,
+};
+
+/**
+ * Allowed options for merging PDFs, keyed by option name
+ */
+const PDF_MERGE_OPTION_VALIDATORS = {
+  page_order: enumValidator(MERGE_PAGE_ORDERS),
+  remove_duplicates: validateBoolean,
+  encryption: checkEncryption,
+  watermark: checkWatermark,
+};
+
+// Option validators by input type; other input types are rendered with Chromium
+const INPUT_TYPE_OPTION_VALIDATORS = {
+  markdown: MARKDOWN_OPTION_VALIDATORS,
+  image: IMAGE_OPTION_VALIDATORS,
+  pdf_merge: PDF_MERGE_OPTION_VALIDATORS,
+};
+
+/**
+ * Validate the request `options` object against the allow-listed schema for the input type
+ * Unknown keys are rejected so typos (e.g. "fromat") are not silently ignored
+ * @param {object} options - Request options
+ * @param {string} inputType - 'html', 'markdown', 'template', 'url', 'image' or 'pdf_merge'
+ * @param {string} parameterName - Name used for the options in errors ('options', or 'front_matter' for Markdown front matter)
+ * @returns {object} Validation result with isValid and error
+ */
+function validateOptions(options, inputType, parameterName = 'options') {
+  if (options === undefined || options === null) {
+    return { isValid: true, error: null };
+  }
+
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_PARAMETER(parameterName, 'Must be a JSON object'),
+    };
+  }
+
+  const validators = INPUT_TYPE_OPTION_VALIDATORS[inputType] || RENDER_OPTION_VALIDATORS;
+
+  for (const [key, value] of Object.entries(options)) {
+    const validate = validators[key];
+    if (!validate) {
+      return {
+        isValid: false,
+        error: BadRequest.INVALID_PARAMETER(
+          `${parameterName}.${key}`,
+          `Unknown option. Allowed options: ${Object.keys(validators).join(', ')}`
+        ),
+      };
+    }
+
+    // null means "use the default"
+    if (value === null) {
+      continue;
+    }
+
+    const failure = validate(value);
+    if (failure) {
+      const field = failure.field ? `${parameterName}.${key}.${failure.field}` : `${parameterName}.${key}`;
+      return {
+        isValid: false,
+        error: BadRequest.INVALID_PARAMETER(field, failure.message),
+      };
+    }
+  }
+
+  const conflict = checkOptionConflicts(options, parameterName);
+  if (conflict) {
+    return { isValid: false, error: conflict };
+  }
+
+  // Image conversion margins are in points and fit to the image page by imagePdf.js
+  const marginConflict = inputType === 'image' ? null : checkMarginsFitPage(options, parameterName);
+  if (marginConflict) {
+    return { isValid: false, error: marginConflict };
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validate the `dry_run` request field
+ * JSON requests send a boolean; multipart requests send "true" or "false".
+ * @param {*} value - dry_run value
+ * @returns {object} Validation result with isValid, error and data (boolean)
+ */
+function validateDryRun(value) {
+  if (value === undefined || value === null || value === false || value === 'false') {
+    return { isValid: true, error: null, data: false };
+  }
+  if (value === true || value === 'true') {
+    return { isValid: true, error: null, data: true };
+  }
+  return {
+    isValid: false,
+    error: BadRequest.INVALID_PARAMETER('dry_run', 'Must be a boolean'),
+    data: null,
+  };
+}
+
+/**
+ * Validate document metadata (title, author, subject, keywords, language)
+ * Used for the request `metadata` object and Markdown front matter
+ * @param {object} metadata - Metadata fields
+ * @param {string} parameterName - Name used for the metadata in errors
+ * @returns {object} Validation result with isValid and error
+ */
+function validateMetadata(metadata, parameterName = 'metadata') {
+  if (metadata === undefined || metadata === null) {
+    return { isValid: true, error: null };
+  }
+
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_PARAMETER(parameterName, 'Must be a JSON object'),
+    };
+  }
+
+  for (const [key, value] of Object.entries(metadata)) {
+    const validate = METADATA_VALIDATORS[key];
+    if (!validate) {
+      return {
+        isValid: false,
+        error: BadRequest.INVALID_PARAMETER(
+          `${parameterName}.${key}`,
+          `Unknown field. Allowed fields: ${Object.keys(METADATA_VALIDATORS).join(', ')}`
+        ),
+      };
+    }
+
+    if (value === null) {
+      continue;
+    }
+
+    const failure = validate(value);
+    if (failure) {
+      return {
+        isValid: false,
+        error: BadRequest.INVALID_PARAMETER(`${parameterName}.${key}`, failure.message),
+      };
+    }
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Validate the YAML front matter of a Markdown document
+ * Metadata fields and render options are checked like request options; errors name `front_matter.<field>`
+ * @param {string} markdown - Markdown content
+ * @returns {object} Validation result with isValid, error, and parsed front matter ({body, metadata, options})
+ */
+function validateFrontMatter(markdown) {
+  const frontMatter = parseFrontMatter(markdown);
+  if (!frontMatter.isValid) {
+    return frontMatter;
+  }
+
+  const metadataValidation = validateMetadata(frontMatter.data.metadata, 'front_matter');
+  if (!metadataValidation.isValid) {
+    return { isValid: false, error: metadataValidation.error, data: null };
+  }
+
+  const optionsValidation = validateOptions(frontMatter.data.options, 'markdown', 'front_matter');
+  if (!optionsValidation.isValid) {
+    return { isValid: false, error: optionsValidation.error, data: null };
+  }
+
+  // Passwords belong in the request, not in the document (which is stored and queued as is)
+  if (frontMatter.data.options.encryption !== undefined) {
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_PARAMETER('front_matter.encryption', 'Not allowed in front matter; pass it in the request options'),
+      data: null,
+    };
+  }
+
+  return frontMatter;
+}
+
+/**
+ * Validate an account default network policy (PUT /accounts/me/network-policy)
+ * @param {object} policy - Network policy
+ * @returns {object} Validation result with isValid and error
+ */
+function validateNetworkPolicy(policy) {
+  const failure = checkNetworkPolicy(policy);
+  if (failure) {
+    const field = failure.field ? `network_policy.${failure.field}` : 'network_policy';
+    return {
+      isValid: false,
+      error: BadRequest.INVALID_PARAMETER(field, failure.message),
+    };
+  }
+
+  return { isValid: true, error: null };
+}
+
 /**
  * Validate webhook URL
  * @param {string} webhookUrl - Webhook URL to validate
@@ -182,8 +1516,15 @@ function validateWebhookUrl(webhookUrl) {
 
 module.exports = {
   validateRequestBody,
+  validateOptions,
+  validateFrontMatter,
+  validateMetadata,
+  validateDryRun,
+  validateNetworkPolicy,
   validateWebhookUrl,
   MAX_INPUT_SIZE_BYTES,
   MAX_INPUT_SIZE_MB,
+  VALID_INPUT_TYPES,
+  PAPER_FORMATS,
 };
 
@@ -0,0 +1,507 @@
+/**
+ * Unit tests for validation.js - request options schema
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { validateOptions, validateRequestBody, validateNetworkPolicy, validateDryRun } = require('./validation.js');
+
+/**
+ * Parse the error body of a formatted error response
+ */
+function errorOf(result) {
+  return JSON.parse(result.error.body).error;
+}
+
+describe('validateOptions', () => {
+  describe('Render options (html/markdown/template)', () => {
+    it('should accept missing or empty options', () => {
+      expect(validateOptions(undefined, 'html').isValid).toBe(true);
+      expect(validateOptions({}, 'html').isValid).toBe(true);
+    });
+
+    it('should accept a full set of valid options', () => {
+      const result = validateOptions({
+        format: 'letter',
+        landscape: true,
+        margin: { top: '20mm', right: '1in', bottom: 10, left: '2.5cm' },
+        scale: 0.8,
+        printBackground: false,
+        pageRanges: '1-3, 5, 8-',
+        preferCSSPageSize: true,
+        header: '<div>{{title}}</div>',
+        footer: { markdown: 'Page {{page}} of {{pages}}' },
+      }, 'markdown');
+
+      expect(result.isValid).toBe(true);
+      expect(result.error).toBeNull();
+    });
+
+    it('should reject unknown keys and name the field', () => {
+      const result = validateOptions({ fromat: 'A4' }, 'html');
+
+      expect(result.isValid).toBe(false);
+      expect(errorOf(result).code).toBe('INVALID_PARAMETER');
+      expect(errorOf(result).details.parameter).toBe('options.fromat');
+    });
+
+    it('should reject path so page.pdf() never writes to disk', () => {
+      const result = validateOptions({ path: '/tmp/out.pdf' }, 'html');
+
+      expect(result.isValid).toBe(false);
+      expect(errorOf(result).details.parameter).toBe('options.path');
+    });
+
+    it('should reject non-object options', () => {
+      expect(errorOf(validateOptions('A4', 'html')).details.parameter).toBe('options');
+      expect(errorOf(validateOptions([], 'html')).details.parameter).toBe('options');
+    });
+
+    it('should check types and ranges', () => {
+      expect(errorOf(validateOptions({ format: 'B5' }, 'html')).details.parameter).toBe('options.format');
+      expect(errorOf(validateOptions({ landscape: 'yes' }, 'html')).details.parameter).toBe('options.landscape');
+      expect(errorOf(validateOptions({ scale: 3 }, 'html')).details.parameter).toBe('options.scale');
+      expect(errorOf(validateOptions({ scale: 0.05 }, 'html')).details.parameter).toBe('options.scale');
+      expect(errorOf(validateOptions({ pageRanges: 'first' }, 'html')).details.parameter).toBe('options.pageRanges');
+      expect(errorOf(validateOptions({ width: '10 miles' }, 'html')).details.parameter).toBe('options.width');
+    });
+
+    it('should name the nested margin field', () => {
+      expect(errorOf(validateOptions({ margin: { top: '1furlong' } }, 'html')).details.parameter).toBe('options.margin.top');
+      expect(errorOf(validateOptions({ margin: { center: '1mm' } }, 'html')).details.parameter).toBe('options.margin.center');
+      expect(errorOf(validateOptions({ margin: '10mm' }, 'html')).details.parameter).toBe('options.margin');
+    });
+
+    it('should limit page sizes and margins to 200in', () => {
+      expect(validateOptions({ width: '200in', height: '5080mm' }, 'html').isValid).toBe(true);
+      expect(errorOf(validateOptions({ width: '201in' }, 'html')).details.parameter).toBe('options.width');
+      expect(errorOf(validateOptions({ height: '5100mm' }, 'html')).details.parameter).toBe('options.height');
+      expect(errorOf(validateOptions({ height: 20000 }, 'html')).details.parameter).toBe('options.height');
+      expect(errorOf(validateOptions({ margin: { top: '600cm' } }, 'html')).details.parameter).toBe('options.margin.top');
+    });
+
+    it('should require margins smaller than the page', () => {
+      expect(validateOptions({ format: 'letter', margin: { left: '4in', right: '4in' } }, 'html').isValid).toBe(true);
+
+      const result = validateOptions({ format: 'letter', margin: { left: '5in', right: '5in' } }, 'html');
+      expect(errorOf(result).details.parameter).toBe('options.margin');
+      expect(errorOf(result).message).toContain('page width (8.5in)');
+
+      // Landscape turns the page, so the same margins fit across it
+      expect(validateOptions({ format: 'letter', landscape: true, margin: { left: '5in', right: '5in' } }, 'html').isValid).toBe(true);
+      expect(errorOf(validateOptions({ format: 'letter', landscape: true, margin: { top: '5in', bottom: '4in' } }, 'html')).details.parameter)
+        .toBe('options.margin');
+      expect(errorOf(validateOptions({ width: '100mm', height: '100mm', margin: { top: '5cm', bottom: 189 } }, 'html')).details.parameter)
+        .toBe('options.margin');
+      expect(errorOf(validateOptions({ margin: { top: '12in' } }, 'html')).details.parameter).toBe('options.margin');
+    });
+
+    it('should reject header/footer objects without exactly one of html or markdown', () => {
+      expect(validateOptions({ footer: { html: 'a', markdown: 'b' } }, 'html').isValid).toBe(false);
+      expect(validateOptions({ header: { text: 'a' } }, 'html').isValid).toBe(false);
+      expect(validateOptions({ header: 42 }, 'html').isValid).toBe(false);
+    });
+
+    it('should treat null values as unset', () => {
+      expect(validateOptions({ format: null, margin: null }, 'html').isValid).toBe(true);
+    });
+
+    it('should validate the network policy', () => {
+      expect(validateOptions({ network: { mode: 'allow_list', allowed_domains: ['cdn.example.com'] } }, 'html').isValid).toBe(true);
+      expect(errorOf(validateOptions({ network: { mode: 'open' } }, 'html')).details.parameter).toBe('options.network.mode');
+      expect(errorOf(validateOptions({ network: { mode: 'allow_list' } }, 'html')).details.parameter).toBe('options.network.allowed_domains');
+      expect(errorOf(validateOptions({ network: { max_requests: 0 } }, 'html')).details.parameter).toBe('options.network.max_requests');
+      expect(errorOf(validateOptions({ network: { allowed_domains: ['http://x.com/'] } }, 'html')).details.parameter).toBe('options.network.allowed_domains');
+    });
+
+    it('should accept known output profiles for every input type', () => {
+      expect(validateOptions({ output_profile: 'pdfa-2b' }, 'markdown').isValid).toBe(true);
+      expect(validateOptions({ output_profile: 'pdfa-2b' }, 'image').isValid).toBe(true);
+      expect(errorOf(validateOptions({ output_profile: 'pdfa-1a' }, 'html')).details.parameter).toBe('options.output_profile');
+    });
+
+    it('should validate encryption settings without echoing passwords', () => {
+      const encryption = { user_password: 'Payslip-2024!', owner_password: 'hr-admin', permissions: { print: 'low', copy: false } };
+      expect(validateOptions({ encryption }, 'html').isValid).toBe(true);
+      expect(validateOptions({ encryption: { permissions: { modify: false } } }, 'image').isValid).toBe(true);
+
+      expect(errorOf(validateOptions({ encryption: {} }, 'html')).details.parameter).toBe('options.encryption');
+      expect(errorOf(validateOptions({ encryption: { user_password: 'x'.repeat(128) } }, 'html')).details.parameter).toBe('options.encryption.user_password');
+      expect(errorOf(validateOptions({ encryption: { user_password: 'same', owner_password: 'same' } }, 'html')).details.parameter).toBe('options.encryption.owner_password');
+      expect(errorOf(validateOptions({ encryption: { permissions: { print: true } } }, 'html')).details.parameter).toBe('options.encryption.permissions.print');
+      expect(errorOf(validateOptions({ encryption: { permissions: { extract: false } } }, 'html')).details.parameter).toBe('options.encryption.permissions.extract');
+
+      const error = errorOf(validateOptions({ encryption: { user_password: 'secret-value', owner_password: 'secret-value' } }, 'html'));
+      expect(JSON.stringify(error)).not.toContain('secret-value');
+    });
+
+    it('should reject encryption combined with a PDF/A output profile', () => {
+      const result = validateOptions({ output_profile: 'pdfa-2b', encryption: { user_password: 'pw' } }, 'html');
+      expect(errorOf(result).details.parameter).toBe('options.encryption');
+    });
+
+    it('should validate watermarks', () => {
+      const png = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+      expect(validateOptions({ watermark: { text: 'DRAFT', opacity: 0.1, position: 'bottom-right', pages: '2-' } }, 'html').isValid).toBe(true);
+      expect(validateOptions({ watermark: { image: png, scale: 0.3 } }, 'image').isValid).toBe(true);
+
+      expect(errorOf(validateOptions({ watermark: { text: 'DRAFT', image: png } }, 'html')).details.parameter).toBe('options.watermark');
+      expect(errorOf(validateOptions({ watermark: { text: '草稿' } }, 'html')).details.parameter).toBe('options.watermark.text');
+      expect(errorOf(validateOptions({ watermark: { image: 'bm90IGFuIGltYWdl' } }, 'html')).details.parameter).toBe('options.watermark.image');
+      expect(errorOf(validateOptions({ watermark: { text: 'DRAFT', opacity: 0 } }, 'html')).details.parameter).toBe('options.watermark.opacity');
+      expect(errorOf(validateOptions({ watermark: { text: 'DRAFT', position: 'middle' } }, 'html')).details.parameter).toBe('options.watermark.position');
+      expect(errorOf(validateOptions({ watermark: { text: 'DRAFT', pages: 'odd' } }, 'html')).details.parameter).toBe('options.watermark.pages');
+      expect(errorOf(validateOptions({ watermark: { text: 'DRAFT', colour: '#000' } }, 'html')).details.parameter).toBe('options.watermark.colour');
+    });
+
+    it('should validate outline and table of contents settings', () => {
+      expect(validateOptions({ outline: true, toc: { title: 'Inhalt', max_depth: 2, page_numbers: false } }, 'html').isValid).toBe(true);
+      expect(validateOptions({ outline: { selector: 'h1, .chapter-title', max_depth: 3 } }, 'url').isValid).toBe(true);
+
+      expect(errorOf(validateOptions({ outline: 'yes' }, 'html')).details.parameter).toBe('options.outline');
+      expect(errorOf(validateOptions({ outline: { max_depth: 7 } }, 'html')).details.parameter).toBe('options.outline.max_depth');
+      expect(errorOf(validateOptions({ outline: { title: 'Bookmarks' } }, 'html')).details.parameter).toBe('options.outline.title');
+      expect(errorOf(validateOptions({ toc: { selector: ' ' } }, 'html')).details.parameter).toBe('options.toc.selector');
+      expect(validateOptions({ outline: true }, 'image').isValid).toBe(false);
+    });
+
+    it('should reject a table of contents combined with the Markdown toc extension', () => {
+      const result = validateOptions({ toc: true, extensions: { toc: true } }, 'markdown');
+      expect(errorOf(result).details.parameter).toBe('options.toc');
+    });
+
+    it('should reject text watermarks combined with a PDF/A output profile', () => {
+      const result = validateOptions({ output_profile: 'pdfa-2b', watermark: { text: 'DRAFT' } }, 'html');
+      expect(errorOf(result).details.parameter).toBe('options.watermark.text');
+    });
+  });
+
+  describe('Markdown theme options', () => {
+    it('should accept theme, overrides, css and stylesheet_id for markdown', () => {
+      const result = validateOptions({
+        theme: 'academic',
+        theme_overrides: { font_family: '"Brand Sans", serif', font_size: 14, line_height: 1.4, code_background: '#1e1e1e', code_color: 'rgb(220, 220, 220)' },
+        css: 'h1 { color: navy; }',
+        stylesheet_id: '01ARZ3NDEKTSV4RRFFQ69G5FAV',
+      }, 'markdown');
+
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should reject theme options for other input types', () => {
+      expect(errorOf(validateOptions({ theme: 'github' }, 'html')).details.parameter).toBe('options.theme');
+      expect(errorOf(validateOptions({ css: 'p {}' }, 'url')).details.parameter).toBe('options.css');
+    });
+
+    it('should reject unknown themes', () => {
+      expect(errorOf(validateOptions({ theme: 'solarized' }, 'markdown')).details.parameter).toBe('options.theme');
+    });
+
+    it('should reject override values that could break out of a CSS declaration', () => {
+      const fieldOf = (overrides) => errorOf(validateOptions({ theme_overrides: overrides }, 'markdown')).details.parameter;
+
+      expect(fieldOf({ font_family: 'Arial; } body { display: none' })).toBe('options.theme_overrides.font_family');
+      expect(fieldOf({ font_family: '"Arial' })).toBe('options.theme_overrides.font_family');
+      expect(fieldOf({ font_size: '12px; color: red' })).toBe('options.theme_overrides.font_size');
+      expect(fieldOf({ code_color: 'url(https://example.com/x)' })).toBe('options.theme_overrides.code_color');
+      expect(fieldOf({ accent: '#fff' })).toBe('options.theme_overrides.accent');
+    });
+  });
+
+  describe('Document metadata', () => {
+    it('should accept metadata for every JSON input type', () => {
+      const metadata = { title: 'Report', author: ['Ann', 'Bob'], subject: 'Q1', keywords: 'tax, finance', language: 'en-GB' };
+
+      expect(validateRequestBody({ input_type: 'html', html: '<p>x</p>', metadata }).data.metadata).toEqual(metadata);
+      expect(validateRequestBody({ input_type: 'url', url: 'https://example.com', metadata }).isValid).toBe(true);
+      expect(validateRequestBody({ input_type: 'template', template_id: 't1', metadata }).isValid).toBe(true);
+      expect(validateRequestBody({ input_type: 'html', html: '<p>x</p>' }).data.metadata).toEqual({});
+    });
+
+    it('should reject unknown fields and invalid values', () => {
+      const fieldOf = (metadata) => errorOf(validateRequestBody({ input_type: 'html', html: '<p>x</p>', metadata })).details.parameter;
+
+      expect(fieldOf({ creator: 'me' })).toBe('metadata.creator');
+      expect(fieldOf({ title: 42 })).toBe('metadata.title');
+      expect(fieldOf({ keywords: 'x'.repeat(1001) })).toBe('metadata.keywords');
+      expect(fieldOf({ language: 'en_US' })).toBe('metadata.language');
+      expect(fieldOf('Report')).toBe('metadata');
+    });
+  });
+
+  describe('Markdown front matter', () => {
+    const markdown = '---\ntitle: Report\nformat: a5\nlandscape: true\ntheme: academic\n---\n# Report\n';
+
+    it('should merge front matter options with request options winning', () => {
+      const result = validateRequestBody({ input_type: 'markdown', markdown, options: { landscape: false } });
+
+      expect(result.isValid).toBe(true);
+      expect(result.data.options).toEqual({ format: 'a5', landscape: false, theme: 'academic' });
+      expect(result.data.content).toBe(markdown);
+    });
+
+    it('should report invalid front matter values as front_matter fields', () => {
+      const fieldOf = (frontMatter) => errorOf(validateRequestBody({
+        input_type: 'markdown',
+        markdown: `---\n${frontMatter}\n---\nBody`,
+      })).details.parameter;
+
+      expect(fieldOf('format: b9')).toBe('front_matter.format');
+      expect(fieldOf('margin: { top: 2 furlongs }')).toBe('front_matter.margin.top');
+      expect(fieldOf('fromat: a4')).toBe('front_matter.fromat');
+      expect(fieldOf('title: [1, 2]')).toBe('front_matter.title');
+      expect(fieldOf('language: english language')).toBe('front_matter.language');
+    });
+
+    it('should report YAML errors as INVALID_FRONT_MATTER', () => {
+      const result = validateRequestBody({ input_type: 'markdown', markdown: '---\ntitle: "unterminated\n---\nBody' });
+      expect(errorOf(result).code).toBe('INVALID_FRONT_MATTER');
+    });
+
+    it('should not take passwords from front matter', () => {
+      const markdown = '---\nencryption:\n  user_password: secret\n---\n# Payslip\n';
+      expect(errorOf(validateRequestBody({ input_type: 'markdown', markdown })).details.parameter).toBe('front_matter.encryption');
+    });
+
+    it('should reject request encryption with a front matter PDF/A profile', () => {
+      const result = validateRequestBody({
+        input_type: 'markdown',
+        markdown: '---\noutput_profile: pdfa-2b\n---\n# Report\n',
+        options: { encryption: { user_password: 'pw' } },
+      });
+      expect(errorOf(result).details.parameter).toBe('options.encryption');
+    });
+
+    it('should check request margins against a front matter page size', () => {
+      const result = validateRequestBody({
+        input_type: 'markdown',
+        markdown: '---\nformat: a6\n---\n# Label\n',
+        options: { margin: { left: '3in', right: '2in' } },
+      });
+      expect(errorOf(result).details.parameter).toBe('options.margin');
+    });
+  });
+
+  describe('Markdown extension options', () => {
+    it('should accept boolean extensions and toc settings', () => {
+      const result = validateOptions({
+        extensions: { toc: { max_depth: 2, title: 'Inhalt' }, footnotes: true, highlight: true, math: false, mermaid: true },
+      }, 'markdown');
+
+      expect(result.isValid).toBe(true);
+      expect(validateOptions({ extensions: { toc: true, heading_anchors: true } }, 'markdown').isValid).toBe(true);
+    });
+
+    it('should reject extensions for other input types', () => {
+      expect(errorOf(validateOptions({ extensions: { toc: true } }, 'html')).details.parameter).toBe('options.extensions');
+    });
+
+    it('should reject unknown extensions and invalid settings', () => {
+      const fieldOf = (extensions) => errorOf(validateOptions({ extensions }, 'markdown')).details.parameter;
+
+      expect(fieldOf({ emoji: true })).toBe('options.extensions.emoji');
+      expect(fieldOf({ math: 'yes' })).toBe('options.extensions.math');
+      expect(fieldOf({ toc: { max_depth: 7 } })).toBe('options.extensions.toc.max_depth');
+      expect(fieldOf({ toc: { title: 'x'.repeat(101) } })).toBe('options.extensions.toc.title');
+      expect(fieldOf({ toc: { depth: 2 } })).toBe('options.extensions.toc.depth');
+      expect(errorOf(validateOptions({ extensions: ['toc'] }, 'markdown')).details.parameter).toBe('options.extensions');
+    });
+  });
+
+  describe('Image output options', () => {
+    it('should accept output formats and screenshot settings', () => {
+      expect(validateOptions({ output_format: 'pdf' }, 'html').isValid).toBe(true);
+      expect(validateOptions({
+        output_format: 'jpeg',
+        screenshot: { mode: 'viewport', width: 1200, height: 630, device_scale_factor: 2, quality: 90 },
+      }, 'html').isValid).toBe(true);
+      expect(validateOptions({
+        output_format: 'webp',
+        format: 'Letter',
+        screenshot: { mode: 'pages', device_scale_factor: 0.5 },
+      }, 'markdown').isValid).toBe(true);
+      expect(validateOptions({ output_format: 'png', screenshot: { clip: { x: 0, y: 0, width: 400, height: 300 } } }, 'url').isValid).toBe(true);
+    });
+
+    it('should reject invalid screenshot settings', () => {
+      const fieldOf = (screenshot) => errorOf(validateOptions({ output_format: 'png', screenshot }, 'html')).details.parameter;
+
+      expect(fieldOf({ mode: 'tiles' })).toBe('options.screenshot.mode');
+      expect(fieldOf({ width: 50 })).toBe('options.screenshot.width');
+      expect(fieldOf({ mode: 'pages', height: 800 })).toBe('options.screenshot.height');
+      expect(fieldOf({ device_scale_factor: 5 })).toBe('options.screenshot.device_scale_factor');
+      expect(fieldOf({ clip: { x: 0, y: 0, width: 9000, height: 10 }, device_scale_factor: 2 })).toBe('options.screenshot.clip.width');
+      expect(fieldOf({ clip: { x: 0, y: 0, width: 10 } })).toBe('options.screenshot.clip.height');
+      expect(fieldOf({ quality: 80 })).toBe('options.screenshot.quality');
+      expect(errorOf(validateOptions({ output_format: 'gif' }, 'html')).details.parameter).toBe('options.output_format');
+    });
+
+    it('should reject PDF-only options with image output and screenshot settings without it', () => {
+      const fieldOf = (options) => errorOf(validateOptions(options, 'html')).details.parameter;
+
+      expect(fieldOf({ output_format: 'png', encryption: { user_password: 'secret' } })).toBe('options.encryption');
+      expect(fieldOf({ output_format: 'png', outline: true })).toBe('options.outline');
+      expect(fieldOf({ output_format: 'webp', header: '<div>{{page}}</div>' })).toBe('options.header');
+      expect(fieldOf({ output_format: 'png', accessible: true })).toBe('options.accessible');
+      expect(fieldOf({ screenshot: { mode: 'viewport' } })).toBe('options.screenshot');
+      expect(fieldOf({ output_format: 'pdf', screenshot: { mode: 'viewport' } })).toBe('options.screenshot');
+      expect(errorOf(validateOptions({ output_format: 'png' }, 'image')).details.parameter).toBe('options.output_format');
+    });
+  });
+
+  describe('Emulation options', () => {
+    it('should accept emulation settings', () => {
+      expect(validateOptions({
+        emulation: {
+          media_type: 'screen',
+          viewport: { width: 1440 },
+          device_scale_factor: 2,
+          locale: 'de-DE',
+          timezone: 'Europe/Berlin',
+          javascript_enabled: false,
+        },
+      }, 'url').isValid).toBe(true);
+      expect(validateOptions({ output_format: 'png', emulation: { media_type: 'print', locale: 'ja' } }, 'html').isValid).toBe(true);
+    });
+
+    it('should reject invalid emulation settings', () => {
+      const fieldOf = (emulation) => errorOf(validateOptions({ emulation }, 'html')).details.parameter;
+
+      expect(fieldOf('screen')).toBe('options.emulation');
+      expect(fieldOf({ media_type: 'tv' })).toBe('options.emulation.media_type');
+      expect(fieldOf({ viewport: { width: 50 } })).toBe('options.emulation.viewport.width');
+      expect(fieldOf({ viewport: { depth: 10 } })).toBe('options.emulation.viewport.depth');
+      expect(fieldOf({ device_scale_factor: 8 })).toBe('options.emulation.device_scale_factor');
+      expect(fieldOf({ locale: 'German' })).toBe('options.emulation.locale');
+      expect(fieldOf({ timezone: 'Mars/Olympus' })).toBe('options.emulation.timezone');
+      expect(fieldOf({ javascript_enabled: 'no' })).toBe('options.emulation.javascript_enabled');
+    });
+
+    it('should reject emulation settings that conflict with other options', () => {
+      const fieldOf = (options, inputType = 'html') => errorOf(validateOptions(options, inputType)).details.parameter;
+
+      expect(fieldOf({ output_format: 'png', emulation: { viewport: { width: 600 } } })).toBe('options.emulation.viewport');
+      expect(fieldOf({ output_format: 'jpeg', emulation: { device_scale_factor: 2 } })).toBe('options.emulation.device_scale_factor');
+      expect(fieldOf({ emulation: { javascript_enabled: false }, wait_for: { ready_flag: true } })).toBe('options.wait_for.ready_flag');
+      expect(fieldOf({ emulation: { javascript_enabled: false }, extensions: { mermaid: true } }, 'markdown'))
+        .toBe('options.extensions.mermaid');
+    });
+  });
+
+  describe('Wait conditions', () => {
+    it('should accept wait conditions within the timeout limit', () => {
+      expect(validateOptions({ wait_for: { selector: '#chart svg' } }, 'html').isValid).toBe(true);
+      expect(validateOptions({ wait_for: { ready_flag: true, fonts: true, timeout_ms: 20000 } }, 'url').isValid).toBe(true);
+      expect(validateOptions({ wait_for: { delay_ms: 500 } }, 'markdown').isValid).toBe(true);
+    });
+
+    it('should reject invalid wait conditions', () => {
+      const fieldOf = (waitFor) => errorOf(validateOptions({ wait_for: waitFor }, 'html')).details.parameter;
+
+      expect(fieldOf({})).toBe('options.wait_for');
+      expect(fieldOf({ ready_flag: false })).toBe('options.wait_for');
+      expect(fieldOf({ selector: '', fonts: true })).toBe('options.wait_for.selector');
+      expect(fieldOf({ fonts: 'yes' })).toBe('options.wait_for.fonts');
+      expect(fieldOf({ selector: '#a', timeout_ms: 60000 })).toBe('options.wait_for.timeout_ms');
+      expect(fieldOf({ delay_ms: 2000, timeout_ms: 1000 })).toBe('options.wait_for.delay_ms');
+      expect(fieldOf({ selector: '#a', when: 'load' })).toBe('options.wait_for.when');
+    });
+  });
+
+  describe('Image options', () => {
+    it('should accept image options including margin shorthand', () => {
+      const result = validateOptions({ format: 'Letter', margin: '10mm', fit: 'cover', landscape: true }, 'image');
+
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should reject render-only options for images', () => {
+      const result = validateOptions({ scale: 1 }, 'image');
+
+      expect(result.isValid).toBe(false);
+      expect(errorOf(result).details.parameter).toBe('options.scale');
+    });
+
+    it('should reject an unknown fit mode', () => {
+      expect(errorOf(validateOptions({ fit: 'stretch' }, 'image')).details.parameter).toBe('options.fit');
+    });
+  });
+
+  describe('PDF merge options', () => {
+    it('should accept merge options', () => {
+      expect(validateOptions({
+        page_order: 'reverse',
+        remove_duplicates: true,
+        watermark: { text: 'DRAFT' },
+        encryption: { owner_password: 'owner-secret' },
+      }, 'pdf_merge').isValid).toBe(true);
+    });
+
+    it('should reject invalid and render-only options', () => {
+      expect(errorOf(validateOptions({ page_order: 'random' }, 'pdf_merge')).details.parameter).toBe('options.page_order');
+      expect(errorOf(validateOptions({ remove_duplicates: 'yes' }, 'pdf_merge')).details.parameter).toBe('options.remove_duplicates');
+      expect(errorOf(validateOptions({ format: 'A4' }, 'pdf_merge')).details.parameter).toBe('options.format');
+    });
+  });
+});
+
+describe('validateRequestBody', () => {
+  it('should apply the options schema to html requests', () => {
+    const result = validateRequestBody({ input_type: 'html', html: '<p>Hi</p>', options: { fromat: 'A4' } });
+
+    expect(result.isValid).toBe(false);
+    expect(errorOf(result).details.parameter).toBe('options.fromat');
+  });
+
+  it('should apply the options schema to template requests', () => {
+    const result = validateRequestBody({ input_type: 'template', template_id: 'tpl', options: { scale: 5 } });
+
+    expect(result.isValid).toBe(false);
+    expect(errorOf(result).details.parameter).toBe('options.scale');
+  });
+
+  it('should pass valid options through', () => {
+    const options = { format: 'A4', margin: { top: '10mm' } };
+    const result = validateRequestBody({ input_type: 'markdown', markdown: '# Hi', options });
+
+    expect(result.isValid).toBe(true);
+    expect(result.data.options).toEqual(options);
+  });
+
+  it('should validate url requests', () => {
+    const valid = validateRequestBody({ input_type: 'url', url: 'https://example.com/report' });
+    expect(valid.isValid).toBe(true);
+    expect(valid.data.content).toBe('https://example.com/report');
+
+    expect(errorOf(validateRequestBody({ input_type: 'url' })).code).toBe('MISSING_CONTENT_FIELD');
+    expect(errorOf(validateRequestBody({ input_type: 'url', url: 'file:///etc/passwd' })).code).toBe('INVALID_URL');
+    expect(errorOf(validateRequestBody({ input_type: 'url', url: 'https://example.com', html: '<p>x</p>' })).code).toBe('WRONG_FIELD_PROVIDED');
+  });
+
+  it('should require multipart for PDF merges', () => {
+    const error = errorOf(validateRequestBody({ input_type: 'pdf_merge', pdfs: [] }));
+
+    expect(error.code).toBe('INVALID_PARAMETER');
+    expect(error.details.parameter).toBe('input_type');
+  });
+});
+
+describe('validateNetworkPolicy', () => {
+  it('should name fields under network_policy', () => {
+    expect(validateNetworkPolicy({ mode: 'block_external' }).isValid).toBe(true);
+    expect(errorOf(validateNetworkPolicy({ mode: 'block_external', extra: 1 })).details.parameter).toBe('network_policy.extra');
+    expect(errorOf(validateNetworkPolicy('allow_all')).details.parameter).toBe('network_policy');
+  });
+});
+
+describe('validateDryRun', () => {
+  it('should accept JSON booleans and multipart strings', () => {
+    expect(validateDryRun(undefined).data).toBe(false);
+    expect(validateDryRun(true).data).toBe(true);
+    expect(validateDryRun('true').data).toBe(true);
+    expect(validateDryRun('false').data).toBe(false);
+    expect(errorOf(validateDryRun('yes')).details.parameter).toBe('dry_run');
+  });
+});
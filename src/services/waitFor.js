@@ -0,0 +1,115 @@
+/**
+ * Wait For Service
+ * Waits for JavaScript-rendered content before a page is printed (`options.wait_for`):
+ * a CSS selector becoming visible, the page setting `window.podpdfReady = true`, web fonts
+ * finishing loading, and/or a fixed delay.
+ * All waits share one deadline that is kept below QUICKJOB_TIMEOUT_SECONDS, so a condition that
+ * is never met fails with WAIT_FOR_TIMEOUT instead of the request timing out.
+ */
+
+const { BadRequest, RequestTimeout } = require('../utils/errors');
+
+const QUICKJOB_TIMEOUT_SECONDS = parseInt(process.env.QUICKJOB_TIMEOUT_SECONDS || '30', 10);
+
+// Time left for loading and printing the page within a quick job
+const WAIT_RESERVE_SECONDS = 5;
+
+const MAX_WAIT_TIMEOUT_MS = Math.max(QUICKJOB_TIMEOUT_SECONDS - WAIT_RESERVE_SECONDS, 1) * 1000;
+const DEFAULT_WAIT_TIMEOUT_MS = Math.min(10000, MAX_WAIT_TIMEOUT_MS);
+
+// How often the ready flag and font status are checked
+const POLL_INTERVAL_MS = 50;
+
+/**
+ * Normalize the `wait_for` option
+ * @param {object} options - Render options
+ * @returns {object|null} Settings ({selector, readyFlag, fonts, delayMs, timeoutMs}), or null without wait_for
+ */
+function resolveWaitSettings(options = {}) {
+  const waitFor = options.wait_for;
+  if (!waitFor) {
+    return null;
+  }
+  return {
+    selector: waitFor.selector || null,
+    readyFlag: waitFor.ready_flag === true,
+    fonts: waitFor.fonts === true,
+    delayMs: waitFor.delay_ms || 0,
+    timeoutMs: waitFor.timeout_ms || DEFAULT_WAIT_TIMEOUT_MS,
+  };
+}
+
+/**
+ * Wait until the loaded page is ready to print
+ * Conditions are awaited in order (selector, ready flag, fonts), then the delay; together they
+ * must finish within timeoutMs.
+ * @param {object} page - Puppeteer page
+ * @param {object} settings - Settings from resolveWaitSettings
+ * @returns {Promise<void>}
+ */
+async function waitForReady(page, settings) {
+  const deadline = Date.now() + settings.timeoutMs;
+
+  // Time left for a condition; Puppeteer treats a timeout of 0 as "wait forever"
+  const timeLeft = (condition) => {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      throw RequestTimeout.WAIT_FOR_TIMEOUT(condition, settings.timeoutMs);
+    }
+    return remaining;
+  };
+
+  const waitFor = async (condition, wait) => {
+    try {
+      await wait(timeLeft(condition));
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw RequestTimeout.WAIT_FOR_TIMEOUT(condition, settings.timeoutMs);
+      }
+      throw error;
+    }
+  };
+
+  if (settings.selector) {
+    const validSelector = await page.evaluate((selector) => {
+      try {
+        document.querySelector(selector);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }, settings.selector);
+    if (!validSelector) {
+      throw BadRequest.INVALID_PARAMETER('options.wait_for.selector', 'Must be a valid CSS selector');
+    }
+    await waitFor('selector', (timeout) => page.waitForSelector(settings.selector, { visible: true, timeout }));
+  }
+
+  if (settings.readyFlag) {
+    await waitFor('ready_flag', (timeout) => page.waitForFunction(
+      () => window.podpdfReady === true,
+      { polling: POLL_INTERVAL_MS, timeout }
+    ));
+  }
+
+  if (settings.fonts) {
+    await waitFor('fonts', (timeout) => page.waitForFunction(
+      () => document.fonts.status === 'loaded',
+      { polling: POLL_INTERVAL_MS, timeout }
+    ));
+  }
+
+  if (settings.delayMs > 0) {
+    if (settings.delayMs > timeLeft('delay_ms')) {
+      throw RequestTimeout.WAIT_FOR_TIMEOUT('delay_ms', settings.timeoutMs);
+    }
+    await new Promise((resolve) => setTimeout(resolve, settings.delayMs));
+  }
+}
+
+module.exports = {
+  resolveWaitSettings,
+  waitForReady,
+  MAX_WAIT_TIMEOUT_MS,
+  DEFAULT_WAIT_TIMEOUT_MS,
+};
@@ -0,0 +1,34 @@
+/**
+ * Unit tests for waitFor.js - wait condition settings
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { resolveWaitSettings, MAX_WAIT_TIMEOUT_MS, DEFAULT_WAIT_TIMEOUT_MS } = require('./waitFor.js');
+
+describe('resolveWaitSettings', () => {
+  it('should return null without wait_for', () => {
+    expect(resolveWaitSettings({})).toBeNull();
+    expect(resolveWaitSettings()).toBeNull();
+  });
+
+  it('should apply the default timeout', () => {
+    expect(resolveWaitSettings({ wait_for: { selector: '#chart' } })).toEqual({
+      selector: '#chart',
+      readyFlag: false,
+      fonts: false,
+      delayMs: 0,
+      timeoutMs: DEFAULT_WAIT_TIMEOUT_MS,
+    });
+  });
+
+  it('should keep the timeout below the quick job timeout', () => {
+    const settings = resolveWaitSettings({ wait_for: { ready_flag: true, fonts: true, delay_ms: 250, timeout_ms: 5000 } });
+
+    expect(settings).toMatchObject({ readyFlag: true, fonts: true, delayMs: 250, timeoutMs: 5000 });
+    expect(MAX_WAIT_TIMEOUT_MS).toBeLessThan(parseInt(process.env.QUICKJOB_TIMEOUT_SECONDS || '30', 10) * 1000);
+    expect(DEFAULT_WAIT_TIMEOUT_MS).toBeLessThanOrEqual(MAX_WAIT_TIMEOUT_MS);
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Watermark Service
+ * Stamps text (e.g. "DRAFT") or an image (e.g. a logo) over rendered pages with pdf-lib.
+ * Used for the `watermark` option and for watermarks required by the plan or by test API keys.
+ * Image output (options.output_format) draws the same watermarks in the page (see screenshot.js).
+ */
+
+const {
+  PDFDocument,
+  StandardFonts,
+  rgb,
+  degrees,
+  beginMarkedContent,
+  endMarkedContent,
+} = require('pdf-lib');
+
+// Text is drawn with a standard font, which covers Latin-1 (WinAnsi) characters
+const MAX_WATERMARK_TEXT_LENGTH = 200;
+const WATERMARK_TEXT_PATTERN = /^[\x20-\x7E\xA0-\xFF€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ]+$/;
+
+const MAX_WATERMARK_IMAGE_BYTES = 1024 * 1024;
+
+const WATERMARK_POSITIONS = [
+  'center', 'top', 'bottom', 'left', 'right',
+  'top-left', 'top-right', 'bottom-left', 'bottom-right',
+];
+
+const DEFAULTS = {
+  opacity: 0.25,
+  rotation: 45,
+  position: 'center',
+  color: '#808080',
+  // Image width as a fraction of the page width
+  scale: 0.5,
+};
+
+// Distance from the page edge for positions other than center, in points
+const EDGE_MARGIN = 36;
+
+// Largest automatic font size; text otherwise spans 70% of the page diagonal
+const MAX_AUTO_FONT_SIZE = 144;
+
+/**
+ * Decode a watermark image given as base64 or a data URL
+ * @param {string} image - Base64 PNG/JPEG, optionally as `data:image/...;base64,...`
+ * @returns {{bytes: Buffer, format: 'png'|'jpeg'}|null} Image, or null if it is not a PNG or JPEG
+ */
+function decodeWatermarkImage(image) {
+  const base64 = String(image).replace(/^data:image\/[\w.+-]+;base64,/i, '');
+  const bytes = Buffer.from(base64, 'base64');
+  if (bytes.length >= 8 && bytes.readUInt32BE(0) === 0x89504E47) {
+    return { bytes, format: 'png' };
+  }
+  if (bytes.length >= 3 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) {
+    return { bytes, format: 'jpeg' };
+  }
+  return null;
+}
+
+/**
+ * Parse page ranges such as "1-3, 5, 8-" into zero-based page indices
+ * @param {string|undefined} ranges - Page ranges (all pages when empty)
+ * @param {number} pageCount - Number of pages
+ * @returns {Set<number>} Page indices
+ */
+function selectPages(ranges, pageCount) {
+  const selected = new Set();
+  if (!ranges || !String(ranges).trim()) {
+    for (let i = 0; i < pageCount; i++) {
+      selected.add(i);
+    }
+    return selected;
+  }
+
+  for (const part of String(ranges).split(',')) {
+    const [startText, endText] = part.split('-').map((value) => value.trim());
+    const start = parseInt(startText, 10);
+    let end = start;
+    if (endText !== undefined) {
+      end = endText === '' ? pageCount : parseInt(endText, 10);
+    }
+    for (let page = Math.max(start, 1); page <= Math.min(end, pageCount); page++) {
+      selected.add(page - 1);
+    }
+  }
+  return selected;
+}
+
+/**
+ * Parse a #RGB or #RRGGBB color
+ * @param {string} color - Hex color
+ * @returns {object} pdf-lib RGB color
+ */
+function parseColor(color) {
+  let hex = String(color).replace('#', '');
+  if (hex.length === 3) {
+    hex = hex.split('').map((digit) => digit + digit).join('');
+  }
+  const value = parseInt(hex, 16);
+  return rgb(((value >> 16) & 0xFF) / 255, ((value >> 8) & 0xFF) / 255, (value & 0xFF) / 255);
+}
+
+/**
+ * Find where to draw a rotated box so it sits at a position on the page
+ * pdf-lib rotates around the drawing origin (bottom-left corner), so the origin is moved
+ * to keep the box centred on its anchor.
+ * @param {object} page - Page size ({width, height})
+ * @param {number} width - Unrotated box width
+ * @param {number} height - Unrotated box height
+ * @param {number} rotation - Rotation in degrees, counter-clockwise
+ * @param {string} position - One of WATERMARK_POSITIONS
+ * @returns {{x: number, y: number}} Drawing origin
+ */
+function placeRotatedBox(page, width, height, rotation, position) {
+  const angle = (rotation * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  // Size of the rotated box, used to keep it inside the page at edge positions
+  const boundsWidth = Math.abs(width * cos) + Math.abs(height * sin);
+  const boundsHeight = Math.abs(width * sin) + Math.abs(height * cos);
+
+  let centerX = page.width / 2;
+  let centerY = page.height / 2;
+  if (position.includes('left')) {
+    centerX = EDGE_MARGIN + boundsWidth / 2;
+  } else if (position.includes('right')) {
+    centerX = page.width - EDGE_MARGIN - boundsWidth / 2;
+  }
+  if (position.includes('top')) {
+    centerY = page.height - EDGE_MARGIN - boundsHeight / 2;
+  } else if (position.includes('bottom')) {
+    centerY = EDGE_MARGIN + boundsHeight / 2;
+  }
+
+  return {
+    x: centerX - (width / 2) * cos + (height / 2) * sin,
+    y: centerY - (width / 2) * sin - (height / 2) * cos,
+  };
+}
+
+/**
+ * Draw a watermark on the selected pages of a pdf-lib document
+ * @param {object} pdfDoc - pdf-lib PDFDocument
+ * @param {object} watermark - Watermark ({text|image, opacity, rotation, position, font_size, color, scale, pages})
+ * @returns {Promise<void>}
+ */
+async function drawWatermark(pdfDoc, watermark) {
+  const settings = { ...DEFAULTS, ...watermark };
+  const pages = pdfDoc.getPages();
+  const selected = selectPages(settings.pages, pages.length);
+
+  let draw;
+  if (settings.image) {
+    const image = decodeWatermarkImage(settings.image);
+    const embedded = image.format === 'png'
+      ? await pdfDoc.embedPng(image.bytes)
+      : await pdfDoc.embedJpg(image.bytes);
+    draw = (page) => {
+      const width = page.getWidth() * settings.scale;
+      const height = width * (embedded.height / embedded.width);
+      const origin = placeRotatedBox(page.getSize(), width, height, settings.rotation, settings.position);
+      page.drawImage(embedded, {
+        ...origin,
+        width,
+        height,
+        rotate: degrees(settings.rotation),
+        opacity: settings.opacity,
+      });
+    };
+  } else {
+    const font = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    draw = (page) => {
+      const { width: pageWidth, height: pageHeight } = page.getSize();
+      const size = settings.font_size || Math.min(
+        MAX_AUTO_FONT_SIZE,
+        (0.7 * Math.hypot(pageWidth, pageHeight)) / font.widthOfTextAtSize(settings.text, 1)
+      );
+      const width = font.widthOfTextAtSize(settings.text, size);
+      const height = font.heightAtSize(size, { descender: false });
+      const origin = placeRotatedBox(page.getSize(), width, height, settings.rotation, settings.position);
+      page.drawText(settings.text, {
+        ...origin,
+        size,
+        font,
+        color: parseColor(settings.color),
+        rotate: degrees(settings.rotation),
+        opacity: settings.opacity,
+      });
+    };
+  }
+
+  pages.forEach((page, index) => {
+    if (selected.has(index)) {
+      // Marked as an artifact so tagged PDFs (options.accessible) stay fully tagged and screen readers skip it
+      page.pushOperators(beginMarkedContent('Artifact'));
+      draw(page);
+      page.pushOperators(endMarkedContent());
+    }
+  });
+}
+
+/**
+ * Stamp watermarks onto a PDF, drawn in order (later ones on top)
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @param {Array<object|null>} watermarks - Watermarks; null entries are skipped
+ * @returns {Promise<Buffer>} Watermarked PDF, or the original buffer when there is nothing to draw
+ */
+async function applyWatermarks(pdfBuffer, watermarks) {
+  const active = watermarks.filter(Boolean);
+  if (active.length === 0) {
+    return pdfBuffer;
+  }
+
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  for (const watermark of active) {
+    await drawWatermark(pdfDoc, watermark);
+  }
+  // Saved without object streams, like Chromium's own output
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+module.exports = {
+  applyWatermarks,
+  drawWatermark,
+  decodeWatermarkImage,
+  selectPages,
+  WATERMARK_DEFAULTS: DEFAULTS,
+  EDGE_MARGIN,
+  MAX_AUTO_FONT_SIZE,
+  WATERMARK_POSITIONS,
+  WATERMARK_TEXT_PATTERN,
+  MAX_WATERMARK_TEXT_LENGTH,
+  MAX_WATERMARK_IMAGE_BYTES,
+};
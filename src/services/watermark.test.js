@@ -0,0 +1,85 @@
+/**
+ * Unit tests for watermark.js - text and image watermarks
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const sharp = require('sharp');
+const { PDFDocument, PDFName, decodePDFRawStream } = require('pdf-lib');
+const { applyWatermarks, decodeWatermarkImage, selectPages } = require('./watermark.js');
+
+/**
+ * Build a PDF with the given number of pages
+ */
+async function samplePdf(pageCount) {
+  const pdfDoc = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) {
+    pdfDoc.addPage();
+  }
+  return Buffer.from(await pdfDoc.save());
+}
+
+/**
+ * Read the content streams of every page as text
+ */
+async function pageContents(pdfBuffer) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  return pdfDoc.getPages().map((page) => {
+    const contents = page.node.Contents();
+    if (!contents) {
+      return '';
+    }
+    const streams = contents.asArray ? contents.asArray().map((ref) => pdfDoc.context.lookup(ref)) : [contents];
+    return streams.map((stream) => Buffer.from(decodePDFRawStream(stream).decode()).toString('latin1')).join('\n');
+  });
+}
+
+describe('selectPages', () => {
+  it('should select every page without ranges', () => {
+    expect([...selectPages(undefined, 3)]).toEqual([0, 1, 2]);
+  });
+
+  it('should parse single pages, ranges and open-ended ranges within the document', () => {
+    expect([...selectPages('1, 3-4, 6-', 7)].sort()).toEqual([0, 2, 3, 5, 6]);
+    expect([...selectPages('2-9', 3)].sort()).toEqual([1, 2]);
+  });
+});
+
+describe('decodeWatermarkImage', () => {
+  it('should detect PNG and JPEG images in base64 and data URLs', async () => {
+    const png = await sharp({ create: { width: 4, height: 4, channels: 4, background: '#c00' } }).png().toBuffer();
+    const jpeg = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#c00' } }).jpeg().toBuffer();
+
+    expect(decodeWatermarkImage(png.toString('base64')).format).toBe('png');
+    expect(decodeWatermarkImage(`data:image/jpeg;base64,${jpeg.toString('base64')}`).format).toBe('jpeg');
+    expect(decodeWatermarkImage(Buffer.from('GIF89a....').toString('base64'))).toBeNull();
+  });
+});
+
+describe('applyWatermarks', () => {
+  it('should return the original buffer when there is nothing to draw', async () => {
+    const pdf = await samplePdf(1);
+    expect(await applyWatermarks(pdf, [undefined, null])).toBe(pdf);
+  });
+
+  it('should draw text only on the selected pages', async () => {
+    const contents = await pageContents(await applyWatermarks(await samplePdf(3), [{ text: 'DRAFT', pages: '2-' }]));
+
+    expect(contents[0]).not.toContain('Tj');
+    expect(contents[1]).toContain('Tj');
+    expect(contents[2]).toContain('Tj');
+  });
+
+  it('should draw an image with the requested opacity', async () => {
+    const png = await sharp({ create: { width: 8, height: 4, channels: 4, background: '#00f' } }).png().toBuffer();
+    const pdfDoc = await PDFDocument.load(await applyWatermarks(await samplePdf(1), [{ image: png.toString('base64'), opacity: 0.5 }]));
+
+    const resources = pdfDoc.getPage(0).node.Resources();
+    expect(resources.lookup(PDFName.of('XObject')).keys()).toHaveLength(1);
+    const extGState = resources.lookup(PDFName.of('ExtGState'));
+    const state = extGState.lookup(extGState.keys()[0]);
+    expect(state.lookup(PDFName.of('ca')).asNumber()).toBe(0.5);
+  });
+});
@@ -27,11 +27,25 @@ function createErrorResponse(statusCode, code, message, details = {}) {
   };
 }
 
+/**
+ * Get a "CODE: message" summary from a formatted error response (for job records and webhooks)
+ * @param {object} response - Formatted error response
+ * @returns {string} Error summary
+ */
+function getErrorSummary(response) {
+  try {
+    const { error } = JSON.parse(response.body);
+    return `${error.code}: ${error.message}`;
+  } catch (parseError) {
+    return `HTTP ${response.statusCode}`;
+  }
+}
+
 /**
  * Bad Request (400) errors
  */
 const BadRequest = {
-  INVALID_INPUT_TYPE: (provided, allowed = ['html', 'markdown', 'image']) =>
+  INVALID_INPUT_TYPE: (provided, allowed = ['html', 'markdown', 'image', 'template', 'url', 'pdf_merge']) =>
     createErrorResponse(
       400,
       'INVALID_INPUT_TYPE',
@@ -173,6 +187,23 @@ const BadRequest = {
       { action_required: 'provide_image_files' }
     ),
 
+  // PDF merge errors
+  MISSING_PDFS: (minPdfs = 2) =>
+    createErrorResponse(
+      400,
+      'MISSING_PDFS',
+      `At least ${minPdfs} PDFs required for merge operation`,
+      { min_pdfs: minPdfs, action_required: 'provide_pdf_files' }
+    ),
+
+  INVALID_PDF: (details = {}) =>
+    createErrorResponse(
+      400,
+      'INVALID_PDF',
+      details.message || 'PDF is corrupted or invalid.',
+      details
+    ),
+
   INVALID_MULTIPART: (message = 'Malformed multipart/form-data request') =>
     createErrorResponse(
       400,
@@ -188,6 +219,109 @@ const BadRequest = {
       message,
       { action_required: 'provide_valid_json_options' }
     ),
+
+  // Asset bundle errors (multipart HTML with assets)
+  INVALID_BUNDLE: (reason) =>
+    createErrorResponse(
+      400,
+      'INVALID_BUNDLE',
+      `Invalid asset bundle: ${reason}`,
+      { reason, action_required: 'provide_index_html_and_assets' }
+    ),
+
+  BUNDLE_TOO_LARGE: (maxSizeMb) =>
+    createErrorResponse(
+      400,
+      'BUNDLE_TOO_LARGE',
+      `Asset bundle exceeds the maximum uncompressed size of ${maxSizeMb}MB`,
+      { max_size_mb: maxSizeMb }
+    ),
+
+  // Font library errors
+  INVALID_FONT: (reason) =>
+    createErrorResponse(
+      400,
+      'INVALID_FONT',
+      `Invalid font file: ${reason}`,
+      { reason, action_required: 'provide_ttf_otf_or_woff2_font' }
+    ),
+
+  FONT_TOO_LARGE: (sizeBytes, maxSizeMb) =>
+    createErrorResponse(
+      400,
+      'FONT_TOO_LARGE',
+      `Font file exceeds the maximum size of ${maxSizeMb}MB for your plan`,
+      { size_bytes: sizeBytes, max_size_mb: maxSizeMb }
+    ),
+
+  // Template-specific errors
+  INVALID_TEMPLATE: (message) =>
+    createErrorResponse(
+      400,
+      'INVALID_TEMPLATE',
+      `Template content is not a valid template: ${message}`,
+      { error: message, action_required: 'fix_template_syntax' }
+    ),
+
+  TEMPLATE_RENDER_FAILED: (templateId, message) =>
+    createErrorResponse(
+      400,
+      'TEMPLATE_RENDER_FAILED',
+      'Failed to render template with the provided data',
+      { template_id: templateId, error: message }
+    ),
+
+  INVALID_FRONT_MATTER: (reason, line = null) =>
+    createErrorResponse(400, 'INVALID_FRONT_MATTER', `Invalid front matter: ${reason}`, {
+      parameter: 'front_matter',
+      reason,
+      line,
+    }),
+
+  MARKDOWN_RENDER_FAILED: (reason) =>
+    createErrorResponse(400, 'MARKDOWN_RENDER_FAILED', `Failed to render Markdown: ${reason}`, {
+      reason,
+    }),
+
+  PDFA_CONFORMANCE_FAILED: (outputProfile, violations) =>
+    createErrorResponse(
+      400,
+      'PDFA_CONFORMANCE_FAILED',
+      `The document cannot be converted to ${outputProfile}: ${violations.join('; ')}`,
+      {
+        output_profile: outputProfile,
+        violations,
+      }
+    ),
+
+  INVALID_URL: (reason) =>
+    createErrorResponse(400, 'INVALID_URL', `Invalid url: ${reason}`, {
+      parameter: 'url',
+      reason,
+    }),
+
+  URL_NOT_ALLOWED: (url, reason) =>
+    createErrorResponse(
+      400,
+      'URL_NOT_ALLOWED',
+      'URL points to a destination that is not allowed (private, local or non-http address)',
+      { url, reason }
+    ),
+
+  URL_LOAD_FAILED: (url, reason, statusCode = null) =>
+    createErrorResponse(400, 'URL_LOAD_FAILED', `Failed to load URL: ${reason}`, {
+      url,
+      reason,
+      ...(statusCode && { status_code: statusCode }),
+    }),
+
+  NETWORK_LIMIT_EXCEEDED: (maxBytes, bytes) =>
+    createErrorResponse(
+      400,
+      'NETWORK_LIMIT_EXCEEDED',
+      `The page downloaded more than the network policy limit of ${maxBytes} bytes`,
+      { max_bytes: maxBytes, bytes }
+    ),
 };
 
 /**
@@ -254,6 +388,17 @@ const Forbidden = {
       }
     ),
 
+  OUTPUT_PROFILE_NOT_ENABLED: (requestedProfile, enabledProfiles) =>
+    createErrorResponse(
+      403,
+      'OUTPUT_PROFILE_NOT_ENABLED',
+      `Output profile '${requestedProfile}' is not enabled for your plan. Enabled profiles: ${enabledProfiles.length > 0 ? enabledProfiles.join(', ') : 'none'}`,
+      {
+        enabled_profiles: enabledProfiles,
+        requested_profile: requestedProfile,
+      }
+    ),
+
   INSUFFICIENT_CREDITS: (currentBalance, requiredAmount) =>
     createErrorResponse(
       403,
@@ -274,6 +419,14 @@ const Forbidden = {
       { action_required: 'use_existing_account' }
     ),
 
+  TEMPLATE_VERSION_CONFLICT: (templateId, expectedVersion) =>
+    createErrorResponse(
+      409,
+      'TEMPLATE_VERSION_CONFLICT',
+      'The template was updated by another request, fetch it and retry',
+      { template_id: templateId, expected_version: expectedVersion }
+    ),
+
   WEBHOOK_LIMIT_EXCEEDED: (planId, planType, currentCount, maxAllowed) =>
     createErrorResponse(
       403,
@@ -311,6 +464,48 @@ const Forbidden = {
       message,
       { action_required: 'check_resource_ownership' }
     ),
+
+  TEMPLATE_LIMIT_EXCEEDED: (planId, planType, currentCount, maxAllowed) =>
+    createErrorResponse(
+      403,
+      'TEMPLATE_LIMIT_EXCEEDED',
+      'Template limit exceeded for your plan',
+      {
+        plan_id: planId,
+        plan_type: planType,
+        current_count: currentCount,
+        max_allowed: maxAllowed,
+        upgrade_required: true,
+      }
+    ),
+
+  FONT_LIMIT_EXCEEDED: (planId, planType, currentCount, maxAllowed) =>
+    createErrorResponse(
+      403,
+      'FONT_LIMIT_EXCEEDED',
+      'Font limit exceeded for your plan',
+      {
+        plan_id: planId,
+        plan_type: planType,
+        current_count: currentCount,
+        max_allowed: maxAllowed,
+        upgrade_required: true,
+      }
+    ),
+
+  STYLESHEET_LIMIT_EXCEEDED: (planId, planType, currentCount, maxAllowed) =>
+    createErrorResponse(
+      403,
+      'STYLESHEET_LIMIT_EXCEEDED',
+      'Stylesheet limit exceeded for your plan',
+      {
+        plan_id: planId,
+        plan_type: planType,
+        current_count: currentCount,
+        max_allowed: maxAllowed,
+        upgrade_required: true,
+      }
+    ),
 };
 
 /**
@@ -324,6 +519,38 @@ const NotFound = {
       message,
       { action_required: 'check_resource_id' }
     ),
+
+  TEMPLATE_NOT_FOUND: (templateId) =>
+    createErrorResponse(
+      404,
+      'TEMPLATE_NOT_FOUND',
+      'Template not found',
+      { template_id: templateId, action_required: 'check_template_id' }
+    ),
+
+  FONT_NOT_FOUND: (fontId) =>
+    createErrorResponse(
+      404,
+      'FONT_NOT_FOUND',
+      'Font not found',
+      { font_id: fontId, action_required: 'check_font_id' }
+    ),
+
+  STYLESHEET_NOT_FOUND: (stylesheetId) =>
+    createErrorResponse(
+      404,
+      'STYLESHEET_NOT_FOUND',
+      'Stylesheet not found',
+      { stylesheet_id: stylesheetId, action_required: 'check_stylesheet_id' }
+    ),
+
+  TEMPLATE_VERSION_NOT_FOUND: (templateId, version) =>
+    createErrorResponse(
+      404,
+      'TEMPLATE_VERSION_NOT_FOUND',
+      `Version ${version} of template not found`,
+      { template_id: templateId, version, action_required: 'check_template_version' }
+    ),
 };
 
 /**
@@ -341,6 +568,17 @@ const RequestTimeout = {
         suggestion: 'use_longjob_endpoint',
       }
     ),
+
+  WAIT_FOR_TIMEOUT: (condition, timeoutMs) =>
+    createErrorResponse(
+      408,
+      'WAIT_FOR_TIMEOUT',
+      `Wait condition options.wait_for.${condition} was not met within ${timeoutMs}ms`,
+      {
+        condition,
+        timeout_ms: timeoutMs,
+      }
+    ),
 };
 
 /**
@@ -366,6 +604,7 @@ const InternalServerError = {
 
 module.exports = {
   createErrorResponse,
+  getErrorSummary,
   BadRequest,
   Unauthorized,
   Forbidden,